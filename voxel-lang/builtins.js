@@ -0,0 +1,1864 @@
+// Built-in functions available to every VoxelScript program, shared by the interpreter and compiled output
+
+const util = require('util');
+
+// Ordering used by sortBy/sorted
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Pull up to `limit` values from an async iterable (such as a generator object) into an array.
+// Stopping early closes the iterator, as JavaScript destructuring does, so its finally blocks run.
+async function collectAsync(iterable, limit = Infinity) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const result = [];
+  while (result.length < limit) {
+    const { value, done } = await iterator.next();
+    if (done) return result;
+    result.push(value);
+  }
+  if (typeof iterator.return === 'function') await iterator.return();
+  return result;
+}
+
+// A value made by an enum variant, e.g. Shape.Rect(2, 3), or a field-less member of an enum that has
+// variants, e.g. Option.None. Fields read by name (rect.w); match destructures them by position.
+class EnumVariant {
+  constructor(variant, values) {
+    Object.defineProperty(this, '__variant__', { value: variant });
+    Object.defineProperty(this, '__values__', { value: values });
+    variant.fields.forEach((field, i) => { this[field] = values[i]; });
+    Object.freeze(this);
+  }
+
+  toString() {
+    const { tag, fields } = this.__variant__;
+    return fields.length ? `${tag}(${this.__values__.map(String).join(', ')})` : tag;
+  }
+
+  [util.inspect.custom](depth, options, inspect) {
+    const { tag, fields } = this.__variant__;
+    return fields.length ? `${tag}(${this.__values__.map(value => inspect(value, options)).join(', ')})` : tag;
+  }
+}
+
+// enum Name { A, B = 5, C(x, y) } from [{ name, value, fields }]. Constant members (fields null) keep
+// their value, with a reverse mapping for numbers; variants become constructors, or a single
+// EnumVariant when they have no fields
+function defineEnum(name, members) {
+  const value = { __isEnum: true, __name: name };
+  for (const member of members) {
+    if (!member.fields) {
+      value[member.name] = member.value;
+      continue;
+    }
+    const variant = { enumName: name, tag: member.name, fields: member.fields };
+    if (member.fields.length === 0) {
+      value[member.name] = new EnumVariant(variant, []);
+      continue;
+    }
+    const construct = (...values) => {
+      if (values.length !== variant.fields.length) {
+        throw new Error(`${name}.${member.name} takes ${variant.fields.length} value(s), got ${values.length}`);
+      }
+      return new EnumVariant(variant, values);
+    };
+    construct.__variant__ = variant;
+    value[member.name] = construct;
+  }
+  for (const member of members) {
+    if (!member.fields && typeof member.value === 'number') {
+      value[member.value] = member.name;
+    }
+  }
+  return Object.freeze(value);
+}
+
+// Whether `value` was built by the variant constructor `construct`
+function isVariant(value, construct) {
+  return value instanceof EnumVariant && value.__variant__ === construct?.__variant__;
+}
+
+// enum Option { Some(value), None } and enum Result { Ok(value), Err(error) }
+const Option = defineEnum('Option', [{ name: 'Some', fields: ['value'] }, { name: 'None', fields: [] }]);
+const Result = defineEnum('Result', [{ name: 'Ok', fields: ['value'] }, { name: 'Err', fields: ['error'] }]);
+
+// Error classes for compiled output; the interpreter defines the same hierarchy in VoxelScript.
+// As there, converting an error to a string gives just its message.
+const VoxelError = class Error extends globalThis.Error {
+  constructor(message = '', cause = null) {
+    super(message);
+    this.name = new.target.name;
+    this.cause = cause;
+  }
+
+  toString() {
+    return this.message;
+  }
+};
+const errorClasses = {
+  Error: VoxelError,
+  TypeError: class TypeError extends VoxelError {},
+  ValueError: class ValueError extends VoxelError {},
+  IOError: class IOError extends VoxelError {},
+  AssertionError: class AssertionError extends VoxelError {},
+  MatchError: class MatchError extends VoxelError {},
+  CancelledError: class CancelledError extends VoxelError {},
+  PermissionError: class PermissionError extends VoxelError {},
+  LimitError: class LimitError extends VoxelError {}
+};
+for (const name of ['StepLimitError', 'TimeLimitError', 'RecursionError', 'MemoryLimitError']) {
+  errorClasses[name] = { [name]: class extends errorClasses.LimitError {} }[name];
+}
+
+// Scripts call methods of host objects without a receiver, so the task and generator objects bind theirs
+function bindMethods(object, names) {
+  for (const name of names) object[name] = object[name].bind(object);
+}
+
+// Cancellation token: cancel() wakes every guarded wait with a CancelledError
+class CancelToken {
+  constructor() {
+    this.cancelled = false;
+    this.reason = null;
+    this.listeners = new Set();
+    bindMethods(this, ['cancel']);
+  }
+
+  cancel(reason = 'Cancelled') {
+    if (this.cancelled) return false;
+    this.cancelled = true;
+    this.reason = reason;
+    const listeners = [...this.listeners];
+    this.listeners.clear();
+    for (const listener of listeners) listener(reason);
+    return true;
+  }
+
+  // Calls `listener` on cancellation (now, if already cancelled); returns a function that unsubscribes
+  onCancel(listener) {
+    if (this.cancelled) {
+      listener(this.reason);
+      return () => {};
+    }
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // The reason itself when it is an error, otherwise a CancelledError
+  error() {
+    return this.reason instanceof Error ? this.reason : new errorClasses.CancelledError(String(this.reason));
+  }
+
+  // Settles like `promise`, or rejects with a CancelledError once cancelled, after calling `abort`
+  // to stop the work behind it
+  guard(promise, abort = null) {
+    if (this.cancelled) {
+      if (abort) abort();
+      return Promise.reject(this.error());
+    }
+    return new Promise((resolve, reject) => {
+      const unsubscribe = this.onCancel(() => {
+        if (abort) abort();
+        reject(this.error());
+      });
+      Promise.resolve(promise).then(
+        value => { unsubscribe(); resolve(value); },
+        error => { unsubscribe(); reject(error); }
+      );
+    });
+  }
+
+  toString() {
+    return this.cancelled ? `<cancelled token: ${this.reason}>` : '<token>';
+  }
+
+  [util.inspect.custom]() {
+    return this.toString();
+  }
+}
+
+// A spawned task. join() waits for the result of its body (`await task` does the same in scripts);
+// cancel() cancels its token, which rejects the task and every wait inside it with a CancelledError.
+// It is not itself a promise, so the interpreter can hand it around without awaiting it.
+class Task {
+  // Runs `body(token)` once the spawning code next suspends
+  static start(body, token = new CancelToken()) {
+    const task = new this(token);
+    task.result = token.guard(Promise.resolve().then(() => body(token)));
+    // Settles with the task but never rejects. A failure nobody has joined is rethrown as an
+    // unhandled rejection, like a JS promise nobody waits on.
+    task.finished = task.result.then(
+      () => { task.status = 'done'; },
+      error => {
+        task.status = token.cancelled ? 'cancelled' : 'failed';
+        if (task.status === 'failed' && !task.joined) Promise.reject(error);
+      }
+    );
+    return task;
+  }
+
+  constructor(token) {
+    this.token = token;
+    this.status = 'running'; // 'running' | 'done' | 'failed' | 'cancelled'
+    this.result = null;
+    this.finished = null;
+    this.joined = false;
+    bindMethods(this, ['join', 'cancel']);
+  }
+
+  join() {
+    this.joined = true;
+    return this.result;
+  }
+
+  cancel(reason = 'Cancelled') {
+    return this.token.cancel(reason);
+  }
+
+  get done() {
+    return this.status !== 'running';
+  }
+
+  toString() {
+    return `<task ${this.status}>`;
+  }
+
+  [util.inspect.custom]() {
+    return this.toString();
+  }
+}
+
+// Message queue between tasks. send() waits while `capacity` values are already buffered (with
+// capacity 0, until a receiver takes the value); receive() waits for a value, or gives null once
+// the channel is closed and drained. Iterating a channel receives until then.
+class Channel {
+  constructor(capacity = 0) {
+    this.capacity = capacity;
+    this.buffer = [];
+    this.senders = [];   // { value, resolve, reject } waiting for room
+    this.receivers = []; // resolve functions waiting for a value
+    this.closed = false;
+    bindMethods(this, ['send', 'receive', 'close']);
+  }
+
+  send(value) {
+    if (this.closed) return Promise.reject(new errorClasses.ValueError('Send on a closed channel'));
+    if (this.receivers.length > 0) {
+      this.receivers.shift()({ value, done: false });
+      return Promise.resolve(true);
+    }
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(value);
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve, reject) => this.senders.push({ value, resolve, reject }));
+  }
+
+  receive() {
+    return this.take().then(item => (item.done ? null : item.value));
+  }
+
+  take() {
+    if (this.buffer.length > 0) {
+      const value = this.buffer.shift();
+      if (this.senders.length > 0) {
+        const sender = this.senders.shift();
+        this.buffer.push(sender.value);
+        sender.resolve(true);
+      }
+      return Promise.resolve({ value, done: false });
+    }
+    if (this.senders.length > 0) {
+      const sender = this.senders.shift();
+      sender.resolve(true);
+      return Promise.resolve({ value: sender.value, done: false });
+    }
+    if (this.closed) return Promise.resolve({ value: undefined, done: true });
+    return new Promise(resolve => this.receivers.push(resolve));
+  }
+
+  close() {
+    if (this.closed) return false;
+    this.closed = true;
+    for (const receiver of this.receivers.splice(0)) receiver({ value: undefined, done: true });
+    for (const sender of this.senders.splice(0)) sender.reject(new errorClasses.ValueError('Send on a closed channel'));
+    return true;
+  }
+
+  get size() {
+    return this.buffer.length;
+  }
+
+  [Symbol.asyncIterator]() {
+    return { next: () => this.take() };
+  }
+
+  toString() {
+    return `<channel ${this.buffer.length}/${this.capacity}${this.closed ? ' closed' : ''}>`;
+  }
+
+  [util.inspect.custom]() {
+    return this.toString();
+  }
+}
+
+// What awaiting `value` waits on: a task's result, or the value itself
+function awaitable(value) {
+  return value instanceof Task ? value.join() : value;
+}
+
+// sleep(ms), ending early with a CancelledError when `token` is cancelled
+function sleep(ms, token = null) {
+  let timer;
+  const slept = new Promise(resolve => { timer = setTimeout(resolve, ms); });
+  return token ? token.guard(slept, () => clearTimeout(timer)) : slept;
+}
+
+// Built-in functions
+const builtins = {
+  // ===== MATH =====
+  abs: (x) => Math.abs(x),
+  floor: (x) => Math.floor(x),
+  ceil: (x) => Math.ceil(x),
+  round: (x, decimals = 0) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(x * factor) / factor;
+  },
+  sqrt: (x) => Math.sqrt(x),
+  cbrt: (x) => Math.cbrt(x),
+  pow: (x, y) => Math.pow(x, y),
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  random: (min, max) => {
+    if (min === undefined) return Math.random();
+    if (max === undefined) return Math.floor(Math.random() * min);
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+  },
+  sin: (x) => Math.sin(x),
+  cos: (x) => Math.cos(x),
+  tan: (x) => Math.tan(x),
+  asin: (x) => Math.asin(x),
+  acos: (x) => Math.acos(x),
+  atan: (x) => Math.atan(x),
+  atan2: (y, x) => Math.atan2(y, x),
+  sinh: (x) => Math.sinh(x),
+  cosh: (x) => Math.cosh(x),
+  tanh: (x) => Math.tanh(x),
+  log: (x) => Math.log(x),
+  log10: (x) => Math.log10(x),
+  log2: (x) => Math.log2(x),
+  exp: (x) => Math.exp(x),
+  sign: (x) => Math.sign(x),
+  clamp: (x, min, max) => Math.min(Math.max(x, min), max),
+  lerp: (a, b, t) => a + (b - a) * t,
+  map: (x, inMin, inMax, outMin, outMax) => (x - inMin) * (outMax - outMin) / (inMax - inMin) + outMin,
+  distance: (x1, y1, x2, y2) => Math.sqrt((x2-x1)**2 + (y2-y1)**2),
+  distance3d: (x1, y1, z1, x2, y2, z2) => Math.sqrt((x2-x1)**2 + (y2-y1)**2 + (z2-z1)**2),
+  degrees: (rad) => rad * 180 / Math.PI,
+  radians: (deg) => deg * Math.PI / 180,
+  factorial: (n) => { let r = 1; for(let i = 2; i <= n; i++) r *= i; return r; },
+  gcd: (a, b) => { while(b) { [a, b] = [b, a % b]; } return a; },
+  lcm: (a, b) => (a * b) / builtins.gcd(a, b),
+  isPrime: (n) => {
+    if (n < 2) return false;
+    for (let i = 2; i <= Math.sqrt(n); i++) if (n % i === 0) return false;
+    return true;
+  },
+  fibonacci: (n) => {
+    if (n <= 1) return n;
+    let a = 0, b = 1;
+    for (let i = 2; i <= n; i++) [a, b] = [b, a + b];
+    return b;
+  },
+  sum: (arr) => arr.reduce((a, b) => a + b, 0),
+  avg: (arr) => arr.reduce((a, b) => a + b, 0) / arr.length,
+  median: (arr) => {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+  
+  // ===== STRING =====
+  len: (x) => {
+    if (typeof x === 'string' || Array.isArray(x)) return x.length;
+    if (typeof x === 'object' && x !== null) return Object.keys(x).length;
+    return 0;
+  },
+  upper: (s) => String(s).toUpperCase(),
+  lower: (s) => String(s).toLowerCase(),
+  trim: (s) => String(s).trim(),
+  trimStart: (s) => String(s).trimStart(),
+  trimEnd: (s) => String(s).trimEnd(),
+  split: (s, sep) => String(s).split(sep),
+  join: (arr, sep = '') => arr.join(sep),
+  replace: (s, old, newStr) => String(s).split(old).join(newStr),
+  replaceFirst: (s, old, newStr) => String(s).replace(old, newStr),
+  substr: (s, start, len) => String(s).substr(start, len),
+  substring: (s, start, end) => String(s).substring(start, end),
+  includes: (s, sub) => {
+    if (Array.isArray(s)) return s.includes(sub);
+    return String(s).includes(sub);
+  },
+  startsWith: (s, sub) => String(s).startsWith(sub),
+  endsWith: (s, sub) => String(s).endsWith(sub),
+  charAt: (s, i) => String(s).charAt(i),
+  charCode: (s, i = 0) => String(s).charCodeAt(i),
+  fromCharCode: (...codes) => String.fromCharCode(...codes),
+  indexOf: (s, sub) => {
+    if (Array.isArray(s)) return s.indexOf(sub);
+    return String(s).indexOf(sub);
+  },
+  lastIndexOf: (s, sub) => String(s).lastIndexOf(sub),
+  padStart: (s, len, char = ' ') => String(s).padStart(len, char),
+  padEnd: (s, len, char = ' ') => String(s).padEnd(len, char),
+  repeat: (s, n) => String(s).repeat(n),
+  reverse: (x) => {
+    if (Array.isArray(x)) return [...x].reverse();
+    return String(x).split('').reverse().join('');
+  },
+  capitalize: (s) => String(s).charAt(0).toUpperCase() + String(s).slice(1).toLowerCase(),
+  titleCase: (s) => String(s).split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' '),
+  camelCase: (s) => String(s).replace(/[-_\s]+(.)?/g, (_, c) => c ? c.toUpperCase() : ''),
+  snakeCase: (s) => String(s).replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, ''),
+  kebabCase: (s) => String(s).replace(/([A-Z])/g, '-$1').toLowerCase().replace(/^-/, ''),
+  words: (s) => String(s).match(/\b\w+\b/g) || [],
+  lines: (s) => String(s).split(/\r?\n/),
+  isDigit: (s) => /^\d+$/.test(s),
+  isAlpha: (s) => /^[a-zA-Z]+$/.test(s),
+  isAlnum: (s) => /^[a-zA-Z0-9]+$/.test(s),
+  isSpace: (s) => /^\s+$/.test(s),
+  count: (s, sub) => (String(s).match(new RegExp(sub, 'g')) || []).length,
+  format: (template, ...args) => {
+    return template.replace(/{(\d+)}/g, (match, i) => args[i] !== undefined ? args[i] : match);
+  },
+  
+  // ===== ARRAY =====
+  push: (arr, ...items) => { arr.push(...items); return arr; },
+  pop: (arr) => arr.pop(),
+  shift: (arr) => arr.shift(),
+  unshift: (arr, ...items) => { arr.unshift(...items); return arr; },
+  slice: (arr, start, end) => arr.slice(start, end),
+  splice: (arr, start, count, ...items) => { arr.splice(start, count, ...items); return arr; },
+  sort: (arr, desc = false) => [...arr].sort((a, b) => desc ? b - a : a - b),
+  sortBy: async (arr, key) => {
+    const keyed = [];
+    for (const item of arr) keyed.push([typeof key === 'function' ? await key(item) : item[key], item]);
+    return keyed.sort((a, b) => compareValues(a[0], b[0])).map(([, item]) => item);
+  },
+  concat: (arr, ...others) => arr.concat(...others),
+  flat: (arr, depth = 1) => arr.flat(depth),
+  flatMap: async (arr, fn) => {
+    const result = [];
+    for (let i = 0; i < arr.length; i++) {
+      const mapped = await fn(arr[i], i);
+      if (Array.isArray(mapped)) result.push(...mapped);
+      else result.push(mapped);
+    }
+    return result;
+  },
+  unique: (arr) => [...new Set(arr)],
+  compact: (arr) => arr.filter(Boolean),
+  zip: (...arrs) => arrs[0].map((_, i) => arrs.map(arr => arr[i])),
+  unzip: (arr) => arr[0].map((_, i) => arr.map(row => row[i])),
+  chunk: (arr, size) => {
+    const result = [];
+    for (let i = 0; i < arr.length; i += size) result.push(arr.slice(i, i + size));
+    return result;
+  },
+  shuffle: (arr) => {
+    const result = [...arr];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  },
+  sample: (arr, n = 1) => {
+    const shuffled = builtins.shuffle(arr);
+    return n === 1 ? shuffled[0] : shuffled.slice(0, n);
+  },
+  first: (arr, n) => n ? arr.slice(0, n) : arr[0],
+  last: (arr, n) => n ? arr.slice(-n) : arr[arr.length - 1],
+  nth: (arr, n) => n < 0 ? arr[arr.length + n] : arr[n],
+  take: (arr, n) => arr.slice(0, n),
+  drop: (arr, n) => arr.slice(n),
+  takeWhile: async (arr, fn) => {
+    const result = [];
+    for (const item of arr) { if (!await fn(item)) break; result.push(item); }
+    return result;
+  },
+  dropWhile: async (arr, fn) => {
+    let i = 0;
+    while (i < arr.length && await fn(arr[i])) i++;
+    return arr.slice(i);
+  },
+  partition: async (arr, fn) => {
+    const pass = [], fail = [];
+    for (let i = 0; i < arr.length; i++) (await fn(arr[i], i) ? pass : fail).push(arr[i]);
+    return [pass, fail];
+  },
+  groupBy: async (arr, key) => {
+    const acc = {};
+    for (const item of arr) {
+      const k = typeof key === 'function' ? await key(item) : item[key];
+      (acc[k] = acc[k] || []).push(item);
+    }
+    return acc;
+  },
+  countBy: async (arr, key) => {
+    const acc = {};
+    for (const item of arr) {
+      const k = typeof key === 'function' ? await key(item) : item[key];
+      acc[k] = (acc[k] || 0) + 1;
+    }
+    return acc;
+  },
+  range: (start, end, step = 1) => {
+    if (end === undefined) { end = start; start = 0; }
+    const result = [];
+    if (step > 0) for (let i = start; i < end; i += step) result.push(i);
+    else for (let i = start; i > end; i += step) result.push(i);
+    return result;
+  },
+  fill: async (n, val) => {
+    if (typeof val !== 'function') return Array(n).fill(val);
+    const result = [];
+    for (let i = 0; i < n; i++) result.push(await val(i));
+    return result;
+  },
+  times: async (n, fn) => {
+    const result = [];
+    for (let i = 0; i < n; i++) result.push(await fn(i));
+    return result;
+  },
+  
+  // ===== FUNCTIONAL =====
+  // Callbacks may be VoxelScript closures bridged to async host functions, so results are awaited
+  map: async (arr, fn) => {
+    const result = [];
+    for (let i = 0; i < arr.length; i++) result.push(await fn(arr[i], i));
+    return result;
+  },
+  filter: async (arr, fn) => {
+    const result = [];
+    for (let i = 0; i < arr.length; i++) if (await fn(arr[i], i)) result.push(arr[i]);
+    return result;
+  },
+  reduce: async (arr, fn, init) => {
+    if (init === undefined && arr.length === 0) throw new Error('reduce of empty array with no initial value');
+    let acc = init !== undefined ? init : arr[0];
+    for (let i = init !== undefined ? 0 : 1; i < arr.length; i++) acc = await fn(acc, arr[i], i);
+    return acc;
+  },
+  reduceRight: (arr, fn, init) => builtins.reduce([...arr].reverse(), fn, init),
+  find: async (arr, fn) => {
+    for (let i = 0; i < arr.length; i++) if (await fn(arr[i], i)) return arr[i];
+    return undefined;
+  },
+  findIndex: async (arr, fn) => {
+    for (let i = 0; i < arr.length; i++) if (await fn(arr[i], i)) return i;
+    return -1;
+  },
+  findLast: async (arr, fn) => {
+    for (let i = arr.length - 1; i >= 0; i--) if (await fn(arr[i], i)) return arr[i];
+    return undefined;
+  },
+  every: async (arr, fn) => {
+    for (let i = 0; i < arr.length; i++) if (!await fn(arr[i], i)) return false;
+    return true;
+  },
+  some: async (arr, fn) => {
+    for (let i = 0; i < arr.length; i++) if (await fn(arr[i], i)) return true;
+    return false;
+  },
+  none: async (arr, fn) => !await builtins.some(arr, fn),
+  forEach: async (arr, fn) => {
+    for (let i = 0; i < arr.length; i++) await fn(arr[i], i);
+    return arr;
+  },
+  tap: async (val, fn) => { await fn(val); return val; },
+  pipe: async (val, ...fns) => {
+    for (const fn of fns) val = await fn(val);
+    return val;
+  },
+  compose: (...fns) => async (val) => {
+    for (let i = fns.length - 1; i >= 0; i--) val = await fns[i](val);
+    return val;
+  },
+  curry: (fn) => {
+    const arity = fn.length;
+    return function curried(...args) {
+      if (args.length >= arity) return fn(...args);
+      return (...more) => curried(...args, ...more);
+    };
+  },
+  memoize: (fn) => {
+    const cache = new Map();
+    return (...args) => {
+      const key = JSON.stringify(args);
+      if (!cache.has(key)) cache.set(key, fn(...args));
+      return cache.get(key);
+    };
+  },
+  debounce: (fn, ms) => {
+    let timeout;
+    return (...args) => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => fn(...args), ms);
+    };
+  },
+  throttle: (fn, ms) => {
+    let last = 0;
+    return (...args) => {
+      const now = Date.now();
+      if (now - last >= ms) { last = now; return fn(...args); }
+    };
+  },
+  
+  // ===== TYPE CONVERSION =====
+  num: (x) => Number(x),
+  int: (x) => parseInt(x, 10),
+  float: (x) => parseFloat(x),
+  str: (x) => {
+    if (x instanceof VoxelError || x instanceof EnumVariant || x instanceof Task || x instanceof Channel ||
+        x instanceof CancelToken) return String(x);
+    if (typeof x === 'object') return JSON.stringify(x);
+    return String(x);
+  },
+  bool: (x) => Boolean(x),
+  array: (x) => {
+    if (Array.isArray(x)) return x;
+    if (x && x[Symbol.asyncIterator]) return collectAsync(x);
+    return Array.from(x);
+  },
+  set: (arr) => [...new Set(arr)],
+  
+  // ===== TYPE CHECKING =====
+  type: (x) => {
+    if (x === null) return 'null';
+    if (Array.isArray(x)) return 'array';
+    return typeof x;
+  },
+  isNum: (x) => typeof x === 'number' && !isNaN(x),
+  isInt: (x) => Number.isInteger(x),
+  isFloat: (x) => typeof x === 'number' && !Number.isInteger(x),
+  isStr: (x) => typeof x === 'string',
+  isBool: (x) => typeof x === 'boolean',
+  isArray: (x) => Array.isArray(x),
+  isObject: (x) => typeof x === 'object' && x !== null && !Array.isArray(x),
+  isNull: (x) => x === null,
+  isUndefined: (x) => x === undefined,
+  isNaN: (x) => Number.isNaN(x),
+  isFinite: (x) => Number.isFinite(x),
+  isFn: (x) => typeof x === 'function' || (x && x.__isVoxelFunction),
+  isEmpty: (x) => {
+    if (!x) return true;
+    if (Array.isArray(x)) return x.length === 0;
+    if (typeof x === 'object') return Object.keys(x).length === 0;
+    if (typeof x === 'string') return x.length === 0;
+    return false;
+  },
+  
+  // ===== OBJECT =====
+  keys: (obj) => Object.keys(obj),
+  values: (obj) => Object.values(obj),
+  entries: (obj) => Object.entries(obj),
+  fromEntries: (arr) => Object.fromEntries(arr),
+  has: (obj, key) => obj && obj.hasOwnProperty(key),
+  get: (obj, path, def) => {
+    const keys = path.split('.');
+    let result = obj;
+    for (const key of keys) {
+      result = result?.[key];
+      if (result === undefined) return def;
+    }
+    return result;
+  },
+  set: (obj, path, val) => {
+    const keys = path.split('.');
+    let current = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (!current[keys[i]]) current[keys[i]] = {};
+      current = current[keys[i]];
+    }
+    current[keys[keys.length - 1]] = val;
+    return obj;
+  },
+  delete: (obj, key) => { delete obj[key]; return obj; },
+  assign: (target, ...sources) => Object.assign(target, ...sources),
+  merge: (...objs) => Object.assign({}, ...objs),
+  clone: (x) => JSON.parse(JSON.stringify(x)),
+  deepClone: (x) => JSON.parse(JSON.stringify(x)),
+  freeze: (obj) => Object.freeze(obj),
+  pick: (obj, ...keys) => keys.reduce((acc, key) => { if (key in obj) acc[key] = obj[key]; return acc; }, {}),
+  omit: (obj, ...keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k))),
+  invert: (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [v, k])),
+  mapKeys: async (obj, fn) => {
+    const result = {};
+    for (const [k, v] of Object.entries(obj)) result[await fn(k, v)] = v;
+    return result;
+  },
+  mapValues: async (obj, fn) => {
+    const result = {};
+    for (const [k, v] of Object.entries(obj)) result[k] = await fn(v, k);
+    return result;
+  },
+  
+  // ===== DATE/TIME =====
+  now: () => Date.now(),
+  time: () => Date.now(),
+  date: () => new Date().toISOString().split('T')[0],
+  datetime: () => new Date().toISOString(),
+  timestamp: () => Math.floor(Date.now() / 1000),
+  year: () => new Date().getFullYear(),
+  month: () => new Date().getMonth() + 1,
+  day: () => new Date().getDate(),
+  hour: () => new Date().getHours(),
+  minute: () => new Date().getMinutes(),
+  second: () => new Date().getSeconds(),
+  weekday: () => new Date().getDay(),
+  formatDate: (ts, fmt = 'YYYY-MM-DD') => {
+    const d = new Date(ts);
+    return fmt
+      .replace('YYYY', d.getFullYear())
+      .replace('MM', String(d.getMonth() + 1).padStart(2, '0'))
+      .replace('DD', String(d.getDate()).padStart(2, '0'))
+      .replace('HH', String(d.getHours()).padStart(2, '0'))
+      .replace('mm', String(d.getMinutes()).padStart(2, '0'))
+      .replace('ss', String(d.getSeconds()).padStart(2, '0'));
+  },
+  parseDate: (s) => new Date(s).getTime(),
+  sleep,
+  wait: sleep,
+  
+  // ===== UTILITY =====
+  print: (...args) => console.log(...args),
+  log: (...args) => console.log(...args),
+  error: (...args) => console.error(...args),
+  warn: (...args) => console.warn(...args),
+  assert: (cond, msg = 'Assertion failed') => { if (!cond) throw new Error(msg); },
+  json: (x) => JSON.stringify(x, null, 2),
+  parse: (s) => JSON.parse(s),
+  encode: (s) => encodeURIComponent(s),
+  decode: (s) => decodeURIComponent(s),
+  base64Encode: (s) => Buffer.from(s).toString('base64'),
+  base64Decode: (s) => Buffer.from(s, 'base64').toString('utf8'),
+  hash: (s) => {
+    let hash = 0;
+    for (let i = 0; i < s.length; i++) {
+      const char = s.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash;
+    }
+    return Math.abs(hash).toString(16);
+  },
+  uuid: () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  }),
+  randomId: (len = 8) => {
+    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    return Array.from({length: len}, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+  },
+  
+  // ===== REGEX =====
+  match: (s, pattern) => String(s).match(new RegExp(pattern, 'g')),
+  matchAll: (s, pattern) => [...String(s).matchAll(new RegExp(pattern, 'g'))].map(m => m[0]),
+  test: (s, pattern) => new RegExp(pattern).test(s),
+  extract: (s, pattern) => {
+    const match = String(s).match(new RegExp(pattern));
+    return match ? (match[1] || match[0]) : null;
+  },
+  
+  // ===== CONSTANTS =====
+  PI: Math.PI,
+  E: Math.E,
+  TAU: Math.PI * 2,
+  PHI: (1 + Math.sqrt(5)) / 2,
+  SQRT2: Math.SQRT2,
+  INF: Infinity,
+  NAN: NaN,
+  
+  // ===== FILE OPERATIONS =====
+  readFile: (path) => {
+    const fs = require('fs');
+    return fs.readFileSync(path, 'utf8');
+  },
+  writeFile: (path, content) => {
+    const fs = require('fs');
+    fs.writeFileSync(path, content);
+    return true;
+  },
+  appendFile: (path, content) => {
+    const fs = require('fs');
+    fs.appendFileSync(path, content);
+    return true;
+  },
+  exists: (path) => {
+    const fs = require('fs');
+    return fs.existsSync(path);
+  },
+  listDir: (path) => {
+    const fs = require('fs');
+    return fs.readdirSync(path);
+  },
+  mkdir: (path) => {
+    const fs = require('fs');
+    fs.mkdirSync(path, { recursive: true });
+    return true;
+  },
+  remove: (path) => {
+    const fs = require('fs');
+    fs.rmSync(path, { recursive: true, force: true });
+    return true;
+  },
+  copy: (src, dest) => {
+    const fs = require('fs');
+    fs.copyFileSync(src, dest);
+    return true;
+  },
+  move: (src, dest) => {
+    const fs = require('fs');
+    fs.renameSync(src, dest);
+    return true;
+  },
+  
+  // ===== HTTP =====
+  // options.cancel: a token that aborts the request
+  fetch: async (url, options = {}) => {
+    const https = require('https');
+    const http = require('http');
+    const protocol = url.startsWith('https') ? https : http;
+    let req;
+    const response = new Promise((resolve, reject) => {
+      req = protocol.request(url, {
+        method: options.method || 'GET',
+        headers: options.headers || {}
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, data, headers: res.headers }));
+      });
+      req.on('error', reject);
+      if (options.body) req.write(options.body);
+      req.end();
+    });
+    return options.cancel ? options.cancel.guard(response, () => req.destroy()) : response;
+  },
+  
+  // ===== COLORS (for terminal) =====
+  red: (s) => `\x1b[31m${s}\x1b[0m`,
+  green: (s) => `\x1b[32m${s}\x1b[0m`,
+  yellow: (s) => `\x1b[33m${s}\x1b[0m`,
+  blue: (s) => `\x1b[34m${s}\x1b[0m`,
+  magenta: (s) => `\x1b[35m${s}\x1b[0m`,
+  cyan: (s) => `\x1b[36m${s}\x1b[0m`,
+  bold: (s) => `\x1b[1m${s}\x1b[0m`,
+  dim: (s) => `\x1b[2m${s}\x1b[0m`,
+  underline: (s) => `\x1b[4m${s}\x1b[0m`,
+  
+  // =============================================
+  // MULTI-LANGUAGE LIBRARY SUPPORT
+  // =============================================
+  
+  // ===== PYTHON-STYLE FUNCTIONS =====
+  // List comprehension helpers
+  listcomp: async (arr, fn, condition) => {
+    const result = [];
+    for (const item of arr) {
+      if (!condition || await condition(item)) {
+        result.push(await fn(item));
+      }
+    }
+    return result;
+  },
+  enumerate: (arr, start = 0) => arr.map((v, i) => [i + start, v]),
+  zip: (...arrs) => arrs[0].map((_, i) => arrs.map(arr => arr[i])),
+  zipLongest: (...arrs) => {
+    const maxLen = Math.max(...arrs.map(a => a.length));
+    return Array.from({length: maxLen}, (_, i) => arrs.map(arr => arr[i]));
+  },
+  all: (arr) => arr.every(Boolean),
+  any: (arr) => arr.some(Boolean),
+  sum: (arr) => arr.reduce((a, b) => a + b, 0),
+  product: (arr) => arr.reduce((a, b) => a * b, 1),
+  min: (...args) => args.length === 1 && Array.isArray(args[0]) ? Math.min(...args[0]) : Math.min(...args),
+  max: (...args) => args.length === 1 && Array.isArray(args[0]) ? Math.max(...args[0]) : Math.max(...args),
+  sorted: async (arr, key, reverse = false) => {
+    const keyed = [];
+    for (const item of arr) {
+      keyed.push([key ? (typeof key === 'function' ? await key(item) : item[key]) : item, item]);
+    }
+    const result = keyed.sort((a, b) => compareValues(a[0], b[0])).map(([, item]) => item);
+    return reverse ? result.reverse() : result;
+  },
+  reversed: (arr) => [...arr].reverse(),
+  
+  // Python dict methods
+  dict: (entries) => Object.fromEntries(entries || []),
+  dictGet: (obj, key, def = null) => obj.hasOwnProperty(key) ? obj[key] : def,
+  dictItems: (obj) => Object.entries(obj),
+  dictKeys: (obj) => Object.keys(obj),
+  dictValues: (obj) => Object.values(obj),
+  dictUpdate: (obj, other) => Object.assign(obj, other),
+  dictPop: (obj, key, def = null) => {
+    const val = obj.hasOwnProperty(key) ? obj[key] : def;
+    delete obj[key];
+    return val;
+  },
+  dictSetDefault: (obj, key, def = null) => {
+    if (!obj.hasOwnProperty(key)) obj[key] = def;
+    return obj[key];
+  },
+  
+  // Python string methods
+  strip: (s) => String(s).trim(),
+  lstrip: (s) => String(s).trimStart(),
+  rstrip: (s) => String(s).trimEnd(),
+  splitlines: (s) => String(s).split(/\r?\n/),
+  zfill: (s, width) => String(s).padStart(width, '0'),
+  center: (s, width, char = ' ') => {
+    s = String(s);
+    const padding = width - s.length;
+    const left = Math.floor(padding / 2);
+    const right = padding - left;
+    return char.repeat(left) + s + char.repeat(right);
+  },
+  ljust: (s, width, char = ' ') => String(s).padEnd(width, char),
+  rjust: (s, width, char = ' ') => String(s).padStart(width, char),
+  
+  // Python itertools style
+  chain: (...arrs) => arrs.flat(),
+  repeatArr: (val, n) => Array(n).fill(val),  // repeatArr for arrays, repeat for strings
+  cycle: (arr, n) => {
+    const result = [];
+    for (let i = 0; i < n; i++) result.push(arr[i % arr.length]);
+    return result;
+  },
+  combinations: (arr, r) => {
+    if (r === 1) return arr.map(x => [x]);
+    const result = [];
+    for (let i = 0; i <= arr.length - r; i++) {
+      const head = arr[i];
+      const tail = arr.slice(i + 1);
+      for (const combo of builtins.combinations(tail, r - 1)) {
+        result.push([head, ...combo]);
+      }
+    }
+    return result;
+  },
+  permutations: (arr, r = arr.length) => {
+    if (r === 1) return arr.map(x => [x]);
+    const result = [];
+    for (let i = 0; i < arr.length; i++) {
+      const head = arr[i];
+      const rest = [...arr.slice(0, i), ...arr.slice(i + 1)];
+      for (const perm of builtins.permutations(rest, r - 1)) {
+        result.push([head, ...perm]);
+      }
+    }
+    return result;
+  },
+  
+  // ===== CSS-STYLE COLOR FUNCTIONS =====
+  rgb: (r, g, b) => ({ r, g, b, a: 1, toString: () => `rgb(${r}, ${g}, ${b})` }),
+  rgba: (r, g, b, a) => ({ r, g, b, a, toString: () => `rgba(${r}, ${g}, ${b}, ${a})` }),
+  hsl: (h, s, l) => {
+    // Convert HSL to RGB
+    s /= 100; l /= 100;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - c / 2;
+    let r, g, b;
+    if (h < 60) { r = c; g = x; b = 0; }
+    else if (h < 120) { r = x; g = c; b = 0; }
+    else if (h < 180) { r = 0; g = c; b = x; }
+    else if (h < 240) { r = 0; g = x; b = c; }
+    else if (h < 300) { r = x; g = 0; b = c; }
+    else { r = c; g = 0; b = x; }
+    return {
+      r: Math.round((r + m) * 255),
+      g: Math.round((g + m) * 255),
+      b: Math.round((b + m) * 255),
+      a: 1,
+      toString: () => `hsl(${h}, ${s * 100}%, ${l * 100}%)`
+    };
+  },
+  hsla: (h, s, l, a) => {
+    const color = builtins.hsl(h, s, l);
+    color.a = a;
+    color.toString = () => `hsla(${h}, ${s}%, ${l}%, ${a})`;
+    return color;
+  },
+  hex: (hexStr) => {
+    const hex = hexStr.replace('#', '');
+    const r = parseInt(hex.substr(0, 2), 16);
+    const g = parseInt(hex.substr(2, 2), 16);
+    const b = parseInt(hex.substr(4, 2), 16);
+    const a = hex.length === 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1;
+    return { r, g, b, a, toString: () => `#${hex}` };
+  },
+  toHex: (color) => {
+    const r = color.r.toString(16).padStart(2, '0');
+    const g = color.g.toString(16).padStart(2, '0');
+    const b = color.b.toString(16).padStart(2, '0');
+    return `#${r}${g}${b}`;
+  },
+  lighten: (color, amount) => ({
+    r: Math.min(255, color.r + amount),
+    g: Math.min(255, color.g + amount),
+    b: Math.min(255, color.b + amount),
+    a: color.a
+  }),
+  darken: (color, amount) => ({
+    r: Math.max(0, color.r - amount),
+    g: Math.max(0, color.g - amount),
+    b: Math.max(0, color.b - amount),
+    a: color.a
+  }),
+  saturate: (color, amount) => {
+    const gray = (color.r + color.g + color.b) / 3;
+    return {
+      r: Math.min(255, color.r + (color.r - gray) * amount),
+      g: Math.min(255, color.g + (color.g - gray) * amount),
+      b: Math.min(255, color.b + (color.b - gray) * amount),
+      a: color.a
+    };
+  },
+  desaturate: (color, amount) => {
+    const gray = (color.r + color.g + color.b) / 3;
+    return {
+      r: color.r - (color.r - gray) * amount,
+      g: color.g - (color.g - gray) * amount,
+      b: color.b - (color.b - gray) * amount,
+      a: color.a
+    };
+  },
+  invert: (color) => ({
+    r: 255 - color.r,
+    g: 255 - color.g,
+    b: 255 - color.b,
+    a: color.a
+  }),
+  grayscale: (color) => {
+    const gray = Math.round(color.r * 0.299 + color.g * 0.587 + color.b * 0.114);
+    return { r: gray, g: gray, b: gray, a: color.a };
+  },
+  mix: (color1, color2, weight = 0.5) => ({
+    r: Math.round(color1.r * (1 - weight) + color2.r * weight),
+    g: Math.round(color1.g * (1 - weight) + color2.g * weight),
+    b: Math.round(color1.b * (1 - weight) + color2.b * weight),
+    a: color1.a * (1 - weight) + color2.a * weight
+  }),
+  complement: (color) => ({
+    r: 255 - color.r,
+    g: 255 - color.g,
+    b: 255 - color.b,
+    a: color.a
+  }),
+  alpha: (color, a) => ({ ...color, a }),
+  opacity: (color, a) => ({ ...color, a }),
+  
+  // CSS calc-style functions
+  calc: (expr) => {
+    // Simple expression evaluator for calc-like operations
+    return eval(expr.replace(/px|em|rem|%/g, ''));
+  },
+  clamp: (min, val, max) => Math.min(max, Math.max(min, val)),
+  
+  // ===== SDL2-STYLE GRAPHICS LIBRARY =====
+  // These return data structures for graphics rendering
+  // Canvas/Screen simulation (returns render commands)
+  
+  // Window management
+  createWindow: (title, width, height) => ({
+    type: 'window',
+    title,
+    width,
+    height,
+    commands: [],
+    objects: []
+  }),
+  
+  setWindowTitle: (win, title) => { win.title = title; return win; },
+  setWindowSize: (win, w, h) => { win.width = w; win.height = h; return win; },
+  
+  // Drawing primitives (SDL2-style)
+  drawPoint: (x, y, color = {r: 255, g: 255, b: 255}) => ({
+    type: 'point', x, y, color
+  }),
+  
+  drawLine: (x1, y1, x2, y2, color = {r: 255, g: 255, b: 255}, thickness = 1) => ({
+    type: 'line', x1, y1, x2, y2, color, thickness
+  }),
+  
+  drawRect: (x, y, w, h, color = {r: 255, g: 255, b: 255}, filled = false) => ({
+    type: 'rect', x, y, w, h, color, filled
+  }),
+  
+  drawCircle: (x, y, radius, color = {r: 255, g: 255, b: 255}, filled = false) => ({
+    type: 'circle', x, y, radius, color, filled
+  }),
+  
+  drawEllipse: (x, y, rx, ry, color = {r: 255, g: 255, b: 255}, filled = false) => ({
+    type: 'ellipse', x, y, rx, ry, color, filled
+  }),
+  
+  drawTriangle: (x1, y1, x2, y2, x3, y3, color = {r: 255, g: 255, b: 255}, filled = false) => ({
+    type: 'triangle', x1, y1, x2, y2, x3, y3, color, filled
+  }),
+  
+  drawPolygon: (points, color = {r: 255, g: 255, b: 255}, filled = false) => ({
+    type: 'polygon', points, color, filled
+  }),
+  
+  drawArc: (x, y, radius, startAngle, endAngle, color = {r: 255, g: 255, b: 255}) => ({
+    type: 'arc', x, y, radius, startAngle, endAngle, color
+  }),
+  
+  drawText: (text, x, y, color = {r: 255, g: 255, b: 255}, size = 16, font = 'monospace') => ({
+    type: 'text', text, x, y, color, size, font
+  }),
+  
+  drawImage: (src, x, y, w, h) => ({
+    type: 'image', src, x, y, w, h
+  }),
+  
+  // Sprites (game objects)
+  createSprite: (x, y, w, h, color) => ({
+    type: 'sprite',
+    x, y, w, h,
+    color: color || {r: 255, g: 255, b: 255},
+    velocity: {x: 0, y: 0},
+    acceleration: {x: 0, y: 0},
+    rotation: 0,
+    scale: 1,
+    visible: true,
+    collider: {type: 'rect', w, h}
+  }),
+  
+  moveSprite: (sprite, dx, dy) => {
+    sprite.x += dx;
+    sprite.y += dy;
+    return sprite;
+  },
+  
+  setPosition: (sprite, x, y) => {
+    sprite.x = x;
+    sprite.y = y;
+    return sprite;
+  },
+  
+  setVelocity: (sprite, vx, vy) => {
+    sprite.velocity = {x: vx, y: vy};
+    return sprite;
+  },
+  
+  setAcceleration: (sprite, ax, ay) => {
+    sprite.acceleration = {x: ax, y: ay};
+    return sprite;
+  },
+  
+  updateSprite: (sprite, dt = 1) => {
+    sprite.velocity.x += sprite.acceleration.x * dt;
+    sprite.velocity.y += sprite.acceleration.y * dt;
+    sprite.x += sprite.velocity.x * dt;
+    sprite.y += sprite.velocity.y * dt;
+    return sprite;
+  },
+  
+  // Collision detection
+  collides: (a, b) => {
+    return a.x < b.x + b.w &&
+           a.x + a.w > b.x &&
+           a.y < b.y + b.h &&
+           a.y + a.h > b.y;
+  },
+  
+  collidesCircle: (a, b) => {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    return dist < (a.radius || a.w/2) + (b.radius || b.w/2);
+  },
+  
+  collidesPoint: (sprite, px, py) => {
+    return px >= sprite.x && px <= sprite.x + sprite.w &&
+           py >= sprite.y && py <= sprite.y + sprite.h;
+  },
+  
+  // Input simulation
+  createInput: () => ({
+    keys: {},
+    mouse: {x: 0, y: 0, buttons: {}},
+    onKey: null,
+    onMouse: null
+  }),
+  
+  isKeyDown: (input, key) => input.keys[key] === true,
+  isKeyUp: (input, key) => input.keys[key] !== true,
+  isMouseDown: (input, button = 'left') => input.mouse.buttons[button] === true,
+  getMousePos: (input) => ({x: input.mouse.x, y: input.mouse.y}),
+  
+  // Audio (data structures)
+  createSound: (src) => ({
+    type: 'sound',
+    src,
+    volume: 1,
+    loop: false,
+    playing: false
+  }),
+  
+  playSound: (sound) => { sound.playing = true; return sound; },
+  stopSound: (sound) => { sound.playing = false; return sound; },
+  setVolume: (sound, vol) => { sound.volume = vol; return sound; },
+  setLoop: (sound, loop) => { sound.loop = loop; return sound; },
+  
+  // Scene management
+  createScene: (name) => ({
+    type: 'scene',
+    name,
+    objects: [],
+    active: false
+  }),
+  
+  addToScene: (scene, obj) => { scene.objects.push(obj); return scene; },
+  removeFromScene: (scene, obj) => {
+    const idx = scene.objects.indexOf(obj);
+    if (idx > -1) scene.objects.splice(idx, 1);
+    return scene;
+  },
+  
+  // ===== EXTENDED MATH LIBRARY =====
+  // Vector operations (2D and 3D)
+  vec2: (x, y) => ({x, y}),
+  vec3: (x, y, z) => ({x, y, z}),
+  vec4: (x, y, z, w) => ({x, y, z, w}),
+  
+  vecAdd: (a, b) => a.z !== undefined 
+    ? {x: a.x + b.x, y: a.y + b.y, z: a.z + b.z}
+    : {x: a.x + b.x, y: a.y + b.y},
+  
+  vecSub: (a, b) => a.z !== undefined
+    ? {x: a.x - b.x, y: a.y - b.y, z: a.z - b.z}
+    : {x: a.x - b.x, y: a.y - b.y},
+  
+  vecMul: (v, scalar) => v.z !== undefined
+    ? {x: v.x * scalar, y: v.y * scalar, z: v.z * scalar}
+    : {x: v.x * scalar, y: v.y * scalar},
+  
+  vecDiv: (v, scalar) => v.z !== undefined
+    ? {x: v.x / scalar, y: v.y / scalar, z: v.z / scalar}
+    : {x: v.x / scalar, y: v.y / scalar},
+  
+  vecDot: (a, b) => a.z !== undefined
+    ? a.x * b.x + a.y * b.y + a.z * b.z
+    : a.x * b.x + a.y * b.y,
+  
+  vecCross: (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  }),
+  
+  vecMag: (v) => v.z !== undefined
+    ? Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z)
+    : Math.sqrt(v.x * v.x + v.y * v.y),
+  
+  vecNorm: (v) => {
+    const mag = builtins.vecMag(v);
+    return builtins.vecDiv(v, mag);
+  },
+  
+  vecDist: (a, b) => builtins.vecMag(builtins.vecSub(a, b)),
+  
+  vecLerp: (a, b, t) => a.z !== undefined
+    ? {x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t}
+    : {x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t},
+  
+  vecAngle: (v) => Math.atan2(v.y, v.x),
+  
+  vecFromAngle: (angle, mag = 1) => ({
+    x: Math.cos(angle) * mag,
+    y: Math.sin(angle) * mag
+  }),
+  
+  vecRotate: (v, angle) => ({
+    x: v.x * Math.cos(angle) - v.y * Math.sin(angle),
+    y: v.x * Math.sin(angle) + v.y * Math.cos(angle)
+  }),
+  
+  // Matrix operations (4x4 for 3D transforms)
+  mat4: () => [
+    1, 0, 0, 0,
+    0, 1, 0, 0,
+    0, 0, 1, 0,
+    0, 0, 0, 1
+  ],
+  
+  mat4Identity: () => builtins.mat4(),
+  
+  mat4Mul: (a, b) => {
+    const result = new Array(16).fill(0);
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) {
+        for (let k = 0; k < 4; k++) {
+          result[i * 4 + j] += a[i * 4 + k] * b[k * 4 + j];
+        }
+      }
+    }
+    return result;
+  },
+  
+  mat4Translate: (x, y, z) => [
+    1, 0, 0, 0,
+    0, 1, 0, 0,
+    0, 0, 1, 0,
+    x, y, z, 1
+  ],
+  
+  mat4Scale: (x, y, z) => [
+    x, 0, 0, 0,
+    0, y, 0, 0,
+    0, 0, z, 0,
+    0, 0, 0, 1
+  ],
+  
+  mat4RotateX: (angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [
+      1, 0, 0, 0,
+      0, c, s, 0,
+      0, -s, c, 0,
+      0, 0, 0, 1
+    ];
+  },
+  
+  mat4RotateY: (angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [
+      c, 0, -s, 0,
+      0, 1, 0, 0,
+      s, 0, c, 0,
+      0, 0, 0, 1
+    ];
+  },
+  
+  mat4RotateZ: (angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [
+      c, s, 0, 0,
+      -s, c, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    ];
+  },
+  
+  mat4Perspective: (fov, aspect, near, far) => {
+    const f = 1 / Math.tan(fov / 2);
+    return [
+      f / aspect, 0, 0, 0,
+      0, f, 0, 0,
+      0, 0, (far + near) / (near - far), -1,
+      0, 0, (2 * far * near) / (near - far), 0
+    ];
+  },
+  
+  mat4LookAt: (eye, center, up) => {
+    const z = builtins.vecNorm(builtins.vecSub(eye, center));
+    const x = builtins.vecNorm(builtins.vecCross(up, z));
+    const y = builtins.vecCross(z, x);
+    return [
+      x.x, y.x, z.x, 0,
+      x.y, y.y, z.y, 0,
+      x.z, y.z, z.z, 0,
+      -builtins.vecDot(x, eye), -builtins.vecDot(y, eye), -builtins.vecDot(z, eye), 1
+    ];
+  },
+  
+  // Complex numbers
+  complex: (re, im) => ({re, im}),
+  
+  complexAdd: (a, b) => ({re: a.re + b.re, im: a.im + b.im}),
+  complexSub: (a, b) => ({re: a.re - b.re, im: a.im - b.im}),
+  complexMul: (a, b) => ({
+    re: a.re * b.re - a.im * b.im,
+    im: a.re * b.im + a.im * b.re
+  }),
+  complexDiv: (a, b) => {
+    const denom = b.re * b.re + b.im * b.im;
+    return {
+      re: (a.re * b.re + a.im * b.im) / denom,
+      im: (a.im * b.re - a.re * b.im) / denom
+    };
+  },
+  complexAbs: (c) => Math.sqrt(c.re * c.re + c.im * c.im),
+  complexArg: (c) => Math.atan2(c.im, c.re),
+  complexConj: (c) => ({re: c.re, im: -c.im}),
+  complexPolar: (r, theta) => ({re: r * Math.cos(theta), im: r * Math.sin(theta)}),
+  
+  // Quaternions (for 3D rotations)
+  quat: (w, x, y, z) => ({w, x, y, z}),
+  quatIdentity: () => ({w: 1, x: 0, y: 0, z: 0}),
+  
+  quatMul: (a, b) => ({
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
+  }),
+  
+  quatFromAxisAngle: (axis, angle) => {
+    const halfAngle = angle / 2;
+    const s = Math.sin(halfAngle);
+    return {
+      w: Math.cos(halfAngle),
+      x: axis.x * s,
+      y: axis.y * s,
+      z: axis.z * s
+    };
+  },
+  
+  quatRotateVec: (q, v) => {
+    const qv = {w: 0, x: v.x, y: v.y, z: v.z};
+    const qConj = {w: q.w, x: -q.x, y: -q.y, z: -q.z};
+    const result = builtins.quatMul(builtins.quatMul(q, qv), qConj);
+    return {x: result.x, y: result.y, z: result.z};
+  },
+  
+  quatSlerp: (a, b, t) => {
+    let dot = a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z;
+    if (dot < 0) { b = {w: -b.w, x: -b.x, y: -b.y, z: -b.z}; dot = -dot; }
+    if (dot > 0.9995) {
+      return {
+        w: a.w + t * (b.w - a.w),
+        x: a.x + t * (b.x - a.x),
+        y: a.y + t * (b.y - a.y),
+        z: a.z + t * (b.z - a.z)
+      };
+    }
+    const theta0 = Math.acos(dot);
+    const theta = theta0 * t;
+    const sinTheta = Math.sin(theta);
+    const sinTheta0 = Math.sin(theta0);
+    const s0 = Math.cos(theta) - dot * sinTheta / sinTheta0;
+    const s1 = sinTheta / sinTheta0;
+    return {
+      w: s0 * a.w + s1 * b.w,
+      x: s0 * a.x + s1 * b.x,
+      y: s0 * a.y + s1 * b.y,
+      z: s0 * a.z + s1 * b.z
+    };
+  },
+  
+  // Additional math functions
+  lerp: (a, b, t) => a + (b - a) * t,
+  inverseLerp: (a, b, v) => (v - a) / (b - a),
+  remap: (v, inMin, inMax, outMin, outMax) => outMin + (v - inMin) * (outMax - outMin) / (inMax - inMin),
+  smoothstep: (edge0, edge1, x) => {
+    const t = builtins.clamp(0, (x - edge0) / (edge1 - edge0), 1);
+    return t * t * (3 - 2 * t);
+  },
+  smootherstep: (edge0, edge1, x) => {
+    const t = builtins.clamp(0, (x - edge0) / (edge1 - edge0), 1);
+    return t * t * t * (t * (t * 6 - 15) + 10);
+  },
+  
+  fract: (x) => x - Math.floor(x),
+  mod: (x, y) => ((x % y) + y) % y,
+  wrap: (x, min, max) => min + builtins.mod(x - min, max - min),
+  
+  degToRad: (deg) => deg * Math.PI / 180,
+  radToDeg: (rad) => rad * 180 / Math.PI,
+  
+  // Noise functions
+  noise: (x, y = 0, z = 0) => {
+    // Simple Perlin-like noise approximation
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const lerp = (a, b, t) => a + t * (b - a);
+    const grad = (hash, x, y, z) => {
+      const h = hash & 15;
+      const u = h < 8 ? x : y;
+      const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
+      return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+    };
+    const p = new Array(512);
+    const permutation = [151,160,137,91,90,15,131,13,201,95,96,53,194,233,7,225,140,36,103,30,69,142,8,99,37,240,21,10,23,190,6,148,247,120,234,75,0,26,197,62,94,252,219,203,117,35,11,32,57,177,33,88,237,149,56,87,174,20,125,136,171,168,68,175,74,165,71,134,139,48,27,166,77,146,158,231,83,111,229,122,60,211,133,230,220,105,92,41,55,46,245,40,244,102,143,54,65,25,63,161,1,216,80,73,209,76,132,187,208,89,18,169,200,196,135,130,116,188,159,86,164,100,109,198,173,186,3,64,52,217,226,250,124,123,5,202,38,147,118,126,255,82,85,212,207,206,59,227,47,16,58,17,182,189,28,42,223,183,170,213,119,248,152,2,44,154,163,70,221,153,101,155,167,43,172,9,129,22,39,253,19,98,108,110,79,113,224,232,178,185,112,104,218,246,97,228,251,34,242,193,238,210,144,12,191,179,162,241,81,51,145,235,249,14,239,107,49,192,214,31,181,199,106,157,184,84,204,176,115,121,50,45,127,4,150,254,138,236,205,93,222,114,67,29,24,72,243,141,128,195,78,66,215,61,156,180];
+    for (let i = 0; i < 256; i++) p[256 + i] = p[i] = permutation[i];
+    
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const Z = Math.floor(z) & 255;
+    x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z);
+    const u = fade(x), v = fade(y), w = fade(z);
+    const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
+    const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
+    
+    return lerp(lerp(lerp(grad(p[AA], x, y, z), grad(p[BA], x - 1, y, z), u),
+                     lerp(grad(p[AB], x, y - 1, z), grad(p[BB], x - 1, y - 1, z), u), v),
+                lerp(lerp(grad(p[AA + 1], x, y, z - 1), grad(p[BA + 1], x - 1, y, z - 1), u),
+                     lerp(grad(p[AB + 1], x, y - 1, z - 1), grad(p[BB + 1], x - 1, y - 1, z - 1), u), v), w);
+  },
+  
+  fbm: (x, y, octaves = 4, lacunarity = 2, gain = 0.5) => {
+    let value = 0, amplitude = 1, frequency = 1, maxValue = 0;
+    for (let i = 0; i < octaves; i++) {
+      value += amplitude * builtins.noise(x * frequency, y * frequency);
+      maxValue += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+    return value / maxValue;
+  },
+  
+  // Statistics
+  mean: (arr) => arr.reduce((a, b) => a + b, 0) / arr.length,
+  median: (arr) => {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+  mode: (arr) => {
+    const counts = {};
+    arr.forEach(v => counts[v] = (counts[v] || 0) + 1);
+    return Object.entries(counts).reduce((a, b) => a[1] > b[1] ? a : b)[0];
+  },
+  variance: (arr) => {
+    const m = builtins.mean(arr);
+    return arr.reduce((sum, v) => sum + (v - m) ** 2, 0) / arr.length;
+  },
+  stddev: (arr) => Math.sqrt(builtins.variance(arr)),
+  
+  // Easing functions (for animations)
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => (--t) * t * t + 1,
+  easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+  easeInElastic: (t) => t === 0 ? 0 : t === 1 ? 1 : -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.1) * 5 * Math.PI),
+  easeOutElastic: (t) => t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t - 0.1) * 5 * Math.PI) + 1,
+  easeInBounce: (t) => 1 - builtins.easeOutBounce(1 - t),
+  easeOutBounce: (t) => {
+    if (t < 1 / 2.75) return 7.5625 * t * t;
+    if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+    if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+  },
+  
+  // =============================================
+  // ASYNC/PROMISE HELPERS (Most wanted)
+  // =============================================
+  
+  // Promise.all equivalent; these also accept spawned tasks
+  all: async (...promises) => {
+    const arr = Array.isArray(promises[0]) ? promises[0] : promises;
+    return Promise.all(arr.map(awaitable));
+  },
+  
+  // Promise.race equivalent
+  race: async (...promises) => {
+    const arr = Array.isArray(promises[0]) ? promises[0] : promises;
+    return Promise.race(arr.map(awaitable));
+  },
+  
+  // Promise.any equivalent
+  any: async (...promises) => {
+    const arr = (Array.isArray(promises[0]) ? promises[0] : promises).map(awaitable);
+    return Promise.any ? Promise.any(arr) : new Promise((resolve, reject) => {
+      let errors = [];
+      arr.forEach((p, i) => {
+        Promise.resolve(p).then(resolve).catch(e => {
+          errors[i] = e;
+          if (errors.length === arr.length) reject(new AggregateError(errors));
+        });
+      });
+    });
+  },
+  
+  // Promise.allSettled equivalent
+  allSettled: async (...promises) => {
+    const arr = (Array.isArray(promises[0]) ? promises[0] : promises).map(awaitable);
+    return Promise.allSettled(arr);
+  },
+  
+  // Create resolved/rejected promises
+  resolve: (value) => Promise.resolve(value),
+  reject: (reason) => Promise.reject(reason),
+  
+  // Promisify a callback function
+  promisify: (fn) => (...args) => new Promise((resolve, reject) => {
+    fn(...args, (err, result) => err ? reject(err) : resolve(result));
+  }),
+  
+  // Delay/timeout utilities
+  delay: sleep,
+  timeout: (promise, ms, message = 'Timeout') => {
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms))
+    ]);
+  },
+  
+  // Retry helper
+  retry: async (fn, maxAttempts = 3, delayMs = 1000) => {
+    let lastError;
+    for (let i = 0; i < maxAttempts; i++) {
+      try {
+        return await fn();
+      } catch (error) {
+        lastError = error;
+        if (i < maxAttempts - 1) await builtins.delay(delayMs);
+      }
+    }
+    throw lastError;
+  },
+  
+  // Debounce
+  debounce: (fn, wait) => {
+    let timeout;
+    return (...args) => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => fn(...args), wait);
+    };
+  },
+  
+  // Throttle
+  throttle: (fn, limit) => {
+    let inThrottle;
+    return (...args) => {
+      if (!inThrottle) {
+        fn(...args);
+        inThrottle = true;
+        setTimeout(() => inThrottle = false, limit);
+      }
+    };
+  },
+  
+  // =============================================
+  // STRING FORMATTING (Python-style f-strings)
+  // =============================================
+  
+  // Format string with named/positional args
+  fmt: (template, ...args) => {
+    // Handle positional: fmt("Hello {}!", "World")
+    // Handle named: fmt("Hello {name}!", {name: "World"})
+    let i = 0;
+    const context = args.length === 1 && typeof args[0] === 'object' ? args[0] : null;
+    return template.replace(/\{(\w*)\}/g, (match, key) => {
+      if (key === '') {
+        return args[i++];
+      }
+      if (context && key in context) {
+        return context[key];
+      }
+      const idx = parseInt(key);
+      if (!isNaN(idx)) {
+        return args[idx];
+      }
+      return match;
+    });
+  },
+  
+  // Format with type specifiers like Python
+  // format("{:.2f}", 3.14159) -> "3.14"
+  // format("{:05d}", 42) -> "00042"
+  format: (template, ...args) => {
+    let i = 0;
+    return template.replace(/\{(\d*)(?::([^}]+))?\}/g, (match, idx, spec) => {
+      const argIndex = idx === '' ? i++ : parseInt(idx);
+      let value = args[argIndex];
+      
+      if (!spec) return String(value);
+      
+      // Parse format spec
+      const specMatch = spec.match(/^([<>^])?(\d+)?(?:\.(\d+))?([dfsxXobe])?$/);
+      if (!specMatch) return String(value);
+      
+      const [, align, width, precision, type] = specMatch;
+      
+      // Apply type conversion
+      switch (type) {
+        case 'd': value = Math.floor(value).toString(); break;
+        case 'f': value = precision ? parseFloat(value).toFixed(parseInt(precision)) : String(parseFloat(value)); break;
+        case 's': value = String(value); break;
+        case 'x': value = Math.floor(value).toString(16); break;
+        case 'X': value = Math.floor(value).toString(16).toUpperCase(); break;
+        case 'o': value = Math.floor(value).toString(8); break;
+        case 'b': value = Math.floor(value).toString(2); break;
+        case 'e': value = parseFloat(value).toExponential(precision ? parseInt(precision) : undefined); break;
+        default: value = String(value);
+      }
+      
+      // Apply width and alignment
+      if (width) {
+        const w = parseInt(width);
+        const fill = width[0] === '0' ? '0' : ' ';
+        switch (align) {
+          case '<': value = value.padEnd(w, fill); break;
+          case '>': value = value.padStart(w, fill); break;
+          case '^': {
+            const padding = w - value.length;
+            const left = Math.floor(padding / 2);
+            value = fill.repeat(left) + value + fill.repeat(padding - left);
+            break;
+          }
+          default: value = fill === '0' ? value.padStart(w, fill) : value.padStart(w, fill);
+        }
+      }
+      
+      return value;
+    });
+  },
+  
+  // Printf-style formatting
+  sprintf: (template, ...args) => {
+    let i = 0;
+    return template.replace(/%([+-])?(\d+)?(?:\.(\d+))?([diouxXeEfFgGcs%])/g, 
+      (match, flags, width, precision, type) => {
+        if (type === '%') return '%';
+        let value = args[i++];
+        
+        switch (type) {
+          case 'd':
+          case 'i': value = Math.floor(value).toString(); break;
+          case 'o': value = Math.floor(value).toString(8); break;
+          case 'x': value = Math.floor(value).toString(16); break;
+          case 'X': value = Math.floor(value).toString(16).toUpperCase(); break;
+          case 'u': value = Math.abs(Math.floor(value)).toString(); break;
+          case 'e': value = parseFloat(value).toExponential(precision ? parseInt(precision) : 6); break;
+          case 'E': value = parseFloat(value).toExponential(precision ? parseInt(precision) : 6).toUpperCase(); break;
+          case 'f':
+          case 'F': value = parseFloat(value).toFixed(precision ? parseInt(precision) : 6); break;
+          case 'g':
+          case 'G': value = parseFloat(value).toPrecision(precision ? parseInt(precision) : 6); break;
+          case 'c': value = String.fromCharCode(value); break;
+          case 's': value = String(value); break;
+        }
+        
+        if (width) {
+          const w = parseInt(width);
+          if (flags?.includes('-')) {
+            value = value.padEnd(w);
+          } else {
+            value = value.padStart(w, width[0] === '0' ? '0' : ' ');
+          }
+        }
+        
+        if (flags?.includes('+') && parseFloat(args[i-1]) >= 0) {
+          value = '+' + value;
+        }
+        
+        return value;
+      }
+    );
+  },
+  
+  // Template literal helper
+  template: (strings, ...values) => {
+    return strings.reduce((result, str, i) => {
+      return result + str + (values[i] !== undefined ? values[i] : '');
+    }, '');
+  },
+  
+  // Regular expression helpers
+  regex: (pattern, flags = '') => new RegExp(pattern, flags),
+  regexTest: (pattern, str, flags = '') => new RegExp(pattern, flags).test(str),
+  regexMatch: (pattern, str, flags = '') => str.match(new RegExp(pattern, flags)),
+  regexReplace: (str, pattern, replacement, flags = 'g') => str.replace(new RegExp(pattern, flags), replacement),
+  regexSplit: (str, pattern, flags = '') => str.split(new RegExp(pattern, flags)),
+  
+  // =============================================
+  // GENERATOR/ITERATOR HELPERS
+  // =============================================
+  
+  // Create an iterator
+  iter: (iterable) => iterable[Symbol.asyncIterator] ? iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator](),
+  
+  // Get next value from iterator (generator objects resume asynchronously)
+  next: (iterator, value) => {
+    const result = iterator.next(value);
+    if (result instanceof Promise) {
+      return result.then(r => r.done ? null : r.value);
+    }
+    return result.done ? null : result.value;
+  },
+  
+  // Take first n elements from iterator
+  take: (iterable, n) => {
+    if (iterable[Symbol.asyncIterator]) return collectAsync(iterable, n);
+    const result = [];
+    const iter = iterable[Symbol.iterator] ? iterable[Symbol.iterator]() : iterable;
+    for (let i = 0; i < n; i++) {
+      const { value, done } = iter.next();
+      if (done) break;
+      result.push(value);
+    }
+    return result;
+  },
+  
+  // Skip first n elements
+  skip: (iterable, n) => {
+    if (iterable[Symbol.asyncIterator]) {
+      return collectAsync(iterable).then(arr => arr.slice(n));
+    }
+    const arr = Array.from(iterable);
+    return arr.slice(n);
+  },
+  
+  // Infinite counter generator
+  count: function*(start = 0, step = 1) {
+    let i = start;
+    while (true) yield i += step;
+  },
+  
+  // Generate range lazily
+  rangeGen: function*(start, end, step = 1) {
+    for (let i = start; step > 0 ? i < end : i > end; i += step) yield i;
+  },
+
+  // ===== OPTION & RESULT =====
+  Option,
+  Result,
+  Some: Option.Some,
+  None: Option.None,
+  Ok: Result.Ok,
+  Err: Result.Err,
+
+  // Value inside Some/Ok; throws for None, and throws the error of an Err
+  unwrap: (value) => {
+    if (isVariant(value, Option.Some) || isVariant(value, Result.Ok)) return value.value;
+    if (value === Option.None) throw new Error('Called unwrap on None');
+    if (isVariant(value, Result.Err)) throw value.error instanceof Error ? value.error : new Error(String(value.error));
+    return value;
+  },
+  unwrapOr: (value, fallback) => {
+    if (isVariant(value, Option.Some) || isVariant(value, Result.Ok)) return value.value;
+    if (value === Option.None || isVariant(value, Result.Err)) return fallback;
+    return value;
+  },
+  isSome: (value) => isVariant(value, Option.Some),
+  isNone: (value) => value === Option.None,
+  isOk: (value) => isVariant(value, Result.Ok),
+  isErr: (value) => isVariant(value, Result.Err),
+  // Some(value), or None for null
+  toOption: (value) => (value === null || value === undefined ? Option.None : Option.Some(value)),
+
+  // ===== ERRORS =====
+  ...errorClasses,
+
+  // ===== TASKS =====
+  cancelToken: () => new CancelToken(),
+  channel: (capacity = 0) => new Channel(capacity),
+  // Timers keep the process alive until they fire or are cleared
+  setTimeout: (fn, ms = 0, ...args) => setTimeout(fn, ms, ...args),
+  setInterval: (fn, ms = 0, ...args) => setInterval(fn, ms, ...args),
+  clearTimeout: (timer) => clearTimeout(timer),
+  clearInterval: (timer) => clearInterval(timer),
+};
+
+module.exports = {
+  builtins, collectAsync, compareValues, EnumVariant, defineEnum, isVariant, CancelToken, Task, Channel, awaitable,
+  bindMethods
+};
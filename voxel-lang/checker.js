@@ -0,0 +1,1324 @@
+// VoxelScript Type Checker - Reports type errors from annotations without running the program
+// Checking is gradual: unannotated variables, parameters and returns are `any` and never reported.
+
+const { Lexer } = require('./lexer');
+const { Parser } = require('./parser');
+const { OPERATOR_METHODS, UNARY_METHODS, ERROR_CLASSES_SOURCE } = require('./interpreter');
+
+// ===== TYPES =====
+
+const ANY = { kind: 'any' };
+const NULL = { kind: 'null' };
+const NUMBER = { kind: 'primitive', name: 'number' };
+const STRING = { kind: 'primitive', name: 'string' };
+const BOOL = { kind: 'primitive', name: 'bool' };
+
+const PRIMITIVE_NAMES = {
+  number: NUMBER, int: NUMBER, float: NUMBER,
+  string: STRING, str: STRING,
+  bool: BOOL, boolean: BOOL
+};
+
+// What `typeof` gives for values of each primitive type, e.g. enum members
+const JS_TYPEOF = { number: 'number', string: 'string', bool: 'boolean' };
+
+const arrayOf = (element) => ({ kind: 'array', element });
+const objectOf = (properties = null) => ({ kind: 'object', properties });
+const functionOf = (params, returnType, isAsync = false) => ({ kind: 'function', params, returnType, isAsync });
+
+function unionOf(types) {
+  const flat = [];
+  for (const type of types) {
+    for (const member of type.kind === 'union' ? type.types : [type]) {
+      if (member.kind === 'any') return ANY;
+      if (!flat.some(existing => sameType(existing, member))) flat.push(member);
+    }
+  }
+  return flat.length === 1 ? flat[0] : { kind: 'union', types: flat };
+}
+
+function sameType(a, b) {
+  return typeToString(a) === typeToString(b);
+}
+
+function includesNull(type) {
+  return type.kind === 'null' || (type.kind === 'union' && type.types.some(t => t.kind === 'null'));
+}
+
+function withoutNull(type) {
+  if (type.kind !== 'union') return type.kind === 'null' ? ANY : type;
+  return unionOf(type.types.filter(t => t.kind !== 'null'));
+}
+
+function typeToString(type) {
+  switch (type.kind) {
+    case 'any': return 'any';
+    case 'null': return 'null';
+    case 'primitive': return type.name;
+    case 'array': return `Array<${typeToString(type.element)}>`;
+    case 'object':
+      if (!type.properties) return 'object';
+      return `{ ${[...type.properties].map(([key, t]) => `${key}: ${typeToString(t)}`).join(', ')} }`;
+    case 'function':
+      if (!type.params) return 'fn';
+      return `fn(${type.params.map(p => `${p.rest ? '...' : ''}${p.name}: ${typeToString(p.type)}`).join(', ')}): ${typeToString(type.returnType)}`;
+    case 'instance': return type.classInfo.name;
+    case 'class': return `class ${type.classInfo.name}`;
+    case 'interface': return type.info.name;
+    case 'enum': return type.info.name;
+    case 'enumObject': return `enum ${type.info.name}`;
+    case 'union': {
+      const others = type.types.filter(t => t.kind !== 'null');
+      if (others.length === 1 && others.length < type.types.length) return `${typeToString(others[0])}?`;
+      return type.types.map(typeToString).join(' | ');
+    }
+    default: return type.kind;
+  }
+}
+
+// Option and Result from the builtins; their variants are also globals (Some, None, Ok, Err)
+const PRELUDE_ENUMS = [
+  { name: 'Option', members: [{ name: 'Some', fields: ['value'] }, { name: 'None', fields: [] }] },
+  { name: 'Result', members: [{ name: 'Ok', fields: ['value'] }, { name: 'Err', fields: ['error'] }] }
+];
+
+// ===== SCOPES =====
+
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.variables = new Map(); // name -> { type, declaredType, isConst }
+    this.types = new Map();     // name -> type (interfaces, aliases, classes)
+    this.narrowed = new Map();  // name -> type refined by a null check
+  }
+
+  define(name, entry) {
+    this.variables.set(name, entry);
+    this.narrowed.delete(name);
+  }
+
+  lookup(name) {
+    if (this.variables.has(name)) return this.variables.get(name);
+    return this.parent ? this.parent.lookup(name) : null;
+  }
+
+  lookupType(name) {
+    if (this.types.has(name)) return this.types.get(name);
+    return this.parent ? this.parent.lookupType(name) : null;
+  }
+
+  lookupNarrowed(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.narrowed.has(name)) return scope.narrowed.get(name);
+      if (scope.variables.has(name)) return null;
+    }
+    return null;
+  }
+
+  // Forget refinements of `name` made in this scope and its parents up to the declaring one
+  invalidate(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      scope.narrowed.delete(name);
+      if (scope.variables.has(name)) return;
+    }
+  }
+}
+
+// ===== CHECKER =====
+
+class TypeChecker {
+  constructor() {
+    this.diagnostics = [];
+    this.functions = []; // enclosing functions: { returnType }
+    this.currentClass = null;
+    this.aliasStack = [];
+  }
+
+  check(program) {
+    const prelude = new Scope();
+    for (const node of PRELUDE_ENUMS) {
+      this.declareEnum(node, prelude);
+      const enumObject = prelude.lookup(node.name).type;
+      for (const member of node.members) {
+        prelude.define(member.name, { type: this.memberType(enumObject, member.name), declaredType: null, isConst: true });
+      }
+    }
+    const errorClasses = new Parser(new Lexer(ERROR_CLASSES_SOURCE).tokenize()).parse().statements;
+    for (const node of errorClasses) this.declareClass(node, prelude);
+    for (const node of errorClasses) this.resolveClass(node, prelude);
+    const errorMembers = prelude.types.get('Error').classInfo.members;
+    for (const name of ['message', 'name', 'stack']) errorMembers.set(name, { kind: 'property', type: STRING, annotated: true });
+    const scope = new Scope(prelude);
+    this.checkStatements(program.statements, scope);
+    return this.diagnostics.sort((a, b) =>
+      a.range.start.line - b.range.start.line || a.range.start.column - b.range.start.column);
+  }
+
+  report(node, severity, code, message, range = null) {
+    if (!range) {
+      if (!node || !node.loc) return;
+      range = { start: { ...node.loc.start }, end: { ...node.loc.end } };
+    }
+    this.diagnostics.push({ severity, range, message, code });
+  }
+
+  // Range of the `class Name` / `fn name` header rather than the whole declaration
+  headerRange(node, keyword) {
+    if (!node.loc) return null;
+    const start = { ...node.loc.start };
+    return { start, end: { line: start.line, column: start.column + keyword.length + 1 + node.name.length } };
+  }
+
+  // ===== ANNOTATIONS =====
+
+  resolveAnnotation(annotation, scope) {
+    if (!annotation) return ANY;
+
+    if (annotation.kind === 'object') {
+      const properties = new Map();
+      for (const { key, type } of annotation.properties) {
+        properties.set(key, this.resolveAnnotation(type, scope));
+      }
+      return objectOf(properties);
+    }
+    if (annotation.kind === 'array') {
+      return arrayOf(ANY);
+    }
+    if (annotation.kind === 'union') {
+      return unionOf(annotation.types.map(t => this.resolveAnnotation(t, scope)));
+    }
+
+    const type = this.resolveTypeName(annotation, scope);
+    return annotation.nullable ? unionOf([type, NULL]) : type;
+  }
+
+  resolveTypeName(annotation, scope) {
+    const { name, generic } = annotation;
+    if (PRIMITIVE_NAMES[name]) return PRIMITIVE_NAMES[name];
+
+    switch (name) {
+      case 'any': case 'Any': case 'unknown':
+        return ANY;
+      case 'null': case 'void':
+        return NULL;
+      case 'array': case 'Array': case 'list':
+        return arrayOf(generic ? this.resolveAnnotation(generic, scope) : ANY);
+      case 'object': case 'Object': case 'dict':
+        return objectOf();
+      case 'fn': case 'function': case 'Function':
+        return functionOf(null, ANY);
+      case 'Promise':
+        return ANY;
+    }
+
+    const named = scope.lookupType(name);
+    if (named) {
+      if (named.kind === 'alias') {
+        // Guard against `typedef A = B` / `typedef B = A`
+        if (this.aliasStack.includes(name)) return ANY;
+        this.aliasStack.push(name);
+        const resolved = this.resolveAnnotation(named.definition, named.scope);
+        this.aliasStack.pop();
+        return resolved;
+      }
+      if (named.kind === 'class') return { kind: 'instance', classInfo: named.classInfo };
+      return named;
+    }
+
+    this.report(annotation, 'warning', 'unknown-type', `Unknown type '${name}'`);
+    return ANY;
+  }
+
+  functionType(node, scope) {
+    const params = node.params.map(param => ({
+      name: param.name,
+      type: param.type === 'rest'
+        ? (param.typeAnnotation ? this.resolveAnnotation(param.typeAnnotation, scope) : arrayOf(ANY))
+        : this.resolveAnnotation(param.typeAnnotation, scope),
+      annotated: !!param.typeAnnotation,
+      optional: param.type === 'rest' || !!param.default,
+      rest: param.type === 'rest'
+    }));
+    return functionOf(params, this.resolveAnnotation(node.returnType, scope), !!node.isAsync);
+  }
+
+  // ===== ASSIGNABILITY =====
+
+  isAssignable(source, target) {
+    if (source.kind === 'any' || target.kind === 'any') return true;
+    if (target.kind === 'union') {
+      if (source.kind === 'union') return source.types.every(s => this.isAssignable(s, target));
+      return target.types.some(t => this.isAssignable(source, t));
+    }
+    if (source.kind === 'union') return source.types.every(s => this.isAssignable(s, target));
+    if (source.kind === 'null' || target.kind === 'null') return source.kind === target.kind;
+
+    switch (target.kind) {
+      case 'primitive':
+        if (source.kind === 'enum') return source.info.values.every(value => typeof value === JS_TYPEOF[target.name]);
+        return source.kind === 'primitive' && source.name === target.name;
+      case 'array':
+        return source.kind === 'array' && this.isAssignable(source.element, target.element);
+      case 'function':
+        return source.kind === 'function' || source.kind === 'class';
+      case 'instance':
+        return source.kind === 'instance' && this.isSubclass(source.classInfo, target.classInfo);
+      case 'enum':
+        // Members are plain numbers and strings at runtime, so those values are accepted too
+        if (source.kind === 'enum') return source.info === target.info;
+        return source.kind === 'primitive' && target.info.values.some(value => typeof value === JS_TYPEOF[source.name]);
+      case 'object':
+        if (!['object', 'instance', 'interface'].includes(source.kind)) return false;
+        if (!target.properties) return true;
+        return [...target.properties].every(([key, type]) => {
+          const member = this.memberType(source, key);
+          return member ? this.isAssignable(member, type) : includesNull(type);
+        });
+      case 'interface':
+        if (source.kind === 'instance' && this.classImplements(source.classInfo, target.info)) return true;
+        if (source.kind === 'interface' && this.interfaceExtends(source.info, target.info)) return true;
+        if (!['object', 'instance'].includes(source.kind)) return false;
+        return [...this.interfaceMembers(target.info)].every(([key, member]) => {
+          const type = this.memberType(source, key);
+          return type ? this.isAssignable(type, member.type) : includesNull(member.type);
+        });
+      default:
+        return false;
+    }
+  }
+
+  // Report `source` not fitting `target`; null-related failures get their own code
+  checkAssignable(source, target, node, describe) {
+    if (this.isAssignable(source, target)) return true;
+    const nullMisuse = includesNull(source) && !includesNull(target) && this.isAssignable(withoutNull(source), target);
+    const code = nullMisuse ? 'null-misuse' : 'type-mismatch';
+    this.report(node, 'error', code, describe(typeToString(source), typeToString(target)));
+    return false;
+  }
+
+  // ===== CLASSES & INTERFACES =====
+
+  isSubclass(classInfo, ancestor) {
+    for (let current = classInfo; current; current = current.parent) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  }
+
+  classImplements(classInfo, info) {
+    for (let current = classInfo; current; current = current.parent) {
+      for (const name of current.interfaces) {
+        const iface = current.scope.lookupType(name);
+        if (iface && iface.kind === 'interface' && this.interfaceExtends(iface.info, info)) return true;
+      }
+    }
+    return false;
+  }
+
+  interfaceExtends(info, ancestor, seen = new Set()) {
+    if (info === ancestor) return true;
+    if (seen.has(info)) return false;
+    seen.add(info);
+    return info.parents.some(name => {
+      const parent = info.scope.lookupType(name);
+      return parent && parent.kind === 'interface' && this.interfaceExtends(parent.info, ancestor, seen);
+    });
+  }
+
+  // All members of an interface, including those of the interfaces it extends
+  interfaceMembers(info, seen = new Set()) {
+    const members = new Map();
+    if (seen.has(info)) return members;
+    seen.add(info);
+    for (const name of info.parents) {
+      const parent = info.scope.lookupType(name);
+      if (parent && parent.kind === 'interface') {
+        for (const [key, member] of this.interfaceMembers(parent.info, seen)) members.set(key, member);
+      }
+    }
+    for (const [key, member] of info.members) members.set(key, member);
+    return members;
+  }
+
+  classMember(classInfo, name, isStatic = false) {
+    for (let current = classInfo; current; current = current.parent) {
+      const members = isStatic ? current.statics : current.members;
+      if (members.has(name)) return members.get(name);
+    }
+    return null;
+  }
+
+  memberType(type, name) {
+    switch (type.kind) {
+      case 'any':
+        return ANY;
+      case 'instance': {
+        const member = this.classMember(type.classInfo, name);
+        return member ? member.type : null;
+      }
+      case 'class': {
+        const member = this.classMember(type.classInfo, name, true);
+        return member ? member.type : null;
+      }
+      case 'interface': {
+        const member = this.interfaceMembers(type.info).get(name);
+        return member ? member.type : null;
+      }
+      case 'object':
+        return type.properties ? type.properties.get(name) || null : ANY;
+      case 'enumObject': {
+        const index = type.info.members.indexOf(name);
+        if (index === -1) return null;
+        const fields = type.info.fields[index];
+        const value = { kind: 'enum', info: type.info };
+        if (!fields || fields.length === 0) return value;
+        return functionOf(fields.map(field => ({ name: field, type: ANY, annotated: false, optional: false, rest: false })), value);
+      }
+      case 'array':
+      case 'primitive':
+        return name === 'length' && (type.kind === 'array' || type.name === 'string') ? NUMBER : null;
+      default:
+        return null;
+    }
+  }
+
+  declareInterface(node, scope) {
+    const info = { name: node.name, members: new Map(), parents: node.extends || [], scope };
+    scope.types.set(node.name, { kind: 'interface', info });
+    return info;
+  }
+
+  resolveInterface(node, scope) {
+    const { info } = scope.types.get(node.name);
+    for (const member of node.members) {
+      if (member.kind === 'method') {
+        const params = member.params.map(p => ({
+          name: p.name, type: this.resolveAnnotation(p.type, scope), annotated: !!p.type, optional: false, rest: false
+        }));
+        info.members.set(member.name, { kind: 'method', type: functionOf(params, this.resolveAnnotation(member.returnType, scope)) });
+      } else {
+        info.members.set(member.name, { kind: 'property', type: this.resolveAnnotation(member.type, scope) });
+      }
+    }
+  }
+
+  declareEnum(node, scope) {
+    const info = {
+      name: node.name,
+      members: node.members.map(m => m.name),
+      values: node.members.map(m => m.value),
+      fields: node.members.map(m => m.fields),  // null for constants, [names] for variants
+      node
+    };
+    scope.types.set(node.name, { kind: 'enum', info });
+    scope.define(node.name, { type: { kind: 'enumObject', info }, declaredType: null, isConst: true });
+  }
+
+  declareClass(node, scope) {
+    const classInfo = {
+      name: node.name,
+      parentName: node.superClass,
+      parent: null,
+      interfaces: node.interfaces || [],
+      members: new Map(),  // name -> { kind: 'property'|'method', type, annotated }
+      statics: new Map(),
+      node,
+      scope
+    };
+    scope.types.set(node.name, { kind: 'class', classInfo });
+    scope.define(node.name, { type: { kind: 'class', classInfo }, declaredType: null, isConst: true });
+    return classInfo;
+  }
+
+  resolveClass(node, scope) {
+    const { classInfo } = scope.types.get(node.name);
+    if (classInfo.parentName) {
+      const parent = scope.lookupType(classInfo.parentName);
+      classInfo.parent = parent && parent.kind === 'class' ? parent.classInfo : null;
+    }
+
+    for (const element of node.body) {
+      const members = element.isStatic ? classInfo.statics : classInfo.members;
+      if (element.type === 'MethodDefinition') {
+        if (element.kind === 'constructor') {
+          classInfo.constructorType = this.functionType(element, scope);
+        } else if (element.kind === 'get') {
+          members.set(element.key, { kind: 'property', type: this.resolveAnnotation(element.returnType, scope), annotated: !!element.returnType });
+        } else if (element.kind === 'set') {
+          if (!members.has(element.key)) {
+            members.set(element.key, { kind: 'property', type: this.resolveAnnotation(element.params[0]?.typeAnnotation, scope), annotated: false });
+          }
+        } else {
+          members.set(element.key, { kind: 'method', type: this.functionType(element, scope) });
+        }
+      } else if (element.type === 'PropertyDefinition') {
+        members.set(element.key, {
+          kind: 'property',
+          type: this.resolveAnnotation(element.typeAnnotation, scope),
+          annotated: !!element.typeAnnotation
+        });
+      }
+    }
+
+    // Fields that are only ever created by `this.x = ...` inside methods
+    for (const name of this.collectThisAssignments(node.body)) {
+      if (!classInfo.members.has(name)) {
+        classInfo.members.set(name, { kind: 'property', type: ANY, annotated: false });
+      }
+    }
+  }
+
+  collectThisAssignments(value, names = new Set()) {
+    if (!value || typeof value !== 'object') return names;
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectThisAssignments(item, names));
+      return names;
+    }
+    if (value.type === 'ClassDeclaration') return names;
+    if (value.type === 'Assignment' && value.target.type === 'MemberAccess' && value.target.object.type === 'ThisExpr') {
+      names.add(value.target.property);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key !== 'loc') this.collectThisAssignments(child, names);
+    }
+    return names;
+  }
+
+  checkImplements(node, classInfo) {
+    for (const name of classInfo.interfaces) {
+      const iface = classInfo.scope.lookupType(name);
+      if (!iface || iface.kind !== 'interface') {
+        this.report(node, 'error', 'unknown-type', `Class '${node.name}' implements unknown interface '${name}'`, this.headerRange(node, 'class'));
+        continue;
+      }
+      for (const [key, expected] of this.interfaceMembers(iface.info)) {
+        const actual = this.classMember(classInfo, key);
+        if (!actual) {
+          const what = expected.kind === 'method' ? 'method' : 'property';
+          this.report(node, 'error', 'missing-member',
+            `Class '${node.name}' is missing ${what} '${key}' required by interface '${name}'`, this.headerRange(node, 'class'));
+        } else if (expected.kind === 'method' && actual.kind !== 'method') {
+          this.report(node, 'error', 'interface-mismatch',
+            `'${key}' must be a method to implement interface '${name}'`, this.headerRange(node, 'class'));
+        } else if (expected.kind === 'method') {
+          const required = actual.type.params.filter(p => !p.optional).length;
+          if (required > expected.type.params.length) {
+            this.report(node, 'error', 'interface-mismatch',
+              `Method '${key}' takes ${required} required arguments but interface '${name}' declares ${expected.type.params.length}`,
+              this.headerRange(node, 'class'));
+          }
+        } else if (actual.annotated && !this.isAssignable(actual.type, expected.type)) {
+          this.report(node, 'error', 'interface-mismatch',
+            `Property '${key}' has type '${typeToString(actual.type)}' but interface '${name}' requires '${typeToString(expected.type)}'`,
+            this.headerRange(node, 'class'));
+        }
+      }
+    }
+  }
+
+  // ===== STATEMENTS =====
+
+  unwrapDeclaration(statement) {
+    if (!statement) return null;
+    if (statement.type === 'ExportStatement') return this.unwrapDeclaration(statement.declaration);
+    if (statement.type === 'DecoratedDeclaration') return this.unwrapDeclaration(statement.declaration);
+    return statement;
+  }
+
+  // Types, classes and functions are visible to the whole block they are declared in
+  hoist(statements, scope) {
+    const declarations = statements.map(s => this.unwrapDeclaration(s)).filter(Boolean);
+    for (const node of declarations) {
+      if (node.type === 'InterfaceDeclaration') this.declareInterface(node, scope);
+      if (node.type === 'TypeAliasDeclaration') scope.types.set(node.name, { kind: 'alias', definition: node.typeDefinition, scope });
+      if (node.type === 'ClassDeclaration') this.declareClass(node, scope);
+      if (node.type === 'EnumDeclaration') this.declareEnum(node, scope);
+    }
+    for (const node of declarations) {
+      if (node.type === 'InterfaceDeclaration') this.resolveInterface(node, scope);
+      if (node.type === 'ClassDeclaration') this.resolveClass(node, scope);
+      if (node.type === 'FunctionDeclaration' && node.name) {
+        scope.define(node.name, { type: this.functionType(node, scope), declaredType: null, isConst: false });
+      }
+    }
+  }
+
+  checkStatements(statements, scope) {
+    this.hoist(statements, scope);
+    for (const statement of statements) {
+      if (!statement) continue;
+      this.checkStatement(statement, scope);
+      this.narrowAfterGuard(statement, scope);
+    }
+  }
+
+  checkBlock(block, scope) {
+    if (!block) return;
+    if (block.type === 'Block') {
+      this.checkStatements(block.statements, new Scope(scope));
+    } else {
+      this.checkStatement(block, new Scope(scope));
+    }
+  }
+
+  checkStatement(node, scope) {
+    switch (node.type) {
+      case 'LetDeclaration': {
+        const type = node.value ? this.infer(node.value, scope) : NULL;
+        scope.define(node.name, { type: node.isConst ? type : ANY, declaredType: null, isConst: node.isConst });
+        return;
+      }
+
+      case 'TypedDeclaration': {
+        const declaredType = this.resolveAnnotation(node.typeAnnotation, scope);
+        if (node.value) {
+          const type = this.infer(node.value, scope, declaredType);
+          this.checkAssignable(type, declaredType, node.value,
+            (s, t) => `Type '${s}' is not assignable to '${node.name}' of type '${t}'`);
+        } else if (!includesNull(declaredType) && declaredType.kind !== 'any') {
+          this.report(node, 'error', 'null-misuse',
+            `'${node.name}' has non-nullable type '${typeToString(declaredType)}' but no initial value`);
+        }
+        scope.define(node.name, { type: declaredType, declaredType, isConst: node.isConst });
+        return;
+      }
+
+      case 'DestructuringDeclaration': {
+        this.infer(node.value, scope);
+        for (const element of node.pattern) {
+          if (!element) continue;
+          if (element.default) this.infer(element.default, scope);
+          scope.define(element.name, { type: ANY, declaredType: null, isConst: node.isConst });
+        }
+        return;
+      }
+
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration': {
+        const entry = node.name ? scope.lookup(node.name) : null;
+        const type = entry && entry.type.kind === 'function' ? entry.type : this.functionType(node, scope);
+        if (node.name && !scope.variables.has(node.name)) {
+          scope.define(node.name, { type, declaredType: null, isConst: false });
+        }
+        this.checkFunctionBody(node, type, scope);
+        return;
+      }
+
+      case 'ClassDeclaration':
+        this.checkClass(node, scope);
+        return;
+
+      case 'InterfaceDeclaration':
+      case 'TypeAliasDeclaration':
+        if (!scope.types.has(node.name)) this.hoist([node], scope);
+        return;
+
+      case 'ExportStatement':
+      case 'DecoratedDeclaration':
+        if (node.type === 'DecoratedDeclaration') {
+          node.decorators.forEach(decorator => decorator.args.forEach(arg => this.infer(arg, scope)));
+        }
+        if (node.declaration) {
+          if (node.declaration.type && /Declaration$|Statement$/.test(node.declaration.type)) {
+            this.checkStatement(node.declaration, scope);
+          } else {
+            this.infer(node.declaration, scope);
+          }
+        }
+        return;
+
+      case 'ImportStatement':
+        for (const specifier of node.specifiers || []) {
+          const name = specifier.local || specifier.alias || specifier.name;
+          if (typeof name === 'string') scope.define(name, { type: ANY, declaredType: null, isConst: true });
+        }
+        return;
+
+      case 'Block':
+        this.checkStatements(node.statements, new Scope(scope));
+        return;
+
+      case 'IfStatement': {
+        this.infer(node.condition, scope);
+        this.checkBlock(node.thenBranch, this.narrowedScope(node.condition, scope, true));
+        if (node.elseBranch) {
+          this.checkBlock(node.elseBranch, this.narrowedScope(node.condition, scope, false));
+        }
+        return;
+      }
+
+      case 'WhileStatement':
+        this.infer(node.condition, scope);
+        this.checkBlock(node.body, this.narrowedScope(node.condition, scope, true));
+        return;
+
+      case 'DoWhileStatement':
+        this.checkBlock(node.body, scope);
+        this.infer(node.condition, scope);
+        return;
+
+      case 'LabeledStatement':
+        this.checkStatement(node.body, scope);
+        return;
+
+      case 'LoopStatement': {
+        this.expectType(node.from, NUMBER, scope, 'Loop bound');
+        this.expectType(node.to, NUMBER, scope, 'Loop bound');
+        if (node.step) this.expectType(node.step, NUMBER, scope, 'Loop step');
+        const loopScope = new Scope(scope);
+        loopScope.define(node.variable, { type: NUMBER, declaredType: null, isConst: false });
+        this.checkBlock(node.body, loopScope);
+        return;
+      }
+
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const iterable = this.infer(node.iterable, scope);
+        this.checkNotNull(iterable, node.iterable, 'Cannot iterate over a value that may be null');
+        const loopScope = new Scope(scope);
+        const element = iterable.kind === 'array' && (node.type === 'ForOfStatement' || node.type === 'ForInStatement')
+          ? iterable.element : ANY;
+        loopScope.define(node.variable, { type: element, declaredType: null, isConst: false });
+        this.checkBlock(node.body, loopScope);
+        return;
+      }
+
+      case 'TryStatement': {
+        this.checkBlock(node.block, scope);
+        let catchesAll = false;
+        for (const handler of node.handlers) {
+          if (catchesAll) {
+            this.report(handler.typeAnnotation || handler.body, 'warning', 'unreachable-catch', 'Unreachable catch clause: an earlier catch without a type catches every error');
+          }
+          if (!handler.typeAnnotation) catchesAll = true;
+          const handlerScope = new Scope(scope);
+          const type = handler.typeAnnotation ? this.resolveAnnotation(handler.typeAnnotation, scope) : ANY;
+          if (handler.param) handlerScope.define(handler.param, { type, declaredType: null, isConst: false });
+          this.checkBlock(handler.body, handlerScope);
+        }
+        if (node.finalizer) this.checkBlock(node.finalizer, scope);
+        return;
+      }
+
+      case 'ReturnStatement': {
+        const type = node.value ? this.infer(node.value, scope) : NULL;
+        const fn = this.functions[this.functions.length - 1];
+        if (fn && fn.returnType.kind !== 'any') {
+          this.checkAssignable(type, fn.returnType, node.value || node,
+            (s, t) => `Type '${s}' is not assignable to the declared return type '${t}'`);
+        }
+        return;
+      }
+
+      case 'WithStatement': {
+        this.infer(node.object, scope);
+        const withScope = new Scope(scope);
+        if (node.alias) withScope.define(node.alias, { type: ANY, declaredType: null, isConst: false });
+        this.checkBlock(node.body, withScope);
+        return;
+      }
+
+      case 'SwitchStatement':
+        this.infer(node.discriminant, scope);
+        for (const switchCase of node.cases) {
+          if (switchCase.test) this.infer(switchCase.test, scope);
+          this.checkStatements(switchCase.consequent || [], new Scope(scope));
+        }
+        return;
+
+      case 'EnumDeclaration':
+        if (scope.types.get(node.name)?.info?.node !== node) this.declareEnum(node, scope);
+        return;
+
+      default:
+        this.infer(node, scope);
+    }
+  }
+
+  checkClass(node, scope) {
+    if (!scope.types.has(node.name) || scope.types.get(node.name).classInfo?.node !== node) {
+      this.declareClass(node, scope);
+      this.resolveClass(node, scope);
+    }
+    const { classInfo } = scope.types.get(node.name);
+    if (classInfo.parentName && !classInfo.parent && !scope.lookup(classInfo.parentName)) {
+      this.report(node, 'error', 'unknown-type', `Class '${node.name}' extends unknown class '${classInfo.parentName}'`, this.headerRange(node, 'class'));
+    }
+    this.checkImplements(node, classInfo);
+
+    const previousClass = this.currentClass;
+    this.currentClass = classInfo;
+    for (const element of node.body) {
+      if (element.type === 'MethodDefinition') {
+        const type = element.kind === 'constructor' ? classInfo.constructorType : this.functionType(element, scope);
+        const methodScope = new Scope(scope);
+        methodScope.define('this', { type: element.isStatic ? { kind: 'class', classInfo } : { kind: 'instance', classInfo }, declaredType: null, isConst: true });
+        if (element.body) this.checkFunctionBody(element, type, methodScope);
+      } else if (element.type === 'PropertyDefinition' && element.value) {
+        const member = (element.isStatic ? classInfo.statics : classInfo.members).get(element.key);
+        const type = this.infer(element.value, scope, member.type);
+        if (member.annotated) {
+          this.checkAssignable(type, member.type, element.value,
+            (s, t) => `Type '${s}' is not assignable to property '${element.key}' of type '${t}'`);
+        }
+      }
+    }
+    this.currentClass = previousClass;
+  }
+
+  checkFunctionBody(node, type, scope) {
+    const fnScope = new Scope(scope);
+    node.params.forEach((param, i) => {
+      const paramType = type.params ? type.params[i].type : ANY;
+      if (param.default) {
+        const defaultType = this.infer(param.default, scope);
+        if (param.typeAnnotation) {
+          this.checkAssignable(defaultType, paramType, param.default,
+            (s, t) => `Default value of type '${s}' is not assignable to parameter '${param.name}' of type '${t}'`);
+        }
+      }
+      fnScope.define(param.name, { type: paramType, declaredType: param.typeAnnotation ? paramType : null, isConst: false });
+    });
+
+    // Async functions may declare Promise<T>; their return statements produce T
+    let returnType = type.returnType || ANY;
+    if (node.isAsync && node.returnType && node.returnType.name === 'Promise') {
+      returnType = node.returnType.generic ? this.resolveAnnotation(node.returnType.generic, scope) : ANY;
+    }
+    if (node.type === 'GeneratorDeclaration') returnType = ANY;
+
+    this.functions.push({ returnType });
+    if (node.body.type === 'Block') {
+      this.checkStatements(node.body.statements, fnScope);
+    } else {
+      this.infer(node.body, fnScope);
+    }
+    this.functions.pop();
+  }
+
+  // ===== NULL NARROWING =====
+
+  // `x != null`, `x` and `x and y` refine x to non-null where the condition holds;
+  // `x == null` and `not x` refine it where the condition fails
+  narrowings(condition, truthy) {
+    const result = [];
+    if (!condition) return result;
+    if (condition.type === 'Identifier' && truthy) {
+      result.push(condition.name);
+    } else if (condition.type === 'UnaryExpr' && ['!', 'not'].includes(condition.operator)) {
+      return this.narrowings(condition.operand, !truthy);
+    } else if (condition.type === 'BinaryExpr') {
+      const { left, right, operator } = condition;
+      if (operator === 'and' && truthy) {
+        return [...this.narrowings(left, true), ...this.narrowings(right, true)];
+      }
+      if (operator === 'or' && !truthy) {
+        return [...this.narrowings(left, false), ...this.narrowings(right, false)];
+      }
+      const isNull = (n) => n.type === 'NullLiteral';
+      const subject = isNull(right) ? left : isNull(left) ? right : null;
+      if (subject && subject.type === 'Identifier') {
+        const negated = operator === '!=' || operator === '!==';
+        const equal = operator === '==' || operator === '===';
+        if ((negated && truthy) || (equal && !truthy)) result.push(subject.name);
+      }
+    }
+    return result;
+  }
+
+  narrowedScope(condition, scope, truthy) {
+    const narrowed = new Scope(scope);
+    for (const name of this.narrowings(condition, truthy)) {
+      const entry = scope.lookup(name);
+      if (entry) narrowed.narrowed.set(name, withoutNull(scope.lookupNarrowed(name) || entry.type));
+    }
+    return narrowed;
+  }
+
+  // After `if (x == null) { return }` the rest of the block knows x is not null
+  narrowAfterGuard(statement, scope) {
+    if (statement.type !== 'IfStatement' || statement.elseBranch || !this.alwaysExits(statement.thenBranch)) return;
+    for (const name of this.narrowings(statement.condition, false)) {
+      const entry = scope.lookup(name);
+      if (entry) scope.narrowed.set(name, withoutNull(scope.lookupNarrowed(name) || entry.type));
+    }
+  }
+
+  alwaysExits(node) {
+    if (!node) return false;
+    if (node.type === 'Block') return node.statements.length > 0 && this.alwaysExits(node.statements[node.statements.length - 1]);
+    return ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'].includes(node.type);
+  }
+
+  checkNotNull(type, node, message) {
+    if (type.kind === 'null' || (type.kind === 'union' && includesNull(type))) {
+      this.report(node, 'error', 'null-misuse', message);
+      return withoutNull(type);
+    }
+    return type;
+  }
+
+  expectType(node, expected, scope, what) {
+    const type = this.infer(node, scope);
+    this.checkAssignable(type, expected, node, (s, t) => `${what} must be of type '${t}', got '${s}'`);
+    return type;
+  }
+
+  describe(node) {
+    if (node.type === 'Identifier') return `'${node.name}'`;
+    if (node.type === 'MemberAccess') return `'${node.property}'`;
+    return 'Value';
+  }
+
+  // ===== EXPRESSIONS =====
+
+  // Returns the static type of an expression, reporting problems inside it along the way.
+  // `expected` lets function literals pick up parameter types from their context.
+  infer(node, scope, expected = null) {
+    if (!node || typeof node !== 'object') return ANY;
+
+    switch (node.type) {
+      case 'NumberLiteral': return NUMBER;
+      case 'StringLiteral': return STRING;
+      case 'BoolLiteral': return BOOL;
+      case 'NullLiteral': return NULL;
+      case 'InputExpr':
+        if (node.prompt) this.infer(node.prompt, scope);
+        if (node.token) this.infer(node.token, scope);
+        return STRING;
+
+      case 'TemplateLiteral':
+        for (const part of node.parts) {
+          if (part.type !== 'string') this.infer(part.value, scope);
+        }
+        return STRING;
+
+      case 'Identifier': {
+        const entry = scope.lookup(node.name);
+        if (!entry) return ANY;
+        return scope.lookupNarrowed(node.name) || entry.type;
+      }
+
+      case 'ThisExpr': {
+        const entry = scope.lookup('this');
+        return entry ? entry.type : ANY;
+      }
+
+      case 'ArrayLiteral': {
+        const elements = node.elements.filter(Boolean).map(element => {
+          if (element.type === 'SpreadElement') {
+            const spread = this.infer(element.argument, scope);
+            return spread.kind === 'array' ? spread.element : ANY;
+          }
+          return this.infer(element, scope);
+        });
+        if (elements.length === 0) return arrayOf(expected && expected.kind === 'array' ? expected.element : ANY);
+        return arrayOf(unionOf(elements));
+      }
+
+      case 'ObjectLiteral': {
+        const properties = new Map();
+        let exact = true;
+        for (const [key, value] of Object.entries(node.properties)) {
+          const type = this.infer(value, scope);
+          if (value && value.type === 'SpreadElement') {
+            exact = false;
+          } else {
+            properties.set(key, type);
+          }
+        }
+        return exact ? objectOf(properties) : objectOf();
+      }
+
+      case 'SpreadElement':
+        return this.infer(node.argument, scope);
+
+      case 'BinaryExpr':
+        return this.inferBinary(node, scope);
+
+      case 'UnaryExpr': {
+        const operand = this.infer(node.operand, scope);
+        if (node.operator === '!' || node.operator === 'not') return BOOL;
+        if (operand.kind === 'instance' && UNARY_METHODS[node.operator]) {
+          return this.operatorResult(operand, UNARY_METHODS[node.operator]) || NUMBER;
+        }
+        this.checkNotNull(operand, node.operand, `${this.describe(node.operand)} may be null`);
+        return NUMBER;
+      }
+
+      case 'UpdateExpr': {
+        const operand = this.infer(node.operand, scope);
+        this.checkNotNull(operand, node.operand, `${this.describe(node.operand)} may be null`);
+        return NUMBER;
+      }
+
+      case 'Assignment':
+        return this.inferAssignment(node, scope);
+
+      case 'TernaryExpr': {
+        this.infer(node.condition, scope);
+        const consequent = this.infer(node.consequent, this.narrowedScope(node.condition, scope, true));
+        const alternate = this.infer(node.alternate, this.narrowedScope(node.condition, scope, false));
+        return unionOf([consequent, alternate]);
+      }
+
+      case 'NullishCoalescing': {
+        const left = this.infer(node.left, scope);
+        const right = this.infer(node.right, scope);
+        return unionOf([withoutNull(left), right]);
+      }
+
+      case 'OptionalChain': {
+        const object = withoutNull(this.infer(node.object, scope));
+        if (node.computed) this.infer(node.property, scope);
+        const member = node.computed ? ANY : (this.memberType(object, node.property) || ANY);
+        return member.kind === 'any' ? ANY : unionOf([member, NULL]);
+      }
+
+      case 'MemberAccess': {
+        let object = this.infer(node.object, scope);
+        object = this.checkNotNull(object, node.object, `${this.describe(node.object)} may be null`);
+        return this.memberType(object, node.property) || ANY;
+      }
+
+      case 'IndexAccess': {
+        let object = this.infer(node.object, scope);
+        const index = this.infer(node.index, scope);
+        object = this.checkNotNull(object, node.object, `${this.describe(node.object)} may be null`);
+        if (object.kind === 'array') {
+          this.checkAssignable(index, NUMBER, node.index, (s) => `Array index must be a number, got '${s}'`);
+          return object.element;
+        }
+        if (object.kind === 'primitive' && object.name === 'string') return STRING;
+        return ANY;
+      }
+
+      case 'FunctionCall':
+        return this.inferCall(node, scope);
+
+      case 'NewExpr':
+        return this.inferNew(node, scope);
+
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+      case 'ArrowFunction': {
+        const type = this.functionType(node, scope);
+        // An unannotated callback takes its parameter types from the slot it is passed to
+        if (expected && expected.kind === 'function' && expected.params) {
+          type.params.forEach((param, i) => {
+            if (!param.annotated && expected.params[i]) param.type = expected.params[i].type;
+          });
+        }
+        this.checkFunctionBody(node, type, scope);
+        return type;
+      }
+
+      case 'AwaitExpr':
+      case 'SpawnExpr':
+        this.infer(node.argument, scope);
+        return ANY;
+
+      case 'TypeOfExpr':
+        this.infer(node.argument, scope);
+        return STRING;
+
+      case 'InstanceOfExpr':
+        this.infer(node.left, scope);
+        this.infer(node.right, scope);
+        return BOOL;
+
+      case 'DeleteExpr':
+        this.infer(node.argument, scope);
+        return BOOL;
+
+      case 'RangeExpr':
+        this.expectType(node.start, NUMBER, scope, 'Range bound');
+        this.expectType(node.end, NUMBER, scope, 'Range bound');
+        return arrayOf(NUMBER);
+
+      case 'ListComprehension':
+      case 'DictComprehension': {
+        const iterable = this.infer(node.iterable, scope);
+        const inner = new Scope(scope);
+        inner.define(node.variable, { type: iterable.kind === 'array' ? iterable.element : ANY, declaredType: null, isConst: false });
+        if (node.condition) this.infer(node.condition, inner);
+        if (node.type === 'DictComprehension') {
+          this.infer(node.key, inner);
+          this.infer(node.value, inner);
+          return objectOf();
+        }
+        return arrayOf(this.infer(node.element, inner));
+      }
+
+      case 'MatchExpr': {
+        this.checkMatchArms(node, this.infer(node.discriminant, scope), scope);
+        const results = node.arms.map(arm => {
+          const armScope = new Scope(scope);
+          for (const name of this.patternBindings(arm.pattern)) {
+            armScope.define(name, { type: ANY, declaredType: null, isConst: false });
+          }
+          if (arm.guard) this.infer(arm.guard, armScope);
+          if (arm.body && arm.body.type === 'Block') {
+            this.checkStatements(arm.body.statements, armScope);
+            return ANY;
+          }
+          return this.infer(arm.body, armScope);
+        });
+        return results.length ? unionOf(results) : ANY;
+      }
+
+      default:
+        this.visitChildren(node, scope);
+        return ANY;
+    }
+  }
+
+  // Arms after an unguarded `_` or binding can never run; a match over an enum must cover every member
+  checkMatchArms(node, discriminant, scope) {
+    const irrefutable = pattern => pattern.type === 'WildcardPattern' || (pattern.type === 'BindingPattern' && !this.unitVariant(pattern, scope));
+    const catchAll = node.arms.findIndex(arm => !arm.guard && irrefutable(arm.pattern));
+    for (const arm of node.arms.slice(catchAll + 1)) {
+      if (catchAll === -1) break;
+      const previous = node.arms[catchAll].pattern;
+      const what = previous.type === 'WildcardPattern' ? `'_'` : `binding '${previous.name}'`;
+      this.report(arm.pattern, 'warning', 'unreachable-arm', `Unreachable match arm: the earlier ${what} arm matches every value`);
+    }
+    if (catchAll !== -1) return;
+
+    let info = discriminant.kind === 'enum' ? discriminant.info : null;
+    const covered = new Set();
+    for (const arm of node.arms) {
+      for (const pattern of arm.pattern.type === 'OrPattern' ? arm.pattern.patterns : [arm.pattern]) {
+        const member = this.enumMemberPattern(pattern, scope);
+        if (!member || (info && member.info !== info)) continue;
+        info = member.info;
+        const complete = pattern.type !== 'VariantPattern' || pattern.args.every(irrefutable);
+        if (!arm.guard && complete) covered.add(member.name);
+      }
+    }
+    if (!info) return;
+    const missing = info.members.filter(name => !covered.has(name));
+    if (missing.length > 0) {
+      const names = missing.map(name => `'${info.name}.${name}'`).join(', ');
+      this.report(node, 'error', 'non-exhaustive-match',
+        `Match over enum '${info.name}' is not exhaustive: missing ${names}. Add the missing arms or a '_' arm`,
+        { start: { ...node.loc.start }, end: { line: node.loc.start.line, column: node.loc.start.column + 5 } });
+    }
+  }
+
+  // The enum member a pattern compares against or destructures: Color.Red, Shape.Rect(w, h), Some(x), None
+  enumMemberPattern(pattern, scope) {
+    if (pattern.type === 'BindingPattern') return this.unitVariant(pattern, scope);
+    const reference = pattern.type === 'LiteralPattern' ? pattern.value : pattern.type === 'VariantPattern' ? pattern.callee : null;
+    if (!reference || !['MemberAccess', 'Identifier'].includes(reference.type)) return null;
+    let type = this.infer(reference, scope);
+    if (pattern.type === 'VariantPattern') type = type.kind === 'function' ? type.returnType : ANY;
+    if (type.kind !== 'enum') return null;
+    return { info: type.info, name: reference.type === 'MemberAccess' ? reference.property : reference.name };
+  }
+
+  // A bare name in a pattern that refers to a field-less variant, such as None, is compared rather than bound
+  unitVariant(pattern, scope) {
+    const entry = scope.lookup(pattern.name);
+    if (!entry || entry.type.kind !== 'enum') return null;
+    const index = entry.type.info.members.indexOf(pattern.name);
+    const fields = index === -1 ? null : entry.type.info.fields[index];
+    return fields && fields.length === 0 ? { info: entry.type.info, name: pattern.name } : null;
+  }
+
+  inferBinary(node, scope) {
+    const left = this.infer(node.left, scope);
+    const right = this.infer(node.right, node.operator === 'and' ? this.narrowedScope(node.left, scope, true)
+      : node.operator === 'or' ? this.narrowedScope(node.left, scope, false) : scope);
+    return this.binaryType(node.operator, left, right, node.left, node.right);
+  }
+
+  binaryType(operator, left, right, leftNode, rightNode) {
+    if (OPERATOR_METHODS[operator] && (left.kind === 'instance' || right.kind === 'instance')) {
+      const [method, reflected] = OPERATOR_METHODS[operator];
+      const result = this.operatorResult(left, method) || this.operatorResult(right, reflected);
+      if (result) return result;
+    }
+    switch (operator) {
+      case 'and':
+      case 'or':
+        return unionOf([left, right]);
+      case '==': case '!=': case '===': case '!==':
+        return BOOL;
+      case '<': case '>': case '<=': case '>=':
+        this.checkNotNull(left, leftNode, `${this.describe(leftNode)} may be null`);
+        this.checkNotNull(right, rightNode, `${this.describe(rightNode)} may be null`);
+        return BOOL;
+      case '+':
+        if (left === STRING || right === STRING) return STRING;
+        if (left === NUMBER && right === NUMBER) return NUMBER;
+        return ANY;
+      default:
+        this.checkNotNull(left, leftNode, `${this.describe(leftNode)} may be null`);
+        this.checkNotNull(right, rightNode, `${this.describe(rightNode)} may be null`);
+        return NUMBER;
+    }
+  }
+
+  // Return type of the dunder method an instance overloads an operator with, or null
+  operatorResult(type, method) {
+    if (type.kind !== 'instance') return null;
+    const member = this.classMember(type.classInfo, method);
+    if (!member) return null;
+    return member.kind === 'method' ? member.type.returnType || ANY : ANY;
+  }
+
+  inferAssignment(node, scope) {
+    const { target } = node;
+    let declared = null;
+    let name = null;
+
+    if (target.type === 'Identifier') {
+      const entry = scope.lookup(target.name);
+      declared = entry ? entry.declaredType : null;
+      name = `'${target.name}'`;
+    } else if (target.type === 'MemberAccess') {
+      const object = this.checkNotNull(this.infer(target.object, scope), target.object, `${this.describe(target.object)} may be null`);
+      if (object.kind === 'instance') {
+        const member = this.classMember(object.classInfo, target.property);
+        declared = member && member.annotated ? member.type : null;
+      } else if (object.kind === 'interface' || (object.kind === 'object' && object.properties)) {
+        declared = this.memberType(object, target.property);
+      }
+      name = `property '${target.property}'`;
+    } else {
+      this.infer(target, scope);
+    }
+
+    let value = this.infer(node.value, scope, declared);
+    if (node.operator !== '=') {
+      // `x += y` assigns the result of `x + y`
+      const current = target.type === 'Identifier' ? this.infer(target, scope) : (declared || ANY);
+      value = this.binaryType(node.operator.slice(0, -1), current, value, target, node.value);
+    }
+
+    if (declared) {
+      this.checkAssignable(value, declared, node.value, (s, t) => `Type '${s}' is not assignable to ${name} of type '${t}'`);
+    }
+    if (target.type === 'Identifier') scope.invalidate(target.name);
+    return value;
+  }
+
+  inferCall(node, scope) {
+    const callee = this.infer(node.callee, scope);
+    const argTypes = [];
+    const fnType = callee.kind === 'function' ? callee : null;
+    node.args.forEach((arg, i) => {
+      const param = fnType && fnType.params ? this.paramAt(fnType, i) : null;
+      argTypes.push(this.infer(arg, scope, param ? param.type : null));
+    });
+
+    if (callee.kind === 'null' || (callee.kind === 'union' && includesNull(callee))) {
+      this.checkNotNull(callee, node.callee, `${this.describe(node.callee)} may be null`);
+    }
+    if (!fnType || !fnType.params) return ANY;
+
+    this.checkArguments(node, fnType, argTypes, this.calleeName(node.callee));
+    return fnType.isAsync ? ANY : fnType.returnType;
+  }
+
+  inferNew(node, scope) {
+    const callee = this.infer(node.callee, scope);
+    const argTypes = node.args.map(arg => this.infer(arg, scope));
+    if (callee.kind !== 'class') return ANY;
+
+    const constructorType = this.findConstructor(callee.classInfo);
+    if (constructorType) {
+      this.checkArguments(node, constructorType, argTypes, `${callee.classInfo.name} constructor`);
+    }
+    return { kind: 'instance', classInfo: callee.classInfo };
+  }
+
+  findConstructor(classInfo) {
+    for (let current = classInfo; current; current = current.parent) {
+      if (current.constructorType) return current.constructorType;
+    }
+    return null;
+  }
+
+  paramAt(fnType, index) {
+    const { params } = fnType;
+    if (index < params.length && !params[index].rest) return params[index];
+    const rest = params.find(p => p.rest);
+    if (!rest) return null;
+    return { ...rest, type: rest.type.kind === 'array' ? rest.type.element : ANY };
+  }
+
+  calleeName(callee) {
+    if (callee.type === 'Identifier') return `'${callee.name}'`;
+    if (callee.type === 'MemberAccess') return `'${callee.property}'`;
+    return 'function';
+  }
+
+  checkArguments(node, fnType, argTypes, name) {
+    const hasSpread = node.args.some(arg => arg && arg.type === 'SpreadElement');
+    const params = fnType.params;
+    const hasRest = params.some(p => p.rest);
+    const positional = params.filter(p => !p.rest);
+
+    if (!hasSpread) {
+      if (!hasRest && argTypes.length > positional.length) {
+        this.report(node.args[positional.length], 'error', 'argument-count',
+          `${name} expects ${positional.length} argument${positional.length === 1 ? '' : 's'}, but got ${argTypes.length}`);
+      }
+      const missing = positional.slice(argTypes.length).filter(p => !p.optional);
+      if (missing.length > 0) {
+        // A missing argument is bound to null, which only a typed, non-nullable parameter rules out
+        const fatal = missing.some(p => p.annotated && !includesNull(p.type));
+        const required = positional.filter(p => !p.optional).length;
+        this.report(node, fatal ? 'error' : 'warning', 'argument-count',
+          `${name} expects ${required} argument${required === 1 ? '' : 's'}, but got ${argTypes.length} (missing ${missing.map(p => `'${p.name}'`).join(', ')})`);
+      }
+    }
+
+    argTypes.forEach((argType, i) => {
+      const arg = node.args[i];
+      if (!arg || arg.type === 'SpreadElement') return;
+      const param = this.paramAt(fnType, i);
+      if (!param || param.type.kind === 'any') return;
+      this.checkAssignable(argType, param.type, arg,
+        (s, t) => `Argument of type '${s}' is not assignable to parameter '${param.name}' of type '${t}'`);
+    });
+  }
+
+  patternBindings(pattern, names = []) {
+    if (!pattern || typeof pattern !== 'object') return names;
+    if (Array.isArray(pattern)) {
+      pattern.forEach(p => this.patternBindings(p, names));
+      return names;
+    }
+    if (pattern.type === 'BindingPattern' || pattern.type === 'rest') names.push(pattern.name);
+    for (const [key, value] of Object.entries(pattern)) {
+      if (key !== 'loc' && value && typeof value === 'object') this.patternBindings(value, names);
+    }
+    return names;
+  }
+
+  // Fallback for nodes without a rule of their own: check whatever expressions they contain
+  visitChildren(node, scope) {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child === 'object' && typeof child.type === 'string' && child.loc !== undefined) {
+          if (child.type === 'Block') {
+            this.checkStatements(child.statements, new Scope(scope));
+          } else {
+            this.checkStatement(child, scope);
+          }
+        }
+      }
+    }
+  }
+}
+
+// Check a parsed program and return its type diagnostics: { severity, range, message, code }
+function checkProgram(program) {
+  return new TypeChecker().check(program);
+}
+
+module.exports = { TypeChecker, checkProgram, typeToString };
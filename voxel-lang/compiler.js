@@ -0,0 +1,1163 @@
+// VoxelScript Bytecode Compiler - Turns the AST into flat instruction arrays for the VM
+// Each instruction is two slots, [opcode, operand]; operands are constant indexes, counts or jump targets.
+
+const Op = {
+  // Stack
+  CONST: 0, NULL: 1, POP: 2, DUP: 3,
+
+  // Variables and scopes
+  LOAD: 10, STORE: 11, STORE_COMPOUND: 12, DEFINE: 13, DEFINE_CONST: 14, DEFINE_TYPED: 15, DELETE_NAME: 16,
+  LOAD_THIS: 17, LOAD_SUPER: 18, PUSH_SCOPE: 19, POP_SCOPE: 8, DEFINE_CLASS: 9, DECLARE_TYPE: 7,
+
+  // Operators
+  ADD: 20, SUB: 21, MUL: 22, DIV: 23, MOD: 24, POW: 25, EQ: 26, NE: 27, LT: 28, GT: 29, LE: 30, GE: 31,
+  BAND: 32, BOR: 33, BXOR: 34, SHL: 35, SHR: 36, USHR: 37, NEG: 38, NOT: 39, BNOT: 40, INC: 41, DEC: 42,
+  TYPEOF: 43, INSTANCEOF: 44,
+
+  // Jumps
+  JUMP: 50, JUMP_IF_FALSE: 51, JUMP_IF_TRUE: 52, JUMP_IF_FALSE_KEEP: 53, JUMP_IF_TRUE_KEEP: 54,
+  JUMP_IF_NOT_NULLISH: 55, JUMP_IF_NULLISH: 56, JUMP_IF_DEFINED: 57,
+
+  // Values
+  ARRAY: 60, NEW_ARRAY: 61, ARRAY_PUSH: 62, ARRAY_EXTEND: 63, OBJECT: 64, OBJECT_SET: 65, OBJECT_ASSIGN: 66,
+  TEMPLATE: 67, RANGE: 68, COLLECT: 69,
+
+  // Properties
+  GET_MEMBER: 70, GET_INDEX: 71, GET_RAW: 72, GET_RAW_INDEX: 73, SET_MEMBER: 74, SET_INDEX: 75,
+  DELETE_MEMBER: 76, DELETE_INDEX: 77, UPDATE_MEMBER: 78, UPDATE_INDEX: 79,
+
+  // Destructuring
+  PREPARE_PATTERN: 93, REST_ITEMS: 94, REST_KEYS: 95, COLLECT_ENTRY: 96,
+
+  // Functions and calls
+  MAKE_FUNCTION: 80, MAKE_ARROW: 81, MAKE_GENERATOR: 82, CALL: 83, CALL_ARRAY: 84, NEW: 85, PIPE: 86,
+  AWAIT: 87, RETURN: 88, PARAM: 89, PARAM_DEFAULT: 90, BIND_PARAM: 91, REST_PARAM: 92,
+
+  // Exceptions
+  THROW: 100, RETHROW: 101, SETUP_TRY: 102, POP_TRY: 103, CATCH: 104, CATCH_TEST: 105,
+
+  // Loops
+  GET_ITER: 110, ITER_NEXT: 111, ITER_CLOSE: 112, ITER_CLOSE_AT: 113, RANGE_INIT: 114, RANGE_NEXT: 115,
+
+  // Statements
+  PRINT: 120, ASSERT_FAIL: 121, DEBUG: 122, FAIL: 123,
+
+  // Hand a node to the tree-walking interpreter
+  EVAL: 130
+};
+
+// Net change in stack height of each instruction, when it falls through to the next one.
+// Instructions whose effect depends on their operand (CALL, ARRAY, ...) pass it to emit() directly.
+const STACK_EFFECT = {
+  [Op.CONST]: 1, [Op.NULL]: 1, [Op.POP]: -1, [Op.DUP]: 1,
+  [Op.LOAD]: 1, [Op.STORE]: 0, [Op.STORE_COMPOUND]: 0, [Op.DEFINE]: -1, [Op.DEFINE_CONST]: -1,
+  [Op.DEFINE_TYPED]: -1, [Op.DELETE_NAME]: 1, [Op.LOAD_THIS]: 1, [Op.LOAD_SUPER]: 1, [Op.PUSH_SCOPE]: 0,
+  [Op.POP_SCOPE]: 0, [Op.DECLARE_TYPE]: 0,
+  [Op.NEG]: 0, [Op.NOT]: 0, [Op.BNOT]: 0, [Op.INC]: 0, [Op.DEC]: 0, [Op.TYPEOF]: 0, [Op.INSTANCEOF]: -1,
+  [Op.JUMP]: 0, [Op.JUMP_IF_FALSE]: -1, [Op.JUMP_IF_TRUE]: -1, [Op.JUMP_IF_FALSE_KEEP]: -1,
+  [Op.JUMP_IF_TRUE_KEEP]: -1, [Op.JUMP_IF_NOT_NULLISH]: -1, [Op.JUMP_IF_NULLISH]: 0, [Op.JUMP_IF_DEFINED]: -1,
+  [Op.NEW_ARRAY]: 1, [Op.ARRAY_PUSH]: -1, [Op.ARRAY_EXTEND]: -1, [Op.OBJECT]: 1, [Op.OBJECT_SET]: -1,
+  [Op.OBJECT_ASSIGN]: -1, [Op.RANGE]: -1, [Op.COLLECT]: -1, [Op.COLLECT_ENTRY]: -2,
+  [Op.PREPARE_PATTERN]: 0, [Op.REST_ITEMS]: 0, [Op.REST_KEYS]: 0,
+  [Op.GET_MEMBER]: 0, [Op.GET_INDEX]: -1, [Op.GET_RAW]: 0, [Op.GET_RAW_INDEX]: -1, [Op.SET_MEMBER]: -1,
+  [Op.SET_INDEX]: -2, [Op.DELETE_MEMBER]: 0, [Op.DELETE_INDEX]: -1, [Op.UPDATE_MEMBER]: 0, [Op.UPDATE_INDEX]: -1,
+  [Op.MAKE_FUNCTION]: 1, [Op.MAKE_ARROW]: 1, [Op.MAKE_GENERATOR]: 1, [Op.CALL_ARRAY]: -1, [Op.PIPE]: -1,
+  [Op.AWAIT]: 0, [Op.RETURN]: -1, [Op.PARAM]: 0, [Op.PARAM_DEFAULT]: 0, [Op.BIND_PARAM]: -1, [Op.REST_PARAM]: 0,
+  [Op.THROW]: -1, [Op.RETHROW]: -1, [Op.SETUP_TRY]: 0, [Op.POP_TRY]: 0, [Op.CATCH]: -1, [Op.CATCH_TEST]: 1,
+  [Op.GET_ITER]: 0, [Op.ITER_NEXT]: 1, [Op.ITER_CLOSE]: -1, [Op.ITER_CLOSE_AT]: 0, [Op.RANGE_INIT]: -2,
+  [Op.RANGE_NEXT]: 1,
+  [Op.PRINT]: -1, [Op.ASSERT_FAIL]: -1, [Op.DEBUG]: -1, [Op.FAIL]: -1, [Op.EVAL]: 1
+};
+
+const BINARY_OPS = {
+  '+': Op.ADD, '-': Op.SUB, '*': Op.MUL, '/': Op.DIV, '%': Op.MOD, '**': Op.POW,
+  '==': Op.EQ, '!=': Op.NE, '<': Op.LT, '>': Op.GT, '<=': Op.LE, '>=': Op.GE,
+  '&': Op.BAND, '|': Op.BOR, '^': Op.BXOR, '<<': Op.SHL, '>>': Op.SHR, '>>>': Op.USHR
+};
+
+const UNARY_OPS = { '-': Op.NEG, '!': Op.NOT, 'not': Op.NOT, '~': Op.BNOT };
+
+// Compound assignment operators, as in the tree-walker (`current <op> value`)
+const COMPOUND_OPS = {
+  '+=': Op.ADD, '-=': Op.SUB, '*=': Op.MUL, '/=': Op.DIV, '%=': Op.MOD, '**=': Op.POW,
+  '&=': Op.BAND, '|=': Op.BOR, '^=': Op.BXOR, '<<=': Op.SHL, '>>=': Op.SHR
+};
+
+// Node types without a value of their own; anything else is an expression
+const STATEMENT_TYPES = new Set([
+  'LetDeclaration', 'TypedDeclaration', 'DestructuringDeclaration', 'IfStatement', 'SwitchStatement',
+  'LoopStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement',
+  'LabeledStatement', 'TryStatement', 'ThrowStatement', 'ReturnStatement', 'BreakStatement',
+  'ContinueStatement', 'PrintStatement', 'Block', 'ImportStatement', 'ExportStatement', 'ClassDeclaration',
+  'EnumDeclaration', 'InterfaceDeclaration', 'TypeAliasDeclaration', 'DecoratedDeclaration',
+  'AssertStatement', 'DebugStatement', 'WithStatement'
+]);
+
+// Rarely hot constructs that keep running on the tree-walker (see Op.EVAL)
+const FALLBACK_TYPES = new Set([
+  'ImportStatement', 'ExportStatement', 'DecoratedDeclaration', 'WithStatement', 'MatchExpr', 'LazyExpr',
+  'InputExpr', 'YieldExpr', 'SpawnExpr'
+]);
+
+// Statements that add bindings to the scope they run in
+const DECLARATION_TYPES = new Set([
+  'LetDeclaration', 'TypedDeclaration', 'DestructuringDeclaration', 'FunctionDeclaration',
+  'GeneratorDeclaration', 'ClassDeclaration', 'EnumDeclaration', 'InterfaceDeclaration',
+  'TypeAliasDeclaration', 'DecoratedDeclaration', 'ImportStatement', 'ExportStatement'
+]);
+
+class CodeObject {
+  constructor(name) {
+    this.name = name;
+    this.ops = [];
+    this.constants = [];
+    this.locs = []; // source location of each instruction, indexed by pc / 2
+  }
+}
+
+class Compiler {
+  constructor() {
+    this.code = null;
+    this.depth = 0;     // operand stack height at the instruction being emitted
+    this.contexts = []; // enclosing scopes, loops, switches and try blocks, innermost last
+    this.loc = null;
+    this.constantIndex = null;
+  }
+
+  // Top-level statements; the value of a trailing expression statement is the program's result
+  compileProgram(statements, name = '<main>') {
+    this.begin(name);
+    statements.forEach((statement, i) => {
+      if (i === statements.length - 1 && !STATEMENT_TYPES.has(statement.type)) {
+        this.compileExpression(statement);
+        this.emit(Op.RETURN);
+      } else {
+        this.compileStatement(statement);
+      }
+    });
+    return this.finish();
+  }
+
+  // Parameter binding followed by the body, run in a fresh environment on top of the closure
+  compileFunction(fn) {
+    this.begin(fn.name || '<anonymous>');
+    for (let index = 0; index < fn.params.length; index++) {
+      const param = fn.params[index];
+      if (typeof param === 'string') {
+        this.emit(Op.PARAM, this.constant({ index, name: param, typeAnnotation: null }));
+      } else if (param.type === 'rest') {
+        this.emit(Op.REST_PARAM, this.constant({ index, name: param.name, typeAnnotation: param.typeAnnotation }));
+        break;
+      } else if (!param.default) {
+        this.emit(Op.PARAM, this.constant({ index, name: param.name, typeAnnotation: param.typeAnnotation }));
+      } else {
+        // PARAM_DEFAULT binds a passed argument and jumps past the default expression
+        const binding = { index, name: param.name, typeAnnotation: param.typeAnnotation, skip: 0 };
+        const slot = this.constant(binding);
+        this.emit(Op.PARAM_DEFAULT, slot);
+        this.compileExpression(param.default);
+        this.emit(Op.BIND_PARAM, slot);
+        binding.skip = this.here();
+      }
+    }
+    for (const statement of fn.body.statements) {
+      this.compileStatement(statement);
+    }
+    return this.finish();
+  }
+
+  begin(name) {
+    this.code = new CodeObject(name);
+    this.depth = 0;
+    this.contexts = [];
+    this.loc = null;
+    this.constantIndex = new Map();
+  }
+
+  finish() {
+    this.emit(Op.NULL);
+    this.emit(Op.RETURN);
+    const code = this.code;
+    code.ops = Int32Array.from(code.ops);
+    this.code = null;
+    return code;
+  }
+
+  // ===== EMITTING =====
+
+  emit(op, operand = 0, effect = STACK_EFFECT[op]) {
+    const pc = this.code.ops.length;
+    this.code.ops.push(op, operand);
+    this.code.locs.push(this.loc);
+    this.depth += effect;
+    return pc;
+  }
+
+  here() {
+    return this.code.ops.length;
+  }
+
+  patch(pc, target) {
+    this.code.ops[pc + 1] = target;
+  }
+
+  // Strings and numbers are shared; nodes and binding descriptors get their own slot
+  constant(value) {
+    const key = typeof value === 'string' ? `s:${value}` : typeof value === 'number' ? `n:${value}` : null;
+    if (key !== null && this.constantIndex.has(key)) {
+      return this.constantIndex.get(key);
+    }
+    const index = this.code.constants.push(value) - 1;
+    if (key !== null) this.constantIndex.set(key, index);
+    return index;
+  }
+
+  // Compile with `node`'s location attached to the emitted instructions, for runtime errors
+  located(node, compile) {
+    const previous = this.loc;
+    if (node.loc) this.loc = node.loc;
+    try {
+      compile();
+    } finally {
+      this.loc = previous;
+    }
+  }
+
+  // ===== STATEMENTS =====
+
+  compileStatement(node) {
+    if (!node) return;
+    this.located(node, () => {
+      if (FALLBACK_TYPES.has(node.type)) {
+        this.compileFallback(node);
+        this.emit(Op.POP);
+      } else if (STATEMENT_TYPES.has(node.type)) {
+        this.compileStatementNode(node);
+      } else {
+        this.compileExpression(node);
+        this.emit(Op.POP);
+      }
+    });
+  }
+
+  compileStatementNode(node) {
+    switch (node.type) {
+      case 'LetDeclaration':
+        this.compileOptional(node.value);
+        this.emit(node.isConst ? Op.DEFINE_CONST : Op.DEFINE, this.constant(node.name));
+        return;
+
+      case 'TypedDeclaration':
+        this.compileOptional(node.value);
+        this.emit(Op.DEFINE_TYPED, this.constant({
+          name: node.name, typeAnnotation: node.typeAnnotation, isConst: node.isConst
+        }));
+        return;
+
+      case 'DestructuringDeclaration':
+        this.compileDestructuring(node);
+        return;
+
+      case 'ClassDeclaration': {
+        // Initializers run here; the class itself is built by the interpreter's defineClass
+        const values = node.body.filter(element => element.type === 'PropertyDefinition' && element.value);
+        for (const element of values) {
+          this.located(element, () => this.compileExpression(element.value));
+        }
+        this.emit(Op.DEFINE_CLASS, this.constant({ node, count: values.length }), -values.length);
+        return;
+      }
+
+      case 'EnumDeclaration':
+      case 'InterfaceDeclaration':
+      case 'TypeAliasDeclaration':
+        this.emit(Op.DECLARE_TYPE, this.constant(node));
+        return;
+
+      case 'Block':
+        this.compileBlock(node);
+        return;
+
+      case 'IfStatement': {
+        this.compileExpression(node.condition);
+        const toElse = this.emit(Op.JUMP_IF_FALSE, 0);
+        this.compileStatement(node.thenBranch);
+        if (node.elseBranch) {
+          const toEnd = this.emit(Op.JUMP, 0);
+          this.patch(toElse, this.here());
+          this.compileStatement(node.elseBranch);
+          this.patch(toEnd, this.here());
+        } else {
+          this.patch(toElse, this.here());
+        }
+        return;
+      }
+
+      case 'SwitchStatement':
+        this.compileSwitch(node);
+        return;
+
+      case 'LoopStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        this.compileLoop(node, null);
+        return;
+
+      case 'LabeledStatement':
+        this.located(node.body, () => this.compileLoop(node.body, node.label));
+        return;
+
+      case 'TryStatement':
+        this.compileTry(node);
+        return;
+
+      case 'ThrowStatement':
+        this.compileExpression(node.argument);
+        this.emit(Op.THROW);
+        return;
+
+      case 'ReturnStatement':
+        this.compileOptional(node.value);
+        this.compileReturn();
+        return;
+
+      case 'BreakStatement':
+        this.compileJump('break', node.label);
+        return;
+
+      case 'ContinueStatement':
+        this.compileJump('continue', node.label);
+        return;
+
+      case 'PrintStatement':
+        this.compileExpression(node.value);
+        this.emit(Op.PRINT);
+        return;
+
+      case 'AssertStatement': {
+        this.compileExpression(node.condition);
+        const passed = this.emit(Op.JUMP_IF_TRUE, 0);
+        if (node.message) {
+          this.compileExpression(node.message);
+        } else {
+          this.emit(Op.CONST, this.constant('Assertion failed'));
+        }
+        this.emit(Op.ASSERT_FAIL);
+        this.patch(passed, this.here());
+        return;
+      }
+
+      case 'DebugStatement':
+        this.compileExpression(node.expression);
+        this.emit(Op.DEBUG, this.constant(node.expression));
+        return;
+
+      default:
+        throw new Error(`Cannot compile statement: ${node.type}`);
+    }
+  }
+
+  compileOptional(node) {
+    if (node) {
+      this.compileExpression(node);
+    } else {
+      this.emit(Op.NULL);
+    }
+  }
+
+  // let [a, b = 1, ...rest] = value / let { x, y: alias, ...rest } = value
+  compileDestructuring(node) {
+    const define = name => this.emit(node.isConst ? Op.DEFINE_CONST : Op.DEFINE, this.constant(name));
+    const withDefault = element => {
+      if (!element.default) return;
+      const toDefined = this.emit(Op.JUMP_IF_DEFINED, 0);
+      this.compileExpression(element.default);
+      this.patch(toDefined, this.here());
+    };
+
+    this.compileExpression(node.value);
+    if (node.isArray) {
+      // Generators only produce as many values as the pattern needs
+      const hasRest = node.pattern.some(element => element && element.type === 'rest');
+      this.emit(Op.PREPARE_PATTERN, hasRest ? -1 : node.pattern.length);
+      for (let i = 0; i < node.pattern.length; i++) {
+        const element = node.pattern[i];
+        if (!element) continue;
+        this.emit(Op.DUP);
+        if (element.type === 'rest') {
+          this.emit(Op.REST_ITEMS, i);
+          define(element.name);
+          break;
+        }
+        this.emit(Op.CONST, this.constant(i));
+        this.emit(Op.GET_RAW_INDEX);
+        withDefault(element);
+        define(element.name);
+      }
+    } else {
+      const keys = node.pattern.filter(prop => prop.type === 'property').map(prop => prop.key);
+      for (const prop of node.pattern) {
+        this.emit(Op.DUP);
+        if (prop.type === 'rest') {
+          this.emit(Op.REST_KEYS, this.constant(keys));
+        } else {
+          this.emit(Op.GET_RAW, this.constant(prop.key));
+          withDefault(prop);
+        }
+        define(prop.name);
+      }
+    }
+    this.emit(Op.POP);
+  }
+
+  // A block gets its own environment only when it declares something, which is otherwise unobservable
+  compileBlock(node) {
+    const scoped = node.statements.some(statement => DECLARATION_TYPES.has(statement.type));
+    if (scoped) this.pushScope();
+    for (const statement of node.statements) {
+      this.compileStatement(statement);
+    }
+    if (scoped) this.popScope();
+  }
+
+  pushScope() {
+    this.emit(Op.PUSH_SCOPE);
+    this.contexts.push({ kind: 'scope' });
+  }
+
+  popScope() {
+    this.contexts.pop();
+    this.emit(Op.POP_SCOPE);
+  }
+
+  // case tests run in order until one matches; from there every consequent runs until a break
+  compileSwitch(node) {
+    this.compileExpression(node.discriminant);
+    const context = { kind: 'switch', depth: this.depth, breaks: [] };
+    this.contexts.push(context);
+
+    let toNextTest = null;
+    let toNextBody = null;
+    for (const switchCase of node.cases) {
+      if (toNextTest !== null) this.patch(toNextTest, this.here());
+      toNextTest = null;
+      if (switchCase.test !== null) {
+        this.emit(Op.DUP);
+        this.compileExpression(switchCase.test);
+        this.emit(Op.EQ, 0, -1);
+        toNextTest = this.emit(Op.JUMP_IF_FALSE, 0);
+      }
+      if (toNextBody !== null) this.patch(toNextBody, this.here());
+      for (const statement of switchCase.consequent) {
+        this.compileStatement(statement);
+      }
+      toNextBody = this.emit(Op.JUMP, 0);
+    }
+
+    if (toNextTest !== null) this.patch(toNextTest, this.here());
+    if (toNextBody !== null) this.patch(toNextBody, this.here());
+    this.contexts.pop();
+    this.emit(Op.POP);
+    for (const jump of context.breaks) this.patch(jump, this.here());
+  }
+
+  compileLoop(node, label) {
+    switch (node.type) {
+      case 'WhileStatement': {
+        const context = this.loopContext(label);
+        const top = this.here();
+        this.compileExpression(node.condition);
+        const toEnd = this.emit(Op.JUMP_IF_FALSE, 0);
+        this.compileStatement(node.body);
+        this.emit(Op.JUMP, top);
+        this.patch(toEnd, this.here());
+        this.endLoop(context, top);
+        return;
+      }
+
+      case 'DoWhileStatement': {
+        const context = this.loopContext(label);
+        const top = this.here();
+        this.compileStatement(node.body);
+        const test = this.here();
+        this.compileExpression(node.condition);
+        this.emit(Op.JUMP_IF_TRUE, top);
+        this.endLoop(context, test);
+        return;
+      }
+
+      case 'LoopStatement': {
+        // loop i from a to b step s - bounds are evaluated once, `i` lives in one environment for the whole loop
+        this.compileExpression(node.from);
+        this.compileExpression(node.to);
+        if (node.step) {
+          this.compileExpression(node.step);
+        } else {
+          this.emit(Op.CONST, this.constant(1));
+        }
+        this.emit(Op.RANGE_INIT);
+        this.pushScope();
+        const context = this.loopContext(label, 'range');
+        const top = this.here();
+        const toDone = this.emit(Op.RANGE_NEXT, 0);
+        this.emit(Op.DEFINE, this.constant(node.variable));
+        this.compileStatement(node.body);
+        this.emit(Op.JUMP, top);
+        this.patch(toDone, this.here());
+        this.contexts.pop();
+        this.emit(Op.POP);
+        for (const jump of context.breaks) this.patch(jump, this.here());
+        for (const jump of context.continues) this.patch(jump, top);
+        this.popScope();
+        return;
+      }
+
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        // Each iteration binds the variable in a fresh environment; the iterator is closed on break or error
+        this.compileExpression(node.iterable);
+        this.emit(Op.GET_ITER, node.type === 'ForInStatement' ? 1 : 0);
+        const context = this.loopContext(label, 'iterator');
+        const top = this.here();
+        const handler = this.emit(Op.SETUP_TRY, 0);
+        this.contexts.push({ kind: 'try', finalizer: null });
+        const toDone = this.emit(Op.ITER_NEXT, 0);
+        this.pushScope();
+        this.emit(Op.DEFINE, this.constant(node.variable));
+        this.compileStatement(node.body);
+        this.popScope();
+        this.contexts.pop();
+        this.emit(Op.POP_TRY);
+        this.emit(Op.JUMP, top);
+
+        this.patch(toDone, this.here());
+        this.emit(Op.POP_TRY);
+        this.contexts.pop();
+        this.emit(Op.POP);
+        const toEnd = this.emit(Op.JUMP, 0);
+
+        this.patch(handler, this.here());
+        this.depth += 2; // iterator and error
+        this.emit(Op.ITER_CLOSE_AT, context.depth - 1);
+        this.emit(Op.RETHROW);
+        this.depth--;
+
+        this.patch(toEnd, this.here());
+        for (const jump of context.breaks) this.patch(jump, this.here());
+        for (const jump of context.continues) this.patch(jump, top);
+        return;
+      }
+
+      default:
+        throw new Error(`Expected a loop, got ${node.type}`);
+    }
+  }
+
+  // `holds` names what the loop keeps on the stack while it runs: 'range' state or an 'iterator'
+  loopContext(label, holds = null) {
+    const context = { kind: 'loop', label, holds, depth: this.depth, breaks: [], continues: [] };
+    this.contexts.push(context);
+    return context;
+  }
+
+  endLoop(context, continueTarget) {
+    this.contexts.pop();
+    for (const jump of context.breaks) this.patch(jump, this.here());
+    for (const jump of context.continues) this.patch(jump, continueTarget);
+  }
+
+  // break/continue: leave every scope, try block and loop between here and the target, then jump
+  compileJump(kind, label) {
+    const depth = this.depth;
+    for (let i = this.contexts.length - 1; i >= 0; i--) {
+      const context = this.contexts[i];
+      const isLoop = context.kind === 'loop';
+      const isTarget = label
+        ? isLoop && context.label === label
+        : isLoop || (kind === 'break' && context.kind === 'switch');
+
+      if (isTarget) {
+        this.popTo(context.depth);
+        if (kind === 'continue') {
+          context.continues.push(this.emit(Op.JUMP, 0));
+        } else {
+          this.releaseLoopValue(context);
+          context.breaks.push(this.emit(Op.JUMP, 0));
+        }
+        this.depth = depth;
+        return;
+      }
+      this.exitContext(context, i);
+    }
+    this.emit(Op.CONST, this.constant(`'${kind}' outside of a loop`));
+    this.emit(Op.FAIL);
+    this.depth = depth;
+  }
+
+  exitContext(context, index) {
+    switch (context.kind) {
+      case 'scope':
+        this.emit(Op.POP_SCOPE);
+        break;
+      case 'try':
+        this.emit(Op.POP_TRY);
+        if (context.finalizer) this.compileFinalizer(context.finalizer, index);
+        break;
+      case 'loop':
+      case 'switch':
+        this.popTo(context.depth);
+        this.releaseLoopValue(context);
+        break;
+    }
+  }
+
+  // Drop what a loop or switch keeps on the stack; iterators get their return() called
+  releaseLoopValue(context) {
+    if (context.kind === 'switch' || context.holds === 'range') {
+      this.emit(Op.POP);
+    } else if (context.holds === 'iterator') {
+      this.emit(Op.ITER_CLOSE);
+    }
+  }
+
+  popTo(depth) {
+    while (this.depth > depth) {
+      this.emit(Op.POP);
+    }
+  }
+
+  // With the return value on the stack: close open iterators and run finally blocks on the way out
+  compileReturn() {
+    const depth = this.depth;
+    const finalizerOutside = i => this.contexts.slice(0, i).some(c => c.kind === 'try' && c.finalizer);
+    for (let i = this.contexts.length - 1; i >= 0; i--) {
+      const context = this.contexts[i];
+      if (context.kind === 'loop' && context.holds === 'iterator') {
+        this.emit(Op.ITER_CLOSE_AT, context.depth - 1);
+      } else if (context.kind === 'try' && (context.finalizer || finalizerOutside(i))) {
+        this.emit(Op.POP_TRY);
+        if (context.finalizer) this.compileFinalizer(context.finalizer, i);
+      } else if (context.kind === 'scope' && finalizerOutside(i)) {
+        this.emit(Op.POP_SCOPE);
+      }
+    }
+    this.emit(Op.RETURN);
+    this.depth = depth - 1;
+  }
+
+  // Inline copy of a finally block, compiled as if it stood outside its try statement
+  compileFinalizer(finalizer, tryIndex) {
+    const contexts = this.contexts;
+    this.contexts = contexts.slice(0, tryIndex);
+    try {
+      this.compileStatement(finalizer);
+    } finally {
+      this.contexts = contexts;
+    }
+  }
+
+  compileTry(node) {
+    const { handlers, finalizer } = node;
+    const tryContext = { kind: 'try', finalizer };
+    const toHandler = this.emit(Op.SETUP_TRY, 0);
+    this.contexts.push(tryContext);
+    this.compileStatement(node.block);
+    this.contexts.pop();
+    this.emit(Op.POP_TRY);
+    if (finalizer) this.compileFinalizer(finalizer, this.contexts.length);
+    const exits = [this.emit(Op.JUMP, 0)];
+
+    // The handler starts with the error on the stack
+    this.patch(toHandler, this.here());
+    this.depth++;
+    if (handlers.length > 0) {
+      let toFinally = null;
+      if (finalizer) {
+        toFinally = this.emit(Op.SETUP_TRY, 0);
+        this.contexts.push(tryContext);
+      }
+      // Typed clauses test the error and fall through to the next; with no clause left it is rethrown
+      const handled = [];
+      let caughtAll = false;
+      for (const handler of handlers) {
+        let toNext = null;
+        if (handler.typeAnnotation) {
+          this.emit(Op.CATCH_TEST, this.constant(handler.typeAnnotation));
+          toNext = this.emit(Op.JUMP_IF_FALSE, 0);
+        }
+        this.pushScope();
+        this.emit(Op.CATCH, handler.param ? this.constant(handler.param) : -1);
+        this.compileStatement(handler.body);
+        this.popScope();
+        if (toNext === null) {
+          caughtAll = true;
+          break;
+        }
+        handled.push(this.emit(Op.JUMP, 0));
+        this.patch(toNext, this.here());
+        this.depth++;
+      }
+      if (!caughtAll) {
+        this.emit(Op.RETHROW);
+      }
+      for (const jump of handled) this.patch(jump, this.here());
+      if (finalizer) {
+        this.contexts.pop();
+        this.emit(Op.POP_TRY);
+        this.compileFinalizer(finalizer, this.contexts.length);
+        exits.push(this.emit(Op.JUMP, 0));
+        this.patch(toFinally, this.here());
+        this.depth++;
+      }
+    }
+    if (finalizer) {
+      this.compileFinalizer(finalizer, this.contexts.length);
+      this.emit(Op.RETHROW);
+    }
+    for (const jump of exits) this.patch(jump, this.here());
+  }
+
+  // ===== FALLBACK =====
+
+  // Run `node` on the tree-walker. Any return/break/continue escaping it lands on a pad compiled here,
+  // which unwinds exactly as the same statement would in compiled code.
+  compileFallback(node) {
+    const target = { node, depth: this.depth, pads: {} };
+    this.emit(Op.EVAL, this.constant(target));
+
+    const jumps = collectJumps(node);
+    if (jumps.length === 0) return;
+
+    const over = this.emit(Op.JUMP, 0);
+    const depth = this.depth;
+    this.depth = target.depth;
+    for (const jump of jumps) {
+      target.pads[jump] = this.here();
+      if (jump === 'return') {
+        this.depth++;
+        this.compileReturn();
+      } else {
+        const [kind, label] = jump.split(':');
+        if (this.hasJumpTarget(kind, label || null)) {
+          this.compileJump(kind, label || null);
+        } else {
+          delete target.pads[jump];
+        }
+      }
+    }
+    this.depth = depth;
+    this.patch(over, this.here());
+  }
+
+  hasJumpTarget(kind, label) {
+    return this.contexts.some(context => label
+      ? context.kind === 'loop' && context.label === label
+      : context.kind === 'loop' || (kind === 'break' && context.kind === 'switch'));
+  }
+
+  // ===== EXPRESSIONS =====
+
+  compileExpression(node) {
+    this.located(node, () => {
+      if (FALLBACK_TYPES.has(node.type)) {
+        this.compileFallback(node);
+      } else {
+        this.compileExpressionNode(node);
+      }
+    });
+  }
+
+  compileExpressionNode(node) {
+    switch (node.type) {
+      case 'NumberLiteral':
+      case 'StringLiteral':
+      case 'BoolLiteral':
+        this.emit(Op.CONST, this.constant(node.value));
+        return;
+
+      case 'NullLiteral':
+        this.emit(Op.NULL);
+        return;
+
+      case 'TemplateLiteral':
+        for (const part of node.parts) {
+          if (part.type === 'string') {
+            this.emit(Op.CONST, this.constant(part.value));
+          } else {
+            this.compileExpression(part.value);
+          }
+        }
+        this.emit(Op.TEMPLATE, node.parts.length, 1 - node.parts.length);
+        return;
+
+      case 'ArrayLiteral':
+        if (!node.elements.some(el => el && el.type === 'SpreadElement')) {
+          for (const el of node.elements) {
+            if (el === null) {
+              this.emit(Op.CONST, this.constant(undefined)); // Sparse array
+            } else {
+              this.compileExpression(el);
+            }
+          }
+          this.emit(Op.ARRAY, node.elements.length, 1 - node.elements.length);
+          return;
+        }
+        this.emit(Op.NEW_ARRAY);
+        for (const el of node.elements) {
+          if (el === null) {
+            this.emit(Op.CONST, this.constant(undefined));
+            this.emit(Op.ARRAY_PUSH);
+          } else if (el.type === 'SpreadElement') {
+            this.compileExpression(el.argument);
+            this.emit(Op.ARRAY_EXTEND);
+          } else {
+            this.compileExpression(el);
+            this.emit(Op.ARRAY_PUSH);
+          }
+        }
+        return;
+
+      case 'ObjectLiteral':
+        this.emit(Op.OBJECT);
+        for (const [key, value] of Object.entries(node.properties)) {
+          if (key.startsWith('...spread')) {
+            this.compileExpression(value.argument);
+            this.emit(Op.OBJECT_ASSIGN);
+          } else {
+            this.compileExpression(value);
+            this.emit(Op.OBJECT_SET, this.constant(key));
+          }
+        }
+        return;
+
+      case 'SpreadElement':
+        this.compileExpression(node.argument);
+        return;
+
+      case 'Identifier':
+        this.emit(Op.LOAD, this.constant(node.name));
+        return;
+
+      case 'ThisExpr':
+        this.emit(Op.LOAD_THIS);
+        return;
+
+      case 'SuperExpr':
+        this.emit(Op.LOAD_SUPER, this.constant('constructor'));
+        return;
+
+      case 'BinaryExpr': {
+        this.compileExpression(node.left);
+        if (node.operator === 'and' || node.operator === 'or') {
+          const toEnd = this.emit(node.operator === 'and' ? Op.JUMP_IF_FALSE_KEEP : Op.JUMP_IF_TRUE_KEEP, 0);
+          this.compileExpression(node.right);
+          this.patch(toEnd, this.here());
+          return;
+        }
+        this.compileExpression(node.right);
+        if (!(node.operator in BINARY_OPS)) {
+          throw new Error(`Unknown operator: ${node.operator}`);
+        }
+        this.emit(BINARY_OPS[node.operator], 0, -1);
+        return;
+      }
+
+      case 'UnaryExpr':
+        this.compileExpression(node.operand);
+        if (!(node.operator in UNARY_OPS)) {
+          throw new Error(`Unknown operator: ${node.operator}`);
+        }
+        this.emit(UNARY_OPS[node.operator]);
+        return;
+
+      case 'UpdateExpr':
+        this.compileUpdate(node);
+        return;
+
+      case 'Assignment':
+        this.compileAssignment(node);
+        return;
+
+      case 'TernaryExpr': {
+        this.compileExpression(node.condition);
+        const toAlternate = this.emit(Op.JUMP_IF_FALSE, 0);
+        this.compileExpression(node.consequent);
+        const toEnd = this.emit(Op.JUMP, 0);
+        this.patch(toAlternate, this.here());
+        this.depth--;
+        this.compileExpression(node.alternate);
+        this.patch(toEnd, this.here());
+        return;
+      }
+
+      case 'NullishCoalescing': {
+        this.compileExpression(node.left);
+        const toEnd = this.emit(Op.JUMP_IF_NOT_NULLISH, 0);
+        this.compileExpression(node.right);
+        this.patch(toEnd, this.here());
+        return;
+      }
+
+      case 'OptionalChain': {
+        this.compileExpression(node.object);
+        const toEnd = this.emit(Op.JUMP_IF_NULLISH, 0);
+        if (node.computed) {
+          this.compileExpression(node.property);
+          this.emit(Op.GET_RAW_INDEX);
+        } else {
+          this.emit(Op.GET_RAW, this.constant(node.property));
+        }
+        this.patch(toEnd, this.here());
+        return;
+      }
+
+      case 'PipeExpr':
+        this.compileExpression(node.left);
+        this.compileExpression(node.right);
+        this.emit(Op.PIPE);
+        return;
+
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+        this.emit(node.type === 'GeneratorDeclaration' ? Op.MAKE_GENERATOR : Op.MAKE_FUNCTION, this.constant(node));
+        if (node.name) {
+          this.emit(Op.DUP);
+          this.emit(Op.DEFINE, this.constant(node.name));
+        }
+        return;
+
+      case 'ArrowFunction':
+        this.emit(Op.MAKE_ARROW, this.constant(node));
+        return;
+
+      case 'FunctionCall':
+        this.compileExpression(node.callee);
+        if (node.args.some(arg => arg.type === 'SpreadElement')) {
+          this.emit(Op.NEW_ARRAY);
+          for (const arg of node.args) {
+            if (arg.type === 'SpreadElement') {
+              this.compileExpression(arg.argument);
+              this.emit(Op.ARRAY_EXTEND);
+            } else {
+              this.compileExpression(arg);
+              this.emit(Op.ARRAY_PUSH);
+            }
+          }
+          this.emit(Op.CALL_ARRAY);
+        } else {
+          for (const arg of node.args) {
+            this.compileExpression(arg);
+          }
+          this.emit(Op.CALL, node.args.length, -node.args.length);
+        }
+        return;
+
+      case 'NewExpr':
+        this.compileExpression(node.callee);
+        for (const arg of node.args) {
+          this.compileExpression(arg);
+        }
+        this.emit(Op.NEW, node.args.length, -node.args.length);
+        return;
+
+      case 'AwaitExpr':
+        this.compileExpression(node.argument);
+        this.emit(Op.AWAIT);
+        return;
+
+      case 'TypeOfExpr':
+        this.compileExpression(node.argument);
+        this.emit(Op.TYPEOF);
+        return;
+
+      case 'InstanceOfExpr':
+        this.compileExpression(node.left);
+        this.compileExpression(node.right);
+        this.emit(Op.INSTANCEOF);
+        return;
+
+      case 'DeleteExpr': {
+        const target = node.argument;
+        if (target.type === 'MemberAccess') {
+          this.compileExpression(target.object);
+          this.emit(Op.DELETE_MEMBER, this.constant(target.property));
+        } else if (target.type === 'IndexAccess') {
+          this.compileExpression(target.object);
+          this.compileExpression(target.index);
+          this.emit(Op.DELETE_INDEX);
+        } else if (target.type === 'Identifier') {
+          this.emit(Op.DELETE_NAME, this.constant(target.name));
+        } else {
+          this.emit(Op.CONST, this.constant(false));
+        }
+        return;
+      }
+
+      case 'IndexAccess':
+        this.compileExpression(node.object);
+        this.compileExpression(node.index);
+        this.emit(Op.GET_INDEX);
+        return;
+
+      case 'MemberAccess':
+        if (node.object.type === 'SuperExpr') {
+          this.emit(Op.LOAD_SUPER, this.constant(node.property));
+          return;
+        }
+        this.compileExpression(node.object);
+        this.emit(Op.GET_MEMBER, this.constant(node.property));
+        return;
+
+      case 'ListComprehension':
+      case 'DictComprehension':
+        this.compileComprehension(node);
+        return;
+
+      case 'RangeExpr':
+        this.compileExpression(node.start);
+        this.compileExpression(node.end);
+        this.emit(Op.RANGE, node.inclusive ? 1 : 0);
+        return;
+
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
+    }
+  }
+
+  // [element for x in xs if cond] / {key: value for x in xs}, in one environment for the whole loop
+  compileComprehension(node) {
+    const isList = node.type === 'ListComprehension';
+    this.emit(isList ? Op.NEW_ARRAY : Op.OBJECT);
+    const result = this.depth - 1;
+    this.compileExpression(node.iterable);
+    this.emit(Op.GET_ITER, 0);
+    this.pushScope();
+    const top = this.here();
+    const handler = this.emit(Op.SETUP_TRY, 0);
+    const toDone = this.emit(Op.ITER_NEXT, 0);
+    this.emit(Op.DEFINE, this.constant(node.variable));
+    let toNext = null;
+    if (node.condition) {
+      this.compileExpression(node.condition);
+      toNext = this.emit(Op.JUMP_IF_FALSE, 0);
+    }
+    if (isList) {
+      this.compileExpression(node.element);
+      this.emit(Op.COLLECT, result);
+    } else {
+      this.compileExpression(node.key);
+      this.compileExpression(node.value);
+      this.emit(Op.COLLECT_ENTRY, result);
+    }
+    if (toNext !== null) this.patch(toNext, this.here());
+    this.emit(Op.POP_TRY);
+    this.emit(Op.JUMP, top);
+
+    this.patch(toDone, this.here());
+    this.emit(Op.POP_TRY);
+    this.emit(Op.POP);
+    const toEnd = this.emit(Op.JUMP, 0);
+
+    // Close the iterator when the element or condition throws
+    this.patch(handler, this.here());
+    this.depth += 2; // iterator and error
+    this.emit(Op.ITER_CLOSE_AT, result + 1);
+    this.emit(Op.RETHROW);
+    this.depth--;
+
+    this.patch(toEnd, this.here());
+    this.popScope();
+  }
+
+  // target = value, target op= value. The value is evaluated first, as in the tree-walker.
+  compileAssignment(node) {
+    const { target, operator } = node;
+    const compound = operator === '=' ? null : COMPOUND_OPS[operator];
+    if (compound === undefined) {
+      throw new Error(`Unknown operator: ${operator}`);
+    }
+
+    this.compileExpression(node.value);
+    if (target.type === 'Identifier') {
+      if (compound) {
+        this.emit(Op.STORE_COMPOUND, this.constant({ name: target.name, operator: compound }));
+      } else {
+        this.emit(Op.STORE, this.constant(target.name));
+      }
+    } else if (target.type === 'MemberAccess') {
+      this.compileExpression(target.object);
+      this.emit(Op.SET_MEMBER, this.constant({ property: target.property, operator: compound }));
+    } else if (target.type === 'IndexAccess') {
+      this.compileExpression(target.object);
+      this.compileExpression(target.index);
+      this.emit(Op.SET_INDEX, this.constant({ operator: compound }));
+    }
+    // Other targets leave the value as the result without assigning it, like the tree-walker
+  }
+
+  // ++x, x--, obj.n++, list[i]++
+  compileUpdate(node) {
+    const { operand, prefix } = node;
+    const step = node.operator === '++' ? Op.INC : Op.DEC;
+
+    if (operand.type === 'Identifier') {
+      const name = this.constant(operand.name);
+      this.emit(Op.LOAD, name);
+      if (!prefix) this.emit(Op.DUP);
+      this.emit(step);
+      this.emit(Op.STORE, name);
+      if (!prefix) this.emit(Op.POP);
+      return;
+    }
+
+    const update = { delta: node.operator === '++' ? 1 : -1, prefix };
+    this.compileExpression(operand.object);
+    if (operand.type === 'MemberAccess') {
+      this.emit(Op.UPDATE_MEMBER, this.constant({ ...update, property: operand.property }));
+    } else if (operand.type === 'IndexAccess') {
+      this.compileExpression(operand.index);
+      this.emit(Op.UPDATE_INDEX, this.constant(update));
+    }
+  }
+}
+
+// 'return', 'break', 'break:label', ... for jumps inside `node` that leave it, skipping nested functions
+function collectJumps(node) {
+  const found = new Set();
+  const visit = (value, loopDepth, switchDepth) => {
+    if (!value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, loopDepth, switchDepth));
+      return;
+    }
+    switch (value.type) {
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+      case 'ArrowFunction':
+      case 'MethodDefinition':
+        return;
+      case 'ReturnStatement':
+        found.add('return');
+        break;
+      case 'BreakStatement':
+        if (value.label) found.add(`break:${value.label}`);
+        else if (loopDepth === 0 && switchDepth === 0) found.add('break');
+        break;
+      case 'ContinueStatement':
+        if (value.label) found.add(`continue:${value.label}`);
+        else if (loopDepth === 0) found.add('continue');
+        break;
+    }
+    const isLoop = /^(Loop|ForIn|ForOf|While|DoWhile)Statement$/.test(value.type || '');
+    const isSwitch = value.type === 'SwitchStatement';
+    for (const [key, child] of Object.entries(value)) {
+      if (key !== 'loc') visit(child, loopDepth + (isLoop ? 1 : 0), switchDepth + (isSwitch ? 1 : 0));
+    }
+  };
+  visit(node, 0, 0);
+  return [...found];
+}
+
+module.exports = { Compiler, CodeObject, Op };
@@ -0,0 +1,376 @@
+// Code coverage for the tree-walking interpreter (voxel run --coverage, voxel test --coverage).
+// Interpreter.evaluate counts every node it evaluates, and callVoxelFunction every function body it
+// runs. A Coverage knows which of those nodes are statements, branches and functions of the files it
+// has seen, and writes what they counted as lcov and as an HTML report.
+
+const fs = require('fs');
+const path = require('path');
+
+// Nodes whose body runs as a function
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'ArrowFunction', 'GeneratorDeclaration', 'MethodDefinition', 'GetterDeclaration', 'SetterDeclaration'
+]);
+
+class FileCoverage {
+  constructor(file, source) {
+    this.file = file;
+    this.source = source;
+    this.statements = []; // { loc, count }
+    this.functions = []; // { name, loc, count }
+    // { kind, loc, count, arms: [{ loc, count }] }: count is how often the branching node ran, and an
+    // arm without a location (the missing else of an if, the left side of ??) ran whenever no other did
+    this.branches = [];
+    this.counters = new Map(); // location key -> counter
+  }
+
+  // The counter of `kind` at `loc`, shared by every parse of the file
+  counter(kind, loc, create) {
+    const key = `${kind}:${loc.start.line}:${loc.start.column}:${loc.end.line}:${loc.end.column}`;
+    if (!this.counters.has(key)) this.counters.set(key, create());
+    return this.counters.get(key);
+  }
+
+  armCount(branch, arm) {
+    if (arm.loc) return arm.count;
+    const taken = branch.arms.reduce((sum, other) => sum + (other.loc ? other.count : 0), 0);
+    return Math.max(0, branch.count - taken);
+  }
+
+  // Hit count per line that has a statement on it: the most any of its statements ran
+  lineHits() {
+    const lines = new Map();
+    for (const { loc, count } of this.statements) {
+      lines.set(loc.start.line, Math.max(lines.get(loc.start.line) ?? 0, count));
+    }
+    return new Map([...lines].sort((a, b) => a[0] - b[0]));
+  }
+
+  // { statements, branches, functions, lines }, each { total, covered }
+  summary() {
+    const tally = counts => ({ total: counts.length, covered: counts.filter(count => count > 0).length });
+    return {
+      statements: tally(this.statements.map(statement => statement.count)),
+      branches: tally(this.branches.flatMap(branch => branch.arms.map(arm => this.armCount(branch, arm)))),
+      functions: tally(this.functions.map(fn => fn.count)),
+      lines: tally([...this.lineHits().values()])
+    };
+  }
+}
+
+class Coverage {
+  // options.include decides which files are counted (all by default)
+  constructor({ include = () => true } = {}) {
+    this.include = include;
+    this.files = new Map(); // file -> FileCoverage
+    this.nodes = new WeakMap(); // node -> its counters
+  }
+
+  // Register the statements, branches and functions of a parsed file. A file parsed again (a module
+  // imported by several test files) counts into the counters of its first parse.
+  addFile(file, source, ast) {
+    if (typeof source !== 'string' || !this.include(file)) return;
+    if (!this.files.has(file)) this.files.set(file, new FileCoverage(file, source));
+    const fileCoverage = this.files.get(file);
+    if (fileCoverage.source !== source) return;
+    this.visit(ast, fileCoverage, null);
+  }
+
+  // Counted by Interpreter.evaluate for every node, and by callVoxelFunction for function bodies
+  hit(node) {
+    const counters = this.nodes.get(node);
+    if (counters === undefined) return;
+    for (const counter of counters) counter.count++;
+  }
+
+  count(node, counter) {
+    if (!this.nodes.has(node)) this.nodes.set(node, []);
+    const counters = this.nodes.get(node);
+    if (!counters.includes(counter)) counters.push(counter);
+  }
+
+  // `name` is what a function found here is called: the variable or property it is assigned to
+  visit(node, file, name) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      for (const item of node) this.visit(item, file, null);
+      return;
+    }
+    if (typeof node.type !== 'string') return;
+
+    for (const list of [node.statements, node.type === 'SwitchCase' ? node.consequent : null]) {
+      if (!Array.isArray(list)) continue;
+      for (const statement of list) {
+        if (!statement || !statement.loc) continue;
+        this.count(statement, file.counter('statement', statement.loc, () => {
+          const counter = { loc: statement.loc, count: 0 };
+          file.statements.push(counter);
+          return counter;
+        }));
+      }
+    }
+
+    if (FUNCTION_TYPES.has(node.type) && node.body && node.loc) {
+      const fnName = node.name || node.key || name || '(anonymous)';
+      this.count(node.body, file.counter('function', node.loc, () => {
+        const counter = { name: String(fnName), loc: node.loc, count: 0 };
+        file.functions.push(counter);
+        return counter;
+      }));
+    }
+
+    const arms = this.branchArms(node);
+    if (arms && node.loc) {
+      const branch = file.counter('branch', node.loc, () => {
+        const counter = { kind: node.type, loc: node.loc, count: 0, arms: arms.map(arm => ({ loc: arm && arm.loc, count: 0 })) };
+        file.branches.push(counter);
+        return counter;
+      });
+      this.count(node, branch);
+      arms.forEach((arm, index) => {
+        if (arm && arm.loc) this.count(arm, branch.arms[index]);
+      });
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || key === 'parent') continue;
+      const hint = key === 'value' && (node.type === 'LetDeclaration' || node.type === 'TypedDeclaration')
+        ? node.name
+        : null;
+      this.visit(value, file, hint);
+    }
+  }
+
+  // The nodes one of which runs each time `node` runs: null for a missing else, and for the left
+  // side of ??, which is used when the right side is not
+  branchArms(node) {
+    switch (node.type) {
+      case 'IfStatement':
+        return [node.thenBranch, node.elseBranch || null];
+      case 'TernaryExpr':
+        return [node.consequent, node.alternate];
+      case 'NullishCoalescing':
+        return [null, node.right];
+      case 'MatchExpr':
+        return node.arms.map(arm => arm.body);
+      default:
+        return null;
+    }
+  }
+
+  // Totals over every file
+  summary() {
+    const total = { statements: { total: 0, covered: 0 }, branches: { total: 0, covered: 0 },
+      functions: { total: 0, covered: 0 }, lines: { total: 0, covered: 0 } };
+    for (const file of this.files.values()) {
+      const summary = file.summary();
+      for (const key of Object.keys(total)) {
+        total[key].total += summary[key].total;
+        total[key].covered += summary[key].covered;
+      }
+    }
+    return total;
+  }
+}
+
+// ===== REPORTS =====
+
+function percent({ total, covered }) {
+  return total === 0 ? 100 : Math.floor((covered / total) * 10000) / 100;
+}
+
+function displayPath(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+// lcov tracefile, as read by genhtml, Codecov, Coveralls and most editors
+function formatLcov(coverage) {
+  const lines = [];
+  for (const file of coverage.files.values()) {
+    lines.push('TN:', `SF:${file.file}`);
+    for (const fn of file.functions) lines.push(`FN:${fn.loc.start.line},${fn.name}`);
+    for (const fn of file.functions) lines.push(`FNDA:${fn.count},${fn.name}`);
+    const summary = file.summary();
+    lines.push(`FNF:${summary.functions.total}`, `FNH:${summary.functions.covered}`);
+    file.branches.forEach((branch, block) => {
+      branch.arms.forEach((arm, index) => {
+        const count = branch.count === 0 ? '-' : file.armCount(branch, arm);
+        lines.push(`BRDA:${branch.loc.start.line},${block},${index},${count}`);
+      });
+    });
+    lines.push(`BRF:${summary.branches.total}`, `BRH:${summary.branches.covered}`);
+    for (const [line, count] of file.lineHits()) lines.push(`DA:${line},${count}`);
+    lines.push(`LF:${summary.lines.total}`, `LH:${summary.lines.covered}`, 'end_of_record');
+  }
+  return lines.join('\n') + '\n';
+}
+
+// file -> Map(line -> hit count) from an lcov tracefile
+function parseLcov(text) {
+  const files = new Map();
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith('SF:')) {
+      current = new Map();
+      files.set(line.slice(3), current);
+    } else if (line.startsWith('DA:') && current) {
+      const [number, count] = line.slice(3).split(',');
+      current.set(Number(number), Number(count));
+    } else if (line === 'end_of_record') {
+      current = null;
+    }
+  }
+  return files;
+}
+
+// A table of every file's percentages, as printed after a run
+function formatCoverageSummary(coverage) {
+  const rows = [...coverage.files.values()].map(file => {
+    const summary = file.summary();
+    const uncovered = [...file.lineHits()].filter(([, count]) => count === 0).map(([line]) => line);
+    return [displayPath(file.file), summary, ranges(uncovered)];
+  });
+  rows.push(['All files', coverage.summary(), '']);
+  const width = Math.max(...rows.map(([name]) => name.length), 4);
+  const columns = ['statements', 'branches', 'functions', 'lines'];
+  const paint = value => {
+    const code = value >= 80 ? 32 : value >= 50 ? 33 : 31;
+    return `\x1b[${code}m${value.toFixed(2).padStart(10)}\x1b[0m`;
+  };
+  const header = `${'File'.padEnd(width)} | ${['% Stmts', '% Branch', '% Funcs', '% Lines'].map(title => title.padStart(10)).join(' | ')} | Uncovered lines`;
+  const rule = '-'.repeat(header.length);
+  const body = rows.map(([name, summary, uncovered]) =>
+    `${name.padEnd(width)} | ${columns.map(column => paint(percent(summary[column]))).join(' | ')} | ${uncovered}`);
+  return [rule, header, rule, ...body.slice(0, -1), rule, body[body.length - 1], rule].join('\n');
+}
+
+// 3, 4, 5, 9 -> "3-5, 9"
+function ranges(numbers) {
+  const parts = [];
+  for (let i = 0; i < numbers.length; i++) {
+    let end = i;
+    while (end + 1 < numbers.length && numbers[end + 1] === numbers[end] + 1) end++;
+    parts.push(end === i ? String(numbers[i]) : `${numbers[i]}-${numbers[end]}`);
+    i = end;
+  }
+  return parts.join(', ');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", sans-serif; margin: 2em; color: #222; }
+h1 { font-size: 1.3em; }
+table { border-collapse: collapse; }
+th, td { padding: 0.3em 0.8em; text-align: right; border-bottom: 1px solid #ddd; }
+th:first-child, td:first-child { text-align: left; }
+.high { background: #e6f5d0; } .medium { background: #fff4c2; } .low { background: #fce1e1; }
+.source { margin-top: 1.5em; }
+pre { margin: 0; font-family: Consolas, "Courier New", monospace; font-size: 13px; line-height: 1.45; }
+.source td { border: none; padding: 0 0.6em; vertical-align: top; text-align: left; }
+.source .number, .source .count { color: #999; text-align: right; user-select: none; }
+.source tr.covered .count { background: #d9f2d0; color: #333; }
+.source tr.uncovered .count, .source tr.uncovered .number { background: #f9cccc; color: #333; }
+.source tr.partial .count { background: #fbe7b5; color: #333; }
+.source .missed { background: #f9cccc; }
+.source .missed-branch { background: #fbe7b5; }
+`;
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(title)}</title>\n` +
+    `<style>${HTML_STYLE}</style>\n</head>\n<body>\n${body}\n</body>\n</html>\n`;
+}
+
+function summaryCells(summary) {
+  return ['statements', 'branches', 'functions', 'lines'].map(key => {
+    const value = percent(summary[key]);
+    const level = value >= 80 ? 'high' : value >= 50 ? 'medium' : 'low';
+    return `<td class="${level}">${value.toFixed(2)}% <small>(${summary[key].covered}/${summary[key].total})</small></td>`;
+  }).join('');
+}
+
+function reportName(file) {
+  return `${displayPath(file).replace(/^(\.\.[\\/])+/, '').replace(/[\\/:]/g, '_')}.html`;
+}
+
+// The source with what never ran marked: whole lines by their hit count, statements and functions
+// that never ran, and branch arms that were never taken
+function fileHtml(file) {
+  const lines = file.source.split('\n');
+  // Per character: 0 = ran (or no code), 1 = branch not taken, 2 = never ran
+  const marks = lines.map(line => new Uint8Array(line.length));
+  const mark = (loc, level) => {
+    for (let line = loc.start.line; line <= loc.end.line && line <= lines.length; line++) {
+      const from = line === loc.start.line ? loc.start.column - 1 : 0;
+      const to = line === loc.end.line ? loc.end.column - 1 : lines[line - 1].length;
+      for (let column = Math.max(0, from); column < Math.min(to, lines[line - 1].length); column++) {
+        marks[line - 1][column] = Math.max(marks[line - 1][column], level);
+      }
+    }
+  };
+  const partial = new Set();
+  for (const branch of file.branches) {
+    branch.arms.forEach(arm => {
+      if (branch.count === 0 || file.armCount(branch, arm) > 0) return;
+      partial.add(branch.loc.start.line);
+      mark(arm.loc || branch.loc, 1);
+    });
+  }
+  for (const statement of file.statements) {
+    if (statement.count === 0) mark(statement.loc, 2);
+  }
+  for (const fn of file.functions) {
+    if (fn.count === 0) mark(fn.loc, 2);
+  }
+
+  const hits = file.lineHits();
+  const rows = lines.map((text, index) => {
+    const line = index + 1;
+    let code = '';
+    let start = 0;
+    for (let column = 1; column <= text.length; column++) {
+      if (column < text.length && marks[index][column] === marks[index][start]) continue;
+      const chunk = escapeHtml(text.slice(start, column));
+      const level = marks[index][start];
+      code += level === 0 ? chunk : `<span class="${level === 2 ? 'missed' : 'missed-branch'}">${chunk}</span>`;
+      start = column;
+    }
+    const count = hits.has(line) ? hits.get(line) : null;
+    const status = count === null ? '' : count === 0 ? 'uncovered' : partial.has(line) ? 'partial' : 'covered';
+    return `<tr class="${status}"><td class="number"><pre>${line}</pre></td>` +
+      `<td class="count"><pre>${count === null ? '' : `${count}×`}</pre></td><td><pre>${code || ' '}</pre></td></tr>`;
+  });
+
+  const name = displayPath(file.file);
+  return htmlPage(`Coverage: ${name}`, [
+    `<h1><a href="index.html">All files</a> / ${escapeHtml(name)}</h1>`,
+    '<table><tr><th></th><th>Statements</th><th>Branches</th><th>Functions</th><th>Lines</th></tr>',
+    `<tr><td></td>${summaryCells(file.summary())}</tr></table>`,
+    `<table class="source">${rows.join('\n')}</table>`
+  ].join('\n'));
+}
+
+function indexHtml(coverage) {
+  const rows = [...coverage.files.values()].map(file =>
+    `<tr><td><a href="${escapeHtml(reportName(file.file))}">${escapeHtml(displayPath(file.file))}</a></td>${summaryCells(file.summary())}</tr>`);
+  return htmlPage('Coverage report', [
+    '<h1>Coverage report</h1>',
+    '<table><tr><th>File</th><th>Statements</th><th>Branches</th><th>Functions</th><th>Lines</th></tr>',
+    ...rows,
+    `<tr><th>All files</th>${summaryCells(coverage.summary())}</tr>`,
+    '</table>'
+  ].join('\n'));
+}
+
+// Write `dir`/lcov.info and the HTML report, `dir`/index.html plus a page per file
+function writeReports(coverage, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'lcov.info'), formatLcov(coverage));
+  fs.writeFileSync(path.join(dir, 'index.html'), indexHtml(coverage));
+  for (const file of coverage.files.values()) {
+    fs.writeFileSync(path.join(dir, reportName(file.file)), fileHtml(file));
+  }
+}
+
+module.exports = { Coverage, FileCoverage, formatLcov, parseLcov, formatCoverageSummary, writeReports };
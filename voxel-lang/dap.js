@@ -0,0 +1,299 @@
+// Debug Adapter Protocol server for `voxel --dap`: speaks DAP over stdin/stdout and drives the
+// interpreter's Debugger (see debugger.js). Everything the program writes to stdout and stderr is
+// forwarded to the client as output events.
+
+const fs = require('fs');
+const path = require('path');
+const { parseWithDiagnostics } = require('./parser');
+const { Interpreter } = require('./interpreter');
+const { describe } = require('./debugger');
+const { formatError, formatDiagnostic } = require('./diagnostics');
+
+// Every task stops when one does, so the program is shown as a single thread
+const THREAD_ID = 1;
+
+class DebugAdapter {
+  // `write(text)` sends raw protocol text to the client
+  constructor(write) {
+    this.write = write;
+    this.seq = 1;
+    this.buffer = Buffer.alloc(0);
+    this.interpreter = null;
+    this.session = null; // null when launched with noDebug
+    this.program = null;
+    this.ast = null;
+    this.source = null;
+    this.entry = false;
+    // variablesReference - 1 -> { variables } for a scope or { value } for a compound value
+    this.handles = [];
+  }
+
+  // ===== PROTOCOL =====
+
+  // Bytes from the client; each complete message is dispatched
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const length = /Content-Length: *(\d+)/i.exec(this.buffer.slice(0, headerEnd).toString());
+      if (!length) {
+        this.buffer = this.buffer.slice(headerEnd + 4);
+        continue;
+      }
+      const start = headerEnd + 4;
+      const end = start + Number(length[1]);
+      if (this.buffer.length < end) return;
+      const message = JSON.parse(this.buffer.slice(start, end).toString('utf8'));
+      this.buffer = this.buffer.slice(end);
+      if (message.type === 'request') this.dispatch(message);
+    }
+  }
+
+  send(message) {
+    const json = JSON.stringify({ seq: this.seq++, ...message });
+    this.write(`Content-Length: ${Buffer.byteLength(json, 'utf8')}\r\n\r\n${json}`);
+  }
+
+  event(event, body = {}) {
+    this.send({ type: 'event', event, body });
+  }
+
+  async dispatch(request) {
+    const reply = { type: 'response', request_seq: request.seq, command: request.command };
+    const handler = this[`${request.command}Request`];
+    try {
+      if (!handler) {
+        throw new Error(`Unsupported request '${request.command}'`);
+      }
+      const body = await handler.call(this, request.arguments ?? {});
+      this.send({ ...reply, success: true, body: body ?? {} });
+    } catch (error) {
+      this.send({ ...reply, success: false, message: error.message });
+    }
+  }
+
+  // ===== SESSION =====
+
+  initializeRequest() {
+    return {
+      supportsConfigurationDoneRequest: true,
+      supportsConditionalBreakpoints: true,
+      supportsLogPoints: true,
+      supportsEvaluateForHovers: true,
+      supportsTerminateRequest: true,
+      exceptionBreakpointFilters: [
+        { filter: 'uncaught', label: 'Uncaught Errors', default: true },
+        { filter: 'all', label: 'All Errors', default: false }
+      ]
+    };
+  }
+
+  // { program, cwd?, stopOnEntry?, strict?, noDebug? }; the program starts on configurationDone
+  launchRequest({ program, cwd = null, stopOnEntry = false, strict = false, noDebug = false }) {
+    if (!program) {
+      throw new Error("The launch configuration needs a 'program'");
+    }
+    this.program = path.resolve(program);
+    process.chdir(cwd ?? path.dirname(this.program));
+    this.source = fs.readFileSync(this.program, 'utf8');
+    const { ast, diagnostics } = parseWithDiagnostics(this.source);
+    if (diagnostics.length > 0) {
+      throw new Error(diagnostics.map(diagnostic => formatDiagnostic(diagnostic, { file: this.program, source: this.source })).join('\n'));
+    }
+    this.ast = ast;
+    // stdin carries the protocol, so the program gets none: input() fails with an IOError
+    this.interpreter = new Interpreter({ filename: this.program, source: this.source, strict, stdin: null });
+    if (!noDebug) {
+      this.session = this.interpreter.attachDebugger();
+      this.session.on('paused', details => this.stopped(details));
+      this.session.on('output', text => this.event('output', { category: 'console', output: `${text}\n` }));
+      this.session.setExceptionMode('uncaught');
+      if (stopOnEntry) {
+        this.entry = true;
+        this.session.pause();
+      }
+    }
+    // Ready for breakpoints now that there is an interpreter to put them in
+    setImmediate(() => this.event('initialized'));
+  }
+
+  configurationDoneRequest() {
+    setImmediate(() => this.start());
+  }
+
+  async start() {
+    let exitCode = 0;
+    try {
+      await this.interpreter.run(this.ast);
+      await this.interpreter.waitForTasks();
+    } catch (error) {
+      this.fail(error);
+      exitCode = 1;
+    }
+    this.event('exited', { exitCode });
+    this.event('terminated');
+  }
+
+  fail(error) {
+    this.event('output', { category: 'stderr', output: `${formatError(error, { file: this.program, source: this.source })}\n` });
+  }
+
+  disconnectRequest() {
+    setImmediate(() => process.exit(0));
+  }
+
+  terminateRequest() {
+    setImmediate(() => {
+      this.event('terminated');
+      process.exit(0);
+    });
+  }
+
+  // ===== BREAKPOINTS =====
+
+  setBreakpointsRequest({ source, breakpoints = [] }) {
+    if (this.session === null) {
+      return { breakpoints: breakpoints.map(({ line }) => ({ verified: false, line })) };
+    }
+    const file = path.resolve(source.path);
+    this.session.clearBreakpoints(file);
+    return {
+      breakpoints: breakpoints.map(({ line, condition, logMessage }) => {
+        try {
+          const breakpoint = this.session.setBreakpoint(file, line, { condition: condition || null, logMessage: logMessage || null });
+          return { id: breakpoint.id, verified: true, line: breakpoint.line, source };
+        } catch (error) {
+          return { verified: false, line, message: error.message };
+        }
+      })
+    };
+  }
+
+  setExceptionBreakpointsRequest({ filters = [] }) {
+    if (this.session === null) return;
+    this.session.setExceptionMode(filters.includes('all') ? 'all' : filters.includes('uncaught') ? 'uncaught' : 'none');
+  }
+
+  // ===== EXECUTION CONTROL =====
+
+  stopped({ reason, description, breakpoint }) {
+    this.handles = [];
+    const body = {
+      reason: this.entry ? 'entry' : reason,
+      description,
+      text: description,
+      threadId: THREAD_ID,
+      allThreadsStopped: true,
+      hitBreakpointIds: breakpoint ? [breakpoint.id] : undefined
+    };
+    this.entry = false;
+    // After the response to the continue or step request that led here
+    setImmediate(() => this.event('stopped', body));
+  }
+
+  threadsRequest() {
+    return { threads: [{ id: THREAD_ID, name: 'main' }] };
+  }
+
+  continueRequest() {
+    this.debugging().resume();
+    return { allThreadsContinued: true };
+  }
+
+  nextRequest() {
+    this.debugging().stepOver();
+  }
+
+  stepInRequest() {
+    this.debugging().stepInto();
+  }
+
+  stepOutRequest() {
+    this.debugging().stepOut();
+  }
+
+  pauseRequest() {
+    this.debugging().pause();
+  }
+
+  debugging() {
+    if (this.session === null) {
+      throw new Error('The program was launched without debugging');
+    }
+    return this.session;
+  }
+
+  // ===== INSPECTION =====
+
+  stackTraceRequest() {
+    const frames = this.debugging().stackTrace();
+    return {
+      stackFrames: frames.map(frame => ({
+        id: frame.id,
+        name: frame.name,
+        line: frame.line ?? 0,
+        column: frame.column ?? 0,
+        source: frame.file ? { name: path.basename(frame.file), path: frame.file } : undefined
+      })),
+      totalFrames: frames.length
+    };
+  }
+
+  scopesRequest({ frameId }) {
+    return {
+      scopes: this.debugging().scopes(frameId).map(scope => ({
+        name: scope.name,
+        variablesReference: this.handle({ variables: scope.variables }),
+        expensive: scope.name === 'Global'
+      }))
+    };
+  }
+
+  variablesRequest({ variablesReference }) {
+    const entry = this.handles[variablesReference - 1];
+    if (!entry) {
+      throw new Error(`No variables for reference ${variablesReference}`);
+    }
+    const variables = entry.variables ?? this.debugging().properties(entry.value);
+    return { variables: variables.map(variable => this.variable(variable)) };
+  }
+
+  async evaluateRequest({ expression, frameId = 0 }) {
+    const { preview, expandable, value } = describe(expression, await this.debugging().evaluate(expression, frameId));
+    return { result: preview, variablesReference: expandable ? this.handle({ value }) : 0 };
+  }
+
+  variable({ name, value, preview: shown, expandable }) {
+    return { name, value: shown, variablesReference: expandable ? this.handle({ value }) : 0 };
+  }
+
+  handle(entry) {
+    this.handles.push(entry);
+    return this.handles.length;
+  }
+}
+
+function runDebugAdapter() {
+  const write = process.stdout.write.bind(process.stdout);
+  const adapter = new DebugAdapter(write);
+  // stdout carries the protocol, so the program's own output travels inside it
+  process.stdout.write = (chunk) => {
+    adapter.event('output', { category: 'stdout', output: String(chunk) });
+    return true;
+  };
+  process.stderr.write = (chunk) => {
+    adapter.event('output', { category: 'stderr', output: String(chunk) });
+    return true;
+  };
+  // A spawned task that fails without anyone joining it ends the program like an uncaught error
+  process.on('unhandledRejection', (error) => {
+    adapter.fail(error);
+    adapter.event('exited', { exitCode: 1 });
+    adapter.event('terminated');
+  });
+  process.stdin.on('data', chunk => adapter.receive(chunk));
+  process.stdin.on('end', () => process.exit(0));
+}
+
+module.exports = { DebugAdapter, runDebugAdapter };
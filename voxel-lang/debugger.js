@@ -0,0 +1,360 @@
+// Step debugger for the tree-walking interpreter: line, conditional and log breakpoints, stepping,
+// pause on exceptions, and inspection of the paused program's frames, scopes and values.
+//
+//   const session = interpreter.attachDebugger();
+//   session.setBreakpoint('main.voxel', 12, { condition: 'n > 3' });
+//   session.on('paused', ({ reason, file, line }) => { ...; session.stepOver(); });
+//   await interpreter.run(ast);
+//
+// The interpreter stops before statements of blocks and function bodies. While it is paused every
+// task waits, and expressions can be evaluated in any frame of the paused one.
+
+const path = require('path');
+const util = require('util');
+const { EventEmitter } = require('events');
+const { Lexer } = require('./lexer');
+const { Parser } = require('./parser');
+
+const EXCEPTION_MODES = ['none', 'uncaught', 'all'];
+
+class Debugger extends EventEmitter {
+  constructor(interpreter) {
+    super();
+    this.interpreter = interpreter;
+    // file -> line -> { id, file, line, condition, logMessage, hits }
+    this.breakpoints = new Map();
+    this.nextBreakpointId = 1;
+    this.exceptionMode = 'none';
+    this.stepping = null; // { mode, state, depth } until the step completes
+    this.pauseRequested = false;
+    this.paused = null;
+    this.evaluating = null; // interpreter evaluating for the debugger, which never stops
+    this.reported = new WeakSet();
+    // Registers of each frame at its latest statement, keyed by call stack entry (the interpreter for <main>)
+    this.frameStates = new WeakMap();
+    this.statementLineCache = new Map();
+    // Globals defined before the program runs are builtins, which scopes leave out
+    this.builtins = new Map(interpreter.global.variables);
+  }
+
+  // ===== BREAKPOINTS =====
+
+  // A breakpoint on a line without a statement moves to the next line that has one.
+  // `condition` is an expression; `logMessage` prints (with {expr} interpolated) instead of pausing
+  setBreakpoint(file, line, { condition = null, logMessage = null } = {}) {
+    file = path.resolve(file);
+    const lines = this.statementLines(file);
+    const actual = lines === null ? line : lines.find(candidate => candidate >= line);
+    if (actual === undefined) {
+      throw new Error(`No statement at or after line ${line} of ${file}`);
+    }
+    const breakpoint = { id: this.nextBreakpointId++, file, line: actual, condition, logMessage, hits: 0 };
+    if (!this.breakpoints.has(file)) this.breakpoints.set(file, new Map());
+    this.breakpoints.get(file).set(actual, breakpoint);
+    return breakpoint;
+  }
+
+  removeBreakpoint(id) {
+    for (const lines of this.breakpoints.values()) {
+      for (const [line, breakpoint] of lines) {
+        if (breakpoint.id === id) return lines.delete(line);
+      }
+    }
+    return false;
+  }
+
+  clearBreakpoints(file = null) {
+    if (file === null) this.breakpoints.clear();
+    else this.breakpoints.delete(path.resolve(file));
+  }
+
+  listBreakpoints() {
+    return [...this.breakpoints.values()].flatMap(lines => [...lines.values()]).sort((a, b) => a.id - b.id);
+  }
+
+  // Sorted start lines of the statements in `file`, or null when it can't be read or parsed
+  statementLines(file) {
+    if (!this.statementLineCache.has(file)) {
+      let lines = null;
+      const source = this.interpreter.getSource(file);
+      if (source !== null) {
+        try {
+          lines = [...collectStatementLines(new Parser(new Lexer(source).tokenize()).parse())].sort((a, b) => a - b);
+        } catch {
+          // Breakpoints in a file that doesn't parse stay where they were put
+        }
+      }
+      this.statementLineCache.set(file, lines);
+    }
+    return this.statementLineCache.get(file);
+  }
+
+  // 'none', 'uncaught' (no try around the throw in its task) or 'all'
+  setExceptionMode(mode) {
+    if (!EXCEPTION_MODES.includes(mode)) {
+      throw new Error(`Unknown exception mode '${mode}' (expected ${EXCEPTION_MODES.join(', ')})`);
+    }
+    this.exceptionMode = mode;
+  }
+
+  // ===== EXECUTION CONTROL =====
+
+  // Stops at the next statement run
+  pause() {
+    this.pauseRequested = true;
+  }
+
+  resume() {
+    this.proceed(null);
+  }
+
+  stepOver() {
+    this.proceed('over');
+  }
+
+  stepInto() {
+    this.proceed('into');
+  }
+
+  stepOut() {
+    this.proceed('out');
+  }
+
+  proceed(mode) {
+    const { state, resume } = this.requirePaused();
+    this.stepping = mode && { mode, state, depth: state.callStack.length };
+    this.paused = null;
+    this.emit('resumed');
+    resume();
+  }
+
+  requirePaused() {
+    if (this.paused === null) {
+      throw new Error('The program is not paused');
+    }
+    return this.paused;
+  }
+
+  // Called by the interpreter before each statement of a block or body
+  async beforeStatement(state, node) {
+    if (state === this.evaluating || !node.loc) return;
+    this.frameStates.set(this.topFrame(state), { ...state.captureState(), node });
+    // Another task is paused: wait with it
+    while (this.paused !== null) await this.paused.resumed;
+
+    // Logpoints print even when a step stops on their line
+    const breakpoint = this.breakpoints.get(state.currentFile)?.get(node.loc.start.line);
+    const hit = breakpoint !== undefined && await this.triggers(state, breakpoint);
+    if (this.pauseRequested) {
+      return this.stop(state, node, 'pause');
+    }
+    if (this.stepping !== null && this.stepping.state === state) {
+      const { mode, depth } = this.stepping;
+      const current = state.callStack.length;
+      if (mode === 'into' || (mode === 'over' && current <= depth) || (mode === 'out' && current < depth)) {
+        return this.stop(state, node, 'step');
+      }
+    }
+    if (hit) {
+      return this.stop(state, node, 'breakpoint', { breakpoint });
+    }
+  }
+
+  async triggers(state, breakpoint) {
+    if (breakpoint.condition !== null) {
+      try {
+        if (!await this.evaluateWith(state, breakpoint.condition)) return false;
+      } catch (error) {
+        // A condition that fails stops, so the mistake gets noticed
+        this.emit('output', `Breakpoint condition '${breakpoint.condition}' failed: ${error.message}`);
+      }
+    }
+    breakpoint.hits++;
+    if (breakpoint.logMessage === null) return true;
+    this.emit('output', await this.interpolate(state, breakpoint.logMessage));
+    return false;
+  }
+
+  // Logpoint text with each {expr} replaced by its value
+  async interpolate(state, message) {
+    let text = '';
+    let last = 0;
+    for (const match of message.matchAll(/\{([^{}]+)\}/g)) {
+      let shown;
+      try {
+        const value = await this.evaluateWith(state, match[1]);
+        shown = typeof value === 'string' ? value : preview(value);
+      } catch (error) {
+        shown = `<${error.message}>`;
+      }
+      text += message.slice(last, match.index) + shown;
+      last = match.index + match[0].length;
+    }
+    return text + message.slice(last);
+  }
+
+  // Called by the interpreter when an error is thrown, with the node it was thrown at
+  async exceptionThrown(state, error, node) {
+    if (this.exceptionMode === 'none' || state === this.evaluating || this.reported.has(error)) return;
+    this.reported.add(error);
+    if (this.exceptionMode === 'uncaught' && state.tryDepth > 0) return;
+    while (this.paused !== null) await this.paused.resumed;
+    const exception = 'thrownValue' in error ? error.thrownValue : error;
+    const description = error.errorName ? `${error.errorName}: ${error.message}` : error.message;
+    return this.stop(state, node, 'exception', { exception, description });
+  }
+
+  async stop(state, node, reason, details = {}) {
+    this.stepping = null;
+    this.pauseRequested = false;
+    let resume;
+    const resumed = new Promise(resolve => { resume = resolve; });
+    this.paused = { state, node, reason, resumed, resume, frames: null };
+    const [top] = this.stackTrace();
+    this.emit('paused', { reason, file: top.file, line: top.line, column: top.column, ...details });
+    await resumed;
+  }
+
+  // ===== INSPECTION =====
+
+  topFrame(state) {
+    return state.callStack.length > 0 ? state.callStack[state.callStack.length - 1] : this.interpreter;
+  }
+
+  // Frames of the paused task, innermost first: [{ id, name, file, line, column }]
+  stackTrace() {
+    return this.frames().map(({ id, name, file, line, column }) => ({ id, name, file, line, column }));
+  }
+
+  frames() {
+    const paused = this.requirePaused();
+    if (paused.frames !== null) return paused.frames;
+
+    const { state } = paused;
+    const stack = state.callStack;
+    const frames = [];
+    // The paused frame runs on the live registers; outer ones on those of their latest statement
+    let registers = { ...state.captureState(), node: paused.node };
+    let position = null;
+    const add = (name, depth) => {
+      const start = position ?? registers?.node?.loc?.start ?? { line: null, column: null };
+      frames.push({
+        id: frames.length,
+        name,
+        file: registers?.currentFile ?? null,
+        line: start.line,
+        column: start.column,
+        registers: registers && { ...registers, callStack: stack.slice(0, depth) }
+      });
+    };
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const frame = stack[i];
+      if (!frame.native) {
+        add(frame.name, i + 1);
+      }
+      position = frame.callSite ? frame.callSite.start : null;
+      registers = i > 0 ? this.frameStates.get(stack[i - 1]) : this.frameStates.get(this.interpreter);
+    }
+    add('<main>', 0);
+    paused.frames = frames;
+    return frames;
+  }
+
+  frame(frameId) {
+    const frame = this.frames()[frameId];
+    if (!frame || !frame.registers) {
+      throw new Error(`No frame ${frameId}`);
+    }
+    return frame;
+  }
+
+  // The Environment chain of a frame, innermost first: [{ name, variables: [{ name, value, preview }] }]
+  scopes(frameId = 0) {
+    const scopes = [];
+    for (let environment = this.frame(frameId).registers.environment; environment; environment = environment.parent) {
+      const global = environment.parent === null;
+      const variables = [];
+      for (const [name, value] of environment.variables) {
+        if (global && this.builtins.has(name) && Object.is(this.builtins.get(name), value)) continue;
+        variables.push(describe(name, value));
+      }
+      // Blocks that declare nothing
+      if (variables.length === 0 && !global) continue;
+      scopes.push({ name: global ? 'Global' : scopes.length === 0 ? 'Local' : 'Closure', variables });
+    }
+    return scopes;
+  }
+
+  // Members of a compound value, for expanding it
+  properties(value) {
+    return children(value).map(([name, child]) => describe(name, child));
+  }
+
+  // Runs `source` in a frame of the paused program; assignments change the program's variables
+  evaluate(source, frameId = 0) {
+    const { state } = this.requirePaused();
+    return this.evaluateWith(state, source, this.frame(frameId).registers);
+  }
+
+  async evaluateWith(state, source, registers = null) {
+    const ast = new Parser(new Lexer(source).tokenize()).parse();
+    const saved = state.captureState();
+    const previous = this.evaluating;
+    this.evaluating = state;
+    if (registers !== null) state.restoreState(registers);
+    try {
+      let result = null;
+      for (const statement of ast.statements) {
+        result = await state.evaluate(statement);
+      }
+      return result;
+    } finally {
+      state.restoreState(saved);
+      this.evaluating = previous;
+    }
+  }
+}
+
+function collectStatementLines(node, lines = new Set()) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectStatementLines(child, lines);
+    return lines;
+  }
+  if (!node || typeof node !== 'object') return lines;
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') continue;
+    if ((key === 'statements' || key === 'consequent') && Array.isArray(value)) {
+      for (const statement of value) {
+        if (statement && statement.loc) lines.add(statement.loc.start.line);
+      }
+    }
+    collectStatementLines(value, lines);
+  }
+  return lines;
+}
+
+function children(value) {
+  if (Array.isArray(value)) return value.map((item, index) => [String(index), item]);
+  if (value instanceof Map) return [...value].map(([key, item]) => [preview(key), item]);
+  if (value instanceof Set) return [...value].map((item, index) => [String(index), item]);
+  if (!value || typeof value !== 'object' || value.__isVoxelFunction || value.__isVoxelGenerator) return [];
+  if (value.__class__) return Object.entries(value.__properties__);
+  if (value.__isVoxelClass__) return Object.entries(value.__staticProperties__ ?? {});
+  return Object.entries(value);
+}
+
+function describe(name, value) {
+  return { name, value, preview: preview(value), expandable: children(value).length > 0 };
+}
+
+// One-line rendering of a value for variable lists and prompts
+function preview(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'function') return `<function ${value.name || 'anonymous'}>`;
+  if (value.__isVoxelFunction || value.__isVoxelGenerator) return `<function ${value.name || 'anonymous'}>`;
+  if (value.__isVoxelClass__) return `<class ${value.__name__}>`;
+  return util.inspect(value, { depth: 1, breakLength: Infinity, maxArrayLength: 10, maxStringLength: 80 });
+}
+
+module.exports = { Debugger, preview, describe };
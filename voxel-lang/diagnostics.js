@@ -0,0 +1,106 @@
+// Formatting helpers for source locations, code frames and VoxelScript stack traces
+
+const path = require('path');
+
+function displayPath(file) {
+  if (!file) return '<input>';
+  return path.relative(process.cwd(), file) || file;
+}
+
+function formatLocation(location) {
+  if (!location || location.line == null) return displayPath(location && location.file);
+  return `${displayPath(location.file)}:${location.line}:${location.column}`;
+}
+
+// Render the lines around a location, with a caret under the located range:
+//
+//     2 | let x = 1
+//   > 3 | print(x + y)
+//       |           ^
+function codeFrame(source, location, contextLines = 2) {
+  if (!source || !location || location.line == null) return '';
+
+  const lines = source.split(/\r?\n/);
+  const first = Math.max(1, location.line - contextLines);
+  const last = Math.min(lines.length, location.line + contextLines);
+  const gutterWidth = String(last).length;
+  const output = [];
+
+  for (let number = first; number <= last; number++) {
+    const text = lines[number - 1];
+    const gutter = String(number).padStart(gutterWidth);
+    if (number !== location.line) {
+      output.push(`  ${gutter} | ${text}`);
+      continue;
+    }
+    output.push(`> ${gutter} | ${text}`);
+
+    const startColumn = Math.max(1, location.column || 1);
+    const endColumn = location.endLine === location.line && location.endColumn > startColumn
+      ? location.endColumn
+      : startColumn + 1;
+    const width = Math.max(1, Math.min(endColumn, text.length + 1) - startColumn);
+    const padding = text.slice(0, startColumn - 1).replace(/[^\t]/g, ' ');
+    output.push(`  ${' '.repeat(gutterWidth)} | ${padding}${'^'.repeat(width)}`);
+  }
+
+  return output.join('\n');
+}
+
+function formatStack(frames) {
+  return frames.map(frame => {
+    const where = frame.native ? 'native' : formatLocation(frame);
+    return `    at ${frame.name} (${where})`;
+  }).join('\n');
+}
+
+// Structured form of a located error, as collected by the recovering lexer and parser:
+// { severity, range: { start: { line, column }, end: { line, column } }, message, code }
+// Lines and columns are 1-based and the end column is exclusive.
+function createDiagnostic(error, severity = 'error') {
+  const location = error.location;
+  const end = location.endLine > location.line || location.endColumn > location.column
+    ? { line: location.endLine, column: location.endColumn }
+    : { line: location.line, column: location.column + 1 };
+  return {
+    severity,
+    range: { start: { line: location.line, column: location.column }, end },
+    message: error.message.replace(/ at line \d+(, column \d+)?$/, ''),
+    code: error.code || 'syntax-error'
+  };
+}
+
+function formatDiagnostic(diagnostic, { file = null, source = null } = {}) {
+  const { start, end } = diagnostic.range;
+  const location = { file, line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+  const output = [`${formatLocation(location)} - ${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`];
+  const frame = codeFrame(source, location, 0);
+  if (frame) {
+    output.push(frame);
+  }
+  return output.join('\n');
+}
+
+// Full report for an error thrown while lexing, parsing or running a script
+function formatError(error, { file = null, source = null } = {}) {
+  const message = error && error.message !== undefined ? error.message : String(error);
+  const name = error && typeof error.errorName === 'string' ? error.errorName : 'Error';
+  const output = [`${name}: ${message}`];
+
+  if (error && error.location) {
+    const location = { ...error.location, file: error.location.file || file };
+    output.push(`  at ${formatLocation(location)}`);
+    const frame = error.codeFrame || (location.file === file ? codeFrame(source, location) : '');
+    if (frame) {
+      output.push('', frame);
+    }
+  }
+
+  if (error && error.voxelStack && error.voxelStack.length > 1) {
+    output.push('', formatStack(error.voxelStack.map(frame => ({ ...frame, file: frame.file || file }))));
+  }
+
+  return output.join('\n');
+}
+
+module.exports = { codeFrame, formatLocation, formatStack, formatError, createDiagnostic, formatDiagnostic };
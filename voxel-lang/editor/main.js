@@ -169,7 +169,11 @@ const menuTemplate = [
         label: 'Run',
         submenu: [
             { label: 'Run Script', accelerator: 'F5', click: () => mainWindow.webContents.send('menu-run') },
-            { label: 'Stop Script', accelerator: 'Shift+F5', click: () => mainWindow.webContents.send('menu-stop') }
+            { label: 'Stop Script', accelerator: 'Shift+F5', click: () => mainWindow.webContents.send('menu-stop') },
+            { type: 'separator' },
+            { label: 'Run with Coverage', accelerator: 'CmdOrCtrl+F5', click: () => mainWindow.webContents.send('menu-run-coverage') },
+            { label: 'Show Coverage Report (coverage/lcov.info)', click: () => mainWindow.webContents.send('menu-load-coverage') },
+            { label: 'Hide Coverage', click: () => mainWindow.webContents.send('menu-clear-coverage') }
         ]
     },
     {
@@ -13,7 +13,9 @@ let state = {
     modified: new Set(),
     isRunning: false,
     show3D: false,
-    inputCallback: null
+    inputCallback: null,
+    diagnostics: [],
+    coverage: new Map() // file path -> Map(line -> hit count), shaded in the gutter
 };
 
 // ============================================
@@ -28,6 +30,7 @@ const elements = {
     tabsContainer: document.getElementById('tabs-container'),
     codeEditor: document.getElementById('code-editor'),
     lineNumbers: document.getElementById('line-numbers'),
+    diagnosticsLayer: document.getElementById('diagnostics-layer'),
     consoleOutput: document.getElementById('console-output'),
     consoleInput: document.getElementById('console-input'),
     view3d: document.getElementById('view-3d'),
@@ -198,7 +201,7 @@ function initEventListeners() {
         if (e.key === 'F5') {
             e.preventDefault();
             if (e.shiftKey) stopCode();
-            else runCode();
+            else runCode({ coverage: e.ctrlKey });
         }
         if (e.ctrlKey && e.key === '3') {
             e.preventDefault();
@@ -220,6 +223,9 @@ function initEventListeners() {
     ipcRenderer.on('menu-new-file', showNewFileModal);
     ipcRenderer.on('menu-save', saveCurrentFile);
     ipcRenderer.on('menu-run', runCode);
+    ipcRenderer.on('menu-run-coverage', () => runCode({ coverage: true }));
+    ipcRenderer.on('menu-load-coverage', loadCoverageReport);
+    ipcRenderer.on('menu-clear-coverage', clearCoverage);
     ipcRenderer.on('menu-stop', stopCode);
     ipcRenderer.on('menu-toggle-3d', toggle3DView);
 }
@@ -385,6 +391,7 @@ function setActiveTab(tab) {
     elements.currentFileTitle.textContent = tab.name;
     updateModifiedIndicator();
     updateLineNumbers();
+    checkSyntax();
     renderTabs();
 }
 
@@ -437,7 +444,7 @@ function closeTab(filePath) {
     }
     
     renderTabs();
-    updateLineNumbers();
+    checkSyntax();
 }
 
 async function saveCurrentFile() {
@@ -446,7 +453,7 @@ async function saveCurrentFile() {
         return;
     }
     
-    const content = elements.codeEditor.value;
+    const content = formatOnSave(state.activeTab.path);
     const result = await ipcRenderer.invoke('write-file', state.activeTab.path, content);
     
     if (result.success) {
@@ -461,6 +468,26 @@ async function saveCurrentFile() {
     }
 }
 
+// VoxelScript files are saved through `voxel fmt`'s formatter; one that doesn't parse is saved as it is
+function formatOnSave(filePath) {
+    const code = elements.codeEditor.value;
+    if (!/\.(voxel|vxl)$/.test(filePath)) return code;
+    let formatted;
+    try {
+        const { format } = require(path.join(__dirname, '..', 'formatter.js'));
+        formatted = format(code);
+    } catch (error) {
+        return code;
+    }
+    if (formatted !== code) {
+        const cursor = elements.codeEditor.selectionStart;
+        elements.codeEditor.value = formatted;
+        elements.codeEditor.selectionStart = elements.codeEditor.selectionEnd = Math.min(cursor, formatted.length);
+        onEditorInput();
+    }
+    return formatted;
+}
+
 function showNewFileModal() {
     if (!state.projectPath) {
         logConsole('[ERROR] Open a folder first', 'error');
@@ -504,6 +531,8 @@ async function createNewFile() {
 function onEditorInput() {
     if (state.activeTab) {
         state.activeTab.content = elements.codeEditor.value;
+        // Edits move lines around, so the file's coverage no longer lines up
+        state.coverage.delete(state.activeTab.path);
         
         if (elements.codeEditor.value !== state.activeTab.originalContent) {
             state.modified.add(state.activeTab.path);
@@ -515,6 +544,7 @@ function onEditorInput() {
         renderTabs();
     }
     updateLineNumbers();
+    debouncedCheckSyntax();
     
     // Update 3D view in separate window with debounce
     debouncedUpdate3DWindow();
@@ -547,11 +577,113 @@ function onEditorKeydown(e) {
 
 function updateLineNumbers() {
     const lines = elements.codeEditor.value.split('\n');
-    elements.lineNumbers.innerHTML = lines.map((_, i) => `<div>${i + 1}</div>`).join('');
+    const messages = new Map();
+    state.diagnostics.forEach(d => {
+        const line = d.range.start.line;
+        messages.set(line, (messages.has(line) ? messages.get(line) + '\n' : '') + d.message);
+    });
+    const hits = state.activeTab ? state.coverage.get(state.activeTab.path) : null;
+    elements.lineNumbers.innerHTML = lines.map((_, i) => {
+        if (messages.has(i + 1)) {
+            return `<div class="line-error" title="${escapeHtml(messages.get(i + 1))}">${i + 1}</div>`;
+        }
+        if (hits && hits.has(i + 1)) {
+            const count = hits.get(i + 1);
+            return `<div class="${count > 0 ? 'line-covered' : 'line-uncovered'}" title="Ran ${count}×">${i + 1}</div>`;
+        }
+        return `<div>${i + 1}</div>`;
+    }).join('');
+}
+
+// ============================================
+// COVERAGE
+// ============================================
+// Lines that ran in a coverage run, or in the project's last `voxel test --coverage`
+function showCoverage(files) {
+    for (const [file, hits] of files) {
+        state.coverage.set(file, hits);
+    }
+    updateLineNumbers();
+}
+
+async function loadCoverageReport() {
+    if (!state.projectPath) {
+        logConsole('[ERROR] Open a folder to load its coverage/lcov.info', 'error');
+        return;
+    }
+    const reportPath = path.join(state.projectPath, 'coverage', 'lcov.info');
+    const result = await ipcRenderer.invoke('read-file', reportPath);
+    if (!result.success) {
+        logConsole(`[ERROR] No coverage report at ${reportPath}; run 'voxel test --coverage' first`, 'error');
+        return;
+    }
+    const { parseLcov } = require(path.join(__dirname, '..', 'coverage.js'));
+    const files = parseLcov(result.content);
+    showCoverage(files);
+    logConsole(`[COVERAGE] Loaded ${files.size} file${files.size === 1 ? '' : 's'} from ${reportPath}`, 'info');
+}
+
+function clearCoverage() {
+    state.coverage.clear();
+    updateLineNumbers();
 }
 
 function syncScroll() {
     elements.lineNumbers.scrollTop = elements.codeEditor.scrollTop;
+    elements.diagnosticsLayer.scrollTop = elements.codeEditor.scrollTop;
+}
+
+// ============================================
+// SYNTAX DIAGNOSTICS
+// ============================================
+let checkSyntaxTimeout = null;
+function debouncedCheckSyntax() {
+    if (checkSyntaxTimeout) clearTimeout(checkSyntaxTimeout);
+    checkSyntaxTimeout = setTimeout(checkSyntax, 300);
+}
+
+// Parse in recovering mode so every syntax error is underlined at once
+function checkSyntax() {
+    const code = elements.codeEditor.value;
+    try {
+        const { parseWithDiagnostics } = require(path.join(__dirname, '..', 'parser.js'));
+        state.diagnostics = code.trim() ? parseWithDiagnostics(code).diagnostics : [];
+    } catch (error) {
+        state.diagnostics = [];
+    }
+    updateLineNumbers();
+    renderDiagnostics();
+}
+
+// Mirror the editor text in a transparent layer with the error ranges wrapped in underlined spans
+function renderDiagnostics() {
+    const code = elements.codeEditor.value;
+    const lineStarts = [0];
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') lineStarts.push(i + 1);
+    }
+    const offsetOf = ({ line, column }) => Math.min(code.length, (lineStarts[line - 1] ?? code.length) + column - 1);
+    
+    let html = '';
+    let position = 0;
+    for (const diagnostic of state.diagnostics) {
+        const start = offsetOf(diagnostic.range.start);
+        if (start < position) continue;
+        const end = Math.max(start + 1, offsetOf(diagnostic.range.end));
+        const text = code.slice(start, end).replace(/\n$/, '');
+        html += escapeHtml(code.slice(position, start));
+        // Errors at the end of a line or file still get a visible one-character underline
+        html += `<span class="diagnostic-error">${text ? escapeHtml(text) : ' '}</span>`;
+        position = start + text.length;
+    }
+    html += escapeHtml(code.slice(position));
+    
+    elements.diagnosticsLayer.innerHTML = html;
+    elements.diagnosticsLayer.scrollTop = elements.codeEditor.scrollTop;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 function updateModifiedIndicator() {
@@ -565,7 +697,8 @@ function updateModifiedIndicator() {
 // ============================================
 // CODE EXECUTION
 // ============================================
-function runCode() {
+// With `coverage`, the gutter then shades the lines that ran and the ones that did not
+function runCode({ coverage = false } = {}) {
     if (state.isRunning) {
         logConsole('[WARNING] Code is already running', 'error');
         return;
@@ -592,6 +725,7 @@ function runCode() {
     
     // Use setTimeout to allow UI to update before blocking execution
     setTimeout(async () => {
+        let collected = null;
         try {
             // Import the interpreter - clear cache first to get fresh requires
             const langPath = path.join(__dirname, '..');
@@ -600,13 +734,17 @@ function runCode() {
             delete require.cache[require.resolve(path.join(langPath, 'lexer.js'))];
             delete require.cache[require.resolve(path.join(langPath, 'parser.js'))];
             delete require.cache[require.resolve(path.join(langPath, 'interpreter.js'))];
+            delete require.cache[require.resolve(path.join(langPath, 'diagnostics.js'))];
+            delete require.cache[require.resolve(path.join(langPath, 'coverage.js'))];
             
-            const { Lexer } = require(path.join(langPath, 'lexer.js'));
-            const { Parser } = require(path.join(langPath, 'parser.js'));
+            const { parseWithDiagnostics } = require(path.join(langPath, 'parser.js'));
             const { Interpreter } = require(path.join(langPath, 'interpreter.js'));
             
-            // Create custom interpreter with console output
-            const interpreter = new Interpreter();
+            // Create custom interpreter with console output; it is named after the open file, so
+            // imports resolve next to it and coverage is recorded for it
+            const filename = state.activeTab ? state.activeTab.path : undefined;
+            const interpreter = new Interpreter({ filename, source: code });
+            if (coverage) collected = interpreter.collectCoverage();
             
             // Track which print lines we've executed for 3D
             const executedPrintLines = new Set();
@@ -651,10 +789,20 @@ function runCode() {
             
             // Parse the code
             logConsole('[PARSING]...', 'system');
-            const lexer = new Lexer(code);
-            const tokens = lexer.tokenize();
-            const parser = new Parser(tokens);
-            const ast = parser.parse();
+            const { ast, diagnostics } = parseWithDiagnostics(code);
+            state.diagnostics = diagnostics;
+            updateLineNumbers();
+            renderDiagnostics();
+            if (diagnostics.length > 0) {
+                diagnostics.forEach(d => {
+                    logConsole(`[SYNTAX ERROR] line ${d.range.start.line}, column ${d.range.start.column}: ${d.message}`, 'error');
+                });
+                if (state.show3D && typeof show3DError === 'function') {
+                    show3DError(diagnostics[0].range.start.line, diagnostics[0].message);
+                }
+                finishExecution();
+                return;
+            }
             logConsole('[PARSED] Running...', 'system');
             
             // Execute the AST
@@ -669,11 +817,21 @@ function runCode() {
             logConsole('[ERROR] ' + error.message, 'error');
             console.error(error); // Log to dev console too
             
-            // Try to extract line number from error and show in 3D
+            // Errors from the lexer, parser and interpreter carry their source location
             let errorLine = 1;
-            const lineMatch = error.message.match(/line (\d+)/i);
-            if (lineMatch) {
-                errorLine = parseInt(lineMatch[1]);
+            if (error.location && error.location.line) {
+                errorLine = error.location.line;
+                const { codeFrame, formatStack } = require(path.join(__dirname, '..', 'diagnostics.js'));
+                logConsole(`  at line ${error.location.line}, column ${error.location.column}`, 'error');
+                logConsole(error.codeFrame || codeFrame(code, error.location), 'error');
+                if (error.voxelStack && error.voxelStack.length > 1) {
+                    logConsole(formatStack(error.voxelStack), 'error');
+                }
+            } else {
+                const lineMatch = error.message.match(/line (\d+)/i);
+                if (lineMatch) {
+                    errorLine = parseInt(lineMatch[1]);
+                }
             }
             
             if (state.show3D && typeof show3DError === 'function') {
@@ -681,6 +839,13 @@ function runCode() {
             }
             
             finishExecution();
+        } finally {
+            // Also for a run that failed: the lines up to the error ran
+            if (collected) {
+                showCoverage([...collected.files.values()].map(file => [file.file, file.lineHits()]));
+                const { statements } = collected.summary();
+                logConsole(`[COVERAGE] ${statements.covered}/${statements.total} statements ran`, 'info');
+            }
         }
     }, 50);
 }
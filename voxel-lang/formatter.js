@@ -0,0 +1,1035 @@
+// VoxelScript formatter for `voxel fmt`: parses a file and prints the AST back in one canonical
+// layout. Comments never reach the AST, so the lexer records them on the side and they are put
+// back in front of (or at the end of the line of) the statement, member or list item they sat next to.
+
+const { Lexer, TokenType, KEYWORDS } = require('./lexer');
+const { Parser } = require('./parser');
+
+const WIDTH = 100;
+const INDENT = '    ';
+
+// ===== DOCUMENTS =====
+// A document is a string, an array of documents, or one of the objects below. A group is printed
+// on one line when it fits in WIDTH; otherwise its lines become newlines.
+
+const line = { type: 'line' };
+const softline = { type: 'line', soft: true };
+const hardline = { type: 'line', hard: true };
+
+function group(contents, shouldBreak = false) {
+  return { type: 'group', contents, break: shouldBreak };
+}
+
+function indent(contents) {
+  return { type: 'indent', contents };
+}
+
+// Contents whose own newlines don't force the enclosing groups over several lines, so a call
+// can keep its arguments on one line around a callback's body. They are indented from the line
+// they start on.
+function isolate(contents) {
+  return { type: 'isolate', contents };
+}
+
+// `breakContents` when the enclosing group is broken over several lines, `flatContents` otherwise
+function ifBreak(breakContents, flatContents = '') {
+  return { type: 'ifBreak', breakContents, flatContents };
+}
+
+function join(separator, docs) {
+  const parts = [];
+  docs.forEach((doc, index) => {
+    if (index > 0) parts.push(separator);
+    parts.push(doc);
+  });
+  return parts;
+}
+
+// Marks every group that contains a forced newline (or a broken group) as broken
+function propagateBreaks(doc) {
+  if (typeof doc === 'string') return doc.includes('\n');
+  if (Array.isArray(doc)) {
+    let breaks = false;
+    for (const part of doc) {
+      if (propagateBreaks(part)) breaks = true;
+    }
+    return breaks;
+  }
+  switch (doc.type) {
+    case 'line': return !!doc.hard;
+    case 'indent': return propagateBreaks(doc.contents);
+    case 'isolate':
+      propagateBreaks(doc.contents);
+      return false;
+    case 'ifBreak': return false;
+    case 'group':
+      if (propagateBreaks(doc.contents)) doc.break = true;
+      return doc.break;
+  }
+  return false;
+}
+
+// Whether `next` printed flat, followed by the rest of the line, fits in `width` columns
+function fits(next, stack, width) {
+  const pending = [next];
+  let rest = stack.length;
+  while (width >= 0) {
+    if (pending.length === 0) {
+      if (rest === 0) return true;
+      pending.push(stack[--rest]);
+      continue;
+    }
+    const { depth, flat, doc } = pending.pop();
+    if (typeof doc === 'string') {
+      const newline = doc.indexOf('\n');
+      if (newline !== -1) return width - newline >= 0;
+      width -= doc.length;
+    } else if (Array.isArray(doc)) {
+      for (let i = doc.length - 1; i >= 0; i--) pending.push({ depth, flat, doc: doc[i] });
+    } else if (doc.type === 'indent') {
+      pending.push({ depth: depth + 1, flat, doc: doc.contents });
+    } else if (doc.type === 'isolate') {
+      pending.push({ depth, flat: false, doc: doc.contents });
+    } else if (doc.type === 'ifBreak') {
+      pending.push({ depth, flat, doc: flat ? doc.flatContents : doc.breakContents });
+    } else if (doc.type === 'group') {
+      pending.push({ depth, flat: flat && !doc.break, doc: doc.contents });
+    } else if (doc.type === 'line') {
+      if (!flat || doc.hard) return true;
+      if (!doc.soft) width--;
+    }
+  }
+  return false;
+}
+
+function render(doc) {
+  propagateBreaks(doc);
+  const out = [];
+  let column = 0;
+  let lineDepth = 0;
+  const stack = [{ depth: 0, flat: false, doc }];
+  while (stack.length > 0) {
+    const { depth, flat, doc: current } = stack.pop();
+    if (typeof current === 'string') {
+      out.push(current);
+      const newline = current.lastIndexOf('\n');
+      column = newline === -1 ? column + current.length : current.length - newline - 1;
+    } else if (Array.isArray(current)) {
+      for (let i = current.length - 1; i >= 0; i--) stack.push({ depth, flat, doc: current[i] });
+    } else if (current.type === 'indent') {
+      stack.push({ depth: depth + 1, flat, doc: current.contents });
+    } else if (current.type === 'isolate') {
+      stack.push({ depth: lineDepth, flat: false, doc: current.contents });
+    } else if (current.type === 'ifBreak') {
+      stack.push({ depth, flat, doc: flat ? current.flatContents : current.breakContents });
+    } else if (current.type === 'group') {
+      const flatGroup = flat || (!current.break && fits({ depth, flat: true, doc: current.contents }, stack, WIDTH - column));
+      stack.push({ depth, flat: flatGroup, doc: current.contents });
+    } else if (current.type === 'line') {
+      if (flat && !current.hard) {
+        if (!current.soft) {
+          out.push(' ');
+          column++;
+        }
+      } else {
+        // No trailing whitespace before a newline
+        while (out.length > 0 && /[ \t]$/.test(out[out.length - 1])) {
+          out[out.length - 1] = out[out.length - 1].replace(/[ \t]+$/, '');
+        }
+        out.push('\n' + INDENT.repeat(depth));
+        column = depth * INDENT.length;
+        lineDepth = depth;
+      }
+    }
+  }
+  return out.join('');
+}
+
+// The first text a document prints, to spot statements that would reparse as something else
+function firstText(doc) {
+  if (typeof doc === 'string') return doc || null;
+  if (Array.isArray(doc)) {
+    for (const part of doc) {
+      const text = firstText(part);
+      if (text) return text;
+    }
+    return null;
+  }
+  if (doc.type === 'group' || doc.type === 'indent' || doc.type === 'isolate') return firstText(doc.contents);
+  return null;
+}
+
+function hasNewline(doc) {
+  if (typeof doc === 'string') return doc.includes('\n');
+  if (Array.isArray(doc)) return doc.some(hasNewline);
+  if (doc.type === 'line') return !!doc.hard;
+  if (doc.type === 'ifBreak') return false;
+  return hasNewline(doc.contents);
+}
+
+// ===== PRECEDENCE =====
+
+const BINARY_PRECEDENCE = {
+  'or': 4, 'and': 5, '|': 6, '^': 7, '&': 8,
+  '==': 9, '!=': 9, '===': 9, '!==': 9,
+  '<': 10, '>': 10, '<=': 10, '>=': 10,
+  '<<': 11, '>>': 11, '>>>': 11,
+  '+': 13, '-': 13, '*': 14, '/': 14, '%': 14, '**': 15
+};
+const UNARY = 16;
+const POSTFIX = 17;
+const CALL = 18;
+const PRIMARY = 19;
+
+function precedence(node) {
+  switch (node.type) {
+    case 'ArrowFunction': return 0;
+    case 'TernaryExpr': return 1;
+    case 'NullishCoalescing': return 2;
+    case 'PipeExpr': return 3;
+    case 'BinaryExpr': return BINARY_PRECEDENCE[node.operator] ?? 4;
+    case 'InstanceOfExpr': return 10;
+    case 'RangeExpr': return 12;
+    case 'UnaryExpr': case 'TypeOfExpr': case 'DeleteExpr': case 'AwaitExpr':
+    case 'SpawnExpr': case 'YieldExpr': case 'LazyExpr':
+      return UNARY;
+    case 'UpdateExpr': return node.prefix ? UNARY : POSTFIX;
+    case 'FunctionCall': case 'MemberAccess': case 'IndexAccess': case 'OptionalChain': case 'NewExpr':
+      return CALL;
+    default: return PRIMARY;
+  }
+}
+
+// Operator, precedence and operands of the binary-like nodes, which all associate to the left
+// except '**'
+function binaryParts(node) {
+  switch (node.type) {
+    case 'BinaryExpr': return { operator: node.operator, precedence: precedence(node) };
+    case 'NullishCoalescing': return { operator: '??', precedence: 2 };
+    case 'PipeExpr': return { operator: '|>', precedence: 3 };
+    case 'InstanceOfExpr': return { operator: 'instanceof', precedence: 10 };
+    default: return null;
+  }
+}
+
+// ===== HELPERS =====
+
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+function isIdentifierName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !Object.prototype.hasOwnProperty.call(KEYWORDS, name);
+}
+
+// A string literal in double quotes, or single quotes when that avoids escaping
+function quote(value) {
+  const mark = value.includes('"') && !value.includes("'") ? "'" : '"';
+  let text = '';
+  for (const char of value) {
+    if (char === mark || char === '\\') text += '\\' + char;
+    else if (char === '\n') text += '\\n';
+    else if (char === '\t') text += '\\t';
+    else if (char === '\r') text += '\\r';
+    else if (char === '\0') text += '\\0';
+    else if (char < ' ' || char === '\x7f') text += '\\x' + char.charCodeAt(0).toString(16).padStart(2, '0');
+    else text += char;
+  }
+  return mark + text + mark;
+}
+
+// Declarations and test blocks that get a blank line before and after them
+function isSpaced(node) {
+  if (node.type === 'ExportStatement' && node.declaration && !node.isDefault) return isSpaced(node.declaration);
+  if (node.type === 'DecoratedDeclaration') return isSpaced(node.declaration);
+  if (node.type === 'FunctionCall') return !!node.isTestBlock;
+  return ['ClassDeclaration', 'EnumDeclaration', 'InterfaceDeclaration'].includes(node.type) ||
+    ((node.type === 'FunctionDeclaration' || node.type === 'GeneratorDeclaration') && !!node.name);
+}
+
+// ===== FORMATTER =====
+
+class Formatter {
+  constructor(source) {
+    this.source = source;
+    const lexer = new Lexer(source, { comments: true });
+    const tokens = lexer.tokenize();
+    this.ast = new Parser(tokens).parse();
+    this.tokens = tokens.filter(token => token.type !== TokenType.NEWLINE);
+    this.comments = lexer.comments.map(comment => ({
+      ...comment,
+      start: { line: comment.line, column: comment.column },
+      end: { line: comment.endLine, column: comment.endColumn }
+    }));
+    this.nextComment = 0;
+    this.lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') this.lineStarts.push(i + 1);
+    }
+  }
+
+  format() {
+    const text = render(this.program(this.ast));
+    return text.trim() === '' ? '' : text.replace(/\s+$/, '') + '\n';
+  }
+
+  // ===== COMMENTS =====
+
+  // The comments not printed yet that start before `position`
+  takeComments(position) {
+    const taken = [];
+    while (this.nextComment < this.comments.length &&
+           comparePositions(this.comments[this.nextComment].start, position) < 0) {
+      taken.push(this.comments[this.nextComment++]);
+    }
+    return taken;
+  }
+
+  hasCommentBefore(position) {
+    return this.nextComment < this.comments.length &&
+      comparePositions(this.comments[this.nextComment].start, position) < 0;
+  }
+
+  // Whether a comment not printed yet lies inside `range`
+  hasCommentIn(range) {
+    const comment = this.comments[this.nextComment];
+    return !!comment && comparePositions(comment.start, range.end) < 0 &&
+      comparePositions(comment.start, range.start) >= 0;
+  }
+
+  // A `//` comment at the end of the line where something ending at `position` ends, with
+  // nothing but a comma between them
+  takeTrailing(position) {
+    const comment = this.comments[this.nextComment];
+    if (!comment || comment.type !== 'line' || comment.line !== position.line ||
+        comparePositions(comment.start, position) < 0) {
+      return null;
+    }
+    let next = this.tokenAt(position);
+    if (next && next.type === TokenType.COMMA) next = this.tokens[this.tokens.indexOf(next) + 1];
+    if (next && next.type !== TokenType.EOF && next.line === comment.line &&
+        comparePositions(next, comment.start) < 0) {
+      return null;
+    }
+    this.nextComment++;
+    return comment;
+  }
+
+  // The first token starting at or after `position`
+  tokenAt(position) {
+    let low = 0;
+    let high = this.tokens.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (comparePositions(this.tokens[middle], position) < 0) low = middle + 1;
+      else high = middle;
+    }
+    return this.tokens[low];
+  }
+
+  // Comments on lines of their own, keeping one blank line where the source had any
+  commentLines(comments, nextLine) {
+    const parts = [];
+    comments.forEach((comment, index) => {
+      parts.push(comment.text, hardline);
+      const following = index + 1 < comments.length ? comments[index + 1].line : nextLine;
+      if (following !== null && following > comment.endLine + 1) parts.push(hardline);
+    });
+    return parts;
+  }
+
+  // Items printed one per line with their comments. `span(item)` gives the source range an
+  // item's comments are looked up by; comments left over before `end` close the list.
+  sequence(items, end, options) {
+    const { print, span = item => item.loc, blankBetween = () => false, keepBlankLines = true, comma = null } = options;
+    const parts = [];
+    let previous = null;
+    let previousEnd = null;
+    items.forEach((item, index) => {
+      const range = span(item);
+      const leading = range ? this.takeComments(range.start) : [];
+      const doc = print(item);
+      const inner = range ? this.takeComments(range.end) : [];
+      const separator = comma === 'all' || (comma === 'between' && index < items.length - 1) ? ',' : '';
+      const trailing = range ? this.takeTrailing(range.end) : null;
+      const firstLine = leading.length > 0 ? leading[0].line : range ? range.start.line : null;
+      if (index > 0) {
+        parts.push(hardline);
+        const blankInSource = keepBlankLines && previousEnd !== null && firstLine !== null && firstLine > previousEnd + 1;
+        if (blankInSource || blankBetween(previous, item)) parts.push(hardline);
+      }
+      parts.push(this.commentLines(leading, range ? range.start.line : null), this.commentLines(inner, null));
+      parts.push(doc, separator, trailing ? [' ', trailing.text] : '');
+      previous = item;
+      previousEnd = trailing ? trailing.endLine : range ? range.end.line : null;
+    });
+    const rest = end ? this.takeComments(end) : [];
+    if (rest.length > 0) {
+      if (parts.length > 0) {
+        parts.push(hardline);
+        if (keepBlankLines && previousEnd !== null && rest[0].line > previousEnd + 1) parts.push(hardline);
+      }
+      const lines = this.commentLines(rest, null);
+      parts.push(lines.slice(0, lines.lastIndexOf(hardline)));
+    }
+    return parts;
+  }
+
+  // A bracketed, comma-separated list that stays on one line when it fits. `comma: 'all'` adds a
+  // trailing comma when it is broken over several lines; lists with comments are always broken.
+  list(open, close, items, options) {
+    const { print, range, span = item => item && item.loc, comma = 'between', padding = false, shouldBreak = false, forceTrailingComma = false } = options;
+    if (range && this.hasCommentIn(range)) {
+      const body = this.sequence(items, range.end, { print, span, comma });
+      return group([open, indent([hardline, body]), hardline, close], true);
+    }
+    if (items.length === 0) return open + close;
+    const edge = padding ? line : softline;
+    const trailingComma = forceTrailingComma ? ',' : comma === 'all' ? ifBreak(',') : '';
+    return group([open, indent([edge, join([',', line], items.map(print)), trailingComma]), edge, close], shouldBreak);
+  }
+
+  slice(loc) {
+    const offset = position => this.lineStarts[position.line - 1] + position.column - 1;
+    return this.source.slice(offset(loc.start), offset(loc.end));
+  }
+
+  // ===== STATEMENTS =====
+
+  program(node) {
+    return this.sequence(node.statements, { line: Infinity, column: 0 }, {
+      print: statement => this.statement(statement),
+      blankBetween: (a, b) => isSpaced(a) || isSpaced(b)
+    });
+  }
+
+  block(node) {
+    const body = this.sequence(node.statements, node.loc.end, {
+      print: statement => this.statement(statement),
+      blankBetween: (a, b) => isSpaced(a) || isSpaced(b)
+    });
+    if (body.length === 0) return '{}';
+    return isolate(['{', indent([hardline, body]), hardline, '}']);
+  }
+
+  statement(node) {
+    switch (node.type) {
+      case 'LetDeclaration':
+        return [node.isConst ? 'const ' : 'let ', node.name, node.value ? [' = ', this.expression(node.value)] : ''];
+      case 'TypedDeclaration':
+        return [node.isConst ? 'const ' : 'let ', node.name, ': ', this.type(node.typeAnnotation),
+          node.value ? [' = ', this.expression(node.value)] : ''];
+      case 'DestructuringDeclaration':
+        return [node.isConst ? 'const ' : 'let ', this.destructuringPattern(node), ' = ', this.expression(node.value)];
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+        return this.function(node);
+      case 'ClassDeclaration':
+        return this.classDeclaration(node);
+      case 'EnumDeclaration':
+        return this.enumDeclaration(node);
+      case 'InterfaceDeclaration':
+        return this.interfaceDeclaration(node);
+      case 'TypeAliasDeclaration':
+        return ['typedef ', node.name, ' = ', this.type(node.typeDefinition)];
+      case 'DecoratedDeclaration':
+        return [
+          node.decorators.map(decorator => [
+            '@', decorator.name,
+            decorator.args.length > 0 ? this.list('(', ')', decorator.args, { print: arg => this.expression(arg) }) : '',
+            hardline
+          ]),
+          this.statement(node.declaration)
+        ];
+      case 'ImportStatement':
+        return this.importStatement(node);
+      case 'ExportStatement':
+        return this.exportStatement(node);
+      case 'Block':
+        return this.block(node);
+      case 'IfStatement':
+        return this.ifStatement(node);
+      case 'MatchExpr':
+        return this.matchStatement(node);
+      case 'SwitchStatement':
+        return this.switchStatement(node);
+      case 'LoopStatement':
+        return ['loop ', node.variable, ' from ', this.expression(node.from), ' to ', this.expression(node.to),
+          node.step ? [' step ', this.expression(node.step)] : '', ' ', this.block(node.body)];
+      case 'ForInStatement':
+        return ['for ', node.variable, ' in ', this.expression(node.iterable), ' ', this.block(node.body)];
+      case 'ForOfStatement':
+        return ['for ', node.variable, ' of ', this.expression(node.iterable), ' ', this.block(node.body)];
+      case 'WhileStatement':
+        return ['while ', this.expression(node.condition), ' ', this.block(node.body)];
+      case 'DoWhileStatement':
+        return ['do ', this.block(node.body), ' while ', this.expression(node.condition)];
+      case 'TryStatement':
+        return [
+          'try ', this.block(node.block),
+          node.handlers.map(handler => [
+            ' catch',
+            handler.param ? [' (', handler.param, handler.typeAnnotation ? [': ', this.type(handler.typeAnnotation)] : '', ')'] : '',
+            ' ', this.block(handler.body)
+          ]),
+          node.finalizer ? [' finally ', this.block(node.finalizer)] : ''
+        ];
+      case 'ThrowStatement':
+        return ['throw ', this.expression(node.argument)];
+      case 'ReturnStatement': {
+        if (!node.value) return 'return';
+        let value = this.expression(node.value);
+        if (/^(fn\b|async fn\b)/.test(firstText(value))) value = ['(', value, ')'];
+        return ['return ', value];
+      }
+      case 'BreakStatement':
+        return node.label ? ['break ', node.label] : 'break';
+      case 'ContinueStatement':
+        return node.label ? ['continue ', node.label] : 'continue';
+      case 'LabeledStatement':
+        return [node.label, ': ', this.statement(node.body)];
+      case 'PrintStatement':
+        return ['print(', this.expression(node.value), ')'];
+      case 'AssertStatement':
+        return ['assert ', this.expression(node.condition), node.message ? [', ', this.expression(node.message)] : ''];
+      case 'DebugStatement':
+        return ['debug ', this.expression(node.expression)];
+      case 'WithStatement':
+        return ['with ', this.expression(node.object), node.alias ? [' as ', node.alias] : '', ' ', this.block(node.body)];
+      case 'YieldExpr':
+        return ['yield', node.delegate ? '*' : '', node.argument ? [' ', this.expression(node.argument)] : ''];
+      case 'Assignment':
+        return this.expressionStatement(node, [this.expression(node.target), ' ', node.operator, ' ', this.expression(node.value)]);
+      case 'FunctionCall':
+        if (node.isTestBlock) {
+          return [this.expression(node.callee), ' ', this.string(node.args[0]), ' ', this.block(node.args[1].body)];
+        }
+        return this.expressionStatement(node, this.expression(node));
+      default:
+        return this.expressionStatement(node, this.expression(node));
+    }
+  }
+
+  // Parenthesized when it would otherwise start with something that begins another statement
+  expressionStatement(node, doc) {
+    const text = firstText(doc) || '';
+    if (text.startsWith('{') || /^(fn\b|fn\*|async fn\b)/.test(text) ||
+        (/^yield\b/.test(text) && node.type !== 'YieldExpr')) {
+      return ['(', doc, ')'];
+    }
+    return doc;
+  }
+
+  destructuringPattern(node) {
+    if (node.isArray) {
+      return ['[', join(', ', node.pattern.map(element => {
+        if (element === null) return ','; // A hole is written `, ,`
+        if (element.type === 'rest') return '...' + element.name;
+        return [element.name, element.default ? [' = ', this.expression(element.default)] : ''];
+      })), ']'];
+    }
+    return ['{ ', join(', ', node.pattern.map(property => {
+      if (property.type === 'rest') return '...' + property.name;
+      return [property.key, property.name !== property.key ? [': ', property.name] : '',
+        property.default ? [' = ', this.expression(property.default)] : ''];
+    })), ' }'];
+  }
+
+  function(node) {
+    return [
+      node.isAsync ? 'async ' : '',
+      node.type === 'GeneratorDeclaration' ? 'fn*' : 'fn',
+      node.name ? [' ', node.name] : '',
+      this.params(node.params),
+      node.returnType ? [': ', this.type(node.returnType)] : '',
+      ' ', this.block(node.body)
+    ];
+  }
+
+  params(params) {
+    return this.list('(', ')', params, { print: param => this.param(param) });
+  }
+
+  param(param) {
+    return [
+      param.type === 'rest' ? '...' : '',
+      param.name,
+      param.typeAnnotation ? [': ', this.type(param.typeAnnotation)] : '',
+      param.default ? [' = ', this.expression(param.default)] : ''
+    ];
+  }
+
+  classDeclaration(node) {
+    const header = [
+      node.isAbstract ? 'abstract ' : '', 'class ', node.name,
+      node.superClass ? [' extends ', node.superClass] : '',
+      node.interfaces.length > 0 ? [' implements ', node.interfaces.join(', ')] : ''
+    ];
+    const body = this.sequence(node.body, node.loc.end, {
+      print: member => this.classMember(member),
+      // Methods are set apart from each other and from properties, which stay together
+      blankBetween: (a, b) => (a.type === 'MethodDefinition' && !!a.body) || (b.type === 'MethodDefinition' && !!b.body)
+    });
+    if (body.length === 0) return [header, ' {}'];
+    return [header, ' {', indent([hardline, body]), hardline, '}'];
+  }
+
+  classMember(node) {
+    const modifiers = [
+      node.access !== 'public' ? node.access + ' ' : '',
+      node.isStatic ? 'static ' : ''
+    ];
+    if (node.type === 'PropertyDefinition') {
+      return [modifiers, node.key, node.typeAnnotation ? [': ', this.type(node.typeAnnotation)] : '',
+        node.value ? [' = ', this.expression(node.value)] : ''];
+    }
+    return [
+      modifiers,
+      node.isAbstract ? 'abstract ' : '',
+      node.isAsync ? 'async ' : '',
+      node.kind === 'get' || node.kind === 'set' ? node.kind + ' ' : '',
+      node.key,
+      this.params(node.params),
+      node.returnType ? [': ', this.type(node.returnType)] : '',
+      node.body ? [' ', this.block(node.body)] : ''
+    ];
+  }
+
+  enumDeclaration(node) {
+    const spans = this.memberSpans(node, node.members.map(member => member.name));
+    const hasVariants = node.members.some(member => member.fields);
+    // Without a variant that has fields, `Name()` is what makes the enum one of variants
+    const emptyParens = !node.members.some(member => member.fields && member.fields.length > 0);
+    let autoValue = 0;
+    const docs = node.members.map((member, index) => {
+      if (member.fields) {
+        return member.fields.length > 0 || emptyParens ? [member.name, '(', member.fields.join(', '), ')'] : member.name;
+      }
+      // Values are only written out where they differ from the automatic numbering
+      let value = '';
+      if (hasVariants || member.value !== autoValue) {
+        value = [' = ', this.enumValue(member.value, spans[index])];
+      }
+      if (typeof member.value === 'number') autoValue = member.value;
+      autoValue++;
+      return [member.name, value];
+    });
+    const range = { start: node.loc.start, end: node.loc.end };
+    const multiline = node.members.length > 0 && spans[0] && spans[0].start.line > node.loc.start.line;
+    const items = node.members.map((member, index) => index);
+    return ['enum ', node.name, ' ', this.list('{', '}', items, {
+      print: index => docs[index],
+      span: index => spans[index],
+      range,
+      comma: 'all',
+      padding: true,
+      shouldBreak: multiline
+    })];
+  }
+
+  enumValue(value, span) {
+    if (typeof value === 'string') return quote(value);
+    if (typeof value === 'number') {
+      // Keep the number as written (0xFF, 1_000)
+      const token = span && this.tokens.find(token => token.type === TokenType.NUMBER &&
+        comparePositions(token, span.start) >= 0 && comparePositions(token, span.end) < 0);
+      return token && token.value === value ? this.slice({ start: token, end: { line: token.endLine, column: token.endColumn } }) : String(value);
+    }
+    return this.expression(value);
+  }
+
+  interfaceDeclaration(node) {
+    const spans = this.memberSpans(node, node.members.map(member => member.name));
+    const header = ['interface ', node.name, node.extends ? [' extends ', node.extends.join(', ')] : ''];
+    const body = this.sequence(node.members.map((member, index) => index), node.loc.end, {
+      print: index => this.interfaceMember(node.members[index]),
+      span: index => spans[index]
+    });
+    if (body.length === 0) return [header, ' {}'];
+    return [header, ' {', indent([hardline, body]), hardline, '}'];
+  }
+
+  interfaceMember(member) {
+    if (member.kind === 'method') {
+      const params = member.params.map(param => [param.name, param.type ? [': ', this.type(param.type)] : '']);
+      return [member.name, '(', join(', ', params), ')', member.returnType ? [': ', this.type(member.returnType)] : ''];
+    }
+    return [member.name, member.type ? [': ', this.type(member.type)] : ''];
+  }
+
+  // Source ranges of enum or interface members, which are plain objects without locations: each
+  // starts at its name at the top level of the body and ends before the next one
+  memberSpans(node, names) {
+    const spans = [];
+    let index = this.tokens.indexOf(this.tokenAt(node.loc.start));
+    while (index < this.tokens.length && this.tokens[index].type !== TokenType.LBRACE) index++;
+    let depth = 0;
+    let starts = [];
+    let close = null;
+    for (let i = index + 1; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      const previous = this.tokens[i - 1];
+      if ([TokenType.LPAREN, TokenType.LBRACKET, TokenType.LBRACE].includes(token.type)) depth++;
+      if ([TokenType.RPAREN, TokenType.RBRACKET, TokenType.RBRACE].includes(token.type)) {
+        if (depth === 0) {
+          close = i;
+          break;
+        }
+        depth--;
+      }
+      if (depth === 0 && starts.length < names.length && token.type === TokenType.IDENTIFIER &&
+          token.value === names[starts.length] &&
+          ![TokenType.COLON, TokenType.BITWISE_OR, TokenType.LT, TokenType.DOT, TokenType.ASSIGN].includes(previous.type)) {
+        starts.push(i);
+      }
+    }
+    starts.forEach((start, n) => {
+      let last = (n + 1 < starts.length ? starts[n + 1] : close ?? this.tokens.length) - 1;
+      if (this.tokens[last].type === TokenType.COMMA || this.tokens[last].type === TokenType.SEMICOLON) last--;
+      const token = this.tokens[last];
+      spans.push({
+        start: { line: this.tokens[start].line, column: this.tokens[start].column },
+        end: { line: token.endLine, column: token.endColumn }
+      });
+    });
+    return spans;
+  }
+
+  importStatement(node) {
+    const source = quote(node.source);
+    const [first] = node.specifiers;
+    if (!first) return ['import from ', source];
+    if (first.type === 'namespace') return ['import * as ', first.name, ' from ', source];
+    if (first.type === 'default') return ['import ', first.name, ' from ', source];
+    const names = node.specifiers.map(specifier =>
+      specifier.local === specifier.imported ? specifier.imported : [specifier.imported, ' as ', specifier.local]);
+    return ['import ', this.list('{', '}', names, { print: name => name, padding: true }), ' from ', source];
+  }
+
+  exportStatement(node) {
+    if (node.isDefault) return ['export default ', this.expression(node.declaration)];
+    if (node.declaration) return ['export ', this.statement(node.declaration)];
+    const names = node.specifiers.map(specifier =>
+      specifier.exported === specifier.local ? specifier.local : [specifier.local, ' as ', specifier.exported]);
+    return ['export ', this.list('{', '}', names, { print: name => name, padding: true }),
+      node.source !== null ? [' from ', quote(node.source)] : ''];
+  }
+
+  ifStatement(node) {
+    const parts = ['if ', this.expression(node.condition), ' ', this.block(node.thenBranch)];
+    if (node.elseBranch) {
+      parts.push(' else ', node.elseBranch.type === 'IfStatement' ? this.ifStatement(node.elseBranch) : this.block(node.elseBranch));
+    }
+    return parts;
+  }
+
+  matchStatement(node) {
+    const arms = this.sequence(node.arms, node.loc.end, {
+      print: arm => {
+        const next = node.arms[node.arms.indexOf(arm) + 1];
+        // An expression body would take a following `[...]` pattern as an index
+        const comma = arm.body.type !== 'Block' && next && next.pattern.type === 'ArrayPattern' ? ',' : '';
+        return [this.matchArm(arm), comma];
+      },
+      keepBlankLines: false
+    });
+    const header = ['match ', this.expression(node.discriminant)];
+    if (arms.length === 0) return [header, ' {}'];
+    return [header, ' {', indent([hardline, arms]), hardline, '}'];
+  }
+
+  matchArm(arm) {
+    const head = [this.pattern(arm.pattern), arm.guard ? [' when ', this.expression(arm.guard)] : '', ' => '];
+    if (arm.body.type !== 'Block') {
+      return [head, this.expressionStatement(arm.body, this.expression(arm.body))];
+    }
+    const { statements } = arm.body;
+    // A single statement stays on the arm's line when it fits
+    if (statements.length === 1 && !this.hasCommentIn({ start: arm.loc.start, end: arm.body.loc.end })) {
+      const statement = this.statement(statements[0]);
+      if (!hasNewline(statement)) return [head, group(['{', indent([line, statement]), line, '}'])];
+    }
+    return [head, this.block(arm.body)];
+  }
+
+  switchStatement(node) {
+    const cases = this.sequence(node.cases, node.loc.end, {
+      print: switchCase => {
+        const body = this.sequence(switchCase.consequent, null, { print: statement => this.statement(statement) });
+        const label = switchCase.test ? ['case ', this.expression(switchCase.test), ':'] : 'default:';
+        return body.length > 0 ? [label, indent([hardline, body])] : label;
+      },
+      span: switchCase => switchCase.test ? switchCase.loc : null
+    });
+    const header = ['switch ', this.expression(node.discriminant)];
+    if (cases.length === 0) return [header, ' {}'];
+    return [header, ' {', indent([hardline, cases]), hardline, '}'];
+  }
+
+  // ===== PATTERNS AND TYPES =====
+
+  pattern(node) {
+    switch (node.type) {
+      case 'WildcardPattern': return '_';
+      case 'LiteralPattern': return this.expression(node.value);
+      case 'BindingPattern': return node.name;
+      case 'TypePattern': return ['is ', node.typeName];
+      case 'RangePattern':
+        return [this.expression(node.start), node.inclusive ? '..=' : '..', this.expression(node.end)];
+      case 'OrPattern':
+        return join(' | ', node.patterns.map(pattern => this.pattern(pattern)));
+      case 'VariantPattern':
+        return [this.expression(node.callee), '(', join(', ', node.args.map(arg => this.pattern(arg))), ')'];
+      case 'ArrayPattern':
+        return ['[', join(', ', node.elements.map(element =>
+          element.type === 'rest' ? '...' + element.name : this.pattern(element))), ']'];
+      case 'ObjectPattern': {
+        if (node.properties.length === 0) return '{}';
+        const properties = node.properties.map(property => {
+          if (property.type === 'rest') return '...' + property.name;
+          if (property.pattern.type === 'BindingPattern' && property.pattern.name === property.key) return property.key;
+          return [property.key, ': ', this.pattern(property.pattern)];
+        });
+        return ['{ ', join(', ', properties), ' }'];
+      }
+    }
+    throw new Error(`Cannot format pattern ${node.type}`);
+  }
+
+  type(node) {
+    if (node.kind === 'object') {
+      if (node.properties.length === 0) return '{}';
+      return ['{ ', join(', ', node.properties.map(property => [property.key, ': ', this.type(property.type)])), ' }'];
+    }
+    if (node.kind === 'array') return '[]';
+    if (node.kind === 'union') return join(' | ', node.types.map(type => this.type(type)));
+    const { generic } = node;
+    let base;
+    // Array<number> is written number[]
+    if (node.name === 'Array' && generic && generic.type === 'TypeAnnotation' && !generic.nullable) {
+      base = [this.type(generic), '[]'];
+    } else {
+      base = [node.name, generic ? ['<', this.type(generic), '>'] : ''];
+    }
+    return [base, node.nullable ? '?' : ''];
+  }
+
+  // ===== EXPRESSIONS =====
+
+  // `node` in a place that binds at least as tightly as `minimum`
+  expression(node, minimum = 0) {
+    const doc = this.printExpression(node);
+    return precedence(node) < minimum ? ['(', doc, ')'] : doc;
+  }
+
+  printExpression(node) {
+    switch (node.type) {
+      case 'NumberLiteral': return this.number(node);
+      case 'StringLiteral': return this.string(node);
+      case 'TemplateLiteral': return this.template(node);
+      case 'BoolLiteral': return String(node.value);
+      case 'NullLiteral': return 'null';
+      case 'Identifier': return node.name;
+      case 'ThisExpr': return 'this';
+      case 'SuperExpr': return 'super';
+      case 'ArrayLiteral': return this.array(node);
+      case 'ObjectLiteral': return this.object(node);
+      case 'SpreadElement': return ['...', this.expression(node.argument)];
+      case 'BinaryExpr':
+      case 'NullishCoalescing':
+      case 'PipeExpr':
+      case 'InstanceOfExpr':
+        return this.binary(node);
+      case 'UnaryExpr': {
+        const operand = this.expression(node.operand, UNARY);
+        // `- -x`, not `--x`; `not x`
+        const space = /^[a-z]/.test(node.operator) ||
+          (node.operator === '-' && /^-/.test(firstText(operand) || ''));
+        return [node.operator, space ? ' ' : '', operand];
+      }
+      case 'UpdateExpr':
+        return node.prefix
+          ? [node.operator, this.expression(node.operand, UNARY)]
+          : [this.expression(node.operand, CALL), node.operator];
+      case 'TernaryExpr':
+        return group([
+          this.expression(node.condition, 2),
+          indent([line, '? ', this.expression(node.consequent), line, ': ', this.expression(node.alternate, 1)])
+        ]);
+      case 'RangeExpr':
+        return [this.expression(node.start, 13), node.inclusive ? '..=' : '..', this.expression(node.end, 13)];
+      case 'FunctionCall':
+        return [this.expression(node.callee, CALL), this.args(node)];
+      case 'NewExpr':
+        return ['new ', this.newCallee(node.callee), this.args(node)];
+      case 'MemberAccess':
+        return [this.expression(node.object, CALL), '.', node.property];
+      case 'IndexAccess':
+        return [this.expression(node.object, CALL), '[', this.expression(node.index), ']'];
+      case 'OptionalChain':
+        return node.computed
+          ? [this.expression(node.object, CALL), '?.[', this.expression(node.property), ']']
+          : [this.expression(node.object, CALL), '?.', node.property];
+      case 'AwaitExpr': return ['await ', this.expression(node.argument, UNARY)];
+      case 'SpawnExpr': return ['spawn ', this.expression(node.argument, UNARY)];
+      case 'TypeOfExpr': return ['typeof ', this.expression(node.argument, UNARY)];
+      case 'DeleteExpr': return ['delete ', this.expression(node.argument, UNARY)];
+      case 'LazyExpr': return ['lazy ', this.expression(node.expression, UNARY)];
+      case 'YieldExpr':
+        return ['yield', node.delegate ? '*' : '', node.argument ? [' ', this.expression(node.argument, UNARY)] : ''];
+      case 'InputExpr':
+        return ['input(', node.prompt ? this.expression(node.prompt) : '', node.token ? [', ', this.expression(node.token)] : '', ')'];
+      case 'ListComprehension':
+        return group(['[', indent([softline,
+          this.expression(node.element),
+          line, 'for ', node.variable, ' in ', this.expression(node.iterable),
+          node.condition ? [line, 'if ', this.expression(node.condition)] : ''
+        ]), softline, ']']);
+      case 'ArrowFunction':
+        return this.arrow(node);
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+        return this.function(node);
+    }
+    throw new Error(`Cannot format ${node.type}`);
+  }
+
+  // Numbers keep the digits they were written with (0xFF, 1_000)
+  number(node) {
+    if (node.loc) {
+      const text = this.slice(node.loc);
+      const [token] = new Lexer(text).tokenize();
+      if (token.type === TokenType.NUMBER && token.value === node.value && token.endColumn === text.length + 1) return text;
+    }
+    return String(node.value);
+  }
+
+  // Strings written over several lines keep their line breaks
+  string(node) {
+    if (node.loc) {
+      const text = this.slice(node.loc);
+      if (text.includes('\n') && /^(["']).*\1$/s.test(text)) return text;
+    }
+    return quote(node.value);
+  }
+
+  template(node) {
+    if (node.loc) {
+      const text = this.slice(node.loc);
+      if (text.startsWith('`') && text.endsWith('`')) return text;
+    }
+    const parts = node.parts.map(part => part.type === 'string'
+      ? part.value.replace(/[\\`]|\$(?=\{)/g, char => '\\' + char)
+      : ['${', this.expression(part.value), '}']);
+    return ['`', parts, '`'];
+  }
+
+  array(node) {
+    const last = node.elements[node.elements.length - 1];
+    return this.list('[', ']', node.elements, {
+      print: element => element === null ? '' : this.expression(element),
+      range: node.loc,
+      comma: 'all',
+      // [a, ,] keeps its hole only with the trailing comma
+      forceTrailingComma: node.elements.length > 0 && last === null
+    });
+  }
+
+  object(node) {
+    const entries = Object.entries(node.properties);
+    const span = ([, value]) => {
+      // Shorthand values borrow the object's own location
+      if (!value.loc || (comparePositions(value.loc.start, node.loc.start) === 0 &&
+          comparePositions(value.loc.end, node.loc.end) === 0)) {
+        return null;
+      }
+      return value.loc;
+    };
+    const first = entries.length > 0 ? span(entries[0]) : null;
+    return this.list('{', '}', entries, {
+      print: entry => this.property(entry),
+      span,
+      range: node.loc,
+      comma: 'all',
+      padding: true,
+      // Objects written over several lines stay that way
+      shouldBreak: !!first && first.start.line > node.loc.start.line
+    });
+  }
+
+  property([key, value]) {
+    if (value.type === 'SpreadElement' && key.startsWith('...spread')) return this.expression(value);
+    let keyDoc;
+    if (key.startsWith('{"type":')) {
+      keyDoc = ['[', this.expression(JSON.parse(key)), ']'];
+    } else if (isIdentifierName(key)) {
+      if (value.type === 'Identifier' && value.name === key) return key;
+      keyDoc = key;
+    } else {
+      keyDoc = quote(key);
+    }
+    return [keyDoc, ': ', this.expression(value)];
+  }
+
+  binary(node) {
+    const { operator, precedence: level } = binaryParts(node);
+    if (operator === '**') {
+      return group([this.expression(node.left, UNARY), ' **', indent([line, this.expression(node.right, level)])]);
+    }
+    // a + b + c is one chain that breaks after its operators
+    const operands = [];
+    let left = node;
+    while (binaryParts(left) && binaryParts(left).precedence === level) {
+      operands.unshift([binaryParts(left).operator, left.right]);
+      left = left.left;
+    }
+    const rest = operands.map(([op, operand]) => [' ', op, line, this.expression(operand, level + 1)]);
+    return group([this.expression(left, level), indent(rest)]);
+  }
+
+  args(node) {
+    const { args } = node;
+    const range = { start: node.callee.loc ? node.callee.loc.end : node.loc.start, end: node.loc.end };
+    if (args.length === 0) return '()';
+    // A lone object written over several lines opens on the call's line
+    const [first] = args;
+    if (args.length === 1 && first.type === 'ObjectLiteral' && !this.hasCommentIn(range)) {
+      return ['(', this.expression(first), ')'];
+    }
+    return this.list('(', ')', args, { print: arg => this.expression(arg), range });
+  }
+
+  // `new` takes a name or member path; anything else goes in parentheses
+  newCallee(node) {
+    if (node.type === 'MemberAccess') return [this.newCallee(node.object), '.', node.property];
+    if (node.type === 'IndexAccess') return [this.newCallee(node.object), '[', this.expression(node.index), ']'];
+    return this.expression(node, PRIMARY);
+  }
+
+  // The returned expression when an arrow's body is just `return expr`
+  arrowExpressionBody(node) {
+    const { statements } = node.body;
+    if (statements.length !== 1 || statements[0].type !== 'ReturnStatement' || !statements[0].value) return null;
+    if (node.body.loc && this.hasCommentIn(node.body.loc)) return null;
+    return statements[0].value;
+  }
+
+  arrow(node) {
+    const [first] = node.params;
+    const simple = node.params.length === 1 && first.type === 'param' && !first.typeAnnotation && !first.default;
+    const params = simple ? first.name : this.params(node.params);
+    const value = this.arrowExpressionBody(node);
+    if (!value) return [node.isAsync ? 'async ' : '', params, ' => ', this.block(node.body)];
+    let body = this.expression(value);
+    // An object literal body would read as a block
+    if ((firstText(body) || '').startsWith('{')) body = ['(', body, ')'];
+    return [node.isAsync ? 'async ' : '', params, ' => ', body];
+  }
+}
+
+// Formats VoxelScript source; throws the parser's error when the source does not parse
+function format(source) {
+  return new Formatter(source).format();
+}
+
+module.exports = { format, Formatter };
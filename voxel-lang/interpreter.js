@@ -2,6 +2,45 @@
 // Supports: classes, async/await, try-catch, switch, arrow functions, destructuring, spread, and more
 
 const readline = require('readline');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Lexer } = require('./lexer');
+const { Parser } = require('./parser');
+const { codeFrame, formatStack } = require('./diagnostics');
+const { Sandbox } = require('./sandbox');
+const { Debugger } = require('./debugger');
+const { Coverage } = require('./coverage');
+const { builtins, collectAsync, EnumVariant, defineEnum, isVariant, Task, awaitable, bindMethods } = require('./builtins');
+
+// Dunder methods a class defines to overload an operator: [method, reflected method tried on
+// the right operand when the left one has no method]
+const OPERATOR_METHODS = {
+  '+': ['__add__', '__radd__'],
+  '-': ['__sub__', '__rsub__'],
+  '*': ['__mul__', '__rmul__'],
+  '/': ['__div__', '__rdiv__'],
+  '%': ['__mod__', '__rmod__'],
+  '**': ['__pow__', '__rpow__'],
+  '==': ['__eq__', '__eq__'],
+  '!=': ['__ne__', '__ne__'],
+  '<': ['__lt__', '__gt__'],
+  '>': ['__gt__', '__lt__'],
+  '<=': ['__le__', '__ge__'],
+  '>=': ['__ge__', '__le__'],
+  '&': ['__and__', '__rand__'],
+  '|': ['__or__', '__ror__'],
+  '^': ['__xor__', '__rxor__'],
+  '<<': ['__lshift__', '__rlshift__'],
+  '>>': ['__rshift__', '__rrshift__']
+};
+const UNARY_METHODS = { '-': '__neg__', '~': '__invert__' };
+const NOT_OVERLOADED = Symbol('notOverloaded');
+
+// Class a method or closure was defined in, for private/protected checks. A symbol key keeps
+// the class -> method -> class cycle out of json() and anything else that walks fields.
+const HOME_CLASS = Symbol('homeClass');
 
 // Control flow exceptions
 class ReturnValue extends Error {
@@ -11,12 +50,56 @@ class ReturnValue extends Error {
   }
 }
 
-class BreakLoop extends Error {}
-class ContinueLoop extends Error {}
+// The builtin error classes. They are ordinary VoxelScript classes, so scripts extend, construct and
+// catch them like their own; `name` and `stack` are filled in when an instance is created.
+const ERROR_CLASSES_SOURCE = `
+class Error {
+  constructor(message = "", cause = null) {
+    this.message = message
+    this.cause = cause
+  }
+  __str__() {
+    return this.message
+  }
+}
+class TypeError extends Error {}
+class ValueError extends Error {}
+class IOError extends Error {}
+class AssertionError extends Error {}
+class MatchError extends Error {}
+class CancelledError extends Error {}
+class PermissionError extends Error {}
+class LimitError extends Error {}
+class StepLimitError extends LimitError {}
+class TimeLimitError extends LimitError {}
+class RecursionError extends LimitError {}
+class MemoryLimitError extends LimitError {}
+`;
+let errorClassesAst = null;
+
+// The task interpreter running the current async call chain, for host callbacks to re-enter
+const runningTask = new AsyncLocalStorage();
+
+// `label` is null for a plain break/continue, which targets the innermost loop
+class BreakLoop extends Error {
+  constructor(label = null) {
+    super();
+    this.label = label;
+  }
+}
+class ContinueLoop extends Error {
+  constructor(label = null) {
+    super();
+    this.label = label;
+  }
+}
 class ThrowError extends Error {
   constructor(value) {
-    super(value?.message || String(value));
+    const isInstance = value instanceof VoxelInstance;
+    super((isInstance ? value.get('message') : value?.message) || String(value));
     this.thrownValue = value;
+    // Shown in front of the message when nothing catches it
+    this.errorName = isInstance ? value.get('name') : value?.name;
   }
 }
 
@@ -31,41 +114,33 @@ class VoxelInstance {
     if (name in this.__properties__) {
       return this.__properties__[name];
     }
-    // Look up in class methods
-    if (this.__class__) {
-      const method = this.__class__.__methods__[name];
-      if (method) {
-        // Bind method to this instance
-        return {
-          __isVoxelFunction: true,
-          params: method.params,
-          body: method.body,
-          closure: method.closure,
-          boundThis: this,
-          isAsync: method.isAsync
-        };
-      }
-      // Look up in parent class
-      if (this.__class__.__parent__) {
-        const parentMethod = this.__class__.__parent__.__methods__[name];
-        if (parentMethod) {
-          return {
-            __isVoxelFunction: true,
-            params: parentMethod.params,
-            body: parentMethod.body,
-            closure: parentMethod.closure,
-            boundThis: this,
-            isAsync: parentMethod.isAsync
-          };
-        }
-      }
-    }
-    return undefined;
+    // Methods come from the class or the nearest ancestor defining them, bound to this instance
+    const method = this.__class__.findMethod(name);
+    return method ? { ...method, boundThis: this } : undefined;
   }
   
   set(name, value) {
     this.__properties__[name] = value;
   }
+
+  toString() {
+    return `<${this.__class__.__name__} instance>`;
+  }
+
+  [util.inspect.custom](depth, options) {
+    return `${this.__class__.__name__} ${util.inspect(this.__properties__, { ...options, depth: options.depth === null ? null : options.depth - 1 })}`;
+  }
+}
+
+// The text an instance's __str__ returned, shown unquoted by print even inside arrays and objects
+class Displayed {
+  constructor(text) {
+    this.text = text;
+  }
+
+  [util.inspect.custom]() {
+    return this.text;
+  }
 }
 
 // VoxelScript Class
@@ -78,24 +153,96 @@ class VoxelClass {
     this.__properties__ = properties;
     this.__staticProperties__ = staticProperties;
     this.__isVoxelClass__ = true;
+    this.__isAbstract__ = false;
+    // Private and protected members, inherited ones included: name -> { access, owner }
+    this.__access__ = new Map();
+    // Abstract methods not yet implemented: name -> name of the declaring class
+    this.__abstract__ = new Map();
+    // Instance fields: declared properties plus every `this.x = ...` in a method
+    this.__fields__ = new Set();
+    // get/set pairs: name -> { get, set }
+    this.__accessors__ = new Map();
+    this.__staticAccessors__ = new Map();
+  }
+
+  // Instance method `name` from this class or the nearest ancestor that defines it
+  findMethod(name) {
+    for (let klass = this; klass; klass = klass.__parent__) {
+      if (hasOwn(klass.__methods__, name)) return klass.__methods__[name];
+    }
+    return undefined;
+  }
+
+  // The class, this one or an ancestor, whose static property or method `name` is visible here
+  findStaticOwner(name) {
+    for (let klass = this; klass; klass = klass.__parent__) {
+      if (hasOwn(klass.__staticProperties__, name) || hasOwn(klass.__staticMethods__, name)) return klass;
+    }
+    return null;
   }
 }
 
+// Exceptions the interpreter uses for return, break and continue
+function isControlFlow(error) {
+  return error instanceof ReturnValue || error instanceof BreakLoop || error instanceof ContinueLoop;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// What super(...) calls when no ancestor declares a constructor
+function noConstructor() {
+  return null;
+}
+
+// Names assigned as `this.name = ...` anywhere under `node`, nested classes excluded
+function thisAssignments(node, names = new Set()) {
+  if (!node || typeof node !== 'object') return names;
+  if (Array.isArray(node)) {
+    node.forEach(item => thisAssignments(item, names));
+    return names;
+  }
+  if (node.type === 'ClassDeclaration') return names;
+  if (node.type === 'Assignment' && node.target.type === 'MemberAccess' && node.target.object.type === 'ThisExpr') {
+    names.add(node.target.property);
+  }
+  for (const [key, child] of Object.entries(node)) {
+    if (key !== 'loc') thisAssignments(child, names);
+  }
+  return names;
+}
+
 // Environment for variable scoping
 class Environment {
   constructor(parent = null) {
     this.variables = new Map();
     this.constants = new Set();
+    this.annotations = null; // only strict mode records annotations
     this.parent = parent;
   }
 
   define(name, value, isConst = false) {
     this.variables.set(name, value);
+    if (this.annotations !== null) this.annotations.delete(name);
     if (isConst) {
       this.constants.add(name);
     }
   }
 
+  // Type annotation of the binding `name` resolves to, if it was declared with one
+  annotate(name, typeAnnotation) {
+    if (this.annotations === null) this.annotations = new Map();
+    this.annotations.set(name, typeAnnotation);
+  }
+
+  getAnnotation(name) {
+    if (this.variables.has(name)) {
+      return this.annotations?.get(name) ?? null;
+    }
+    return this.parent ? this.parent.getAnnotation(name) : null;
+  }
+
   get(name) {
     if (this.variables.has(name)) {
       return this.variables.get(name);
@@ -142,1442 +289,298 @@ class Environment {
   }
 }
 
-// Built-in functions
-const builtins = {
-  // ===== MATH =====
-  abs: (x) => Math.abs(x),
-  floor: (x) => Math.floor(x),
-  ceil: (x) => Math.ceil(x),
-  round: (x, decimals = 0) => {
-    const factor = Math.pow(10, decimals);
-    return Math.round(x * factor) / factor;
-  },
-  sqrt: (x) => Math.sqrt(x),
-  cbrt: (x) => Math.cbrt(x),
-  pow: (x, y) => Math.pow(x, y),
-  min: (...args) => Math.min(...args),
-  max: (...args) => Math.max(...args),
-  random: (min, max) => {
-    if (min === undefined) return Math.random();
-    if (max === undefined) return Math.floor(Math.random() * min);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  },
-  sin: (x) => Math.sin(x),
-  cos: (x) => Math.cos(x),
-  tan: (x) => Math.tan(x),
-  asin: (x) => Math.asin(x),
-  acos: (x) => Math.acos(x),
-  atan: (x) => Math.atan(x),
-  atan2: (y, x) => Math.atan2(y, x),
-  sinh: (x) => Math.sinh(x),
-  cosh: (x) => Math.cosh(x),
-  tanh: (x) => Math.tanh(x),
-  log: (x) => Math.log(x),
-  log10: (x) => Math.log10(x),
-  log2: (x) => Math.log2(x),
-  exp: (x) => Math.exp(x),
-  sign: (x) => Math.sign(x),
-  clamp: (x, min, max) => Math.min(Math.max(x, min), max),
-  lerp: (a, b, t) => a + (b - a) * t,
-  map: (x, inMin, inMax, outMin, outMax) => (x - inMin) * (outMax - outMin) / (inMax - inMin) + outMin,
-  distance: (x1, y1, x2, y2) => Math.sqrt((x2-x1)**2 + (y2-y1)**2),
-  distance3d: (x1, y1, z1, x2, y2, z2) => Math.sqrt((x2-x1)**2 + (y2-y1)**2 + (z2-z1)**2),
-  degrees: (rad) => rad * 180 / Math.PI,
-  radians: (deg) => deg * Math.PI / 180,
-  factorial: (n) => { let r = 1; for(let i = 2; i <= n; i++) r *= i; return r; },
-  gcd: (a, b) => { while(b) { [a, b] = [b, a % b]; } return a; },
-  lcm: (a, b) => (a * b) / builtins.gcd(a, b),
-  isPrime: (n) => {
-    if (n < 2) return false;
-    for (let i = 2; i <= Math.sqrt(n); i++) if (n % i === 0) return false;
-    return true;
-  },
-  fibonacci: (n) => {
-    if (n <= 1) return n;
-    let a = 0, b = 1;
-    for (let i = 2; i <= n; i++) [a, b] = [b, a + b];
-    return b;
-  },
-  sum: (arr) => arr.reduce((a, b) => a + b, 0),
-  avg: (arr) => arr.reduce((a, b) => a + b, 0) / arr.length,
-  median: (arr) => {
-    const sorted = [...arr].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-  },
-  
-  // ===== STRING =====
-  len: (x) => {
-    if (typeof x === 'string' || Array.isArray(x)) return x.length;
-    if (typeof x === 'object' && x !== null) return Object.keys(x).length;
-    return 0;
-  },
-  upper: (s) => String(s).toUpperCase(),
-  lower: (s) => String(s).toLowerCase(),
-  trim: (s) => String(s).trim(),
-  trimStart: (s) => String(s).trimStart(),
-  trimEnd: (s) => String(s).trimEnd(),
-  split: (s, sep) => String(s).split(sep),
-  join: (arr, sep = '') => arr.join(sep),
-  replace: (s, old, newStr) => String(s).split(old).join(newStr),
-  replaceFirst: (s, old, newStr) => String(s).replace(old, newStr),
-  substr: (s, start, len) => String(s).substr(start, len),
-  substring: (s, start, end) => String(s).substring(start, end),
-  includes: (s, sub) => {
-    if (Array.isArray(s)) return s.includes(sub);
-    return String(s).includes(sub);
-  },
-  startsWith: (s, sub) => String(s).startsWith(sub),
-  endsWith: (s, sub) => String(s).endsWith(sub),
-  charAt: (s, i) => String(s).charAt(i),
-  charCode: (s, i = 0) => String(s).charCodeAt(i),
-  fromCharCode: (...codes) => String.fromCharCode(...codes),
-  indexOf: (s, sub) => {
-    if (Array.isArray(s)) return s.indexOf(sub);
-    return String(s).indexOf(sub);
-  },
-  lastIndexOf: (s, sub) => String(s).lastIndexOf(sub),
-  padStart: (s, len, char = ' ') => String(s).padStart(len, char),
-  padEnd: (s, len, char = ' ') => String(s).padEnd(len, char),
-  repeat: (s, n) => String(s).repeat(n),
-  reverse: (x) => {
-    if (Array.isArray(x)) return [...x].reverse();
-    return String(x).split('').reverse().join('');
-  },
-  capitalize: (s) => String(s).charAt(0).toUpperCase() + String(s).slice(1).toLowerCase(),
-  titleCase: (s) => String(s).split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' '),
-  camelCase: (s) => String(s).replace(/[-_\s]+(.)?/g, (_, c) => c ? c.toUpperCase() : ''),
-  snakeCase: (s) => String(s).replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, ''),
-  kebabCase: (s) => String(s).replace(/([A-Z])/g, '-$1').toLowerCase().replace(/^-/, ''),
-  words: (s) => String(s).match(/\b\w+\b/g) || [],
-  lines: (s) => String(s).split(/\r?\n/),
-  isDigit: (s) => /^\d+$/.test(s),
-  isAlpha: (s) => /^[a-zA-Z]+$/.test(s),
-  isAlnum: (s) => /^[a-zA-Z0-9]+$/.test(s),
-  isSpace: (s) => /^\s+$/.test(s),
-  count: (s, sub) => (String(s).match(new RegExp(sub, 'g')) || []).length,
-  format: (template, ...args) => {
-    return template.replace(/{(\d+)}/g, (match, i) => args[i] !== undefined ? args[i] : match);
-  },
-  
-  // ===== ARRAY =====
-  push: (arr, ...items) => { arr.push(...items); return arr; },
-  pop: (arr) => arr.pop(),
-  shift: (arr) => arr.shift(),
-  unshift: (arr, ...items) => { arr.unshift(...items); return arr; },
-  slice: (arr, start, end) => arr.slice(start, end),
-  splice: (arr, start, count, ...items) => { arr.splice(start, count, ...items); return arr; },
-  sort: (arr, desc = false) => [...arr].sort((a, b) => desc ? b - a : a - b),
-  sortBy: (arr, key) => [...arr].sort((a, b) => a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0),
-  concat: (arr, ...others) => arr.concat(...others),
-  flat: (arr, depth = 1) => arr.flat(depth),
-  flatMap: (arr, fn) => arr.flatMap(fn),
-  unique: (arr) => [...new Set(arr)],
-  compact: (arr) => arr.filter(Boolean),
-  zip: (...arrs) => arrs[0].map((_, i) => arrs.map(arr => arr[i])),
-  unzip: (arr) => arr[0].map((_, i) => arr.map(row => row[i])),
-  chunk: (arr, size) => {
-    const result = [];
-    for (let i = 0; i < arr.length; i += size) result.push(arr.slice(i, i + size));
-    return result;
-  },
-  shuffle: (arr) => {
-    const result = [...arr];
-    for (let i = result.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [result[i], result[j]] = [result[j], result[i]];
+// Suspendable generator object, returned by calling a `fn*` generator function.
+// The body runs as a coroutine on the interpreter: `yield` parks it on a promise
+// and hands the interpreter state back to whoever called next().
+class VoxelGenerator {
+  constructor(interpreter, definition, args, thisValue = null, callSite = null) {
+    this.interpreter = interpreter;
+    this.definition = definition;
+    this.args = args;
+    this.thisValue = thisValue;
+    this.callSite = callSite;
+    this.callerFile = interpreter.currentFile;
+    this.isAsync = !!definition.isAsync;
+    this.state = 'suspendedStart'; // 'suspendedStart' | 'suspendedYield' | 'running' | 'completed'
+    this.callerState = null;
+    this.generatorState = null;
+    this.pending = null;    // { resolve, reject } of the consumer waiting on next()
+    this.resumeWith = null; // wakes the body parked at a yield
+    this.__isVoxelGeneratorObject = true;
+    bindMethods(this, ['next', 'return', 'throw']);
+  }
+
+  next(value = null) {
+    return this.resume('next', value);
+  }
+
+  return(value = null) {
+    return this.resume('return', value);
+  }
+
+  throw(error) {
+    return this.resume('throw', error);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  resume(mode, value) {
+    if (this.state === 'running') {
+      return Promise.reject(new Error('Generator is already running'));
     }
-    return result;
-  },
-  sample: (arr, n = 1) => {
-    const shuffled = builtins.shuffle(arr);
-    return n === 1 ? shuffled[0] : shuffled.slice(0, n);
-  },
-  first: (arr, n) => n ? arr.slice(0, n) : arr[0],
-  last: (arr, n) => n ? arr.slice(-n) : arr[arr.length - 1],
-  nth: (arr, n) => n < 0 ? arr[arr.length + n] : arr[n],
-  take: (arr, n) => arr.slice(0, n),
-  drop: (arr, n) => arr.slice(n),
-  takeWhile: (arr, fn) => {
-    const result = [];
-    for (const item of arr) { if (!fn(item)) break; result.push(item); }
-    return result;
-  },
-  dropWhile: (arr, fn) => {
-    let i = 0;
-    while (i < arr.length && fn(arr[i])) i++;
-    return arr.slice(i);
-  },
-  partition: (arr, fn) => [arr.filter(fn), arr.filter(x => !fn(x))],
-  groupBy: (arr, key) => {
-    return arr.reduce((acc, item) => {
-      const k = typeof key === 'function' ? key(item) : item[key];
-      (acc[k] = acc[k] || []).push(item);
-      return acc;
-    }, {});
-  },
-  countBy: (arr, key) => {
-    return arr.reduce((acc, item) => {
-      const k = typeof key === 'function' ? key(item) : item[key];
-      acc[k] = (acc[k] || 0) + 1;
-      return acc;
-    }, {});
-  },
-  range: (start, end, step = 1) => {
-    if (end === undefined) { end = start; start = 0; }
-    const result = [];
-    if (step > 0) for (let i = start; i < end; i += step) result.push(i);
-    else for (let i = start; i > end; i += step) result.push(i);
-    return result;
-  },
-  fill: (n, val) => Array(n).fill(typeof val === 'function' ? undefined : val).map((v, i) => typeof val === 'function' ? val(i) : v),
-  times: (n, fn) => Array.from({length: n}, (_, i) => fn(i)),
-  
-  // ===== FUNCTIONAL =====
-  map: (arr, fn) => arr.map(fn),
-  filter: (arr, fn) => arr.filter(fn),
-  reduce: (arr, fn, init) => init !== undefined ? arr.reduce(fn, init) : arr.reduce(fn),
-  reduceRight: (arr, fn, init) => init !== undefined ? arr.reduceRight(fn, init) : arr.reduceRight(fn),
-  find: (arr, fn) => arr.find(fn),
-  findIndex: (arr, fn) => arr.findIndex(fn),
-  findLast: (arr, fn) => arr.slice().reverse().find(fn),
-  every: (arr, fn) => arr.every(fn),
-  some: (arr, fn) => arr.some(fn),
-  none: (arr, fn) => !arr.some(fn),
-  forEach: (arr, fn) => { arr.forEach(fn); return arr; },
-  tap: (val, fn) => { fn(val); return val; },
-  pipe: (val, ...fns) => fns.reduce((v, fn) => fn(v), val),
-  compose: (...fns) => (val) => fns.reduceRight((v, fn) => fn(v), val),
-  curry: (fn) => {
-    const arity = fn.length;
-    return function curried(...args) {
-      if (args.length >= arity) return fn(...args);
-      return (...more) => curried(...args, ...more);
-    };
-  },
-  memoize: (fn) => {
-    const cache = new Map();
-    return (...args) => {
-      const key = JSON.stringify(args);
-      if (!cache.has(key)) cache.set(key, fn(...args));
-      return cache.get(key);
-    };
-  },
-  debounce: (fn, ms) => {
-    let timeout;
-    return (...args) => {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => fn(...args), ms);
-    };
-  },
-  throttle: (fn, ms) => {
-    let last = 0;
-    return (...args) => {
-      const now = Date.now();
-      if (now - last >= ms) { last = now; return fn(...args); }
-    };
-  },
-  
-  // ===== TYPE CONVERSION =====
-  num: (x) => Number(x),
-  int: (x) => parseInt(x, 10),
-  float: (x) => parseFloat(x),
-  str: (x) => {
-    if (typeof x === 'object') return JSON.stringify(x);
-    return String(x);
-  },
-  bool: (x) => Boolean(x),
-  array: (x) => Array.isArray(x) ? x : Array.from(x),
-  set: (arr) => [...new Set(arr)],
-  
-  // ===== TYPE CHECKING =====
-  type: (x) => {
-    if (x === null) return 'null';
-    if (Array.isArray(x)) return 'array';
-    return typeof x;
-  },
-  isNum: (x) => typeof x === 'number' && !isNaN(x),
-  isInt: (x) => Number.isInteger(x),
-  isFloat: (x) => typeof x === 'number' && !Number.isInteger(x),
-  isStr: (x) => typeof x === 'string',
-  isBool: (x) => typeof x === 'boolean',
-  isArray: (x) => Array.isArray(x),
-  isObject: (x) => typeof x === 'object' && x !== null && !Array.isArray(x),
-  isNull: (x) => x === null,
-  isUndefined: (x) => x === undefined,
-  isNaN: (x) => Number.isNaN(x),
-  isFinite: (x) => Number.isFinite(x),
-  isFn: (x) => typeof x === 'function' || (x && x.__isVoxelFunction),
-  isEmpty: (x) => {
-    if (!x) return true;
-    if (Array.isArray(x)) return x.length === 0;
-    if (typeof x === 'object') return Object.keys(x).length === 0;
-    if (typeof x === 'string') return x.length === 0;
-    return false;
-  },
-  
-  // ===== OBJECT =====
-  keys: (obj) => Object.keys(obj),
-  values: (obj) => Object.values(obj),
-  entries: (obj) => Object.entries(obj),
-  fromEntries: (arr) => Object.fromEntries(arr),
-  has: (obj, key) => obj && obj.hasOwnProperty(key),
-  get: (obj, path, def) => {
-    const keys = path.split('.');
-    let result = obj;
-    for (const key of keys) {
-      result = result?.[key];
-      if (result === undefined) return def;
+    if (this.state === 'suspendedStart' && mode !== 'next') {
+      this.state = 'completed';
     }
-    return result;
-  },
-  set: (obj, path, val) => {
-    const keys = path.split('.');
-    let current = obj;
-    for (let i = 0; i < keys.length - 1; i++) {
-      if (!current[keys[i]]) current[keys[i]] = {};
-      current = current[keys[i]];
-    }
-    current[keys[keys.length - 1]] = val;
-    return obj;
-  },
-  delete: (obj, key) => { delete obj[key]; return obj; },
-  assign: (target, ...sources) => Object.assign(target, ...sources),
-  merge: (...objs) => Object.assign({}, ...objs),
-  clone: (x) => JSON.parse(JSON.stringify(x)),
-  deepClone: (x) => JSON.parse(JSON.stringify(x)),
-  freeze: (obj) => Object.freeze(obj),
-  pick: (obj, ...keys) => keys.reduce((acc, key) => { if (key in obj) acc[key] = obj[key]; return acc; }, {}),
-  omit: (obj, ...keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k))),
-  invert: (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [v, k])),
-  mapKeys: (obj, fn) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [fn(k, v), v])),
-  mapValues: (obj, fn) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v, k)])),
-  
-  // ===== DATE/TIME =====
-  now: () => Date.now(),
-  time: () => Date.now(),
-  date: () => new Date().toISOString().split('T')[0],
-  datetime: () => new Date().toISOString(),
-  timestamp: () => Math.floor(Date.now() / 1000),
-  year: () => new Date().getFullYear(),
-  month: () => new Date().getMonth() + 1,
-  day: () => new Date().getDate(),
-  hour: () => new Date().getHours(),
-  minute: () => new Date().getMinutes(),
-  second: () => new Date().getSeconds(),
-  weekday: () => new Date().getDay(),
-  formatDate: (ts, fmt = 'YYYY-MM-DD') => {
-    const d = new Date(ts);
-    return fmt
-      .replace('YYYY', d.getFullYear())
-      .replace('MM', String(d.getMonth() + 1).padStart(2, '0'))
-      .replace('DD', String(d.getDate()).padStart(2, '0'))
-      .replace('HH', String(d.getHours()).padStart(2, '0'))
-      .replace('mm', String(d.getMinutes()).padStart(2, '0'))
-      .replace('ss', String(d.getSeconds()).padStart(2, '0'));
-  },
-  parseDate: (s) => new Date(s).getTime(),
-  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
-  wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
-  
-  // ===== UTILITY =====
-  print: (...args) => console.log(...args),
-  log: (...args) => console.log(...args),
-  error: (...args) => console.error(...args),
-  warn: (...args) => console.warn(...args),
-  assert: (cond, msg = 'Assertion failed') => { if (!cond) throw new Error(msg); },
-  json: (x) => JSON.stringify(x, null, 2),
-  parse: (s) => JSON.parse(s),
-  encode: (s) => encodeURIComponent(s),
-  decode: (s) => decodeURIComponent(s),
-  base64Encode: (s) => Buffer.from(s).toString('base64'),
-  base64Decode: (s) => Buffer.from(s, 'base64').toString('utf8'),
-  hash: (s) => {
-    let hash = 0;
-    for (let i = 0; i < s.length; i++) {
-      const char = s.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash).toString(16);
-  },
-  uuid: () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
-    const r = Math.random() * 16 | 0;
-    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
-  }),
-  randomId: (len = 8) => {
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    return Array.from({length: len}, () => chars[Math.floor(Math.random() * chars.length)]).join('');
-  },
-  
-  // ===== REGEX =====
-  match: (s, pattern) => String(s).match(new RegExp(pattern, 'g')),
-  matchAll: (s, pattern) => [...String(s).matchAll(new RegExp(pattern, 'g'))].map(m => m[0]),
-  test: (s, pattern) => new RegExp(pattern).test(s),
-  extract: (s, pattern) => {
-    const match = String(s).match(new RegExp(pattern));
-    return match ? (match[1] || match[0]) : null;
-  },
-  
-  // ===== CONSTANTS =====
-  PI: Math.PI,
-  E: Math.E,
-  TAU: Math.PI * 2,
-  PHI: (1 + Math.sqrt(5)) / 2,
-  SQRT2: Math.SQRT2,
-  INF: Infinity,
-  NAN: NaN,
-  
-  // ===== FILE OPERATIONS =====
-  readFile: (path) => {
-    const fs = require('fs');
-    return fs.readFileSync(path, 'utf8');
-  },
-  writeFile: (path, content) => {
-    const fs = require('fs');
-    fs.writeFileSync(path, content);
-    return true;
-  },
-  appendFile: (path, content) => {
-    const fs = require('fs');
-    fs.appendFileSync(path, content);
-    return true;
-  },
-  exists: (path) => {
-    const fs = require('fs');
-    return fs.existsSync(path);
-  },
-  listDir: (path) => {
-    const fs = require('fs');
-    return fs.readdirSync(path);
-  },
-  mkdir: (path) => {
-    const fs = require('fs');
-    fs.mkdirSync(path, { recursive: true });
-    return true;
-  },
-  remove: (path) => {
-    const fs = require('fs');
-    fs.rmSync(path, { recursive: true, force: true });
-    return true;
-  },
-  copy: (src, dest) => {
-    const fs = require('fs');
-    fs.copyFileSync(src, dest);
-    return true;
-  },
-  move: (src, dest) => {
-    const fs = require('fs');
-    fs.renameSync(src, dest);
-    return true;
-  },
-  
-  // ===== HTTP =====
-  fetch: async (url, options = {}) => {
-    const https = require('https');
-    const http = require('http');
-    const protocol = url.startsWith('https') ? https : http;
+    if (this.state === 'completed') {
+      if (mode === 'throw') return Promise.reject(value);
+      return Promise.resolve({ value: mode === 'return' ? value : null, done: true });
+    }
+    
     return new Promise((resolve, reject) => {
-      const req = protocol.request(url, {
-        method: options.method || 'GET',
-        headers: options.headers || {}
-      }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => resolve({ status: res.statusCode, data, headers: res.headers }));
-      });
-      req.on('error', reject);
-      if (options.body) req.write(options.body);
-      req.end();
-    });
-  },
-  
-  // ===== COLORS (for terminal) =====
-  red: (s) => `\x1b[31m${s}\x1b[0m`,
-  green: (s) => `\x1b[32m${s}\x1b[0m`,
-  yellow: (s) => `\x1b[33m${s}\x1b[0m`,
-  blue: (s) => `\x1b[34m${s}\x1b[0m`,
-  magenta: (s) => `\x1b[35m${s}\x1b[0m`,
-  cyan: (s) => `\x1b[36m${s}\x1b[0m`,
-  bold: (s) => `\x1b[1m${s}\x1b[0m`,
-  dim: (s) => `\x1b[2m${s}\x1b[0m`,
-  underline: (s) => `\x1b[4m${s}\x1b[0m`,
-  
-  // =============================================
-  // MULTI-LANGUAGE LIBRARY SUPPORT
-  // =============================================
-  
-  // ===== PYTHON-STYLE FUNCTIONS =====
-  // List comprehension helpers
-  listcomp: (arr, fn, condition) => {
-    const result = [];
-    for (const item of arr) {
-      if (!condition || condition(item)) {
-        result.push(fn(item));
+      this.pending = { resolve, reject };
+      this.callerState = this.interpreter.captureState();
+      const started = this.state !== 'suspendedStart';
+      this.state = 'running';
+      if (started) {
+        this.resumeWith({ mode, value });
+      } else {
+        this.start();
       }
-    }
-    return result;
-  },
-  enumerate: (arr, start = 0) => arr.map((v, i) => [i + start, v]),
-  zip: (...arrs) => arrs[0].map((_, i) => arrs.map(arr => arr[i])),
-  zipLongest: (...arrs) => {
-    const maxLen = Math.max(...arrs.map(a => a.length));
-    return Array.from({length: maxLen}, (_, i) => arrs.map(arr => arr[i]));
-  },
-  all: (arr) => arr.every(Boolean),
-  any: (arr) => arr.some(Boolean),
-  sum: (arr) => arr.reduce((a, b) => a + b, 0),
-  product: (arr) => arr.reduce((a, b) => a * b, 1),
-  min: (...args) => args.length === 1 && Array.isArray(args[0]) ? Math.min(...args[0]) : Math.min(...args),
-  max: (...args) => args.length === 1 && Array.isArray(args[0]) ? Math.max(...args[0]) : Math.max(...args),
-  sorted: (arr, key, reverse = false) => {
-    const result = [...arr];
-    result.sort((a, b) => {
-      const va = key ? (typeof key === 'function' ? key(a) : a[key]) : a;
-      const vb = key ? (typeof key === 'function' ? key(b) : b[key]) : b;
-      return va < vb ? -1 : va > vb ? 1 : 0;
     });
-    return reverse ? result.reverse() : result;
-  },
-  reversed: (arr) => [...arr].reverse(),
-  
-  // Python dict methods
-  dict: (entries) => Object.fromEntries(entries || []),
-  dictGet: (obj, key, def = null) => obj.hasOwnProperty(key) ? obj[key] : def,
-  dictItems: (obj) => Object.entries(obj),
-  dictKeys: (obj) => Object.keys(obj),
-  dictValues: (obj) => Object.values(obj),
-  dictUpdate: (obj, other) => Object.assign(obj, other),
-  dictPop: (obj, key, def = null) => {
-    const val = obj.hasOwnProperty(key) ? obj[key] : def;
-    delete obj[key];
-    return val;
-  },
-  dictSetDefault: (obj, key, def = null) => {
-    if (!obj.hasOwnProperty(key)) obj[key] = def;
-    return obj[key];
-  },
-  
-  // Python string methods
-  strip: (s) => String(s).trim(),
-  lstrip: (s) => String(s).trimStart(),
-  rstrip: (s) => String(s).trimEnd(),
-  splitlines: (s) => String(s).split(/\r?\n/),
-  zfill: (s, width) => String(s).padStart(width, '0'),
-  center: (s, width, char = ' ') => {
-    s = String(s);
-    const padding = width - s.length;
-    const left = Math.floor(padding / 2);
-    const right = padding - left;
-    return char.repeat(left) + s + char.repeat(right);
-  },
-  ljust: (s, width, char = ' ') => String(s).padEnd(width, char),
-  rjust: (s, width, char = ' ') => String(s).padStart(width, char),
-  
-  // Python itertools style
-  chain: (...arrs) => arrs.flat(),
-  repeatArr: (val, n) => Array(n).fill(val),  // repeatArr for arrays, repeat for strings
-  cycle: (arr, n) => {
-    const result = [];
-    for (let i = 0; i < n; i++) result.push(arr[i % arr.length]);
-    return result;
-  },
-  combinations: (arr, r) => {
-    if (r === 1) return arr.map(x => [x]);
-    const result = [];
-    for (let i = 0; i <= arr.length - r; i++) {
-      const head = arr[i];
-      const tail = arr.slice(i + 1);
-      for (const combo of builtins.combinations(tail, r - 1)) {
-        result.push([head, ...combo]);
-      }
-    }
-    return result;
-  },
-  permutations: (arr, r = arr.length) => {
-    if (r === 1) return arr.map(x => [x]);
-    const result = [];
-    for (let i = 0; i < arr.length; i++) {
-      const head = arr[i];
-      const rest = [...arr.slice(0, i), ...arr.slice(i + 1)];
-      for (const perm of builtins.permutations(rest, r - 1)) {
-        result.push([head, ...perm]);
-      }
-    }
-    return result;
-  },
-  
-  // ===== CSS-STYLE COLOR FUNCTIONS =====
-  rgb: (r, g, b) => ({ r, g, b, a: 1, toString: () => `rgb(${r}, ${g}, ${b})` }),
-  rgba: (r, g, b, a) => ({ r, g, b, a, toString: () => `rgba(${r}, ${g}, ${b}, ${a})` }),
-  hsl: (h, s, l) => {
-    // Convert HSL to RGB
-    s /= 100; l /= 100;
-    const c = (1 - Math.abs(2 * l - 1)) * s;
-    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
-    const m = l - c / 2;
-    let r, g, b;
-    if (h < 60) { r = c; g = x; b = 0; }
-    else if (h < 120) { r = x; g = c; b = 0; }
-    else if (h < 180) { r = 0; g = c; b = x; }
-    else if (h < 240) { r = 0; g = x; b = c; }
-    else if (h < 300) { r = x; g = 0; b = c; }
-    else { r = c; g = 0; b = x; }
-    return {
-      r: Math.round((r + m) * 255),
-      g: Math.round((g + m) * 255),
-      b: Math.round((b + m) * 255),
-      a: 1,
-      toString: () => `hsl(${h}, ${s * 100}%, ${l * 100}%)`
-    };
-  },
-  hsla: (h, s, l, a) => {
-    const color = builtins.hsl(h, s, l);
-    color.a = a;
-    color.toString = () => `hsla(${h}, ${s}%, ${l}%, ${a})`;
-    return color;
-  },
-  hex: (hexStr) => {
-    const hex = hexStr.replace('#', '');
-    const r = parseInt(hex.substr(0, 2), 16);
-    const g = parseInt(hex.substr(2, 2), 16);
-    const b = parseInt(hex.substr(4, 2), 16);
-    const a = hex.length === 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1;
-    return { r, g, b, a, toString: () => `#${hex}` };
-  },
-  toHex: (color) => {
-    const r = color.r.toString(16).padStart(2, '0');
-    const g = color.g.toString(16).padStart(2, '0');
-    const b = color.b.toString(16).padStart(2, '0');
-    return `#${r}${g}${b}`;
-  },
-  lighten: (color, amount) => ({
-    r: Math.min(255, color.r + amount),
-    g: Math.min(255, color.g + amount),
-    b: Math.min(255, color.b + amount),
-    a: color.a
-  }),
-  darken: (color, amount) => ({
-    r: Math.max(0, color.r - amount),
-    g: Math.max(0, color.g - amount),
-    b: Math.max(0, color.b - amount),
-    a: color.a
-  }),
-  saturate: (color, amount) => {
-    const gray = (color.r + color.g + color.b) / 3;
-    return {
-      r: Math.min(255, color.r + (color.r - gray) * amount),
-      g: Math.min(255, color.g + (color.g - gray) * amount),
-      b: Math.min(255, color.b + (color.b - gray) * amount),
-      a: color.a
-    };
-  },
-  desaturate: (color, amount) => {
-    const gray = (color.r + color.g + color.b) / 3;
-    return {
-      r: color.r - (color.r - gray) * amount,
-      g: color.g - (color.g - gray) * amount,
-      b: color.b - (color.b - gray) * amount,
-      a: color.a
-    };
-  },
-  invert: (color) => ({
-    r: 255 - color.r,
-    g: 255 - color.g,
-    b: 255 - color.b,
-    a: color.a
-  }),
-  grayscale: (color) => {
-    const gray = Math.round(color.r * 0.299 + color.g * 0.587 + color.b * 0.114);
-    return { r: gray, g: gray, b: gray, a: color.a };
-  },
-  mix: (color1, color2, weight = 0.5) => ({
-    r: Math.round(color1.r * (1 - weight) + color2.r * weight),
-    g: Math.round(color1.g * (1 - weight) + color2.g * weight),
-    b: Math.round(color1.b * (1 - weight) + color2.b * weight),
-    a: color1.a * (1 - weight) + color2.a * weight
-  }),
-  complement: (color) => ({
-    r: 255 - color.r,
-    g: 255 - color.g,
-    b: 255 - color.b,
-    a: color.a
-  }),
-  alpha: (color, a) => ({ ...color, a }),
-  opacity: (color, a) => ({ ...color, a }),
-  
-  // CSS calc-style functions
-  calc: (expr) => {
-    // Simple expression evaluator for calc-like operations
-    return eval(expr.replace(/px|em|rem|%/g, ''));
-  },
-  clamp: (min, val, max) => Math.min(max, Math.max(min, val)),
-  
-  // ===== SDL2-STYLE GRAPHICS LIBRARY =====
-  // These return data structures for graphics rendering
-  // Canvas/Screen simulation (returns render commands)
-  
-  // Window management
-  createWindow: (title, width, height) => ({
-    type: 'window',
-    title,
-    width,
-    height,
-    commands: [],
-    objects: []
-  }),
-  
-  setWindowTitle: (win, title) => { win.title = title; return win; },
-  setWindowSize: (win, w, h) => { win.width = w; win.height = h; return win; },
-  
-  // Drawing primitives (SDL2-style)
-  drawPoint: (x, y, color = {r: 255, g: 255, b: 255}) => ({
-    type: 'point', x, y, color
-  }),
-  
-  drawLine: (x1, y1, x2, y2, color = {r: 255, g: 255, b: 255}, thickness = 1) => ({
-    type: 'line', x1, y1, x2, y2, color, thickness
-  }),
-  
-  drawRect: (x, y, w, h, color = {r: 255, g: 255, b: 255}, filled = false) => ({
-    type: 'rect', x, y, w, h, color, filled
-  }),
-  
-  drawCircle: (x, y, radius, color = {r: 255, g: 255, b: 255}, filled = false) => ({
-    type: 'circle', x, y, radius, color, filled
-  }),
-  
-  drawEllipse: (x, y, rx, ry, color = {r: 255, g: 255, b: 255}, filled = false) => ({
-    type: 'ellipse', x, y, rx, ry, color, filled
-  }),
-  
-  drawTriangle: (x1, y1, x2, y2, x3, y3, color = {r: 255, g: 255, b: 255}, filled = false) => ({
-    type: 'triangle', x1, y1, x2, y2, x3, y3, color, filled
-  }),
-  
-  drawPolygon: (points, color = {r: 255, g: 255, b: 255}, filled = false) => ({
-    type: 'polygon', points, color, filled
-  }),
-  
-  drawArc: (x, y, radius, startAngle, endAngle, color = {r: 255, g: 255, b: 255}) => ({
-    type: 'arc', x, y, radius, startAngle, endAngle, color
-  }),
-  
-  drawText: (text, x, y, color = {r: 255, g: 255, b: 255}, size = 16, font = 'monospace') => ({
-    type: 'text', text, x, y, color, size, font
-  }),
-  
-  drawImage: (src, x, y, w, h) => ({
-    type: 'image', src, x, y, w, h
-  }),
-  
-  // Sprites (game objects)
-  createSprite: (x, y, w, h, color) => ({
-    type: 'sprite',
-    x, y, w, h,
-    color: color || {r: 255, g: 255, b: 255},
-    velocity: {x: 0, y: 0},
-    acceleration: {x: 0, y: 0},
-    rotation: 0,
-    scale: 1,
-    visible: true,
-    collider: {type: 'rect', w, h}
-  }),
-  
-  moveSprite: (sprite, dx, dy) => {
-    sprite.x += dx;
-    sprite.y += dy;
-    return sprite;
-  },
-  
-  setPosition: (sprite, x, y) => {
-    sprite.x = x;
-    sprite.y = y;
-    return sprite;
-  },
-  
-  setVelocity: (sprite, vx, vy) => {
-    sprite.velocity = {x: vx, y: vy};
-    return sprite;
-  },
-  
-  setAcceleration: (sprite, ax, ay) => {
-    sprite.acceleration = {x: ax, y: ay};
-    return sprite;
-  },
-  
-  updateSprite: (sprite, dt = 1) => {
-    sprite.velocity.x += sprite.acceleration.x * dt;
-    sprite.velocity.y += sprite.acceleration.y * dt;
-    sprite.x += sprite.velocity.x * dt;
-    sprite.y += sprite.velocity.y * dt;
-    return sprite;
-  },
-  
-  // Collision detection
-  collides: (a, b) => {
-    return a.x < b.x + b.w &&
-           a.x + a.w > b.x &&
-           a.y < b.y + b.h &&
-           a.y + a.h > b.y;
-  },
-  
-  collidesCircle: (a, b) => {
-    const dx = a.x - b.x;
-    const dy = a.y - b.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    return dist < (a.radius || a.w/2) + (b.radius || b.w/2);
-  },
-  
-  collidesPoint: (sprite, px, py) => {
-    return px >= sprite.x && px <= sprite.x + sprite.w &&
-           py >= sprite.y && py <= sprite.y + sprite.h;
-  },
-  
-  // Input simulation
-  createInput: () => ({
-    keys: {},
-    mouse: {x: 0, y: 0, buttons: {}},
-    onKey: null,
-    onMouse: null
-  }),
-  
-  isKeyDown: (input, key) => input.keys[key] === true,
-  isKeyUp: (input, key) => input.keys[key] !== true,
-  isMouseDown: (input, button = 'left') => input.mouse.buttons[button] === true,
-  getMousePos: (input) => ({x: input.mouse.x, y: input.mouse.y}),
-  
-  // Audio (data structures)
-  createSound: (src) => ({
-    type: 'sound',
-    src,
-    volume: 1,
-    loop: false,
-    playing: false
-  }),
-  
-  playSound: (sound) => { sound.playing = true; return sound; },
-  stopSound: (sound) => { sound.playing = false; return sound; },
-  setVolume: (sound, vol) => { sound.volume = vol; return sound; },
-  setLoop: (sound, loop) => { sound.loop = loop; return sound; },
-  
-  // Scene management
-  createScene: (name) => ({
-    type: 'scene',
-    name,
-    objects: [],
-    active: false
-  }),
-  
-  addToScene: (scene, obj) => { scene.objects.push(obj); return scene; },
-  removeFromScene: (scene, obj) => {
-    const idx = scene.objects.indexOf(obj);
-    if (idx > -1) scene.objects.splice(idx, 1);
-    return scene;
-  },
-  
-  // ===== EXTENDED MATH LIBRARY =====
-  // Vector operations (2D and 3D)
-  vec2: (x, y) => ({x, y}),
-  vec3: (x, y, z) => ({x, y, z}),
-  vec4: (x, y, z, w) => ({x, y, z, w}),
-  
-  vecAdd: (a, b) => a.z !== undefined 
-    ? {x: a.x + b.x, y: a.y + b.y, z: a.z + b.z}
-    : {x: a.x + b.x, y: a.y + b.y},
-  
-  vecSub: (a, b) => a.z !== undefined
-    ? {x: a.x - b.x, y: a.y - b.y, z: a.z - b.z}
-    : {x: a.x - b.x, y: a.y - b.y},
-  
-  vecMul: (v, scalar) => v.z !== undefined
-    ? {x: v.x * scalar, y: v.y * scalar, z: v.z * scalar}
-    : {x: v.x * scalar, y: v.y * scalar},
-  
-  vecDiv: (v, scalar) => v.z !== undefined
-    ? {x: v.x / scalar, y: v.y / scalar, z: v.z / scalar}
-    : {x: v.x / scalar, y: v.y / scalar},
-  
-  vecDot: (a, b) => a.z !== undefined
-    ? a.x * b.x + a.y * b.y + a.z * b.z
-    : a.x * b.x + a.y * b.y,
-  
-  vecCross: (a, b) => ({
-    x: a.y * b.z - a.z * b.y,
-    y: a.z * b.x - a.x * b.z,
-    z: a.x * b.y - a.y * b.x
-  }),
-  
-  vecMag: (v) => v.z !== undefined
-    ? Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z)
-    : Math.sqrt(v.x * v.x + v.y * v.y),
-  
-  vecNorm: (v) => {
-    const mag = builtins.vecMag(v);
-    return builtins.vecDiv(v, mag);
-  },
-  
-  vecDist: (a, b) => builtins.vecMag(builtins.vecSub(a, b)),
-  
-  vecLerp: (a, b, t) => a.z !== undefined
-    ? {x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t}
-    : {x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t},
-  
-  vecAngle: (v) => Math.atan2(v.y, v.x),
-  
-  vecFromAngle: (angle, mag = 1) => ({
-    x: Math.cos(angle) * mag,
-    y: Math.sin(angle) * mag
-  }),
-  
-  vecRotate: (v, angle) => ({
-    x: v.x * Math.cos(angle) - v.y * Math.sin(angle),
-    y: v.x * Math.sin(angle) + v.y * Math.cos(angle)
-  }),
-  
-  // Matrix operations (4x4 for 3D transforms)
-  mat4: () => [
-    1, 0, 0, 0,
-    0, 1, 0, 0,
-    0, 0, 1, 0,
-    0, 0, 0, 1
-  ],
-  
-  mat4Identity: () => builtins.mat4(),
-  
-  mat4Mul: (a, b) => {
-    const result = new Array(16).fill(0);
-    for (let i = 0; i < 4; i++) {
-      for (let j = 0; j < 4; j++) {
-        for (let k = 0; k < 4; k++) {
-          result[i * 4 + j] += a[i * 4 + k] * b[k * 4 + j];
-        }
+  }
+
+  async start() {
+    const interpreter = this.interpreter;
+    interpreter.environment = new Environment(this.definition.closure);
+    interpreter.currentThis = this.thisValue;
+    interpreter.currentClass = this.definition[HOME_CLASS] ?? null;
+    interpreter.currentGenerator = this;
+    // The body runs on its own copy of the call stack, since it outlives the caller's frame
+    interpreter.callStack = [...this.callerState.callStack];
+    interpreter.pushFrame({
+      name: this.definition.name || '<generator>',
+      file: this.definition.file,
+      callSite: this.callSite,
+      callerFile: this.callerFile
+    });
+    interpreter.currentFile = this.definition.file ?? interpreter.currentFile;
+    
+    let outcome;
+    try {
+      await interpreter.bindParameters(this.definition.params, this.args);
+      if (interpreter.coverage !== null) interpreter.coverage.hit(this.definition.body);
+      for (const stmt of this.definition.body.statements) {
+        await interpreter.evaluateStatement(stmt);
       }
+      outcome = { value: null };
+    } catch (error) {
+      outcome = error instanceof ReturnValue ? { value: error.value } : { error };
     }
-    return result;
-  },
-  
-  mat4Translate: (x, y, z) => [
-    1, 0, 0, 0,
-    0, 1, 0, 0,
-    0, 0, 1, 0,
-    x, y, z, 1
-  ],
-  
-  mat4Scale: (x, y, z) => [
-    x, 0, 0, 0,
-    0, y, 0, 0,
-    0, 0, z, 0,
-    0, 0, 0, 1
-  ],
-  
-  mat4RotateX: (angle) => {
-    const c = Math.cos(angle), s = Math.sin(angle);
-    return [
-      1, 0, 0, 0,
-      0, c, s, 0,
-      0, -s, c, 0,
-      0, 0, 0, 1
-    ];
-  },
-  
-  mat4RotateY: (angle) => {
-    const c = Math.cos(angle), s = Math.sin(angle);
-    return [
-      c, 0, -s, 0,
-      0, 1, 0, 0,
-      s, 0, c, 0,
-      0, 0, 0, 1
-    ];
-  },
-  
-  mat4RotateZ: (angle) => {
-    const c = Math.cos(angle), s = Math.sin(angle);
-    return [
-      c, s, 0, 0,
-      -s, c, 0, 0,
-      0, 0, 1, 0,
-      0, 0, 0, 1
-    ];
-  },
-  
-  mat4Perspective: (fov, aspect, near, far) => {
-    const f = 1 / Math.tan(fov / 2);
-    return [
-      f / aspect, 0, 0, 0,
-      0, f, 0, 0,
-      0, 0, (far + near) / (near - far), -1,
-      0, 0, (2 * far * near) / (near - far), 0
-    ];
-  },
-  
-  mat4LookAt: (eye, center, up) => {
-    const z = builtins.vecNorm(builtins.vecSub(eye, center));
-    const x = builtins.vecNorm(builtins.vecCross(up, z));
-    const y = builtins.vecCross(z, x);
-    return [
-      x.x, y.x, z.x, 0,
-      x.y, y.y, z.y, 0,
-      x.z, y.z, z.z, 0,
-      -builtins.vecDot(x, eye), -builtins.vecDot(y, eye), -builtins.vecDot(z, eye), 1
-    ];
-  },
-  
-  // Complex numbers
-  complex: (re, im) => ({re, im}),
-  
-  complexAdd: (a, b) => ({re: a.re + b.re, im: a.im + b.im}),
-  complexSub: (a, b) => ({re: a.re - b.re, im: a.im - b.im}),
-  complexMul: (a, b) => ({
-    re: a.re * b.re - a.im * b.im,
-    im: a.re * b.im + a.im * b.re
-  }),
-  complexDiv: (a, b) => {
-    const denom = b.re * b.re + b.im * b.im;
-    return {
-      re: (a.re * b.re + a.im * b.im) / denom,
-      im: (a.im * b.re - a.re * b.im) / denom
-    };
-  },
-  complexAbs: (c) => Math.sqrt(c.re * c.re + c.im * c.im),
-  complexArg: (c) => Math.atan2(c.im, c.re),
-  complexConj: (c) => ({re: c.re, im: -c.im}),
-  complexPolar: (r, theta) => ({re: r * Math.cos(theta), im: r * Math.sin(theta)}),
-  
-  // Quaternions (for 3D rotations)
-  quat: (w, x, y, z) => ({w, x, y, z}),
-  quatIdentity: () => ({w: 1, x: 0, y: 0, z: 0}),
-  
-  quatMul: (a, b) => ({
-    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
-    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
-    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
-    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
-  }),
-  
-  quatFromAxisAngle: (axis, angle) => {
-    const halfAngle = angle / 2;
-    const s = Math.sin(halfAngle);
-    return {
-      w: Math.cos(halfAngle),
-      x: axis.x * s,
-      y: axis.y * s,
-      z: axis.z * s
-    };
-  },
-  
-  quatRotateVec: (q, v) => {
-    const qv = {w: 0, x: v.x, y: v.y, z: v.z};
-    const qConj = {w: q.w, x: -q.x, y: -q.y, z: -q.z};
-    const result = builtins.quatMul(builtins.quatMul(q, qv), qConj);
-    return {x: result.x, y: result.y, z: result.z};
-  },
-  
-  quatSlerp: (a, b, t) => {
-    let dot = a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z;
-    if (dot < 0) { b = {w: -b.w, x: -b.x, y: -b.y, z: -b.z}; dot = -dot; }
-    if (dot > 0.9995) {
-      return {
-        w: a.w + t * (b.w - a.w),
-        x: a.x + t * (b.x - a.x),
-        y: a.y + t * (b.y - a.y),
-        z: a.z + t * (b.z - a.z)
-      };
+    
+    interpreter.restoreState(this.callerState);
+    this.state = 'completed';
+    const { resolve, reject } = this.pending;
+    this.pending = null;
+    if ('error' in outcome) {
+      reject(outcome.error);
+    } else {
+      resolve({ value: outcome.value, done: true });
     }
-    const theta0 = Math.acos(dot);
-    const theta = theta0 * t;
-    const sinTheta = Math.sin(theta);
-    const sinTheta0 = Math.sin(theta0);
-    const s0 = Math.cos(theta) - dot * sinTheta / sinTheta0;
-    const s1 = sinTheta / sinTheta0;
-    return {
-      w: s0 * a.w + s1 * b.w,
-      x: s0 * a.x + s1 * b.x,
-      y: s0 * a.y + s1 * b.y,
-      z: s0 * a.z + s1 * b.z
-    };
-  },
-  
-  // Additional math functions
-  lerp: (a, b, t) => a + (b - a) * t,
-  inverseLerp: (a, b, v) => (v - a) / (b - a),
-  remap: (v, inMin, inMax, outMin, outMax) => outMin + (v - inMin) * (outMax - outMin) / (inMax - inMin),
-  smoothstep: (edge0, edge1, x) => {
-    const t = builtins.clamp(0, (x - edge0) / (edge1 - edge0), 1);
-    return t * t * (3 - 2 * t);
-  },
-  smootherstep: (edge0, edge1, x) => {
-    const t = builtins.clamp(0, (x - edge0) / (edge1 - edge0), 1);
-    return t * t * t * (t * (t * 6 - 15) + 10);
-  },
-  
-  fract: (x) => x - Math.floor(x),
-  mod: (x, y) => ((x % y) + y) % y,
-  wrap: (x, min, max) => min + builtins.mod(x - min, max - min),
-  
-  degToRad: (deg) => deg * Math.PI / 180,
-  radToDeg: (rad) => rad * 180 / Math.PI,
-  
-  // Noise functions
-  noise: (x, y = 0, z = 0) => {
-    // Simple Perlin-like noise approximation
-    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
-    const lerp = (a, b, t) => a + t * (b - a);
-    const grad = (hash, x, y, z) => {
-      const h = hash & 15;
-      const u = h < 8 ? x : y;
-      const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
-      return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
-    };
-    const p = new Array(512);
-    const permutation = [151,160,137,91,90,15,131,13,201,95,96,53,194,233,7,225,140,36,103,30,69,142,8,99,37,240,21,10,23,190,6,148,247,120,234,75,0,26,197,62,94,252,219,203,117,35,11,32,57,177,33,88,237,149,56,87,174,20,125,136,171,168,68,175,74,165,71,134,139,48,27,166,77,146,158,231,83,111,229,122,60,211,133,230,220,105,92,41,55,46,245,40,244,102,143,54,65,25,63,161,1,216,80,73,209,76,132,187,208,89,18,169,200,196,135,130,116,188,159,86,164,100,109,198,173,186,3,64,52,217,226,250,124,123,5,202,38,147,118,126,255,82,85,212,207,206,59,227,47,16,58,17,182,189,28,42,223,183,170,213,119,248,152,2,44,154,163,70,221,153,101,155,167,43,172,9,129,22,39,253,19,98,108,110,79,113,224,232,178,185,112,104,218,246,97,228,251,34,242,193,238,210,144,12,191,179,162,241,81,51,145,235,249,14,239,107,49,192,214,31,181,199,106,157,184,84,204,176,115,121,50,45,127,4,150,254,138,236,205,93,222,114,67,29,24,72,243,141,128,195,78,66,215,61,156,180];
-    for (let i = 0; i < 256; i++) p[256 + i] = p[i] = permutation[i];
-    
-    const X = Math.floor(x) & 255;
-    const Y = Math.floor(y) & 255;
-    const Z = Math.floor(z) & 255;
-    x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z);
-    const u = fade(x), v = fade(y), w = fade(z);
-    const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
-    const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
-    
-    return lerp(lerp(lerp(grad(p[AA], x, y, z), grad(p[BA], x - 1, y, z), u),
-                     lerp(grad(p[AB], x, y - 1, z), grad(p[BB], x - 1, y - 1, z), u), v),
-                lerp(lerp(grad(p[AA + 1], x, y, z - 1), grad(p[BA + 1], x - 1, y, z - 1), u),
-                     lerp(grad(p[AB + 1], x, y - 1, z - 1), grad(p[BB + 1], x - 1, y - 1, z - 1), u), v), w);
-  },
-  
-  fbm: (x, y, octaves = 4, lacunarity = 2, gain = 0.5) => {
-    let value = 0, amplitude = 1, frequency = 1, maxValue = 0;
-    for (let i = 0; i < octaves; i++) {
-      value += amplitude * builtins.noise(x * frequency, y * frequency);
-      maxValue += amplitude;
-      amplitude *= gain;
-      frequency *= lacunarity;
-    }
-    return value / maxValue;
-  },
-  
-  // Statistics
-  mean: (arr) => arr.reduce((a, b) => a + b, 0) / arr.length,
-  median: (arr) => {
-    const sorted = [...arr].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-  },
-  mode: (arr) => {
-    const counts = {};
-    arr.forEach(v => counts[v] = (counts[v] || 0) + 1);
-    return Object.entries(counts).reduce((a, b) => a[1] > b[1] ? a : b)[0];
-  },
-  variance: (arr) => {
-    const m = builtins.mean(arr);
-    return arr.reduce((sum, v) => sum + (v - m) ** 2, 0) / arr.length;
-  },
-  stddev: (arr) => Math.sqrt(builtins.variance(arr)),
-  
-  // Easing functions (for animations)
-  easeInQuad: (t) => t * t,
-  easeOutQuad: (t) => t * (2 - t),
-  easeInOutQuad: (t) => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
-  easeInCubic: (t) => t * t * t,
-  easeOutCubic: (t) => (--t) * t * t + 1,
-  easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
-  easeInElastic: (t) => t === 0 ? 0 : t === 1 ? 1 : -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.1) * 5 * Math.PI),
-  easeOutElastic: (t) => t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t - 0.1) * 5 * Math.PI) + 1,
-  easeInBounce: (t) => 1 - builtins.easeOutBounce(1 - t),
-  easeOutBounce: (t) => {
-    if (t < 1 / 2.75) return 7.5625 * t * t;
-    if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
-    if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
-    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
-  },
-  
-  // =============================================
-  // ASYNC/PROMISE HELPERS (Most wanted)
-  // =============================================
-  
-  // Promise.all equivalent
-  all: async (...promises) => {
-    const arr = Array.isArray(promises[0]) ? promises[0] : promises;
-    return Promise.all(arr);
-  },
-  
-  // Promise.race equivalent
-  race: async (...promises) => {
-    const arr = Array.isArray(promises[0]) ? promises[0] : promises;
-    return Promise.race(arr);
-  },
-  
-  // Promise.any equivalent
-  any: async (...promises) => {
-    const arr = Array.isArray(promises[0]) ? promises[0] : promises;
-    return Promise.any ? Promise.any(arr) : new Promise((resolve, reject) => {
-      let errors = [];
-      arr.forEach((p, i) => {
-        Promise.resolve(p).then(resolve).catch(e => {
-          errors[i] = e;
-          if (errors.length === arr.length) reject(new AggregateError(errors));
-        });
-      });
-    });
-  },
-  
-  // Promise.allSettled equivalent
-  allSettled: async (...promises) => {
-    const arr = Array.isArray(promises[0]) ? promises[0] : promises;
-    return Promise.allSettled(arr);
-  },
-  
-  // Create resolved/rejected promises
-  resolve: (value) => Promise.resolve(value),
-  reject: (reason) => Promise.reject(reason),
-  
-  // Promisify a callback function
-  promisify: (fn) => (...args) => new Promise((resolve, reject) => {
-    fn(...args, (err, result) => err ? reject(err) : resolve(result));
-  }),
-  
-  // Delay/timeout utilities
-  delay: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
-  timeout: (promise, ms, message = 'Timeout') => {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms))
-    ]);
-  },
-  
-  // Retry helper
-  retry: async (fn, maxAttempts = 3, delayMs = 1000) => {
-    let lastError;
-    for (let i = 0; i < maxAttempts; i++) {
-      try {
-        return await fn();
-      } catch (error) {
-        lastError = error;
-        if (i < maxAttempts - 1) await builtins.delay(delayMs);
-      }
+  }
+
+  // Called from the body for `yield value`; resolves with the value sent to next()
+  async yieldValue(value) {
+    if (this.isAsync && value instanceof Promise) {
+      value = await value;
+    }
+    const interpreter = this.interpreter;
+    this.generatorState = interpreter.captureState();
+    interpreter.restoreState(this.callerState);
+    
+    const resumed = new Promise(resolve => { this.resumeWith = resolve; });
+    this.state = 'suspendedYield';
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve({ value, done: false });
+    
+    const { mode, value: sent } = await resumed;
+    interpreter.restoreState(this.generatorState);
+    if (mode === 'throw') {
+      throw sent instanceof Error ? sent : new ThrowError(sent);
     }
-    throw lastError;
-  },
-  
-  // Debounce
-  debounce: (fn, wait) => {
-    let timeout;
-    return (...args) => {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => fn(...args), wait);
-    };
-  },
-  
-  // Throttle
-  throttle: (fn, limit) => {
-    let inThrottle;
-    return (...args) => {
-      if (!inThrottle) {
-        fn(...args);
-        inThrottle = true;
-        setTimeout(() => inThrottle = false, limit);
-      }
-    };
-  },
-  
-  // =============================================
-  // STRING FORMATTING (Python-style f-strings)
-  // =============================================
-  
-  // Format string with named/positional args
-  fmt: (template, ...args) => {
-    // Handle positional: fmt("Hello {}!", "World")
-    // Handle named: fmt("Hello {name}!", {name: "World"})
-    let i = 0;
-    const context = args.length === 1 && typeof args[0] === 'object' ? args[0] : null;
-    return template.replace(/\{(\w*)\}/g, (match, key) => {
-      if (key === '') {
-        return args[i++];
-      }
-      if (context && key in context) {
-        return context[key];
-      }
-      const idx = parseInt(key);
-      if (!isNaN(idx)) {
-        return args[idx];
-      }
-      return match;
-    });
-  },
-  
-  // Format with type specifiers like Python
-  // format("{:.2f}", 3.14159) -> "3.14"
-  // format("{:05d}", 42) -> "00042"
-  format: (template, ...args) => {
-    let i = 0;
-    return template.replace(/\{(\d*)(?::([^}]+))?\}/g, (match, idx, spec) => {
-      const argIndex = idx === '' ? i++ : parseInt(idx);
-      let value = args[argIndex];
-      
-      if (!spec) return String(value);
-      
-      // Parse format spec
-      const specMatch = spec.match(/^([<>^])?(\d+)?(?:\.(\d+))?([dfsxXobe])?$/);
-      if (!specMatch) return String(value);
-      
-      const [, align, width, precision, type] = specMatch;
-      
-      // Apply type conversion
-      switch (type) {
-        case 'd': value = Math.floor(value).toString(); break;
-        case 'f': value = precision ? parseFloat(value).toFixed(parseInt(precision)) : String(parseFloat(value)); break;
-        case 's': value = String(value); break;
-        case 'x': value = Math.floor(value).toString(16); break;
-        case 'X': value = Math.floor(value).toString(16).toUpperCase(); break;
-        case 'o': value = Math.floor(value).toString(8); break;
-        case 'b': value = Math.floor(value).toString(2); break;
-        case 'e': value = parseFloat(value).toExponential(precision ? parseInt(precision) : undefined); break;
-        default: value = String(value);
-      }
-      
-      // Apply width and alignment
-      if (width) {
-        const w = parseInt(width);
-        const fill = width[0] === '0' ? '0' : ' ';
-        switch (align) {
-          case '<': value = value.padEnd(w, fill); break;
-          case '>': value = value.padStart(w, fill); break;
-          case '^': {
-            const padding = w - value.length;
-            const left = Math.floor(padding / 2);
-            value = fill.repeat(left) + value + fill.repeat(padding - left);
-            break;
-          }
-          default: value = fill === '0' ? value.padStart(w, fill) : value.padStart(w, fill);
-        }
-      }
-      
-      return value;
-    });
-  },
-  
-  // Printf-style formatting
-  sprintf: (template, ...args) => {
-    let i = 0;
-    return template.replace(/%([+-])?(\d+)?(?:\.(\d+))?([diouxXeEfFgGcs%])/g, 
-      (match, flags, width, precision, type) => {
-        if (type === '%') return '%';
-        let value = args[i++];
-        
-        switch (type) {
-          case 'd':
-          case 'i': value = Math.floor(value).toString(); break;
-          case 'o': value = Math.floor(value).toString(8); break;
-          case 'x': value = Math.floor(value).toString(16); break;
-          case 'X': value = Math.floor(value).toString(16).toUpperCase(); break;
-          case 'u': value = Math.abs(Math.floor(value)).toString(); break;
-          case 'e': value = parseFloat(value).toExponential(precision ? parseInt(precision) : 6); break;
-          case 'E': value = parseFloat(value).toExponential(precision ? parseInt(precision) : 6).toUpperCase(); break;
-          case 'f':
-          case 'F': value = parseFloat(value).toFixed(precision ? parseInt(precision) : 6); break;
-          case 'g':
-          case 'G': value = parseFloat(value).toPrecision(precision ? parseInt(precision) : 6); break;
-          case 'c': value = String.fromCharCode(value); break;
-          case 's': value = String(value); break;
-        }
-        
-        if (width) {
-          const w = parseInt(width);
-          if (flags?.includes('-')) {
-            value = value.padEnd(w);
-          } else {
-            value = value.padStart(w, width[0] === '0' ? '0' : ' ');
-          }
-        }
-        
-        if (flags?.includes('+') && parseFloat(args[i-1]) >= 0) {
-          value = '+' + value;
-        }
-        
-        return value;
-      }
-    );
-  },
-  
-  // Template literal helper
-  template: (strings, ...values) => {
-    return strings.reduce((result, str, i) => {
-      return result + str + (values[i] !== undefined ? values[i] : '');
-    }, '');
-  },
-  
-  // Regular expression helpers
-  regex: (pattern, flags = '') => new RegExp(pattern, flags),
-  regexTest: (pattern, str, flags = '') => new RegExp(pattern, flags).test(str),
-  regexMatch: (pattern, str, flags = '') => str.match(new RegExp(pattern, flags)),
-  regexReplace: (str, pattern, replacement, flags = 'g') => str.replace(new RegExp(pattern, flags), replacement),
-  regexSplit: (str, pattern, flags = '') => str.split(new RegExp(pattern, flags)),
-  
-  // =============================================
-  // GENERATOR/ITERATOR HELPERS
-  // =============================================
-  
-  // Create an iterator
-  iter: (iterable) => iterable[Symbol.iterator](),
-  
-  // Get next value from iterator
-  next: (iterator) => {
-    const result = iterator.next();
-    return result.done ? null : result.value;
-  },
-  
-  // Take first n elements from iterator
-  take: (iterable, n) => {
-    const result = [];
-    const iter = iterable[Symbol.iterator] ? iterable[Symbol.iterator]() : iterable;
-    for (let i = 0; i < n; i++) {
-      const { value, done } = iter.next();
-      if (done) break;
-      result.push(value);
+    if (mode === 'return') {
+      throw new ReturnValue(sent);
     }
-    return result;
-  },
-  
-  // Skip first n elements
-  skip: (iterable, n) => {
-    const arr = Array.from(iterable);
-    return arr.slice(n);
-  },
-  
-  // Infinite counter generator
-  count: function*(start = 0, step = 1) {
-    let i = start;
-    while (true) yield i += step;
-  },
-  
-  // Generate range lazily
-  rangeGen: function*(start, end, step = 1) {
-    for (let i = start; step > 0 ? i < end : i > end; i += step) yield i;
-  },
-};
+    return sent;
+  }
+}
 
 class Interpreter {
-  constructor() {
+  constructor(options = {}) {
     this.global = new Environment();
     this.environment = this.global;
     this.inputQueue = [];
     this.inputResolver = null;
+    // Stream input() reads from; null when stdin is taken, as by the debug adapter's protocol
+    this.stdin = options.stdin === undefined ? process.stdin : options.stdin;
     this.currentThis = null;
+    // Class whose body the running code was written in, for private and protected access
+    this.currentClass = null;
+    this.currentGenerator = null;
+    this.hostFunctions = new WeakMap();
+    
+    // Module system: resolved path -> { path, exports, loaded }
     this.modules = new Map();
+    this.currentFile = options.filename ? path.resolve(options.filename) : null;
+    this.currentModule = null;
+    this.moduleStack = this.currentFile ? [this.currentFile] : [];
+    
+    // Source text per file (null = code run without a file) for error code frames
+    this.sources = new Map();
+    if (options.source !== undefined) {
+      this.sources.set(this.currentFile, options.source);
+    }
+    
+    // VoxelScript-level call stack: [{ name, file, callSite, callerFile, native }]
+    this.callStack = [];
+    
+    // Strict mode: enforce type annotations on declarations, assignments and parameters
+    this.strictTypes = !!options.strict;
+    
+    // Tasks: each spawned task runs on its own interpreter whose prototype is this one
+    this.root = this;
+    this.currentTask = null;
+    this.tasks = new Set();
+    // { time, timeLimit } of a task spawned with a time limit, and of the tasks it spawns
+    this.deadline = null;
+    this.sandbox = null;
+    // Step debugging (see debugger.js); tryDepth counts the try blocks with handlers around the running code
+    this.debugger = null;
+    this.tryDepth = 0;
+    // Statement, branch and function counters (see coverage.js)
+    this.coverage = null;
     
     // Load built-ins
     for (const [name, fn] of Object.entries(builtins)) {
       this.global.define(name, fn);
     }
+    // These defer to __str__ and __len__ on class instances
+    this.global.define('print', (...values) => this.active().printValues(values));
+    this.global.define('str', (value) => this.active().stringOf(value));
+    this.global.define('len', (value) => this.active().lengthOf(value));
+    // Timer callbacks run as tasks of their own; a task's sleeps and fetches end when it is cancelled
+    const taskToken = () => this.active().currentTask?.token ?? this.sandbox?.token ?? null;
+    const taskAware = {
+      setTimeout: (fn, ms = 0, ...args) => setTimeout(() => this.active().spawn(fn, args), ms),
+      setInterval: (fn, ms = 0, ...args) => setInterval(() => this.active().spawn(fn, args), ms),
+      sleep: (ms, token = null) => builtins.sleep(ms, token ?? taskToken()),
+      wait: (ms, token = null) => builtins.sleep(ms, token ?? taskToken()),
+      delay: (ms, token = null) => builtins.sleep(ms, token ?? taskToken()),
+      fetch: (url, options = {}) => builtins.fetch(url, { cancel: taskToken(), ...options })
+    };
+    for (const [name, fn] of Object.entries(taskAware)) {
+      this.global.define(name, fn);
+    }
+    this.defineErrorClasses();
+    
+    // Sandbox mode: restricted builtins and execution limits (see sandbox.js)
+    if (options.sandbox) {
+      this.sandbox = new Sandbox(options.sandbox, (name, message) => new ThrowError(this.createError(name, message)));
+      for (const [name, fn] of Object.entries(this.sandbox.restrictedGlobals(name => this.global.get(name)))) {
+        this.global.define(name, fn);
+      }
+      // Running out of time cancels every task
+      this.sandbox.token.onCancel(reason => {
+        for (const task of this.tasks) task.cancel(reason);
+      });
+    }
+  }
+
+  // ===== ERRORS =====
+
+  defineErrorClasses() {
+    if (!errorClassesAst) {
+      errorClassesAst = new Parser(new Lexer(ERROR_CLASSES_SOURCE).tokenize()).parse();
+    }
+    const previousFile = this.currentFile;
+    this.currentFile = null;
+    this.errorClasses = new Map();
+    for (const node of errorClassesAst.statements) {
+      this.errorClasses.set(node.name, this.defineClass(node, []));
+    }
+    this.currentFile = previousFile;
+  }
+
+  isErrorClass(klass) {
+    const base = this.errorClasses.get('Error');
+    for (let current = klass; current; current = current.__parent__) {
+      if (current === base) return true;
+    }
+    return false;
+  }
+
+  // An instance of the builtin error class `name`, for errors raised by the runtime itself
+  createError(name, message, details = {}) {
+    const error = this.createInstance(this.errorClasses.get(name));
+    error.set('message', message);
+    error.set('cause', null);
+    for (const [key, value] of Object.entries(details)) error.set(key, value);
+    return error;
+  }
+
+  // `Name: message` followed by one `at` line per frame
+  setErrorStack(error, frames) {
+    error.set('stack', `${error.get('name')}: ${error.get('message')}\n${formatStack(frames)}`);
+  }
+
+  // Stack of an instance created by `new` at `loc`, when it is an error
+  recordErrorStack(instance, loc) {
+    if (!loc || !this.isErrorClass(instance.__class__)) return;
+    this.setErrorStack(instance, this.captureStack({ file: this.currentFile, line: loc.start.line, column: loc.start.column }));
+  }
+
+  // The value a catch clause sees: what the script threw, or an error instance standing in for a
+  // failure of the runtime or a builtin. Its stack is the one recorded where the error was thrown.
+  caughtValue(error) {
+    if (error instanceof ThrowError) {
+      const value = error.thrownValue;
+      if (value instanceof VoxelInstance && this.isErrorClass(value.__class__) && value.get('stack') === null && error.voxelStack) {
+        this.setErrorStack(value, error.voxelStack);
+      }
+      return value;
+    }
+    if (!error.voxelValue) {
+      error.voxelValue = this.createError(this.errorClassFor(error), error.message);
+      if (error.voxelStack) this.setErrorStack(error.voxelValue, error.voxelStack);
+    }
+    return error.voxelValue;
+  }
+
+  // Builtin error class for a host error: file system failures are IOErrors, bad arguments ValueErrors
+  errorClassFor(error) {
+    if (error instanceof builtins.Error && this.errorClasses.has(error.name)) return error.name;
+    if (error.code && error.syscall) return 'IOError';
+    if (error instanceof RangeError || error instanceof SyntaxError) return 'ValueError';
+    if (error instanceof TypeError) return 'TypeError';
+    return 'Error';
+  }
+
+  // Whether a catch clause takes `value`: an untyped clause takes everything
+  catches(handler, value) {
+    return !handler.typeAnnotation || this.matchesType(value, handler.typeAnnotation);
   }
 
   async run(ast) {
+    if (this.sandbox) this.sandbox.start();
+    if (this.coverage !== null && this.currentFile !== null) {
+      this.coverage.addFile(this.currentFile, this.sources.get(this.currentFile), ast);
+    }
     try {
       let result = null;
       for (const statement of ast.statements) {
-        result = await this.evaluate(statement);
+        result = await this.evaluateStatement(statement);
       }
       return result;
     } catch (error) {
@@ -1588,8 +591,36 @@ class Interpreter {
     }
   }
 
+  // A statement of a block or body, where an attached debugger may pause.
+  // Errors are located here rather than per node, so that expressions pay nothing for it.
+  async evaluateStatement(node) {
+    try {
+      if (this.debugger !== null) await this.debugger.beforeStatement(this, node);
+      return await this.evaluate(node);
+    } catch (error) {
+      if (this.debugger !== null && error instanceof Error && !isControlFlow(error)) {
+        await this.debugger.exceptionThrown(this, error, node);
+      }
+      throw this.locateError(error, node);
+    }
+  }
+
+  attachDebugger() {
+    if (this.debugger === null) this.debugger = new Debugger(this);
+    return this.debugger;
+  }
+
+  // Count what runs from now on, in this file and the modules it imports, into `coverage`
+  collectCoverage(coverage = new Coverage()) {
+    this.coverage = coverage;
+    return coverage;
+  }
+
   async evaluate(node) {
     if (!node) return null;
+    if (this.sandbox !== null) this.sandbox.step();
+    if (this.deadline !== null && Date.now() > this.deadline.time) this.timeUp();
+    if (this.coverage !== null) this.coverage.hit(node);
     
     switch (node.type) {
       case 'Program':
@@ -1616,7 +647,7 @@ class Interpreter {
           if (el === null) {
             elements.push(undefined); // Sparse array
           } else if (el.type === 'SpreadElement') {
-            const spread = await this.evaluate(el.argument);
+            const spread = await this.spreadValues(await this.evaluate(el.argument));
             elements.push(...spread);
           } else {
             elements.push(await this.evaluate(el));
@@ -1642,16 +673,17 @@ class Interpreter {
         return await this.evaluate(node.argument);
         
       case 'Identifier':
-        return this.environment.get(node.name);
+        try {
+          return this.environment.get(node.name);
+        } catch (error) {
+          throw this.locateError(error, node);
+        }
         
       case 'ThisExpr':
         return this.currentThis;
         
       case 'SuperExpr':
-        if (this.currentThis && this.currentThis.__class__?.__parent__) {
-          return this.currentThis.__class__.__parent__;
-        }
-        throw new Error("'super' used outside of class context");
+        return this.superMember('constructor');
         
       case 'BinaryExpr':
         return this.evaluateBinary(node);
@@ -1683,6 +715,14 @@ class Interpreter {
         this.environment.define(node.name, value, node.isConst);
         return value;
       }
+      
+      case 'TypedDeclaration': {
+        const value = node.value ? await this.evaluate(node.value) : null;
+        this.checkType(value, node.typeAnnotation, `'${node.name}'`);
+        this.environment.define(node.name, value, node.isConst);
+        if (this.strictTypes) this.environment.annotate(node.name, node.typeAnnotation);
+        return value;
+      }
         
       case 'DestructuringDeclaration':
         return this.evaluateDestructuring(node);
@@ -1693,10 +733,13 @@ class Interpreter {
       case 'FunctionDeclaration': {
         const fn = {
           __isVoxelFunction: true,
+          name: node.name,
+          file: this.currentFile,
           params: node.params,
           body: node.body,
           closure: this.environment,
-          isAsync: node.isAsync
+          isAsync: node.isAsync,
+          [HOME_CLASS]: this.currentClass
         };
         if (node.name) {
           this.environment.define(node.name, fn);
@@ -1707,11 +750,14 @@ class Interpreter {
       case 'ArrowFunction': {
         return {
           __isVoxelFunction: true,
+          name: null,
+          file: this.currentFile,
           params: node.params,
           body: node.body,
           closure: this.environment,
           isAsync: node.isAsync,
-          boundThis: this.currentThis // Arrow functions capture 'this'
+          boundThis: this.currentThis, // Arrow functions capture 'this'
+          [HOME_CLASS]: this.currentClass
         };
       }
         
@@ -1721,10 +767,11 @@ class Interpreter {
       case 'NewExpr':
         return this.evaluateNew(node);
         
-      case 'AwaitExpr': {
-        const value = await this.evaluate(node.argument);
-        return value instanceof Promise ? await value : value;
-      }
+      case 'AwaitExpr':
+        return this.awaitValue(await this.evaluate(node.argument));
+        
+      case 'SpawnExpr':
+        return this.evaluateSpawn(node);
         
       case 'ClassDeclaration':
         return this.evaluateClass(node);
@@ -1750,6 +797,9 @@ class Interpreter {
       case 'DoWhileStatement':
         return this.evaluateDoWhile(node);
         
+      case 'LabeledStatement':
+        return this.evaluateLabeled(node);
+        
       case 'TryStatement':
         return this.evaluateTry(node);
         
@@ -1764,40 +814,27 @@ class Interpreter {
       }
         
       case 'BreakStatement':
-        throw new BreakLoop();
+        throw new BreakLoop(node.label);
         
       case 'ContinueStatement':
-        throw new ContinueLoop();
+        throw new ContinueLoop(node.label);
         
       case 'PrintStatement': {
         const value = await this.evaluate(node.value);
-        console.log(value);
+        await this.printValues([value]);
         return value;
       }
         
       case 'InputExpr':
         return this.evaluateInput(node);
         
-      case 'TypeOfExpr': {
-        const value = await this.evaluate(node.argument);
-        if (value === null) return 'null';
-        if (Array.isArray(value)) return 'array';
-        if (value instanceof VoxelInstance) return 'object';
-        return typeof value;
-      }
+      case 'TypeOfExpr':
+        return this.typeOf(await this.evaluate(node.argument));
         
       case 'InstanceOfExpr': {
         const left = await this.evaluate(node.left);
         const right = await this.evaluate(node.right);
-        if (left instanceof VoxelInstance && right?.__isVoxelClass__) {
-          let klass = left.__class__;
-          while (klass) {
-            if (klass === right) return true;
-            klass = klass.__parent__;
-          }
-          return false;
-        }
-        return false;
+        return this.instanceOf(left, right);
       }
         
       case 'DeleteExpr': {
@@ -1821,22 +858,15 @@ class Interpreter {
       case 'IndexAccess': {
         const obj = await this.evaluate(node.object);
         const index = await this.evaluate(node.index);
-        if (obj instanceof VoxelInstance) {
-          return obj.get(index) ?? obj.__properties__[index];
-        }
-        return obj[index];
+        return this.readIndex(obj, index);
       }
         
       case 'MemberAccess': {
-        const obj = await this.evaluate(node.object);
-        if (obj instanceof VoxelInstance) {
-          return obj.get(node.property);
+        if (node.object.type === 'SuperExpr') {
+          return this.superMember(node.property);
         }
-        if (obj instanceof VoxelClass) {
-          // Static access
-          return obj.__staticProperties__[node.property] ?? obj.__staticMethods__[node.property];
-        }
-        return obj?.[node.property];
+        const obj = await this.evaluate(node.object);
+        return this.readProperty(obj, node.property);
       }
         
       case 'Block': {
@@ -1845,7 +875,7 @@ class Interpreter {
         let result = null;
         try {
           for (const stmt of node.statements) {
-            result = await this.evaluate(stmt);
+            result = await this.evaluateStatement(stmt);
           }
         } finally {
           this.environment = previous;
@@ -1864,9 +894,13 @@ class Interpreter {
       case 'GeneratorDeclaration': {
         const gen = {
           __isVoxelGenerator: true,
+          name: node.name,
+          file: this.currentFile,
           params: node.params,
           body: node.body,
-          closure: this.environment
+          closure: this.environment,
+          isAsync: node.isAsync,
+          [HOME_CLASS]: this.currentClass
         };
         if (node.name) {
           this.environment.define(node.name, gen);
@@ -1874,27 +908,13 @@ class Interpreter {
         return gen;
       }
       
-      case 'YieldExpr': {
-        // Yield is handled by generator evaluation
-        const value = node.argument ? await this.evaluate(node.argument) : null;
-        return { __yield: true, value, delegate: node.delegate };
-      }
+      case 'YieldExpr':
+        return this.evaluateYield(node);
       
-      case 'EnumDeclaration': {
-        const enumObj = { __isEnum: true, __name: node.name };
-        for (const member of node.members) {
-          enumObj[member.name] = member.value;
-        }
-        // Reverse mapping for numeric enums
-        for (const member of node.members) {
-          if (typeof member.value === 'number') {
-            enumObj[member.value] = member.name;
-          }
-        }
-        Object.freeze(enumObj);
-        this.environment.define(node.name, enumObj);
-        return enumObj;
-      }
+      case 'EnumDeclaration':
+      case 'InterfaceDeclaration':
+      case 'TypeAliasDeclaration':
+        return this.declareType(node);
       
       case 'MatchExpr':
         return this.evaluateMatch(node);
@@ -1918,7 +938,7 @@ class Interpreter {
         const condition = await this.evaluate(node.condition);
         if (!condition) {
           const message = node.message ? await this.evaluate(node.message) : 'Assertion failed';
-          throw new Error(`AssertionError: ${message}`);
+          throw new ThrowError(this.createError('AssertionError', message));
         }
         return true;
       }
@@ -1964,25 +984,6 @@ class Interpreter {
       case 'WithStatement':
         return this.evaluateWith(node);
       
-      case 'InterfaceDeclaration': {
-        // Interfaces are compile-time only, just store metadata
-        const iface = { 
-          __isInterface: true, 
-          __name: node.name,
-          __members: node.members,
-          __extends: node.extends 
-        };
-        this.environment.define(node.name, iface);
-        return iface;
-      }
-      
-      case 'TypeAliasDeclaration': {
-        // Type aliases are compile-time only
-        const typeAlias = { __isTypeAlias: true, __name: node.name, __typeDefinition: node.typeDefinition };
-        this.environment.define(node.name, typeAlias);
-        return typeAlias;
-      }
-        
       default:
         throw new Error(`Unknown node type: ${node.type}`);
     }
@@ -1994,7 +995,7 @@ class Interpreter {
       if (part.type === 'string') {
         result += part.value;
       } else {
-        result += String(await this.evaluate(part.value));
+        result += await this.stringify(await this.evaluate(part.value));
       }
     }
     return result;
@@ -2005,28 +1006,28 @@ class Interpreter {
     if (obj === null || obj === undefined) {
       return undefined;
     }
-    if (node.computed) {
-      const index = await this.evaluate(node.property);
-      return obj[index];
-    }
-    return obj[node.property];
+    const key = node.computed ? await this.evaluate(node.property) : node.property;
+    return obj[this.sandbox !== null ? this.sandbox.propertyKey(key) : key];
   }
 
   async evaluatePipe(node) {
     const left = await this.evaluate(node.left);
     const right = await this.evaluate(node.right);
     
-    if (typeof right === 'function') {
-      return right(left);
+    if (!this.isCallable(right)) {
+      throw new Error("Pipe target must be a function");
     }
-    if (right && right.__isVoxelFunction) {
-      return this.callVoxelFunction(right, [left]);
-    }
-    throw new Error("Pipe target must be a function");
+    return this.callFunction(right, [left], node.loc);
   }
 
   async evaluateDestructuring(node) {
-    const value = await this.evaluate(node.value);
+    let value = await this.evaluate(node.value);
+    
+    // Generators only produce as many values as the pattern needs
+    if (node.isArray && this.isAsyncIterable(value)) {
+      const hasRest = node.pattern.some(element => element && element.type === 'rest');
+      value = await collectAsync(value, hasRest ? Infinity : node.pattern.length);
+    }
     
     if (node.isArray) {
       // Array destructuring
@@ -2054,6 +1055,7 @@ class Interpreter {
           }
           this.environment.define(prop.name, rest, node.isConst);
         } else {
+          if (this.sandbox !== null) this.sandbox.propertyKey(prop.key);
           const val = value[prop.key] !== undefined ? value[prop.key] : (prop.default ? await this.evaluate(prop.default) : undefined);
           this.environment.define(prop.name, val, node.isConst);
         }
@@ -2073,40 +1075,25 @@ class Interpreter {
       } else if (node.target.type === 'IndexAccess') {
         const obj = await this.evaluate(node.target.object);
         const index = await this.evaluate(node.target.index);
-        current = obj[index];
+        current = await this.readIndex(obj, index);
       } else if (node.target.type === 'MemberAccess') {
         const obj = await this.evaluate(node.target.object);
-        current = obj[node.target.property];
+        current = await this.readProperty(obj, node.target.property);
       }
       
-      switch (node.operator) {
-        case '+=': value = current + value; break;
-        case '-=': value = current - value; break;
-        case '*=': value = current * value; break;
-        case '/=': value = current / value; break;
-        case '%=': value = current % value; break;
-        case '**=': value = Math.pow(current, value); break;
-        case '&=': value = current & value; break;
-        case '|=': value = current | value; break;
-        case '^=': value = current ^ value; break;
-        case '<<=': value = current << value; break;
-        case '>>=': value = current >> value; break;
-      }
+      value = await this.applyBinary(node.operator.slice(0, -1), current, value);
     }
     
     if (node.target.type === 'Identifier') {
+      if (this.strictTypes) this.checkType(value, this.environment.getAnnotation(node.target.name), `'${node.target.name}'`);
       this.environment.set(node.target.name, value);
     } else if (node.target.type === 'IndexAccess') {
       const obj = await this.evaluate(node.target.object);
       const index = await this.evaluate(node.target.index);
-      obj[index] = value;
+      await this.writeIndex(obj, index, value);
     } else if (node.target.type === 'MemberAccess') {
       const obj = await this.evaluate(node.target.object);
-      if (obj instanceof VoxelInstance) {
-        obj.set(node.target.property, value);
-      } else {
-        obj[node.target.property] = value;
-      }
+      await this.writeProperty(obj, node.target.property, value);
     }
     return value;
   }
@@ -2117,31 +1104,44 @@ class Interpreter {
       value = this.environment.get(node.operand.name);
     } else if (node.operand.type === 'MemberAccess') {
       const obj = await this.evaluate(node.operand.object);
-      value = obj[node.operand.property];
+      value = await this.readProperty(obj, node.operand.property);
     } else if (node.operand.type === 'IndexAccess') {
       const obj = await this.evaluate(node.operand.object);
       const index = await this.evaluate(node.operand.index);
-      value = obj[index];
+      value = await this.readIndex(obj, index);
     }
     
     const newValue = node.operator === '++' ? value + 1 : value - 1;
     
     // Store new value
     if (node.operand.type === 'Identifier') {
+      if (this.strictTypes) this.checkType(newValue, this.environment.getAnnotation(node.operand.name), `'${node.operand.name}'`);
       this.environment.set(node.operand.name, newValue);
     } else if (node.operand.type === 'MemberAccess') {
       const obj = await this.evaluate(node.operand.object);
-      obj[node.operand.property] = newValue;
+      await this.writeProperty(obj, node.operand.property, newValue);
     } else if (node.operand.type === 'IndexAccess') {
       const obj = await this.evaluate(node.operand.object);
       const index = await this.evaluate(node.operand.index);
-      obj[index] = newValue;
+      await this.writeIndex(obj, index, newValue);
     }
     
     return node.prefix ? newValue : value;
   }
 
   async evaluateClass(node) {
+    const propertyValues = [];
+    for (const element of node.body) {
+      if (element.type === 'PropertyDefinition' && element.value) {
+        propertyValues.push(await this.evaluate(element.value));
+      }
+    }
+    return this.defineClass(node, propertyValues);
+  }
+
+  // Build and bind the class once its property initializers have run; `propertyValues` holds
+  // the value of each PropertyDefinition that has an initializer, in declaration order
+  defineClass(node, propertyValues) {
     let parentClass = null;
     if (node.superClass) {
       parentClass = this.environment.get(node.superClass);
@@ -2154,52 +1154,136 @@ class Interpreter {
     const staticMethods = {};
     const properties = {};
     const staticProperties = {};
+    const klass = new VoxelClass(node.name, parentClass, methods, staticMethods, properties, staticProperties);
+    klass.__isAbstract__ = node.isAbstract;
+    if (parentClass) {
+      klass.__access__ = new Map(parentClass.__access__);
+      klass.__abstract__ = new Map(parentClass.__abstract__);
+    }
+    klass.__fields__ = thisAssignments(node.body);
+    let nextValue = 0;
     
     for (const element of node.body) {
-      if (element.type === 'MethodDefinition') {
+      if (element.access === 'public') {
+        klass.__access__.delete(element.key);
+      } else {
+        klass.__access__.set(element.key, { access: element.access, owner: klass });
+      }
+      if (element.type === 'MethodDefinition' && element.isAbstract) {
+        klass.__abstract__.set(element.key, node.name);
+      } else if (element.type === 'MethodDefinition') {
         const method = {
           __isVoxelFunction: true,
+          name: `${node.name}.${element.key}`,
+          file: this.currentFile,
           params: element.params,
           body: element.body,
           closure: this.environment,
           isAsync: element.isAsync,
-          kind: element.kind
+          kind: element.kind,
+          [HOME_CLASS]: klass
         };
-        if (element.isStatic) {
+        if (!element.isStatic) {
+          klass.__abstract__.delete(element.key);
+        }
+        if (element.kind === 'get' || element.kind === 'set') {
+          const accessors = element.isStatic ? klass.__staticAccessors__ : klass.__accessors__;
+          const pair = accessors.get(element.key) || { get: null, set: null };
+          pair[element.kind] = method;
+          accessors.set(element.key, pair);
+        } else if (element.isStatic) {
           staticMethods[element.key] = method;
         } else {
           methods[element.key] = method;
         }
       } else if (element.type === 'PropertyDefinition') {
-        const value = element.value ? await this.evaluate(element.value) : null;
+        const value = element.value ? propertyValues[nextValue++] : null;
         if (element.isStatic) {
           staticProperties[element.key] = value;
         } else {
           properties[element.key] = value;
+          klass.__fields__.add(element.key);
         }
       }
     }
     
-    const klass = new VoxelClass(node.name, parentClass, methods, staticMethods, properties, staticProperties);
+    if (!node.isAbstract && klass.__abstract__.size > 0) {
+      const [method, owner] = klass.__abstract__.entries().next().value;
+      throw new Error(`Class '${node.name}' must implement abstract method '${method}' from '${owner}'`);
+    }
+    for (const name of node.interfaces) {
+      this.checkImplements(klass, name);
+    }
     this.environment.define(node.name, klass);
     return klass;
   }
 
+  // `class X implements Y`: every member of Y must be a public member of X or one of its ancestors
+  checkImplements(klass, name) {
+    const iface = this.environment.has(name) ? this.environment.get(name) : null;
+    if (!iface || !iface.__isInterface) {
+      throw new Error(`Class '${klass.__name__}' implements '${name}', which is not an interface`);
+    }
+    for (const member of this.interfaceMembers(iface)) {
+      const actual = this.classMemberKind(klass, member.name);
+      if (!actual) {
+        throw new Error(`Class '${klass.__name__}' is missing ${member.kind} '${member.name}' required by interface '${name}'`);
+      }
+      if (member.kind === 'method' && actual !== 'method') {
+        throw new Error(`'${member.name}' must be a method to implement interface '${name}'`);
+      }
+      const rule = klass.__access__.get(member.name);
+      if (rule) {
+        throw new Error(`'${member.name}' is ${rule.access} in class '${klass.__name__}' but public in interface '${name}'`);
+      }
+    }
+  }
+
+  // 'method' or 'property' for an instance member of `klass` or its ancestors, else null
+  classMemberKind(klass, name) {
+    if (klass.__abstract__.has(name)) return 'method';
+    for (let current = klass; current; current = current.__parent__) {
+      if (hasOwn(current.__methods__, name)) return 'method';
+      if (current.__fields__.has(name) || current.__accessors__.has(name)) return 'property';
+    }
+    return null;
+  }
+
+  // Private members are reachable only from code written inside their class, protected ones
+  // also from its subclasses
+  checkAccess(klass, key) {
+    const rule = klass.__access__.get(key);
+    if (!rule) return;
+    for (let current = this.currentClass; current; current = current.__parent__) {
+      if (current === rule.owner) return;
+      if (rule.access === 'private') break;
+    }
+    const scope = rule.access === 'private' ? `class '${rule.owner.__name__}'` : `class '${rule.owner.__name__}' and its subclasses`;
+    if (key === 'constructor') {
+      throw new Error(`Constructor of class '${klass.__name__}' is ${rule.access} and only accessible within ${scope}`);
+    }
+    throw new Error(`Property '${key}' is ${rule.access} and only accessible within ${scope}`);
+  }
+
+  // new X(): never for an abstract class, and only from inside for a private or protected constructor
+  checkInstantiable(klass) {
+    if (klass.__isAbstract__) {
+      throw new Error(`Cannot create an instance of abstract class '${klass.__name__}'`);
+    }
+    this.checkAccess(klass, 'constructor');
+  }
+
   async evaluateNew(node) {
     const klass = await this.evaluate(node.callee);
     if (!klass || !klass.__isVoxelClass__) {
       throw new Error("'new' requires a class");
     }
+    this.checkInstantiable(klass);
     
-    // Create instance with default properties
-    const properties = { ...klass.__properties__ };
-    if (klass.__parent__) {
-      Object.assign(properties, klass.__parent__.__properties__);
-    }
-    const instance = new VoxelInstance(klass, properties);
+    const instance = this.createInstance(klass);
     
-    // Call constructor if exists
-    const constructor = klass.__methods__.constructor;
+    // The class's own constructor, or else the nearest inherited one
+    const constructor = klass.findMethod('constructor');
     if (constructor) {
       const args = [];
       for (const arg of node.args) {
@@ -2208,13 +1292,271 @@ class Interpreter {
       
       const previousThis = this.currentThis;
       this.currentThis = instance;
-      await this.callVoxelFunction(constructor, args);
+      await this.callVoxelFunction(constructor, args, node.loc);
       this.currentThis = previousThis;
     }
+    this.recordErrorStack(instance, node.loc);
     
     return instance;
   }
 
+  // enum, interface and typedef declarations
+  declareType(node) {
+    let value;
+    if (node.type === 'EnumDeclaration') {
+      value = defineEnum(node.name, node.members);
+    } else if (node.type === 'InterfaceDeclaration') {
+      // Interfaces are compile-time only, just store metadata
+      value = { 
+        __isInterface: true, 
+        __name: node.name,
+        __members: node.members,
+        __extends: node.extends 
+      };
+    } else {
+      // Type aliases are compile-time only
+      value = { __isTypeAlias: true, __name: node.name, __typeDefinition: node.typeDefinition };
+    }
+    this.environment.define(node.name, value);
+    return value;
+  }
+
+  // Instance with the class's default properties, before its constructor runs
+  createInstance(klass) {
+    const chain = [];
+    for (let current = klass; current; current = current.__parent__) {
+      chain.unshift(current);
+    }
+    // Ancestors first, so a subclass's field initializers win
+    const properties = {};
+    for (const current of chain) {
+      Object.assign(properties, current.__properties__);
+    }
+    const instance = new VoxelInstance(klass, properties);
+    if (this.isErrorClass(klass)) {
+      instance.set('name', klass.__name__);
+      instance.set('stack', null);
+    }
+    return instance;
+  }
+
+  // `super.key` in a method: looked up from the parent of the class the method was declared in
+  // and bound to the current `this`. Bare `super` is the parent constructor, for super(args).
+  superMember(key) {
+    const parent = this.currentClass?.__parent__;
+    if (!parent) {
+      throw new Error("'super' used outside of class context");
+    }
+    if (this.currentThis instanceof VoxelClass) {
+      const owner = parent.findStaticOwner(key);
+      if (!owner) return undefined;
+      return hasOwn(owner.__staticProperties__, key)
+        ? owner.__staticProperties__[key]
+        : { ...owner.__staticMethods__[key], boundThis: this.currentThis };
+    }
+    const method = parent.findMethod(key);
+    if (method) {
+      return { ...method, boundThis: this.currentThis };
+    }
+    return key === 'constructor' ? noConstructor : undefined;
+  }
+
+  // ===== OPERATOR OVERLOADING =====
+
+  // Method `name` of a class instance, bound to it, when its class or an ancestor defines one
+  operatorMethod(value, name) {
+    if (!name || !(value instanceof VoxelInstance)) return null;
+    const method = value.__class__.findMethod(name);
+    return method ? { ...method, boundThis: value } : null;
+  }
+
+  // The left operand's dunder method, else the right operand's reflected one; `!=` falls back to a
+  // negated `__eq__` and `+` with a string to `__str__`. Returns NOT_OVERLOADED when none applies.
+  overloadedBinary(operator, left, right) {
+    const [name, reflected] = OPERATOR_METHODS[operator] || [];
+    const method = this.operatorMethod(left, name);
+    if (method) return this.callVoxelFunction(method, [right]);
+    const reflectedMethod = this.operatorMethod(right, reflected);
+    if (reflectedMethod) return this.callVoxelFunction(reflectedMethod, [left]);
+    if (operator === '!=') {
+      const equal = this.overloadedBinary('==', left, right);
+      if (equal === NOT_OVERLOADED) return equal;
+      return equal instanceof Promise ? equal.then(value => !value) : !equal;
+    }
+    if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+      const parts = [this.stringify(left), this.stringify(right)];
+      return parts.some(part => part instanceof Promise)
+        ? Promise.all(parts).then(([a, b]) => a + b)
+        : parts[0] + parts[1];
+    }
+    return NOT_OVERLOADED;
+  }
+
+  // String(value), or the instance's __str__; a promise while __str__ runs
+  stringify(value) {
+    const method = this.operatorMethod(value, '__str__');
+    if (!method) return String(value);
+    const text = this.callVoxelFunction(method, []);
+    return text instanceof Promise ? text.then(String) : String(text);
+  }
+
+  // The str() builtin
+  stringOf(value) {
+    return value instanceof VoxelInstance ? this.stringify(value) : builtins.str(value);
+  }
+
+  // The len() builtin
+  lengthOf(value) {
+    if (!(value instanceof VoxelInstance)) return builtins.len(value);
+    const method = this.operatorMethod(value, '__len__');
+    if (!method) {
+      throw new Error(`Class '${value.__class__.__name__}' does not define __len__`);
+    }
+    return this.callVoxelFunction(method, []);
+  }
+
+  // print: a promise only when some __str__ has to run
+  printValues(values) {
+    if (!values.some(value => this.hasCustomStr(value))) {
+      console.log(...values);
+      return null;
+    }
+    return Promise.all(values.map(value => this.displayValue(value))).then(shown => {
+      console.log(...shown);
+      return null;
+    });
+  }
+
+  // Whether `value` is, or holds in arrays and plain objects, an instance with __str__
+  hasCustomStr(value, seen = new Set()) {
+    if (value instanceof VoxelInstance) return !!value.__class__.findMethod('__str__');
+    if (!this.isPlainContainer(value) || seen.has(value)) return false;
+    seen.add(value);
+    return Object.values(value).some(item => this.hasCustomStr(item, seen));
+  }
+
+  // Copy of `value` with instances that define __str__ replaced by their text
+  async displayValue(value, seen = new Set()) {
+    if (this.operatorMethod(value, '__str__')) return new Displayed(await this.stringify(value));
+    if (!this.isPlainContainer(value) || seen.has(value)) return value;
+    seen.add(value);
+    const copy = Array.isArray(value) ? [] : {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = await this.displayValue(item, seen);
+    }
+    return copy;
+  }
+
+  isPlainContainer(value) {
+    return Array.isArray(value) ||
+      (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+  }
+
+  // obj[index] through __getitem__ when the instance's class defines it; a promise while it runs
+  readIndex(obj, index) {
+    const method = this.operatorMethod(obj, '__getitem__');
+    return method ? this.callVoxelFunction(method, [index]) : this.getIndex(obj, index);
+  }
+
+  // obj[index] = value through __setitem__ when the instance's class defines it
+  writeIndex(obj, index, value) {
+    const method = this.operatorMethod(obj, '__setitem__');
+    return method ? this.callVoxelFunction(method, [index, value]) : this.setProperty(obj, index, value);
+  }
+
+  // ===== PROPERTY ACCESS =====
+
+  // obj.key
+  getProperty(obj, key) {
+    if (this.sandbox !== null) key = this.sandbox.propertyKey(key);
+    if (obj instanceof VoxelInstance) {
+      this.checkAccess(obj.__class__, key);
+      return obj.get(key);
+    }
+    if (obj instanceof VoxelClass) {
+      // Static access, inherited from ancestors; static methods get the class as `this`
+      this.checkAccess(obj, key);
+      const owner = obj.findStaticOwner(key);
+      if (!owner) return undefined;
+      return hasOwn(owner.__staticProperties__, key)
+        ? owner.__staticProperties__[key]
+        : { ...owner.__staticMethods__[key], boundThis: obj };
+    }
+    return obj?.[key];
+  }
+
+  // Getter/setter pair for obj.key, when obj's class or an ancestor declares one
+  accessorOf(obj, key) {
+    const isClass = obj instanceof VoxelClass;
+    if (!isClass && !(obj instanceof VoxelInstance)) return null;
+    const klass = isClass ? obj : obj.__class__;
+    for (let current = klass; current; current = current.__parent__) {
+      const pair = (isClass ? current.__staticAccessors__ : current.__accessors__).get(key);
+      if (pair) {
+        this.checkAccess(klass, key);
+        return pair;
+      }
+    }
+    return null;
+  }
+
+  // obj.key through its getter, if any; a promise when the getter runs
+  readProperty(obj, key) {
+    const accessor = this.accessorOf(obj, key);
+    if (!accessor) return this.getProperty(obj, key);
+    return accessor.get ? this.callVoxelFunction({ ...accessor.get, boundThis: obj }, []) : undefined;
+  }
+
+  // obj.key = value through its setter, if any; a promise when the setter runs
+  writeProperty(obj, key, value) {
+    const accessor = this.accessorOf(obj, key);
+    if (!accessor) return this.setProperty(obj, key, value);
+    if (!accessor.set) {
+      throw new Error(`Cannot set property '${key}', which only has a getter`);
+    }
+    return this.callVoxelFunction({ ...accessor.set, boundThis: obj }, [value]);
+  }
+
+  // obj[index]
+  getIndex(obj, index) {
+    if (this.sandbox !== null) index = this.sandbox.propertyKey(index);
+    if (obj instanceof VoxelInstance) {
+      this.checkAccess(obj.__class__, index);
+      return obj.get(index) ?? obj.__properties__[index];
+    }
+    return obj[index];
+  }
+
+  // obj.key = value and obj[key] = value
+  setProperty(obj, key, value) {
+    if (this.sandbox !== null) key = this.sandbox.propertyKey(key);
+    if (obj instanceof VoxelInstance) {
+      this.checkAccess(obj.__class__, key);
+      obj.set(key, value);
+    } else if (obj instanceof VoxelClass) {
+      this.checkAccess(obj, key);
+      obj.__staticProperties__[key] = value;
+    } else {
+      obj[key] = value;
+    }
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof VoxelInstance) return 'object';
+    return typeof value;
+  }
+
+  instanceOf(value, klass) {
+    if (value instanceof VoxelInstance && klass?.__isVoxelClass__) {
+      for (let current = value.__class__; current; current = current.__parent__) {
+        if (current === klass) return true;
+      }
+    }
+    return false;
+  }
+
   async evaluateSwitch(node) {
     const discriminant = await this.evaluate(node.discriminant);
     let matched = false;
@@ -2233,10 +1575,10 @@ class Interpreter {
         matched = true;
         try {
           for (const stmt of switchCase.consequent) {
-            result = await this.evaluate(stmt);
+            result = await this.evaluateStatement(stmt);
           }
         } catch (error) {
-          if (error instanceof BreakLoop) {
+          if (error instanceof BreakLoop && !error.label) {
             return result;
           }
           throw error;
@@ -2246,75 +1588,43 @@ class Interpreter {
     
     return result;
   }
-
-  async evaluateForIn(node) {
-    const iterable = await this.evaluate(node.iterable);
-    const previous = this.environment;
-    
-    try {
-      if (Array.isArray(iterable)) {
-        // For arrays, iterate over values (not indices) - this is VoxelScript style
-        for (const value of iterable) {
-          this.environment = new Environment(previous);
-          this.environment.define(node.variable, value);
-          try {
-            await this.evaluate(node.body);
-          } catch (error) {
-            if (error instanceof BreakLoop) break;
-            if (error instanceof ContinueLoop) continue;
-            throw error;
-          }
-        }
-      } else if (typeof iterable === 'string') {
-        // For strings, iterate over characters
-        for (const char of iterable) {
-          this.environment = new Environment(previous);
-          this.environment.define(node.variable, char);
-          try {
-            await this.evaluate(node.body);
-          } catch (error) {
-            if (error instanceof BreakLoop) break;
-            if (error instanceof ContinueLoop) continue;
-            throw error;
-          }
-        }
-      } else if (typeof iterable === 'object' && iterable !== null) {
-        // For objects, iterate over keys
-        for (const key in iterable) {
-          this.environment = new Environment(previous);
-          this.environment.define(node.variable, key);
-          try {
-            await this.evaluate(node.body);
-          } catch (error) {
-            if (error instanceof BreakLoop) break;
-            if (error instanceof ContinueLoop) continue;
-            throw error;
-          }
-        }
-      }
-    } finally {
-      this.environment = previous;
-    }
+
+  async evaluateForIn(node, label = null) {
+    const iterable = await this.evaluate(node.iterable);
     
-    return null;
+    // Plain objects iterate over keys; arrays, strings and generators over values (VoxelScript style)
+    if (typeof iterable === 'object' && iterable !== null &&
+        typeof iterable[Symbol.iterator] !== 'function' && !this.isAsyncIterable(iterable)) {
+      return this.evaluateLoopBody(node, Object.keys(iterable), label);
+    }
+    if (iterable === null || iterable === undefined || typeof iterable === 'number' || typeof iterable === 'boolean') {
+      return null;
+    }
+    return this.evaluateLoopBody(node, iterable, label);
   }
 
-  async evaluateForOf(node) {
+  async evaluateForOf(node, label = null) {
     const iterable = await this.evaluate(node.iterable);
+    return this.evaluateLoopBody(node, iterable, label);
+  }
+
+  // Shared body of `for`/`loop` over an iterable, binding node.variable for each value
+  async evaluateLoopBody(node, iterable, label = null) {
     const previous = this.environment;
     
     try {
-      for (const item of iterable) {
+      await this.iterateValues(iterable, async (item) => {
         this.environment = new Environment(previous);
         this.environment.define(node.variable, item);
         try {
           await this.evaluate(node.body);
         } catch (error) {
-          if (error instanceof BreakLoop) break;
-          if (error instanceof ContinueLoop) continue;
+          if (error instanceof BreakLoop && !error.label) return false;
+          if (this.continuesLoop(error, label)) return true;
           throw error;
         }
-      }
+        return true;
+      });
     } finally {
       this.environment = previous;
     }
@@ -2322,59 +1632,252 @@ class Interpreter {
     return null;
   }
 
-  async evaluateDoWhile(node) {
+  async evaluateDoWhile(node, label = null) {
     do {
       try {
         await this.evaluate(node.body);
       } catch (error) {
-        if (error instanceof BreakLoop) break;
-        if (error instanceof ContinueLoop) continue;
+        if (error instanceof BreakLoop && !error.label) break;
+        if (this.continuesLoop(error, label)) continue;
         throw error;
       }
     } while (await this.evaluate(node.condition));
     return null;
   }
 
+  // outer: <loop> - the loop learns its label so `continue outer` resumes it, and `break outer` ends here
+  async evaluateLabeled(node) {
+    const loop = node.body;
+    try {
+      switch (loop.type) {
+        case 'LoopStatement': return await this.evaluateLoop(loop, node.label);
+        case 'ForInStatement': return await this.evaluateForIn(loop, node.label);
+        case 'ForOfStatement': return await this.evaluateForOf(loop, node.label);
+        case 'WhileStatement': return await this.evaluateWhile(loop, node.label);
+        case 'DoWhileStatement': return await this.evaluateDoWhile(loop, node.label);
+        default: return await this.evaluate(loop);
+      }
+    } catch (error) {
+      if (error instanceof BreakLoop && error.label === node.label) return null;
+      throw error;
+    }
+  }
+
+  // Whether a continue thrown out of a loop body resumes the loop labelled `label`
+  continuesLoop(error, label) {
+    return error instanceof ContinueLoop && (!error.label || error.label === label);
+  }
+
   async evaluateTry(node) {
+    let guarded = node.handlers.length > 0;
+    if (guarded) this.tryDepth++;
     try {
       return await this.evaluate(node.block);
     } catch (error) {
-      if (node.handler && (error instanceof ThrowError || !(error instanceof ReturnValue || error instanceof BreakLoop || error instanceof ContinueLoop))) {
-        const previous = this.environment;
-        this.environment = new Environment(previous);
-        
-        if (node.handler.param) {
-          const value = error instanceof ThrowError ? error.thrownValue : error.message;
-          this.environment.define(node.handler.param, value);
-        }
-        
-        try {
-          return await this.evaluate(node.handler.body);
-        } finally {
-          this.environment = previous;
+      if (guarded) {
+        this.tryDepth--;
+        guarded = false;
+      }
+      // Fatal errors (a sandbox limit exceeded a second time) pass every catch
+      if (node.handlers.length > 0 && !error.fatal &&
+          (error instanceof ThrowError || !(error instanceof ReturnValue || error instanceof BreakLoop || error instanceof ContinueLoop))) {
+        const value = this.caughtValue(error);
+        const handler = node.handlers.find(candidate => this.catches(candidate, value));
+        if (handler) {
+          const previous = this.environment;
+          this.environment = new Environment(previous);
+          
+          if (handler.param) {
+            this.environment.define(handler.param, value);
+          }
+          
+          try {
+            return await this.evaluate(handler.body);
+          } finally {
+            this.environment = previous;
+          }
         }
       }
       throw error;
     } finally {
+      if (guarded) this.tryDepth--;
       if (node.finalizer) {
         await this.evaluate(node.finalizer);
       }
     }
   }
 
+  // ===== MODULE SYSTEM =====
+
+  resolveModulePath(source) {
+    const baseDir = this.currentFile ? path.dirname(this.currentFile) : process.cwd();
+    const resolved = path.resolve(baseDir, source);
+    const candidates = [resolved, resolved + '.voxel', resolved + '.vxl', path.join(resolved, 'index.voxel')];
+    for (const candidate of candidates) {
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        if (this.sandbox !== null) this.sandbox.checkPath(candidate);
+        return candidate;
+      }
+    }
+    throw new Error(`Cannot find module '${source}'` + (this.currentFile ? ` imported from ${this.currentFile}` : ''));
+  }
+
+  async loadModule(specifier) {
+    const modulePath = this.resolveModulePath(specifier);
+    
+    if (this.moduleStack.includes(modulePath)) {
+      const chain = [...this.moduleStack.slice(this.moduleStack.indexOf(modulePath)), modulePath];
+      throw new Error(`Circular import detected: ${chain.map(p => path.relative(process.cwd(), p) || p).join(' -> ')}`);
+    }
+    
+    const cached = this.modules.get(modulePath);
+    if (cached) {
+      return cached;
+    }
+    
+    const module = { path: modulePath, exports: {}, loaded: false };
+    this.modules.set(modulePath, module);
+    
+    const source = fs.readFileSync(modulePath, 'utf8');
+    this.sources.set(modulePath, source);
+    let ast;
+    try {
+      ast = new Parser(new Lexer(source).tokenize()).parse();
+    } catch (error) {
+      this.modules.delete(modulePath);
+      if (error.location && !error.location.file) {
+        error.location.file = modulePath;
+        error.codeFrame = codeFrame(source, error.location);
+      }
+      throw error;
+    }
+    if (this.coverage !== null) this.coverage.addFile(modulePath, source, ast);
+    
+    // Each module runs once, in its own scope on top of the builtins
+    const previous = {
+      environment: this.environment,
+      currentThis: this.currentThis,
+      currentClass: this.currentClass,
+      currentFile: this.currentFile,
+      currentModule: this.currentModule
+    };
+    this.environment = new Environment(this.global);
+    this.currentThis = null;
+    this.currentClass = null;
+    this.currentFile = modulePath;
+    this.currentModule = module;
+    this.moduleStack.push(modulePath);
+    
+    try {
+      await this.runModule(ast);
+    } catch (error) {
+      if (!(error instanceof ReturnValue)) {
+        this.modules.delete(modulePath);
+        throw error;
+      }
+    } finally {
+      this.moduleStack.pop();
+      this.environment = previous.environment;
+      this.currentThis = previous.currentThis;
+      this.currentClass = previous.currentClass;
+      this.currentFile = previous.currentFile;
+      this.currentModule = previous.currentModule;
+    }
+    
+    module.loaded = true;
+    return module;
+  }
+
+  // Body of a freshly loaded module, run in the module's own environment
+  async runModule(ast) {
+    for (const statement of ast.statements) {
+      await this.evaluateStatement(statement);
+    }
+  }
+
   async evaluateImport(node) {
-    // For now, just define empty exports
-    // In a real implementation, this would load and execute the module
-    console.warn(`Import not fully implemented: ${node.source}`);
+    const module = await this.loadModule(node.source);
+    
     for (const spec of node.specifiers) {
-      this.environment.define(spec.local || spec.name, null);
+      switch (spec.type) {
+        case 'namespace':
+          this.environment.define(spec.name, module.exports, true);
+          break;
+        case 'default':
+          if (!('default' in module.exports)) {
+            throw new Error(`Module '${node.source}' has no default export`);
+          }
+          this.environment.define(spec.name, module.exports.default);
+          break;
+        default:
+          if (!(spec.imported in module.exports)) {
+            throw new Error(`Module '${node.source}' has no export named '${spec.imported}'`);
+          }
+          this.environment.define(spec.local, module.exports[spec.imported]);
+      }
     }
     return null;
   }
 
+  // Exports are live getters over the module scope, so later reassignments are visible to importers
+  exportBinding(exported, getter) {
+    if (!this.currentModule) return;
+    Object.defineProperty(this.currentModule.exports, exported, {
+      get: getter,
+      enumerable: true,
+      configurable: true
+    });
+  }
+
+  getDeclaredNames(declaration) {
+    switch (declaration.type) {
+      case 'LetDeclaration':
+      case 'TypedDeclaration':
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+      case 'ClassDeclaration':
+      case 'EnumDeclaration':
+        return declaration.name ? [declaration.name] : [];
+      case 'DestructuringDeclaration':
+        return declaration.pattern.filter(Boolean).map(p => p.name);
+      case 'DecoratedDeclaration':
+        return this.getDeclaredNames(declaration.declaration);
+      default:
+        return [];
+    }
+  }
+
   async evaluateExport(node) {
+    if (node.isDefault) {
+      const value = await this.evaluate(node.declaration);
+      this.exportBinding('default', () => value);
+      return value;
+    }
+    
     if (node.declaration) {
-      return await this.evaluate(node.declaration);
+      const result = await this.evaluate(node.declaration);
+      const env = this.environment;
+      for (const name of this.getDeclaredNames(node.declaration)) {
+        this.exportBinding(name, () => env.get(name));
+      }
+      return result;
+    }
+    
+    if (node.source) {
+      // Re-export: export { x, y as z } from "./other.voxel"
+      const module = await this.loadModule(node.source);
+      for (const spec of node.specifiers) {
+        if (!(spec.local in module.exports)) {
+          throw new Error(`Module '${node.source}' has no export named '${spec.local}'`);
+        }
+        this.exportBinding(spec.exported, () => module.exports[spec.local]);
+      }
+      return null;
+    }
+    
+    const env = this.environment;
+    for (const spec of node.specifiers) {
+      this.exportBinding(spec.exported, () => env.get(spec.local));
     }
     return null;
   }
@@ -2419,7 +1922,18 @@ class Interpreter {
       }
     }
     
-    throw new Error('No pattern matched in match expression');
+    throw this.matchError(value, node);
+  }
+
+  // Catchable MatchError value for a match that no arm accepted, with the value and where the match is
+  matchError(value, node) {
+    const location = node.loc
+      ? { file: this.currentFile, line: node.loc.start.line, column: node.loc.start.column }
+      : { file: this.currentFile, line: null, column: null };
+    return new ThrowError(this.createError('MatchError', `No match arm matched ${this.describeValue(value)}`, {
+      value,
+      ...location
+    }));
   }
   
   async matchPattern(value, pattern) {
@@ -2434,9 +1948,32 @@ class Interpreter {
         return { success: value === patternValue, bindings };
       }
         
-      case 'BindingPattern':
+      case 'BindingPattern': {
+        // A name that refers to a field-less variant, such as None, is compared rather than bound
+        const constant = this.environment.has(pattern.name) ? this.environment.get(pattern.name) : undefined;
+        if (constant instanceof EnumVariant && constant.__values__.length === 0) {
+          return { success: value === constant, bindings };
+        }
         bindings[pattern.name] = value;
         return { success: true, bindings };
+      }
+      
+      case 'VariantPattern': {
+        const construct = await this.evaluate(pattern.callee);
+        if (!construct?.__variant__) {
+          throw new Error(`'${this.getExpressionString(pattern.callee)}' is not an enum variant`);
+        }
+        if (pattern.args.length !== construct.__variant__.fields.length) {
+          throw new Error(`Pattern ${this.getExpressionString(pattern.callee)} needs ${construct.__variant__.fields.length} field pattern(s), got ${pattern.args.length}`);
+        }
+        if (!isVariant(value, construct)) return { success: false, bindings };
+        for (let i = 0; i < pattern.args.length; i++) {
+          const matched = await this.matchPattern(value.__values__[i], pattern.args[i]);
+          if (!matched.success) return { success: false, bindings };
+          Object.assign(bindings, matched.bindings);
+        }
+        return { success: true, bindings };
+      }
         
       case 'RangePattern': {
         const start = await this.evaluate(pattern.start);
@@ -2513,6 +2050,9 @@ class Interpreter {
           case 'undefined': isType = value === undefined; break;
           case 'function': isType = typeof value === 'function' || value?.__isVoxelFunction; break;
           default:
+            if (value instanceof EnumVariant) {
+              isType = value.__variant__.enumName === pattern.typeName;
+            }
             // Check for class instance
             if (value instanceof VoxelInstance) {
               let klass = value.__class__;
@@ -2551,10 +2091,8 @@ class Interpreter {
         args.push(await this.evaluate(arg));
       }
       
-      if (typeof decoratorFn === 'function') {
-        declaration = decoratorFn(declaration, ...args);
-      } else if (decoratorFn.__isVoxelFunction) {
-        declaration = await this.callVoxelFunction(decoratorFn, [declaration, ...args]);
+      if (this.isCallable(decoratorFn)) {
+        declaration = await this.callFunction(decoratorFn, [declaration, ...args]);
       }
     }
     
@@ -2574,17 +2112,17 @@ class Interpreter {
     this.environment = new Environment(previous);
     
     try {
-      for (const item of iterable) {
+      await this.iterateValues(iterable, async (item) => {
         this.environment.define(node.variable, item);
         
         // Check condition if present
         if (node.condition) {
           const condResult = await this.evaluate(node.condition);
-          if (!condResult) continue;
+          if (!condResult) return;
         }
         
         result.push(await this.evaluate(node.element));
-      }
+      });
     } finally {
       this.environment = previous;
     }
@@ -2600,19 +2138,19 @@ class Interpreter {
     this.environment = new Environment(previous);
     
     try {
-      for (const item of iterable) {
+      await this.iterateValues(iterable, async (item) => {
         this.environment.define(node.variable, item);
         
         // Check condition if present
         if (node.condition) {
           const condResult = await this.evaluate(node.condition);
-          if (!condResult) continue;
+          if (!condResult) return;
         }
         
         const key = await this.evaluate(node.key);
         const value = await this.evaluate(node.value);
         result[key] = value;
-      }
+      });
     } finally {
       this.environment = previous;
     }
@@ -2627,7 +2165,10 @@ class Interpreter {
     this.environment = new Environment(previous);
     
     // Call __enter__ if exists
-    if (obj && typeof obj.__enter__ === 'function') {
+    const enter = this.operatorMethod(obj, '__enter__');
+    if (enter) {
+      await this.callVoxelFunction(enter, []);
+    } else if (obj && typeof obj.__enter__ === 'function') {
       await obj.__enter__();
     }
     
@@ -2639,7 +2180,10 @@ class Interpreter {
       return await this.evaluate(node.body);
     } finally {
       // Call __exit__ if exists
-      if (obj && typeof obj.__exit__ === 'function') {
+      const exit = this.operatorMethod(obj, '__exit__');
+      if (exit) {
+        await this.callVoxelFunction(exit, []);
+      } else if (obj && typeof obj.__exit__ === 'function') {
         await obj.__exit__();
       }
       this.environment = previous;
@@ -2672,8 +2216,16 @@ class Interpreter {
     }
     
     const right = await this.evaluate(node.right);
-    
-    switch (node.operator) {
+    return this.applyBinary(node.operator, left, right);
+  }
+
+  // left <op> right; a promise when an operand's class overloads the operator
+  applyBinary(operator, left, right) {
+    if (left instanceof VoxelInstance || right instanceof VoxelInstance) {
+      const result = this.overloadedBinary(operator, left, right);
+      if (result !== NOT_OVERLOADED) return result;
+    }
+    switch (operator) {
       case '+':
         if (typeof left === 'string' || typeof right === 'string') {
           return String(left) + String(right);
@@ -2697,12 +2249,16 @@ class Interpreter {
       case '>>': return left >> right;
       case '>>>': return left >>> right;
       default:
-        throw new Error(`Unknown operator: ${node.operator}`);
+        throw new Error(`Unknown operator: ${operator}`);
     }
   }
 
   async evaluateUnary(node) {
     const operand = await this.evaluate(node.operand);
+    const method = this.operatorMethod(operand, UNARY_METHODS[node.operator]);
+    if (method) {
+      return this.callVoxelFunction(method, []);
+    }
     switch (node.operator) {
       case '-': return -operand;
       case '!':
@@ -2715,33 +2271,86 @@ class Interpreter {
 
   async evaluateCall(node) {
     const callee = await this.evaluate(node.callee);
+    return this.callFunction(callee, await this.evaluateArguments(node.args), node.loc);
+  }
+
+  async evaluateArguments(nodes) {
     const args = [];
-    for (const arg of node.args) {
+    for (const arg of nodes) {
       if (arg.type === 'SpreadElement') {
-        const spread = await this.evaluate(arg.argument);
+        const spread = await this.spreadValues(await this.evaluate(arg.argument));
         args.push(...spread);
       } else {
         args.push(await this.evaluate(arg));
       }
     }
-    
+    return args;
+  }
+
+  // ===== HOST BRIDGE =====
+
+  isCallable(value) {
+    return typeof value === 'function' || !!(value && (value.__isVoxelFunction || value.__isVoxelGenerator));
+  }
+
+  // Call anything callable from VoxelScript: builtins, closures, bound methods and generator functions.
+  // Host functions receive VoxelScript callbacks as plain JS functions.
+  async callFunction(callee, args = [], callSite = null) {
     if (typeof callee === 'function') {
-      // Built-in function
-      const result = callee(...args);
-      if (result instanceof Promise) {
-        return await result;
+      if (this.sandbox !== null) this.sandbox.checkCall(callee, args);
+      const frame = this.pushFrame({ name: callee.name || '<native>', native: true, callSite });
+      const stack = this.callStack;
+      try {
+        const result = callee(...args.map(arg => this.toHostValue(arg)));
+        if (result instanceof Promise) {
+          return await this.settle(result);
+        }
+        return result;
+      } finally {
+        this.popFrame(stack, frame);
       }
-      return result;
     }
     
     if (callee && callee.__isVoxelFunction) {
-      return this.callVoxelFunction(callee, args);
+      return this.callVoxelFunction(callee, args, callSite);
+    }
+    
+    if (callee && callee.__isVoxelGenerator) {
+      return new VoxelGenerator(this, callee, args, callee.boundThis ?? null, callSite);
     }
     
     throw new Error(`${callee} is not a function`);
   }
 
-  async callVoxelFunction(fn, args) {
+  toHostValue(value) {
+    return value && (value.__isVoxelFunction || value.__isVoxelGenerator) ? this.toHostFunction(value) : value;
+  }
+
+  // Wrap a VoxelScript closure as an async JS function (cached, so identity is stable).
+  // Embedding code can use this to call script functions; JS functions passed into scripts are called as-is.
+  toHostFunction(fn) {
+    if (typeof fn === 'function') return fn;
+    let host = this.hostFunctions.get(fn);
+    if (!host) {
+      const interpreter = this;
+      host = function (...args) {
+        return interpreter.active().callFromHost(fn, args);
+      };
+      const arity = fn.params.filter(p => typeof p === 'string' || (p.type === 'param' && !p.default)).length;
+      Object.defineProperty(host, 'length', { value: arity });
+      host.__voxelFunction = fn;
+      this.hostFunctions.set(fn, host);
+    }
+    return host;
+  }
+
+  // Entry point for host code calling a wrapped VoxelScript function
+  callFromHost(fn, args) {
+    return this.callFunction(fn, args);
+  }
+
+  async callVoxelFunction(fn, args, callSite = null) {
+    if (this.sandbox !== null) this.sandbox.checkDepth(this.callStack.length);
     const previous = this.environment;
     this.environment = new Environment(fn.closure);
     
@@ -2749,25 +2358,21 @@ class Interpreter {
     if (fn.boundThis !== undefined) {
       this.currentThis = fn.boundThis;
     }
+    const previousClass = this.currentClass;
+    this.currentClass = fn[HOME_CLASS] ?? null;
+    const previousGenerator = this.currentGenerator;
+    this.currentGenerator = null;
     
-    // Bind parameters
-    for (let i = 0; i < fn.params.length; i++) {
-      const param = fn.params[i];
-      if (typeof param === 'string') {
-        // Old-style simple param
-        this.environment.define(param, args[i] ?? null);
-      } else if (param.type === 'rest') {
-        this.environment.define(param.name, args.slice(i));
-        break;
-      } else {
-        const value = args[i] !== undefined ? args[i] : (param.default ? await this.evaluate(param.default) : null);
-        this.environment.define(param.name, value);
-      }
-    }
+    const frame = this.pushFrame({ name: fn.name || '<anonymous>', file: fn.file, callSite });
+    const stack = this.callStack;
+    const previousFile = this.currentFile;
+    this.currentFile = frame.file;
     
     try {
+      await this.bindParameters(fn.params, args);
+      if (this.coverage !== null) this.coverage.hit(fn.body);
       for (const stmt of fn.body.statements) {
-        await this.evaluate(stmt);
+        await this.evaluateStatement(stmt);
       }
     } catch (error) {
       if (error instanceof ReturnValue) {
@@ -2777,11 +2382,367 @@ class Interpreter {
     } finally {
       this.environment = previous;
       this.currentThis = previousThis;
+      this.currentClass = previousClass;
+      this.currentGenerator = previousGenerator;
+      this.currentFile = previousFile;
+      this.popFrame(stack, frame);
     }
     
     return null;
   }
 
+  // ===== CALL STACK & ERROR LOCATIONS =====
+
+  pushFrame(frame) {
+    frame.file = frame.file ?? this.currentFile;
+    frame.callerFile = frame.callerFile ?? this.currentFile;
+    this.callStack.push(frame);
+    return frame;
+  }
+
+  popFrame(stack, frame) {
+    const index = stack.lastIndexOf(frame);
+    if (index !== -1) stack.splice(index, 1);
+  }
+
+  // Innermost-first list of { name, file, line, column } for the current VoxelScript call chain
+  captureStack(location) {
+    const frames = [];
+    let position = location;
+    for (let i = this.callStack.length - 1; i >= 0; i--) {
+      const frame = this.callStack[i];
+      frames.push({ name: frame.name, native: !!frame.native, ...position });
+      position = frame.callSite
+        ? { file: frame.callerFile, line: frame.callSite.start.line, column: frame.callSite.start.column }
+        : { file: frame.callerFile, line: null, column: null };
+    }
+    frames.push({ name: '<main>', native: false, ...position });
+    return frames;
+  }
+
+  // Attach file:line:column, a code frame and the VoxelScript stack to the innermost statement an error passes through
+  locateError(error, node) {
+    if (!(error instanceof Error) || error.location || !node.loc || isControlFlow(error)) {
+      return error;
+    }
+    const { start, end } = node.loc;
+    error.location = {
+      file: this.currentFile,
+      line: start.line,
+      column: start.column,
+      endLine: end.line,
+      endColumn: end.column
+    };
+    error.voxelStack = this.captureStack(error.location);
+    const source = this.getSource(this.currentFile);
+    if (source !== null) {
+      error.codeFrame = codeFrame(source, error.location);
+    }
+    return error;
+  }
+
+  getSource(file) {
+    if (!this.sources.has(file) && file && fs.existsSync(file)) {
+      this.sources.set(file, fs.readFileSync(file, 'utf8'));
+    }
+    return this.sources.get(file) ?? null;
+  }
+
+  async bindParameters(params, args) {
+    for (let i = 0; i < params.length; i++) {
+      const param = params[i];
+      if (typeof param === 'string') {
+        // Old-style simple param
+        this.environment.define(param, args[i] ?? null);
+      } else if (param.type === 'rest') {
+        const rest = args.slice(i);
+        this.checkType(rest, param.typeAnnotation, `parameter '${param.name}'`);
+        this.environment.define(param.name, rest);
+        if (this.strictTypes && param.typeAnnotation) this.environment.annotate(param.name, param.typeAnnotation);
+        break;
+      } else {
+        const value = args[i] !== undefined ? args[i] : (param.default ? await this.evaluate(param.default) : null);
+        this.checkType(value, param.typeAnnotation, `parameter '${param.name}'`);
+        this.environment.define(param.name, value);
+        if (this.strictTypes && param.typeAnnotation) this.environment.annotate(param.name, param.typeAnnotation);
+      }
+    }
+  }
+
+  // ===== STRICT TYPES =====
+
+  // In strict mode, throw a catchable TypeError value when `value` does not fit `typeAnnotation`
+  checkType(value, typeAnnotation, target) {
+    if (!this.strictTypes || !typeAnnotation || this.matchesType(value, typeAnnotation)) return;
+    const expected = this.describeType(typeAnnotation);
+    const actual = this.describeValue(value);
+    throw new ThrowError(this.createError('TypeError', `Cannot assign ${actual} to ${target} of type ${expected}`, {
+      expected,
+      actual
+    }));
+  }
+
+  matchesType(value, typeAnnotation) {
+    if (typeAnnotation.kind === 'union') {
+      return typeAnnotation.types.some(type => this.matchesType(value, type));
+    }
+    if (typeAnnotation.kind === 'array') {
+      return Array.isArray(value);
+    }
+    if (typeAnnotation.kind === 'object') {
+      return this.isObjectValue(value) && typeAnnotation.properties.every(({ key, type }) =>
+        this.matchesType(this.getMember(value, key) ?? null, type));
+    }
+    
+    const { name, generic, nullable } = typeAnnotation;
+    if (value === null || value === undefined) {
+      return nullable || ['null', 'void', 'any', 'Any', 'unknown'].includes(name);
+    }
+    
+    switch (name) {
+      case 'any': case 'Any': case 'unknown': case 'Promise':
+        return true;
+      case 'null': case 'void':
+        return false;
+      case 'number': case 'float':
+        return typeof value === 'number';
+      case 'int':
+        return Number.isInteger(value);
+      case 'string': case 'str':
+        return typeof value === 'string';
+      case 'bool': case 'boolean':
+        return typeof value === 'boolean';
+      case 'array': case 'Array': case 'list':
+        return Array.isArray(value) && (!generic || value.every(item => this.matchesType(item, generic)));
+      case 'object': case 'Object': case 'dict':
+        return this.isObjectValue(value);
+      case 'fn': case 'function': case 'Function':
+        return this.isCallable(value);
+    }
+    
+    // Classes, interfaces and type aliases in scope
+    const named = this.environment.has(name) ? this.environment.get(name) : null;
+    if (named && named.__isVoxelClass__) {
+      if (!(value instanceof VoxelInstance)) return false;
+      for (let klass = value.__class__; klass; klass = klass.__parent__) {
+        if (klass === named) return true;
+      }
+      return false;
+    }
+    if (named && named.__isInterface) {
+      return this.isObjectValue(value) && this.interfaceMembers(named).every(member =>
+        member.kind === 'method'
+          ? this.isCallable(this.getMember(value, member.name))
+          : this.matchesType(this.getMember(value, member.name) ?? null, member.type || { name: 'any' }));
+    }
+    if (named && named.__isTypeAlias) {
+      return this.matchesType(value, named.__typeDefinition);
+    }
+    if (named && named.__isEnum) {
+      if (value instanceof EnumVariant) return value.__variant__.enumName === named.__name;
+      // Skip the reverse mapping of numeric members, whose keys are the numbers
+      return Object.entries(named).some(([key, member]) => !key.startsWith('__') && !/^\d/.test(key) && member === value);
+    }
+    throw new ThrowError(this.createError('TypeError', `Unknown type '${name}'`, { expected: name }));
+  }
+
+  interfaceMembers(iface) {
+    const inherited = (iface.__extends || []).flatMap(name => {
+      const parent = this.environment.has(name) ? this.environment.get(name) : null;
+      return parent && parent.__isInterface ? this.interfaceMembers(parent) : [];
+    });
+    return [...inherited, ...iface.__members];
+  }
+
+  isObjectValue(value) {
+    return value instanceof VoxelInstance || (value !== null && typeof value === 'object' && !Array.isArray(value));
+  }
+
+  getMember(value, key) {
+    return value instanceof VoxelInstance ? value.get(key) : value[key];
+  }
+
+  describeType(typeAnnotation) {
+    if (typeAnnotation.kind === 'union') return typeAnnotation.types.map(t => this.describeType(t)).join(' | ');
+    if (typeAnnotation.kind === 'array') return 'array';
+    if (typeAnnotation.kind === 'object') {
+      return `{ ${typeAnnotation.properties.map(({ key, type }) => `${key}: ${this.describeType(type)}`).join(', ')} }`;
+    }
+    const generic = typeAnnotation.generic ? `<${this.describeType(typeAnnotation.generic)}>` : '';
+    return `${typeAnnotation.name}${generic}${typeAnnotation.nullable ? '?' : ''}`;
+  }
+
+  describeValue(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof VoxelInstance) return `${value.__class__.__name__} instance`;
+    if (value instanceof EnumVariant) return `${value.__variant__.enumName}.${value.__variant__.tag}`;
+    if (this.isCallable(value)) return 'function';
+    if (typeof value === 'string') return `string ${JSON.stringify(value.length > 20 ? value.slice(0, 20) + '…' : value)}`;
+    if (typeof value === 'number' || typeof value === 'boolean') return `${typeof value === 'number' ? 'number' : 'bool'} ${value}`;
+    return typeof value;
+  }
+
+  // Interpreter state that a suspended generator swaps out while it is parked
+  captureState() {
+    return {
+      environment: this.environment,
+      currentThis: this.currentThis,
+      currentClass: this.currentClass,
+      currentGenerator: this.currentGenerator,
+      currentFile: this.currentFile,
+      callStack: this.callStack,
+      tryDepth: this.tryDepth
+    };
+  }
+
+  restoreState(state) {
+    this.environment = state.environment;
+    this.currentThis = state.currentThis;
+    this.currentClass = state.currentClass;
+    this.currentGenerator = state.currentGenerator;
+    this.currentFile = state.currentFile;
+    this.callStack = state.callStack;
+    this.tryDepth = state.tryDepth;
+  }
+
+  // ===== TASKS =====
+
+  // The interpreter of the task running right now, or the main one
+  active() {
+    const task = runningTask.getStore();
+    return task && task.root === this.root ? task : this.root;
+  }
+
+  // Start `callee(...args)` as a task. It runs on an interpreter of its own that shares globals and
+  // modules with this one, so it can interleave with other tasks at every suspension. With a time
+  // limit (in ms), the task and the tasks it spawns fail at their first step past it.
+  spawn(callee, args = [], callSite = null, timeLimit = null) {
+    const callStack = [...this.callStack];
+    const currentFile = this.currentFile;
+    const deadline = timeLimit === null ? this.deadline : { time: Date.now() + timeLimit, timeLimit };
+    const task = Task.start(() => {
+      const worker = Object.create(this.root);
+      worker.environment = this.global;
+      worker.currentThis = null;
+      worker.currentClass = null;
+      worker.currentGenerator = null;
+      worker.currentModule = null;
+      worker.currentFile = currentFile;
+      worker.callStack = callStack;
+      worker.tryDepth = 0;
+      worker.currentTask = task;
+      worker.deadline = deadline;
+      return runningTask.run(worker, () => worker.callFunction((callee && callee.__voxelFunction) || callee, args, callSite));
+    });
+    this.tasks.add(task);
+    task.finished.then(() => this.tasks.delete(task));
+    return task;
+  }
+
+  // spawn f(x) evaluates f and x now and runs the call as a task; spawn fn() { ... } runs the closure
+  async evaluateSpawn(node) {
+    const call = node.argument;
+    if (call.type === 'FunctionCall') {
+      const callee = await this.evaluate(call.callee);
+      return this.spawn(callee, await this.evaluateArguments(call.args), call.loc);
+    }
+    return this.spawn(await this.evaluate(call), [], node.loc);
+  }
+
+  // Past the deadline every step fails, so no catch or loop can keep the task going
+  timeUp() {
+    const error = new ThrowError(this.createError('TimeLimitError', `Timed out after ${this.deadline.timeLimit}ms`));
+    error.fatal = true;
+    throw error;
+  }
+
+  // Resolves once every task, including ones spawned meanwhile, has finished
+  async waitForTasks() {
+    while (this.tasks.size > 0) {
+      await Promise.all([...this.tasks].map(task => task.finished));
+    }
+  }
+
+  // `await value`: waits for promises and tasks, other values pass through
+  awaitValue(value) {
+    value = awaitable(value);
+    return value instanceof Promise ? this.settle(value) : value;
+  }
+
+  // Inside a task, `promise` also rejects with a CancelledError when the task is cancelled
+  settle(promise, abort = null) {
+    if (!(promise instanceof Promise)) return promise;
+    if (this.currentTask) promise = this.currentTask.token.guard(promise, abort);
+    // ...and in a sandbox, when time runs out
+    if (this.sandbox !== null) promise = this.sandbox.token.guard(promise, abort);
+    return promise;
+  }
+
+  // ===== ITERATION =====
+
+  isAsyncIterable(value) {
+    return value !== null && value !== undefined && typeof value[Symbol.asyncIterator] === 'function';
+  }
+
+  getIterator(iterable) {
+    if (this.isAsyncIterable(iterable)) {
+      return iterable[Symbol.asyncIterator]();
+    }
+    if (iterable !== null && iterable !== undefined && typeof iterable[Symbol.iterator] === 'function') {
+      return iterable[Symbol.iterator]();
+    }
+    throw new Error(`${iterable} is not iterable`);
+  }
+
+  // Walk any iterable, generators included; stops early when callback returns false
+  async iterateValues(iterable, callback) {
+    const iterator = this.getIterator(iterable);
+    let step;
+    while (!(step = await this.settle(iterator.next())).done) {
+      let keepGoing;
+      try {
+        keepGoing = await callback(step.value);
+      } catch (error) {
+        if (typeof iterator.return === 'function') await iterator.return();
+        throw error;
+      }
+      if (keepGoing === false) {
+        if (typeof iterator.return === 'function') await iterator.return();
+        return;
+      }
+    }
+  }
+
+  async spreadValues(value) {
+    return this.isAsyncIterable(value) ? collectAsync(value) : value;
+  }
+
+  async evaluateYield(node) {
+    const generator = this.currentGenerator;
+    if (!generator) {
+      throw new Error("'yield' can only be used inside a generator function");
+    }
+    const value = node.argument ? await this.evaluate(node.argument) : null;
+    if (!node.delegate) {
+      return generator.yieldValue(value);
+    }
+    
+    // yield* forwards every value (and anything sent back) to the inner iterable
+    const iterator = this.getIterator(value);
+    let sent;
+    while (true) {
+      const step = await iterator.next(sent);
+      if (step.done) return step.value ?? null;
+      try {
+        sent = await generator.yieldValue(step.value);
+      } catch (error) {
+        if (typeof iterator.return === 'function') await iterator.return();
+        throw error;
+      }
+    }
+  }
+
   async evaluateIf(node) {
     const condition = await this.evaluate(node.condition);
     if (condition) {
@@ -2792,7 +2753,7 @@ class Interpreter {
     return null;
   }
 
-  async evaluateLoop(node) {
+  async evaluateLoop(node, label = null) {
     const from = await this.evaluate(node.from);
     const to = await this.evaluate(node.to);
     const step = node.step ? await this.evaluate(node.step) : 1;
@@ -2807,8 +2768,8 @@ class Interpreter {
           try {
             await this.evaluate(node.body);
           } catch (error) {
-            if (error instanceof BreakLoop) break;
-            if (error instanceof ContinueLoop) continue;
+            if (error instanceof BreakLoop && !error.label) break;
+            if (this.continuesLoop(error, label)) continue;
             throw error;
           }
         }
@@ -2818,8 +2779,8 @@ class Interpreter {
           try {
             await this.evaluate(node.body);
           } catch (error) {
-            if (error instanceof BreakLoop) break;
-            if (error instanceof ContinueLoop) continue;
+            if (error instanceof BreakLoop && !error.label) break;
+            if (this.continuesLoop(error, label)) continue;
             throw error;
           }
         }
@@ -2831,13 +2792,13 @@ class Interpreter {
     return null;
   }
 
-  async evaluateWhile(node) {
+  async evaluateWhile(node, label = null) {
     while (await this.evaluate(node.condition)) {
       try {
         await this.evaluate(node.body);
       } catch (error) {
-        if (error instanceof BreakLoop) break;
-        if (error instanceof ContinueLoop) continue;
+        if (error instanceof BreakLoop && !error.label) break;
+        if (this.continuesLoop(error, label)) continue;
         throw error;
       }
     }
@@ -2846,19 +2807,46 @@ class Interpreter {
 
   async evaluateInput(node) {
     const prompt = node.prompt ? await this.evaluate(node.prompt) : '';
+    const token = node.token ? await this.evaluate(node.token) : null;
+    if (this.stdin === null) {
+      throw new ThrowError(this.createError('IOError', 'input() has no stdin to read from; under a debugger, stdin carries its protocol'));
+    }
+    // Once stdin has ended no answer can come, so the program reads null instead of waiting forever
+    if (this.stdin.readableEnded) {
+      process.stdout.write(prompt);
+      return null;
+    }
     
     const rl = readline.createInterface({
-      input: process.stdin,
+      input: this.stdin,
       output: process.stdout
     });
     
-    return new Promise((resolve) => {
+    const answer = new Promise((resolve) => {
       rl.question(prompt, (answer) => {
-        rl.close();
         resolve(answer);
+        rl.close();
       });
+      rl.on('close', () => resolve(null));
     });
+    return this.settle(token ? token.guard(answer, () => rl.close()) : answer, () => rl.close());
   }
 }
 
-module.exports = { Interpreter, Environment, VoxelClass, VoxelInstance };
+module.exports = {
+  Interpreter,
+  OPERATOR_METHODS,
+  UNARY_METHODS,
+  NOT_OVERLOADED,
+  HOME_CLASS,
+  ERROR_CLASSES_SOURCE,
+  Environment,
+  VoxelClass,
+  VoxelInstance,
+  VoxelGenerator,
+  ReturnValue,
+  BreakLoop,
+  ContinueLoop,
+  ThrowError,
+  collectAsync
+};
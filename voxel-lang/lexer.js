@@ -1,5 +1,7 @@
 // VoxelScript Lexer - Tokenizes source code
 
+const { createDiagnostic } = require('./diagnostics');
+
 const TokenType = {
   // Literals
   NUMBER: 'NUMBER',
@@ -53,6 +55,7 @@ const TokenType = {
   DEFAULT: 'DEFAULT',
   ASYNC: 'ASYNC',
   AWAIT: 'AWAIT',
+  SPAWN: 'SPAWN',
   IMPORT: 'IMPORT',
   EXPORT: 'EXPORT',
   AS: 'AS',
@@ -191,6 +194,7 @@ const KEYWORDS = {
   'default': TokenType.DEFAULT,
   'async': TokenType.ASYNC,
   'await': TokenType.AWAIT,
+  'spawn': TokenType.SPAWN,
   'import': TokenType.IMPORT,
   'export': TokenType.EXPORT,
   'as': TokenType.AS,
@@ -219,22 +223,34 @@ const KEYWORDS = {
   'where': TokenType.WHERE
 };
 
+// line/column mark where the token starts; endLine/endColumn point just past its last character
 class Token {
-  constructor(type, value, line, column) {
+  constructor(type, value, line, column, endLine = line, endColumn = column) {
     this.type = type;
     this.value = value;
     this.line = line;
     this.column = column;
+    this.endLine = endLine;
+    this.endColumn = endColumn;
   }
 }
 
 class Lexer {
-  constructor(source) {
+  // options.line/options.column offset positions when lexing a fragment (e.g. a template interpolation)
+  // options.recover collects errors in this.diagnostics instead of throwing on the first one
+  // options.comments records comments in this.comments (they never become tokens)
+  constructor(source, options = {}) {
     this.source = source;
     this.tokens = [];
     this.current = 0;
-    this.line = 1;
-    this.column = 1;
+    this.line = options.line || 1;
+    this.column = options.column || 1;
+    this.startLine = this.line;
+    this.startColumn = this.column;
+    this.recover = !!options.recover;
+    this.diagnostics = [];
+    this.keepComments = !!options.comments;
+    this.comments = []; // { type: 'line'|'block', text, line, column, endLine, endColumn }
   }
 
   tokenize() {
@@ -246,6 +262,9 @@ class Lexer {
   }
 
   scanToken() {
+    this.startLine = this.line;
+    this.startColumn = this.column;
+    this.startOffset = this.current;
     const char = this.advance();
 
     switch (char) {
@@ -330,6 +349,7 @@ class Lexer {
           while (this.peek() !== '\n' && !this.isAtEnd()) {
             this.advance();
           }
+          this.addComment('line');
         } else if (this.match('*')) {
           // Multi-line comment
           while (!this.isAtEnd()) {
@@ -344,6 +364,7 @@ class Lexer {
             }
             this.advance();
           }
+          this.addComment('block');
         } else if (this.match('=')) {
           this.addToken(TokenType.SLASH_ASSIGN, '/=');
         } else {
@@ -439,6 +460,7 @@ class Lexer {
         while (this.peek() !== '\n' && !this.isAtEnd()) {
           this.advance();
         }
+        this.addComment('line');
         break;
       case '\n':
         this.addToken(TokenType.NEWLINE, '\n');
@@ -456,7 +478,7 @@ class Lexer {
         } else if (this.isAlpha(char)) {
           this.identifier(char);
         } else {
-          throw new Error(`Unexpected character '${char}' at line ${this.line}, column ${this.column}`);
+          this.report(this.error(`Unexpected character '${char}' at line ${this.startLine}, column ${this.startColumn}`, 'unexpected-character'));
         }
     }
   }
@@ -482,6 +504,8 @@ class Lexer {
         this.advance(); // {
         
         // Collect expression until }
+        const exprLine = this.line;
+        const exprColumn = this.column;
         let expr = '';
         let braceCount = 1;
         while (braceCount > 0 && !this.isAtEnd()) {
@@ -492,7 +516,7 @@ class Lexer {
           }
         }
         this.advance(); // }
-        parts.push({ type: 'expr', value: expr });
+        parts.push({ type: 'expr', value: expr, line: exprLine, column: exprColumn });
       } else if (this.peek() === '\\') {
         this.advance();
         const escaped = this.advance();
@@ -511,9 +535,10 @@ class Lexer {
     }
     
     if (this.isAtEnd()) {
-      throw new Error(`Unterminated template string at line ${this.line}`);
+      this.report(this.error(`Unterminated template string at line ${this.startLine}`, 'unterminated-template'));
+    } else {
+      this.advance(); // Closing `
     }
-    this.advance(); // Closing `
     
     if (currentStr) {
       parts.push({ type: 'string', value: currentStr });
@@ -559,9 +584,10 @@ class Lexer {
       }
     }
     if (this.isAtEnd()) {
-      throw new Error(`Unterminated string at line ${this.line}`);
+      this.report(this.error(`Unterminated string at line ${this.startLine}`, 'unterminated-string'));
+    } else {
+      this.advance(); // Closing quote
     }
-    this.advance(); // Closing quote
     this.addToken(TokenType.STRING, value);
   }
 
@@ -675,8 +701,32 @@ class Lexer {
   }
 
   addToken(type, value) {
-    this.tokens.push(new Token(type, value, this.line, this.column));
+    this.tokens.push(new Token(type, value, this.startLine, this.startColumn, this.line, this.column));
+  }
+
+  addComment(type) {
+    if (!this.keepComments) return;
+    this.comments.push({
+      type,
+      text: this.source.slice(this.startOffset, this.current),
+      line: this.startLine,
+      column: this.startColumn,
+      endLine: this.line,
+      endColumn: this.column
+    });
+  }
+
+  error(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.location = { line: this.startLine, column: this.startColumn, endLine: this.line, endColumn: this.column };
+    return error;
+  }
+
+  report(error) {
+    if (!this.recover) throw error;
+    this.diagnostics.push(createDiagnostic(error));
   }
 }
 
-module.exports = { Lexer, Token, TokenType };
+module.exports = { Lexer, Token, TokenType, KEYWORDS };
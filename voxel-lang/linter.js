@@ -0,0 +1,455 @@
+// VoxelScript linter (voxel lint): rules that look for likely mistakes in a parsed file, with a fix
+// for the ones that can be corrected mechanically. Rules are configured in the "lint" section of the
+// nearest voxel.json and silenced in the source with // voxel-disable comments.
+
+const fs = require('fs');
+const path = require('path');
+const { Lexer, TokenType } = require('./lexer');
+const { builtins } = require('./builtins');
+const { analyze, unwrapDeclaration, comparePositions } = require('./symbols');
+
+const SEVERITIES = ['off', 'warning', 'error'];
+
+// Declarations that are in effect before the statements around them run
+const HOISTED = new Set([
+  'FunctionDeclaration', 'GeneratorDeclaration', 'ClassDeclaration', 'EnumDeclaration', 'InterfaceDeclaration',
+  'TypeAliasDeclaration'
+]);
+
+const TERMINATORS = {
+  ReturnStatement: 'return',
+  BreakStatement: 'break',
+  ContinueStatement: 'continue',
+  ThrowStatement: 'throw'
+};
+
+const OPENERS = new Set([TokenType.LPAREN, TokenType.LBRACE, TokenType.LBRACKET]);
+const CLOSERS = new Set([TokenType.RPAREN, TokenType.RBRACE, TokenType.RBRACKET]);
+
+const isBuiltin = name => Object.prototype.hasOwnProperty.call(builtins, name);
+const rangeOf = loc => ({ start: { ...loc.start }, end: { ...loc.end } });
+const tokenRange = token => ({
+  start: { line: token.line, column: token.column },
+  end: { line: token.endLine, column: token.endColumn }
+});
+const withoutLocations = (key, value) => key === 'loc' ? undefined : value;
+// A bare name in a match pattern that is a builtin such as None compares against it instead of binding
+const isBuiltinPattern = symbol => symbol.node && symbol.node.type === 'MatchArm' && isBuiltin(symbol.name);
+
+// ===== RULES =====
+// Each rule has a default severity, a description, and check(context, options), which calls
+// context.report(range, message, fix) for every problem it finds. A fix is { range, text }.
+
+const RULES = {
+  'unused-variable': {
+    severity: 'warning',
+    description: 'Variables and imports that are never read',
+    check(context) {
+      for (const symbol of context.symbols.symbols) {
+        if (!['variable', 'constant', 'import'].includes(symbol.kind) || symbol.name.startsWith('_')) continue;
+        // Catch parameters are needed to filter by type; exported names are read by other modules
+        if (symbol.detail.startsWith('catch ') || context.exported.has(symbol.node) || isBuiltinPattern(symbol)) continue;
+        if (context.reads(symbol) > 0) continue;
+        if (symbol.kind !== 'import') {
+          context.report(symbol.range, `'${symbol.name}' is never used`);
+          continue;
+        }
+        // An import none of whose names is used can go altogether
+        const unused = context.symbols.symbols
+          .filter(other => other.node === symbol.node)
+          .every(other => context.reads(other) === 0);
+        const fix = unused && symbol.node.loc ? { range: context.removal(rangeOf(symbol.node.loc)), text: '' } : null;
+        context.report(symbol.range, `'${symbol.name}' is imported but never used`, fix);
+      }
+    }
+  },
+
+  'unused-parameter': {
+    severity: 'warning',
+    description: 'Parameters that are never read, after the last one that is',
+    check(context) {
+      const byFunction = new Map();
+      for (const symbol of context.symbols.symbols) {
+        if (symbol.kind !== 'parameter' || !symbol.node) continue;
+        if (!byFunction.has(symbol.node)) byFunction.set(symbol.node, []);
+        byFunction.get(symbol.node).push(symbol);
+      }
+      for (const [node, params] of byFunction) {
+        if (!node.body) continue; // abstract methods
+        // A parameter before a used one holds its place in the argument list
+        for (let i = params.length - 1; i >= 0 && context.reads(params[i]) === 0; i--) {
+          const { name, range } = params[i];
+          if (name.startsWith('_')) continue;
+          context.report(range, `Parameter '${name}' is never used`, { range, text: `_${name}` });
+        }
+      }
+    }
+  },
+
+  'shadowed-builtin': {
+    severity: 'warning',
+    description: "Declarations that hide a builtin such as 'map' or 'len'",
+    check(context, { allow = [] }) {
+      for (const symbol of context.symbols.symbols) {
+        if (symbol.container || !isBuiltin(symbol.name) || isBuiltinPattern(symbol) || allow.includes(symbol.name)) continue;
+        context.report(symbol.range, `'${symbol.name}' shadows the builtin of the same name`);
+      }
+    }
+  },
+
+  'const-assign': {
+    severity: 'error',
+    description: 'Assignments to a const',
+    check(context) {
+      const targets = [
+        ...context.nodes('Assignment').map(node => node.target),
+        ...context.nodes('UpdateExpr').map(node => node.operand)
+      ];
+      for (const target of targets) {
+        if (!target || target.type !== 'Identifier' || !target.loc) continue;
+        const symbol = context.symbolAt(target.loc.start);
+        if (!symbol || symbol.kind !== 'constant') continue;
+        // No autofix: turning the const into a let would silently drop the constant
+        context.report(rangeOf(target.loc), `Cannot assign to '${target.name}' because it is a constant`);
+      }
+    }
+  },
+
+  'unreachable-code': {
+    severity: 'warning',
+    description: "Statements after a 'return', 'break', 'continue' or 'throw'",
+    check(context) {
+      const lists = [
+        ...context.nodes('Program').map(node => node.statements),
+        ...context.nodes('Block').map(node => node.statements),
+        ...context.nodes('SwitchCase').map(node => node.consequent)
+      ];
+      for (const statements of lists) {
+        const index = statements.findIndex(statement => statement && TERMINATORS[statement.type]);
+        if (index === -1) continue;
+        const keyword = TERMINATORS[statements[index].type];
+        // Hoisted declarations after the exit still count, so each run of statements between them is
+        // reported and removed on its own
+        let previous = statements[index];
+        let run = [];
+        const flush = () => {
+          if (run.length === 0) return;
+          const last = run[run.length - 1];
+          const range = { start: { ...run[0].loc.start }, end: { ...last.loc.end } };
+          context.report(range, `Unreachable code after '${keyword}'`, {
+            range: { start: { ...previous.loc.end }, end: { ...last.loc.end } },
+            text: ''
+          });
+        };
+        for (const statement of statements.slice(index + 1)) {
+          if (!statement || !statement.loc) continue;
+          if (HOISTED.has(unwrapDeclaration(statement).type)) {
+            flush();
+            previous = statement;
+            run = [];
+          } else {
+            run.push(statement);
+          }
+        }
+        flush();
+      }
+    }
+  },
+
+  'null-comparison': {
+    severity: 'warning',
+    description: "'== null' and '!= null', which miss undefined values",
+    check(context) {
+      for (const node of context.nodes('BinaryExpr')) {
+        if (!/^[!=]==?$/.test(node.operator) || !node.loc) continue;
+        if (node.left.type !== 'NullLiteral' && node.right.type !== 'NullLiteral') continue;
+        const result = node.operator[0] === '!' ? 'true' : 'false';
+        context.report(rangeOf(node.loc), `'${node.operator} null' is ${result} for undefined values such as missing ` +
+          "properties; use '??' or a truthiness test");
+      }
+    }
+  },
+
+  'duplicate-key': {
+    severity: 'error',
+    description: 'Object literals that give the same key twice',
+    check(context) {
+      // The parsed object keeps only the last value for a key, so the keys are read from the tokens
+      for (const node of context.nodes('ObjectLiteral')) {
+        if (!node.loc) continue;
+        const start = context.tokenIndex(node.loc.start);
+        const tokens = context.tokens;
+        if (!tokens[start] || tokens[start].type !== TokenType.LBRACE) continue;
+        const seen = new Set();
+        let depth = 0;
+        for (let i = start; i < tokens.length; i++) {
+          const token = tokens[i];
+          if (OPENERS.has(token.type)) depth++;
+          if (CLOSERS.has(token.type) && --depth === 0) break;
+          if (depth !== 1 || (token.type !== TokenType.IDENTIFIER && token.type !== TokenType.STRING)) continue;
+          const next = tokens[i + 1];
+          const isKey = (i - 1 === start || tokens[i - 1].type === TokenType.COMMA) && next &&
+            [TokenType.COLON, TokenType.COMMA, TokenType.RBRACE].includes(next.type);
+          if (!isKey) continue;
+          const key = String(token.value);
+          if (seen.has(key)) {
+            context.report(tokenRange(token), `Duplicate key '${key}'; only its last value is kept`);
+          }
+          seen.add(key);
+        }
+      }
+    }
+  },
+
+  'duplicate-match-arm': {
+    severity: 'warning',
+    description: 'Match arms whose pattern an earlier arm without a guard already matches',
+    check(context) {
+      for (const node of context.nodes('MatchExpr')) {
+        const seen = new Set();
+        node.arms.forEach((arm, index) => {
+          if (!arm.loc) return;
+          const key = JSON.stringify(arm.pattern, withoutLocations);
+          if (seen.has(key)) {
+            const previous = node.arms[index - 1];
+            const range = rangeOf((arm.pattern && arm.pattern.loc) || arm.loc);
+            context.report(range, 'This arm repeats an earlier pattern and never runs', {
+              range: { start: { ...previous.loc.end }, end: { ...arm.loc.end } },
+              text: ''
+            });
+          }
+          if (!arm.guard) seen.add(key);
+        });
+      }
+    }
+  },
+
+  'undefined-call': {
+    severity: 'error',
+    description: 'Calls to names that are neither declared nor builtins',
+    check(context) {
+      for (const node of [...context.nodes('FunctionCall'), ...context.nodes('NewExpr')]) {
+        const callee = node.callee;
+        if (!callee || callee.type !== 'Identifier' || !callee.loc || isBuiltin(callee.name)) continue;
+        if (context.globals.has(callee.name)) continue;
+        if (context.symbols.scopeAt(callee.loc.start).resolve(callee.name, callee.loc.start)) continue;
+        context.report(rangeOf(callee.loc), `'${callee.name}' is not defined`);
+      }
+    }
+  }
+};
+
+// ===== CONFIGURATION =====
+
+// Severity and options of every rule: the defaults, overridden by a voxel.json "rules" object whose
+// values are a severity or [severity, options]
+function resolveRules(config = {}) {
+  const rules = new Map();
+  for (const [name, rule] of Object.entries(RULES)) {
+    rules.set(name, { severity: rule.severity, options: {} });
+  }
+  for (const [name, value] of Object.entries(config)) {
+    if (!RULES[name]) throw new Error(`Unknown lint rule '${name}'`);
+    const [severity, options = {}] = Array.isArray(value) ? value : [value];
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity '${severity}' for lint rule '${name}' (expected ${SEVERITIES.join(', ')})`);
+    }
+    rules.set(name, { severity, options });
+  }
+  return rules;
+}
+
+// The "lint" section of the voxel.json nearest to a file, looking up from its directory
+function loadConfig(filePath) {
+  for (let dir = path.dirname(path.resolve(filePath)); ; dir = path.dirname(dir)) {
+    const configPath = path.join(dir, 'voxel.json');
+    if (fs.existsSync(configPath)) {
+      try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8')).lint || {};
+        resolveRules(config.rules);
+        return config;
+      } catch (error) {
+        throw new Error(`${configPath}: ${error.message}`);
+      }
+    }
+    if (path.dirname(dir) === dir) return {};
+  }
+}
+
+// Rules turned off by comments: // voxel-disable [rules] up to // voxel-enable [rules],
+// // voxel-disable-line [rules] and // voxel-disable-next-line [rules]. Without a list of rules they
+// apply to every rule; anything after ' -- ' is a note for the reader.
+function disabledRules(comments) {
+  const lines = new Map(); // line -> Set of rule names, '*' for all
+  const regions = []; // { rule, start, end }
+  const open = new Map();
+  for (const comment of comments) {
+    const text = comment.text.replace(/^(\/\/|\/\*|#)/, '').replace(/\*\/$/, '').split(' -- ')[0].trim();
+    const match = /^voxel-(disable-next-line|disable-line|disable|enable)(?:\s+(.*))?$/.exec(text);
+    if (!match) continue;
+    const rules = match[2] ? match[2].split(/[\s,]+/).filter(Boolean) : ['*'];
+    if (match[1] === 'disable-line' || match[1] === 'disable-next-line') {
+      const line = match[1] === 'disable-line' ? comment.line : comment.endLine + 1;
+      if (!lines.has(line)) lines.set(line, new Set());
+      for (const rule of rules) lines.get(line).add(rule);
+    } else if (match[1] === 'disable') {
+      for (const rule of rules) {
+        if (open.has(rule)) continue;
+        const region = { rule, start: comment.line, end: Infinity };
+        open.set(rule, region);
+        regions.push(region);
+      }
+    } else {
+      for (const [rule, region] of open) {
+        if (!rules.includes('*') && !rules.includes(rule)) continue;
+        region.end = comment.line;
+        open.delete(rule);
+      }
+    }
+  }
+  return (rule, line) => {
+    const onLine = lines.get(line);
+    if (onLine && (onLine.has('*') || onLine.has(rule))) return true;
+    return regions.some(region =>
+      (region.rule === '*' || region.rule === rule) && region.start <= line && line <= region.end);
+  };
+}
+
+// ===== LINTER =====
+
+class Linter {
+  constructor(source, globals = []) {
+    this.source = source;
+    this.globals = new Set(globals);
+    this.lines = source.split('\n');
+    this.symbols = analyze(source);
+    const lexer = new Lexer(source, { comments: true, recover: true });
+    this.tokens = lexer.tokenize().filter(token => token.type !== TokenType.NEWLINE && token.type !== TokenType.EOF);
+    this.comments = lexer.comments;
+    this.diagnostics = [];
+
+    this.byType = new Map();
+    this.index(this.symbols.ast);
+    this.occurrences = new Map();
+    for (const occurrence of this.symbols.occurrences) {
+      this.occurrences.set(`${occurrence.range.start.line}:${occurrence.range.start.column}`, occurrence);
+    }
+    // Identifiers that are only written to, by `name = value`
+    this.writes = new Set(this.nodes('Assignment')
+      .filter(node => node.operator === '=' && node.target.type === 'Identifier' && node.target.loc)
+      .map(node => `${node.target.loc.start.line}:${node.target.loc.start.column}`));
+    this.exported = new Set(this.symbols.ast.statements
+      .filter(statement => statement.type === 'ExportStatement' && statement.declaration)
+      .map(statement => unwrapDeclaration(statement)));
+  }
+
+  run(rules) {
+    const isDisabled = disabledRules(this.comments);
+    for (const [name, { severity, options }] of rules) {
+      if (severity === 'off') continue;
+      this.report = (range, message, fix = null) => {
+        if (isDisabled(name, range.start.line)) return;
+        this.diagnostics.push({ severity, range, message, code: name, ...(fix ? { fix } : {}) });
+      };
+      RULES[name].check(this, options);
+    }
+    return this.diagnostics.sort((a, b) =>
+      comparePositions(a.range.start, b.range.start) || a.code.localeCompare(b.code));
+  }
+
+  // Every node by type, in source order
+  index(node) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      for (const child of node) this.index(child);
+      return;
+    }
+    if (typeof node.type === 'string' && 'loc' in node) {
+      if (!this.byType.has(node.type)) this.byType.set(node.type, []);
+      this.byType.get(node.type).push(node);
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc' && value && typeof value === 'object') this.index(value);
+    }
+  }
+
+  nodes(type) {
+    return this.byType.get(type) || [];
+  }
+
+  symbolAt(position) {
+    const occurrence = this.occurrences.get(`${position.line}:${position.column}`);
+    return occurrence ? occurrence.symbol : null;
+  }
+
+  // How often a symbol is read, not counting plain assignments to it
+  reads(symbol) {
+    return symbol.references.filter(range => !this.writes.has(`${range.start.line}:${range.start.column}`)).length;
+  }
+
+  // Index of the first token at or after `position`
+  tokenIndex(position) {
+    let low = 0;
+    let high = this.tokens.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (comparePositions(this.tokens[middle], position) < 0) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  // Range that removes `range`, and its line too when nothing else is on it
+  removal(range) {
+    const before = this.lines[range.start.line - 1].slice(0, range.start.column - 1);
+    const after = this.lines[range.end.line - 1].slice(range.end.column - 1);
+    if (before.trim() !== '' || after.trim() !== '') return range;
+    return { start: { line: range.start.line, column: 1 }, end: { line: range.end.line + 1, column: 1 } };
+  }
+}
+
+// Lint a file's source: { severity, range, message, code, fix? } for each problem, or its syntax errors
+// when it does not parse. `options.rules` is the "rules" object of a voxel.json, and `options.globals`
+// names defined by whatever runs the file (the test runner's functions, say).
+function lint(source, { rules = {}, globals = [] } = {}) {
+  const resolved = resolveRules(rules);
+  const linter = new Linter(source, globals);
+  if (linter.symbols.diagnostics.length > 0) return linter.symbols.diagnostics;
+  return linter.run(resolved);
+}
+
+// The source with the fixes of `diagnostics` applied; a fix that overlaps one before it is left out
+function applyFixes(source, diagnostics) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  const offset = position => position.line > lineStarts.length
+    ? source.length
+    : Math.min(source.length, lineStarts[position.line - 1] + position.column - 1);
+  const edits = diagnostics
+    .filter(diagnostic => diagnostic.fix)
+    .map(({ fix }) => ({ start: offset(fix.range.start), end: offset(fix.range.end), text: fix.text }))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+  let output = '';
+  let last = 0;
+  for (const edit of edits) {
+    if (edit.start < last) continue;
+    output += source.slice(last, edit.start) + edit.text;
+    last = edit.end;
+  }
+  return output + source.slice(last);
+}
+
+// The source with every available fix applied; fixing one problem can reveal or enable another, so
+// this repeats until nothing changes
+function fix(source, options = {}) {
+  for (let pass = 0; pass < 10; pass++) {
+    const fixed = applyFixes(source, lint(source, options));
+    if (fixed === source) break;
+    source = fixed;
+  }
+  return source;
+}
+
+module.exports = { lint, fix, applyFixes, loadConfig, resolveRules, RULES };
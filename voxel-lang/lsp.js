@@ -0,0 +1,513 @@
+// Language Server Protocol server for `voxel lsp`: speaks JSON-RPC over stdin/stdout and answers
+// editor queries from the lexer, parser and checker (symbols come from symbols.js). LSP positions
+// are 0-based while VoxelScript's are 1-based, so every position crosses toLsp/fromLsp.
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { Lexer, TokenType, KEYWORDS } = require('./lexer');
+const { checkProgram } = require('./checker');
+const { builtins } = require('./builtins');
+const { format } = require('./formatter');
+const { analyze, functionParams, paramText, comparePositions } = require('./symbols');
+
+const SEVERITY = { error: 1, warning: 2, info: 3 };
+
+// LSP SymbolKind and CompletionItemKind numbers for each symbol kind
+const SYMBOL_KIND = {
+  function: 12, class: 5, enum: 10, enumMember: 22, interface: 11, type: 26, variable: 13, constant: 14,
+  parameter: 13, import: 2, method: 6, property: 7
+};
+const COMPLETION_KIND = {
+  function: 3, class: 7, enum: 13, enumMember: 20, interface: 8, type: 25, variable: 6, constant: 21,
+  parameter: 6, import: 9, method: 2, property: 10, keyword: 14
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const REQUEST_FAILED = -32803;
+
+class LanguageServer {
+  // `write(text)` sends raw protocol text to the client
+  constructor(write) {
+    this.write = write;
+    this.buffer = Buffer.alloc(0);
+    this.documents = new Map(); // uri -> { text, symbols }, symbols analyzed on first use
+    this.diagnosticTimers = new Map();
+    this.shutdownRequested = false;
+  }
+
+  // ===== PROTOCOL =====
+
+  // Bytes from the client; each complete message is dispatched
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const length = /Content-Length: *(\d+)/i.exec(this.buffer.slice(0, headerEnd).toString());
+      if (!length) {
+        this.buffer = this.buffer.slice(headerEnd + 4);
+        continue;
+      }
+      const start = headerEnd + 4;
+      const end = start + Number(length[1]);
+      if (this.buffer.length < end) return;
+      const body = this.buffer.slice(start, end).toString('utf8');
+      this.buffer = this.buffer.slice(end);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        this.send({ id: null, error: { code: PARSE_ERROR, message: `Invalid JSON: ${error.message}` } });
+        continue;
+      }
+      this.dispatch(message);
+    }
+  }
+
+  send(message) {
+    const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+    this.write(`Content-Length: ${Buffer.byteLength(json, 'utf8')}\r\n\r\n${json}`);
+  }
+
+  notify(method, params) {
+    this.send({ method, params });
+  }
+
+  // Requests carry an id and get a response; notifications without a handler are ignored
+  dispatch(message) {
+    const handler = this[HANDLERS[message.method]];
+    if (message.id === undefined) {
+      if (handler) handler.call(this, message.params ?? {});
+      return;
+    }
+    if (!handler) {
+      this.send({ id: message.id, error: { code: METHOD_NOT_FOUND, message: `Unsupported request '${message.method}'` } });
+      return;
+    }
+    try {
+      this.send({ id: message.id, result: handler.call(this, message.params ?? {}) ?? null });
+    } catch (error) {
+      this.send({ id: message.id, error: { code: REQUEST_FAILED, message: error.message } });
+    }
+  }
+
+  // ===== LIFECYCLE =====
+
+  initialize() {
+    return {
+      capabilities: {
+        textDocumentSync: 1, // the whole text on every change
+        completionProvider: { triggerCharacters: ['.'] },
+        hoverProvider: true,
+        signatureHelpProvider: { triggerCharacters: ['(', ','] },
+        definitionProvider: true,
+        referencesProvider: true,
+        renameProvider: { prepareProvider: true },
+        documentSymbolProvider: true,
+        documentFormattingProvider: true
+      },
+      serverInfo: { name: 'voxel-lsp' }
+    };
+  }
+
+  shutdown() {
+    this.shutdownRequested = true;
+  }
+
+  exit() {
+    process.exit(this.shutdownRequested ? 0 : 1);
+  }
+
+  // ===== DOCUMENTS =====
+
+  didOpen({ textDocument }) {
+    this.documents.set(textDocument.uri, { text: textDocument.text, symbols: null });
+    this.scheduleDiagnostics(textDocument.uri, 0);
+  }
+
+  didChange({ textDocument, contentChanges }) {
+    if (contentChanges.length === 0) return;
+    this.documents.set(textDocument.uri, { text: contentChanges[contentChanges.length - 1].text, symbols: null });
+    this.scheduleDiagnostics(textDocument.uri, 300);
+  }
+
+  didClose({ textDocument }) {
+    this.documents.delete(textDocument.uri);
+    clearTimeout(this.diagnosticTimers.get(textDocument.uri));
+    this.diagnosticTimers.delete(textDocument.uri);
+    this.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+  }
+
+  // The open document's text, or the file on disk for one that isn't open
+  document(uri) {
+    return this.documents.get(uri) ?? { text: fs.readFileSync(fileURLToPath(uri), 'utf8'), symbols: null };
+  }
+
+  symbols(uri) {
+    const document = this.document(uri);
+    if (document.symbols === null) document.symbols = analyze(document.text);
+    return document.symbols;
+  }
+
+  // ===== DIAGNOSTICS =====
+
+  // Typing quickly re-checks once the edits pause
+  scheduleDiagnostics(uri, delay) {
+    clearTimeout(this.diagnosticTimers.get(uri));
+    this.diagnosticTimers.set(uri, setTimeout(() => {
+      this.diagnosticTimers.delete(uri);
+      if (this.documents.has(uri)) this.publishDiagnostics(uri);
+    }, delay));
+  }
+
+  // Syntax errors, or when there are none the type checker's findings
+  publishDiagnostics(uri) {
+    const file = this.symbols(uri);
+    let diagnostics = file.diagnostics;
+    if (diagnostics.length === 0) {
+      try {
+        diagnostics = checkProgram(file.ast);
+      } catch (error) {
+        diagnostics = [];
+      }
+    }
+    this.notify('textDocument/publishDiagnostics', {
+      uri,
+      diagnostics: diagnostics.map(diagnostic => ({
+        range: toLspRange(diagnostic.range),
+        severity: SEVERITY[diagnostic.severity] ?? SEVERITY.error,
+        code: diagnostic.code,
+        source: 'voxel',
+        message: diagnostic.message
+      }))
+    });
+  }
+
+  // ===== NAVIGATION =====
+
+  definition({ textDocument, position }) {
+    const symbol = this.symbols(textDocument.uri).symbolAt(fromLsp(position));
+    if (!symbol) return null;
+    if (symbol.kind === 'import') return this.importDefinition(textDocument.uri, symbol);
+    return { uri: textDocument.uri, range: toLspRange(symbol.range) };
+  }
+
+  // The exported declaration an import names, or the top of the module for `import * as`
+  importDefinition(uri, symbol) {
+    const target = resolveModule(fileURLToPath(uri), symbol.source);
+    if (!target) return { uri, range: toLspRange(symbol.range) };
+    const targetUri = pathToFileURL(target).href;
+    const declarations = symbol.imported ? this.symbols(targetUri).root.symbols.get(symbol.imported) : null;
+    const range = declarations
+      ? toLspRange(declarations[0].range)
+      : { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+    return { uri: targetUri, range };
+  }
+
+  references({ textDocument, position, context = {} }) {
+    const symbol = this.symbols(textDocument.uri).symbolAt(fromLsp(position));
+    if (!symbol) return null;
+    const ranges = context.includeDeclaration === false ? symbol.references : [symbol.range, ...symbol.references];
+    return ranges.map(range => ({ uri: textDocument.uri, range: toLspRange(range) }));
+  }
+
+  prepareRename({ textDocument, position }) {
+    const occurrence = this.symbols(textDocument.uri).occurrenceAt(fromLsp(position));
+    if (!occurrence) {
+      throw new Error('Only variables, functions, classes, enums and their members can be renamed');
+    }
+    return { range: toLspRange(occurrence.range), placeholder: occurrence.symbol.name };
+  }
+
+  rename({ textDocument, position, newName }) {
+    if (!IDENTIFIER.test(newName) || Object.prototype.hasOwnProperty.call(KEYWORDS, newName)) {
+      throw new Error(`'${newName}' is not a valid name`);
+    }
+    const symbol = this.symbols(textDocument.uri).symbolAt(fromLsp(position));
+    if (!symbol) return null;
+    // `import { name }` keeps importing the same export under the new name
+    const declaration = symbol.kind === 'import' && symbol.imported === symbol.name
+      ? `${symbol.imported} as ${newName}`
+      : newName;
+    const edits = [
+      { range: toLspRange(symbol.range), newText: declaration },
+      ...symbol.references.map(range => ({ range: toLspRange(range), newText: newName }))
+    ];
+    return { changes: { [textDocument.uri]: edits } };
+  }
+
+  documentSymbol({ textDocument }) {
+    const file = this.symbols(textDocument.uri);
+    return file.symbols
+      .filter(symbol => symbol.scope === file.root && symbol.kind !== 'import')
+      .map(symbol => documentSymbol(symbol));
+  }
+
+  // ===== EDITING AIDS =====
+
+  hover({ textDocument, position }) {
+    const file = this.symbols(textDocument.uri);
+    const at = fromLsp(position);
+    const occurrence = file.occurrenceAt(at);
+    if (occurrence) {
+      return { contents: markdown(occurrence.symbol.detail), range: toLspRange(occurrence.range) };
+    }
+    const token = file.identifiers.find(token => comparePositions(token, at) <= 0 &&
+      comparePositions(at, { line: token.endLine, column: token.endColumn }) <= 0);
+    if (!token || !Object.prototype.hasOwnProperty.call(builtins, token.value)) return null;
+    return { contents: markdown(`(builtin) ${builtinSignature(token.value)}`) };
+  }
+
+  signatureHelp({ textDocument, position }) {
+    const { text } = this.document(textDocument.uri);
+    const call = enclosingCall(text, fromLsp(position));
+    if (!call) return null;
+    const file = this.symbols(textDocument.uri);
+    const at = { line: call.callee.line, column: call.callee.column };
+    // A call still being typed may not parse, leaving the callee unresolved
+    const symbol = file.symbolAt(at) ?? (call.member ? null : file.scopeAt(at).resolve(call.callee.value, at));
+    let label;
+    let params;
+    if (symbol) {
+      params = callableParams(file, symbol);
+      if (params === null) return null;
+      label = `${symbol.name}(${params.join(', ')})`;
+    } else if (!call.member && typeof builtins[call.callee.value] === 'function') {
+      params = builtinParams(builtins[call.callee.value]);
+      label = `${call.callee.value}(${params.join(', ')})`;
+    } else {
+      return null;
+    }
+    // Offsets into the label so the editor can highlight the parameter being typed
+    let offset = label.indexOf('(') + 1;
+    const parameters = params.map(param => {
+      const range = [offset, offset + param.length];
+      offset += param.length + 2;
+      return { label: range };
+    });
+    const last = params.length - 1;
+    const rest = last >= 0 && params[last].startsWith('...');
+    const activeParameter = rest ? Math.min(call.argument, last) : call.argument;
+    return { signatures: [{ label, parameters }], activeSignature: 0, activeParameter };
+  }
+
+  completion({ textDocument, position }) {
+    const { text } = this.document(textDocument.uri);
+    const file = this.symbols(textDocument.uri);
+    const at = fromLsp(position);
+    const line = text.split('\n')[position.line] ?? '';
+    const member = /([\w$]+)\s*\.\s*[\w$]*$/.exec(line.slice(0, position.character));
+    if (member) {
+      return this.memberCompletions(file, member[1], at)
+        .filter(symbol => symbol.name !== 'constructor')
+        .map(symbol => completionItem(symbol));
+    }
+    const items = file.visibleSymbols(at).map(symbol => completionItem(symbol));
+    const declared = new Set(items.map(item => item.label));
+    for (const name of Object.keys(builtins)) {
+      if (declared.has(name)) continue;
+      const isFunction = typeof builtins[name] === 'function';
+      items.push({ label: name, kind: isFunction ? COMPLETION_KIND.function : COMPLETION_KIND.constant, detail: builtinSignature(name) });
+    }
+    for (const keyword of Object.keys(KEYWORDS)) {
+      if (!declared.has(keyword)) items.push({ label: keyword, kind: COMPLETION_KIND.keyword });
+    }
+    return items;
+  }
+
+  // Members after `object.`: of the enclosing class for `this`, statics of a class, members of an
+  // enum, or instance members of a variable initialized with `new Class(...)`
+  memberCompletions(file, object, position) {
+    const scope = file.scopeAt(position);
+    if (object === 'this') {
+      return scope.classSymbol ? file.membersOf(scope.classSymbol, false) : [];
+    }
+    const target = scope.resolve(object, position);
+    if (!target) return [];
+    if (target.kind === 'enum') return file.membersOf(target);
+    if (target.kind === 'class') return file.membersOf(target, true);
+    const classSymbol = file.instanceClass(target);
+    return classSymbol ? file.membersOf(classSymbol, false) : [];
+  }
+
+  // ===== FORMATTING =====
+
+  // One edit replacing the whole document, or none while it does not parse
+  formatting({ textDocument }) {
+    const { text } = this.document(textDocument.uri);
+    let formatted;
+    try {
+      formatted = format(text);
+    } catch (error) {
+      return null;
+    }
+    if (formatted === text) return [];
+    const lines = text.split('\n');
+    const end = { line: lines.length - 1, character: lines[lines.length - 1].length };
+    return [{ range: { start: { line: 0, character: 0 }, end }, newText: formatted }];
+  }
+}
+
+// LSP method -> handler method
+const HANDLERS = {
+  'initialize': 'initialize',
+  'shutdown': 'shutdown',
+  'exit': 'exit',
+  'textDocument/didOpen': 'didOpen',
+  'textDocument/didChange': 'didChange',
+  'textDocument/didClose': 'didClose',
+  'textDocument/definition': 'definition',
+  'textDocument/references': 'references',
+  'textDocument/prepareRename': 'prepareRename',
+  'textDocument/rename': 'rename',
+  'textDocument/documentSymbol': 'documentSymbol',
+  'textDocument/hover': 'hover',
+  'textDocument/signatureHelp': 'signatureHelp',
+  'textDocument/completion': 'completion',
+  'textDocument/formatting': 'formatting'
+};
+
+function toLsp(position) {
+  return { line: position.line - 1, character: position.column - 1 };
+}
+
+function fromLsp(position) {
+  return { line: position.line + 1, column: position.character + 1 };
+}
+
+function toLspRange(range) {
+  return { start: toLsp(range.start), end: toLsp(range.end) };
+}
+
+function markdown(code) {
+  return { kind: 'markdown', value: `\`\`\`voxel\n${code}\n\`\`\`` };
+}
+
+function documentSymbol(symbol) {
+  const loc = symbol.node && symbol.node.loc;
+  return {
+    name: symbol.name,
+    detail: symbol.detail,
+    kind: symbol.name === 'constructor' && symbol.kind === 'method' ? 9 : SYMBOL_KIND[symbol.kind],
+    range: toLspRange(loc ? { start: loc.start, end: loc.end } : symbol.range),
+    selectionRange: toLspRange(symbol.range),
+    children: [...symbol.members.values()].map(documentSymbol)
+  };
+}
+
+function completionItem(symbol) {
+  return { label: symbol.name, kind: COMPLETION_KIND[symbol.kind], detail: symbol.detail };
+}
+
+// Parameters of a function, method, class constructor or variable holding an arrow function; null
+// for anything else
+function callableParams(file, symbol) {
+  let node = symbol.node;
+  if (symbol.kind === 'class') {
+    const constructor = file.membersOf(symbol, false).find(member => member.name === 'constructor');
+    node = constructor ? constructor.node : { params: [] };
+  } else if (symbol.kind === 'variable' || symbol.kind === 'constant') {
+    node = node && node.value && node.value.type === 'ArrowFunction' ? node.value : null;
+  } else if (symbol.kind !== 'function' && symbol.kind !== 'method') {
+    return null;
+  }
+  return node ? functionParams(node).map(paramText) : null;
+}
+
+// Same lookup as Interpreter#resolveModulePath, without throwing
+function resolveModule(fromFile, source) {
+  const resolved = path.resolve(path.dirname(fromFile), source);
+  const candidates = [resolved, resolved + '.voxel', resolved + '.vxl', path.join(resolved, 'index.voxel')];
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) ?? null;
+}
+
+// The call whose argument list `position` is in: the callee's token, whether it is a method call, and
+// which argument (counting from 0) the position is in
+function enclosingCall(text, position) {
+  const tokens = new Lexer(text, { recover: true }).tokenize()
+    .filter(token => comparePositions(token, position) < 0);
+  const closing = new Set([TokenType.RPAREN, TokenType.RBRACKET, TokenType.RBRACE]);
+  const opening = new Set([TokenType.LPAREN, TokenType.LBRACKET, TokenType.LBRACE]);
+  let depth = 0;
+  let argument = 0;
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (closing.has(token.type)) {
+      depth++;
+    } else if (opening.has(token.type)) {
+      if (depth === 0) {
+        const callee = tokens[i - 1];
+        if (token.type !== TokenType.LPAREN || !callee || callee.type !== TokenType.IDENTIFIER) return null;
+        const before = tokens[i - 2];
+        return { callee, member: !!before && before.type === TokenType.DOT, argument };
+      }
+      depth--;
+    } else if (token.type === TokenType.COMMA && depth === 0) {
+      argument++;
+    } else if (token.type === TokenType.SEMICOLON && depth === 0) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Parameter names of a builtin, read from its JavaScript source
+function builtinParams(fn) {
+  let source = Function.prototype.toString.call(fn);
+  if (source.startsWith('class')) {
+    // The nearest constructor up the class chain
+    for (let current = fn; current && current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+      const text = Function.prototype.toString.call(current);
+      const index = text.indexOf('constructor(');
+      if (index !== -1) {
+        source = text.slice(index + 'constructor'.length);
+        break;
+      }
+      if (!text.startsWith('class')) return [];
+    }
+    if (source.startsWith('class')) return [];
+  }
+  const single = /^(?:async\s+)?([\w$]+)\s*=>/.exec(source);
+  if (single) return [single[1]];
+  const open = source.indexOf('(');
+  if (open === -1) return [];
+  const params = [];
+  let depth = 0;
+  let current = '';
+  for (let i = open + 1; i < source.length; i++) {
+    const char = source[i];
+    if (depth === 0 && (char === ')' || char === ',')) {
+      if (current.trim()) params.push(current.trim());
+      if (char === ')') break;
+      current = '';
+      continue;
+    }
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    current += char;
+  }
+  // A default value shows as an optional parameter
+  return params.map(param => param.replace(/^([\w$]+)\s*=[\s\S]*$/, '$1?'));
+}
+
+function builtinSignature(name) {
+  const value = builtins[name];
+  if (typeof value !== 'function') return `${name}: ${value === null ? 'null' : typeof value}`;
+  return `${name}(${builtinParams(value).join(', ')})`;
+}
+
+function runLanguageServer() {
+  const write = process.stdout.write.bind(process.stdout);
+  const server = new LanguageServer(write);
+  // stdout carries the protocol, so stray console output goes to stderr instead
+  process.stdout.write = (chunk, ...rest) => process.stderr.write(chunk, ...rest);
+  process.stdin.on('data', chunk => server.receive(chunk));
+  process.stdin.on('end', () => process.exit(0));
+}
+
+module.exports = { LanguageServer, runLanguageServer, builtinParams };
@@ -1,12 +1,15 @@
 // VoxelScript Parser - Creates Abstract Syntax Tree
 // Supports: classes, async/await, try-catch, switch, arrow functions, destructuring, spread, and more
 
-const { TokenType } = require('./lexer');
+const { Lexer, TokenType } = require('./lexer');
+const { createDiagnostic } = require('./diagnostics');
 
 // AST Node Types
+// loc = { start: { line, column }, end: { line, column } }, filled in by the Parser
 class ASTNode {
   constructor(type) {
     this.type = type;
+    this.loc = null;
   }
 }
 
@@ -170,12 +173,13 @@ class PipeExpr extends ASTNode {
 }
 
 class FunctionDeclaration extends ASTNode {
-  constructor(name, params, body, isAsync = false) {
+  constructor(name, params, body, isAsync = false, returnType = null) {
     super('FunctionDeclaration');
     this.name = name;
-    this.params = params;
+    this.params = params; // [{ type: 'param'|'rest', name, default, typeAnnotation }]
     this.body = body;
     this.isAsync = isAsync;
+    this.returnType = returnType;
   }
 }
 
@@ -211,33 +215,48 @@ class AwaitExpr extends ASTNode {
   }
 }
 
+class SpawnExpr extends ASTNode {
+  constructor(argument) {
+    super('SpawnExpr');
+    this.argument = argument;
+  }
+}
+
 class ClassDeclaration extends ASTNode {
-  constructor(name, superClass, body) {
+  constructor(name, superClass, body, interfaces = [], isAbstract = false) {
     super('ClassDeclaration');
     this.name = name;
     this.superClass = superClass;
     this.body = body;
+    this.interfaces = interfaces; // names after 'implements'
+    this.isAbstract = isAbstract;
   }
 }
 
 class MethodDefinition extends ASTNode {
-  constructor(key, params, body, isStatic = false, isAsync = false, kind = 'method') {
+  constructor(key, params, body, isStatic = false, isAsync = false, kind = 'method', returnType = null,
+              access = 'public', isAbstract = false) {
     super('MethodDefinition');
     this.key = key;
     this.params = params;
-    this.body = body;
+    this.body = body; // null for abstract methods
     this.isStatic = isStatic;
     this.isAsync = isAsync;
     this.kind = kind; // 'method', 'constructor', 'getter', 'setter'
+    this.returnType = returnType;
+    this.access = access; // 'public', 'protected', 'private'
+    this.isAbstract = isAbstract;
   }
 }
 
 class PropertyDefinition extends ASTNode {
-  constructor(key, value, isStatic = false) {
+  constructor(key, value, isStatic = false, typeAnnotation = null, access = 'public') {
     super('PropertyDefinition');
     this.key = key;
     this.value = value;
     this.isStatic = isStatic;
+    this.typeAnnotation = typeAnnotation;
+    this.access = access;
   }
 }
 
@@ -324,10 +343,10 @@ class DoWhileStatement extends ASTNode {
 }
 
 class TryStatement extends ASTNode {
-  constructor(block, handler, finalizer) {
+  constructor(block, handlers, finalizer) {
     super('TryStatement');
     this.block = block;
-    this.handler = handler; // { param, body }
+    this.handlers = handlers; // [{ param, typeAnnotation, body }], tried in order
     this.finalizer = finalizer;
   }
 }
@@ -394,9 +413,10 @@ class PrintStatement extends ASTNode {
 }
 
 class InputExpr extends ASTNode {
-  constructor(prompt) {
+  constructor(prompt, token = null) {
     super('InputExpr');
     this.prompt = prompt;
+    this.token = token;
   }
 }
 
@@ -449,11 +469,13 @@ class Block extends ASTNode {
 
 // Generator Functions (yield)
 class GeneratorDeclaration extends ASTNode {
-  constructor(name, params, body) {
+  constructor(name, params, body, isAsync = false, returnType = null) {
     super('GeneratorDeclaration');
     this.name = name;
     this.params = params;
     this.body = body;
+    this.isAsync = isAsync;
+    this.returnType = returnType;
   }
 }
 
@@ -470,7 +492,7 @@ class EnumDeclaration extends ASTNode {
   constructor(name, members) {
     super('EnumDeclaration');
     this.name = name;
-    this.members = members; // [{name, value}]
+    this.members = members; // [{name, value, fields}], fields is null for constants and [names] for variants
   }
 }
 
@@ -542,6 +564,15 @@ class BindingPattern extends ASTNode {
   }
 }
 
+// Shape.Rect(w, h): a value built by the variant constructor `callee`, with each field matching its pattern
+class VariantPattern extends ASTNode {
+  constructor(callee, args) {
+    super('VariantPattern');
+    this.callee = callee;
+    this.args = args;
+  }
+}
+
 class TypePattern extends ASTNode {
   constructor(typeName) {
     super('TypePattern');
@@ -701,20 +732,159 @@ class WithStatement extends ASTNode {
   }
 }
 
+// Grammar rules whose result node gets a source range. Nodes built inside a rule's
+// loop (e.g. the left side of `a + b + c`) are covered by assignLocations() afterwards.
+const LOCATED_RULES = [
+  'declaration', 'decoratedDeclaration', 'generatorDeclaration', 'enumDeclaration',
+  'interfaceDeclaration', 'typeAliasDeclaration', 'parseTypeAnnotation', 'letDeclaration',
+  'arrayDestructuring', 'objectDestructuring', 'functionDeclaration', 'classDeclaration',
+  'classElement', 'importStatement', 'exportStatement', 'statement', 'yieldStatement',
+  'assertStatement', 'debugStatement', 'withStatement', 'switchOrMatchStatement',
+  'matchExpression', 'parsePattern', 'parseSinglePattern', 'ifStatement', 'loopStatement',
+  'forStatement', 'whileStatement', 'doWhileStatement', 'tryStatement', 'throwStatement',
+  'returnStatement', 'printStatement', 'labeledStatement', 'block', 'expressionStatement', 'expression',
+  'ternary', 'nullishCoalescing', 'pipe', 'or', 'and', 'bitwiseOr', 'bitwiseXor',
+  'bitwiseAnd', 'equality', 'comparison', 'shift', 'range', 'term', 'factor', 'power',
+  'unary', 'newExpression', 'postfix', 'primary', 'anonymousFunction',
+  'arrowFunctionFromIdentifier'
+];
+
+// Functions of the test runner that take a block: `test "name" { ... }` (see testing.js)
+const TEST_BLOCKS = new Set(['describe', 'test', 'it']);
+
+// Tokens that can only start a statement; the recovering parser resumes at them
+const STATEMENT_KEYWORDS = new Set([
+  TokenType.LET, TokenType.CONST, TokenType.FN, TokenType.CLASS, TokenType.ENUM,
+  TokenType.INTERFACE, TokenType.TYPEDEF, TokenType.IMPORT, TokenType.EXPORT, TokenType.IF,
+  TokenType.LOOP, TokenType.FOR, TokenType.WHILE, TokenType.DO, TokenType.TRY,
+  TokenType.THROW, TokenType.RETURN, TokenType.BREAK, TokenType.CONTINUE, TokenType.PRINT,
+  TokenType.SWITCH, TokenType.WITH
+]);
+
 // Parser
 class Parser {
-  constructor(tokens) {
+  // options.recover records syntax errors in this.diagnostics and skips to the next statement
+  // instead of throwing, so parse() returns a partial AST
+  constructor(tokens, options = {}) {
     this.tokens = tokens.filter(t => t.type !== TokenType.NEWLINE); // Remove newlines for simpler parsing
     this.current = 0;
+    this.recover = !!options.recover;
+    this.diagnostics = [];
+    this.labels = []; // labels of the loops enclosing the current statement, innermost last
+    
+    for (const rule of LOCATED_RULES) {
+      const parseRule = this[rule];
+      this[rule] = (...args) => {
+        const start = this.current;
+        const node = parseRule.apply(this, args);
+        if (node instanceof ASTNode) {
+          this.extendLocation(node, start);
+        }
+        return node;
+      };
+    }
   }
 
   parse() {
+    const start = this.current;
     const statements = [];
     while (!this.isAtEnd()) {
-      const stmt = this.declaration();
+      const stmt = this.recoverableDeclaration();
       if (stmt) statements.push(stmt);
     }
-    return new Program(statements);
+    const program = new Program(statements);
+    this.extendLocation(program, start);
+    this.assignLocations(program);
+    return program;
+  }
+
+  // ===== SOURCE LOCATIONS =====
+
+  // Grow node.loc to cover the tokens from index `start` up to the last consumed one
+  extendLocation(node, start) {
+    const first = this.tokens[start];
+    const last = this.tokens[Math.max(start, this.current - 1)];
+    const from = { line: first.line, column: first.column };
+    const to = this.current > start
+      ? { line: last.endLine ?? last.line, column: last.endColumn ?? last.column }
+      : { ...from };
+    if (!node.loc) {
+      node.loc = { start: from, end: to };
+      return;
+    }
+    if (comparePositions(from, node.loc.start) < 0) node.loc.start = from;
+    if (comparePositions(to, node.loc.end) > 0) node.loc.end = to;
+  }
+
+  // Give nodes created without a rule of their own the span of their children (or their parent)
+  assignLocations(node, parentLoc = null) {
+    const children = [];
+    const collect = (value) => {
+      if (!value || typeof value !== 'object') return;
+      if (value instanceof ASTNode) {
+        children.push(value);
+      } else if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (Object.getPrototypeOf(value) === Object.prototype) {
+        Object.values(value).forEach(collect);
+      }
+    };
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== 'loc') collect(value);
+    }
+    
+    for (const child of children) {
+      this.assignLocations(child, node.loc || parentLoc);
+    }
+    
+    if (!node.loc) {
+      const located = children.filter(child => child.loc);
+      if (located.length > 0) {
+        node.loc = {
+          start: located.reduce((min, c) => comparePositions(c.loc.start, min) < 0 ? c.loc.start : min, located[0].loc.start),
+          end: located.reduce((max, c) => comparePositions(c.loc.end, max) > 0 ? c.loc.end : max, located[0].loc.end)
+        };
+      } else if (parentLoc) {
+        node.loc = { start: parentLoc.start, end: parentLoc.end };
+      }
+    }
+    return node;
+  }
+
+  // ===== ERROR RECOVERY =====
+
+  recoverableDeclaration() {
+    if (!this.recover) return this.declaration();
+    const start = this.current;
+    try {
+      return this.declaration();
+    } catch (error) {
+      if (!error.location) throw error;
+      this.diagnostics.push(createDiagnostic(error));
+      this.synchronize(start);
+      return null;
+    }
+  }
+
+  // Skip to the next statement boundary: a new line, a statement keyword, or the '}'
+  // closing the enclosing block. Braces opened while skipping are skipped as a whole.
+  synchronize(start) {
+    if (this.current === start) this.advance();
+    let depth = 0;
+    while (!this.isAtEnd()) {
+      const token = this.peek();
+      if (token.type === TokenType.RBRACE) {
+        if (depth === 0) return;
+        depth--;
+      } else if (token.type === TokenType.LBRACE) {
+        depth++;
+      } else if (depth === 0) {
+        if (this.previous().type === TokenType.SEMICOLON) return;
+        if (token.line > this.previous().line) return;
+        if (STATEMENT_KEYWORDS.has(token.type)) return;
+      }
+      this.advance();
+    }
   }
 
   declaration() {
@@ -724,18 +894,31 @@ class Parser {
     }
     if (this.match(TokenType.LET)) return this.letDeclaration(false);
     if (this.match(TokenType.CONST)) return this.letDeclaration(true);
-    if (this.match(TokenType.FN)) return this.functionDeclaration(false);
+    if (this.match(TokenType.FN)) {
+      // fn* name() generator
+      if (this.match(TokenType.STAR)) return this.generatorDeclaration(false);
+      return this.functionDeclaration(false);
+    }
     if (this.match(TokenType.ASYNC)) {
       if (this.match(TokenType.FN)) {
+        if (this.match(TokenType.STAR)) return this.generatorDeclaration(true);
         return this.functionDeclaration(true);
       }
-      // async generator
-      if (this.check(TokenType.STAR)) {
+      // async generator: async *fn name()
+      if (this.match(TokenType.STAR)) {
+        this.consume(TokenType.FN, "Expected 'fn' after '*'");
         return this.generatorDeclaration(true);
       }
     }
-    if (this.match(TokenType.STAR)) return this.generatorDeclaration(false);
+    if (this.match(TokenType.STAR)) {
+      this.consume(TokenType.FN, "Expected 'fn' after '*'");
+      return this.generatorDeclaration(false);
+    }
     if (this.match(TokenType.CLASS)) return this.classDeclaration();
+    if (this.match(TokenType.ABSTRACT)) {
+      this.consume(TokenType.CLASS, "Expected 'class' after 'abstract'");
+      return this.classDeclaration(true);
+    }
     if (this.match(TokenType.ENUM)) return this.enumDeclaration();
     if (this.match(TokenType.INTERFACE)) return this.interfaceDeclaration();
     if (this.match(TokenType.TYPEDEF)) return this.typeAliasDeclaration();
@@ -765,17 +948,17 @@ class Parser {
     return new DecoratedDeclaration(decorators, declaration);
   }
 
-  // Generator function (fn* or *)
+  // Generator function (fn* or *fn)
   generatorDeclaration(isAsync = false) {
-    this.consume(TokenType.FN, "Expected 'fn' after '*'");
     const name = this.consume(TokenType.IDENTIFIER, "Expected generator name");
     this.consume(TokenType.LPAREN, "Expected '(' after generator name");
     const params = this.parseFunctionParams();
     this.consume(TokenType.RPAREN, "Expected ')' after parameters");
+    const returnType = this.parseReturnType();
     this.consume(TokenType.LBRACE, "Expected '{' before generator body");
-    const body = this.block();
+    const body = this.functionBody();
     
-    return new GeneratorDeclaration(name.value, params, body, isAsync);
+    return new GeneratorDeclaration(name.value, params, body, isAsync, returnType);
   }
 
   // Enum declaration
@@ -790,7 +973,23 @@ class Parser {
       const memberName = this.consume(TokenType.IDENTIFIER, "Expected enum member name");
       let value = autoValue;
       
+      // Variant with fields: Rect(w, h)
+      if (this.match(TokenType.LPAREN)) {
+        const fields = [];
+        if (!this.check(TokenType.RPAREN)) {
+          do {
+            fields.push(this.consume(TokenType.IDENTIFIER, "Expected field name").value);
+          } while (this.match(TokenType.COMMA));
+        }
+        this.consume(TokenType.RPAREN, "Expected ')' after variant fields");
+        members.push({ name: memberName.value, value: null, fields });
+        this.match(TokenType.COMMA);
+        continue;
+      }
+      
+      let explicit = false;
       if (this.match(TokenType.ASSIGN)) {
+        explicit = true;
         const expr = this.expression();
         if (expr.type === 'NumberLiteral') {
           value = expr.value;
@@ -802,12 +1001,21 @@ class Parser {
         }
       }
       
-      members.push({ name: memberName.value, value });
+      members.push({ name: memberName.value, value, fields: null, explicit });
       autoValue++;
       this.match(TokenType.COMMA);
     }
     
     this.consume(TokenType.RBRACE, "Expected '}' after enum body");
+    // Once an enum has variants, its plain members are field-less variants rather than numbers
+    const hasVariants = members.some(member => member.fields);
+    for (const member of members) {
+      if (hasVariants && !member.fields && !member.explicit) {
+        member.value = null;
+        member.fields = [];
+      }
+      delete member.explicit;
+    }
     return new EnumDeclaration(name.value, members);
   }
 
@@ -899,7 +1107,14 @@ class Parser {
       return { kind: 'array', elementType: null };
     }
     
-    let typeName = this.consume(TokenType.IDENTIFIER, "Expected type name").value;
+    let typeName;
+    if (this.match(TokenType.NULL)) {
+      typeName = 'null';
+    } else if (this.match(TokenType.FN)) {
+      typeName = 'fn';
+    } else {
+      typeName = this.consume(TokenType.IDENTIFIER, "Expected type name").value;
+    }
     let nullable = false;
     let generic = null;
     
@@ -909,6 +1124,14 @@ class Parser {
       this.consume(TokenType.GT, "Expected '>' after generic type");
     }
     
+    // Element type shorthand: number[] is Array<number>
+    while (this.check(TokenType.LBRACKET) && this.peekNext() && this.peekNext().type === TokenType.RBRACKET) {
+      this.advance();
+      this.advance();
+      generic = new TypeAnnotation(typeName, false, generic);
+      typeName = 'Array';
+    }
+    
     // Check for nullable type
     if (this.match(TokenType.QUESTION)) {
       nullable = true;
@@ -936,10 +1159,17 @@ class Parser {
     }
     
     const name = this.consume(TokenType.IDENTIFIER, "Expected variable name");
+    let typeAnnotation = null;
+    if (this.match(TokenType.COLON)) {
+      typeAnnotation = this.parseTypeAnnotation();
+    }
     let value = null;
     if (this.match(TokenType.ASSIGN)) {
       value = this.expression();
     }
+    if (typeAnnotation) {
+      return new TypedDeclaration(name.value, typeAnnotation, value, isConst);
+    }
     return new LetDeclaration(name.value, value, isConst);
   }
 
@@ -1004,11 +1234,17 @@ class Parser {
     
     const params = this.parseFunctionParams();
     this.consume(TokenType.RPAREN, "Expected ')' after parameters");
+    const returnType = this.parseReturnType();
     
     this.consume(TokenType.LBRACE, "Expected '{' before function body");
-    const body = this.block();
+    const body = this.functionBody();
     
-    return new FunctionDeclaration(name.value, params, body, isAsync);
+    return new FunctionDeclaration(name.value, params, body, isAsync, returnType);
+  }
+
+  // Optional ': Type' after a parameter list
+  parseReturnType() {
+    return this.match(TokenType.COLON) ? this.parseTypeAnnotation() : null;
   }
 
   parseFunctionParams() {
@@ -1017,77 +1253,121 @@ class Parser {
       do {
         if (this.match(TokenType.SPREAD)) {
           const rest = this.consume(TokenType.IDENTIFIER, "Expected parameter name after '...'");
-          params.push({ type: 'rest', name: rest.value });
+          const typeAnnotation = this.match(TokenType.COLON) ? this.parseTypeAnnotation() : null;
+          params.push({ type: 'rest', name: rest.value, typeAnnotation });
         } else {
           const param = this.consume(TokenType.IDENTIFIER, "Expected parameter name");
+          const typeAnnotation = this.match(TokenType.COLON) ? this.parseTypeAnnotation() : null;
           let defaultValue = null;
           if (this.match(TokenType.ASSIGN)) {
             defaultValue = this.expression();
           }
-          params.push({ type: 'param', name: param.value, default: defaultValue });
+          params.push({ type: 'param', name: param.value, default: defaultValue, typeAnnotation });
         }
       } while (this.match(TokenType.COMMA));
     }
     return params;
   }
 
-  classDeclaration() {
+  classDeclaration(isAbstract = false) {
     const name = this.consume(TokenType.IDENTIFIER, "Expected class name");
     let superClass = null;
     if (this.match(TokenType.EXTENDS)) {
       superClass = this.consume(TokenType.IDENTIFIER, "Expected superclass name").value;
     }
+    const interfaces = [];
+    if (this.match(TokenType.IMPLEMENTS)) {
+      do {
+        interfaces.push(this.consume(TokenType.IDENTIFIER, "Expected interface name").value);
+      } while (this.match(TokenType.COMMA));
+    }
     this.consume(TokenType.LBRACE, "Expected '{' before class body");
     
     const body = [];
     while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
-      body.push(this.classElement());
+      body.push(this.classElement(name.value, isAbstract));
     }
     this.consume(TokenType.RBRACE, "Expected '}' after class body");
     
-    return new ClassDeclaration(name.value, superClass, body);
+    return new ClassDeclaration(name.value, superClass, body, interfaces, isAbstract);
   }
 
-  classElement() {
+  classElement(className, classIsAbstract) {
+    let access = null;
     let isStatic = false;
+    let isAbstract = false;
     let isAsync = false;
     
-    if (this.match(TokenType.STATIC)) {
-      isStatic = true;
+    // Modifiers, in any order before `async`
+    while (this.check(TokenType.PUBLIC) || this.check(TokenType.PRIVATE) || this.check(TokenType.PROTECTED) ||
+           this.check(TokenType.STATIC) || this.check(TokenType.ABSTRACT)) {
+      const modifier = this.advance();
+      if (modifier.type === TokenType.STATIC) {
+        if (isStatic) throw this.error(modifier, "'static' modifier already seen", 'invalid-modifier');
+        isStatic = true;
+      } else if (modifier.type === TokenType.ABSTRACT) {
+        if (isAbstract) throw this.error(modifier, "'abstract' modifier already seen", 'invalid-modifier');
+        isAbstract = true;
+      } else {
+        if (access) throw this.error(modifier, 'Accessibility modifier already seen', 'invalid-modifier');
+        access = modifier.value;
+      }
     }
     if (this.match(TokenType.ASYNC)) {
       isAsync = true;
     }
     
-    // Check for getter/setter
+    // `get name()` and `set name(v)` are accessors; `get(...)` and `set(...)` are plain methods
     let kind = 'method';
-    if (this.check(TokenType.IDENTIFIER) && (this.peek().value === 'get' || this.peek().value === 'set')) {
+    let key;
+    if (this.check(TokenType.GET) || this.check(TokenType.SET)) {
       const next = this.peekNext();
       if (next && next.type === TokenType.IDENTIFIER) {
         kind = this.advance().value;
+      } else {
+        key = this.advance();
       }
     }
+    key = key || this.consume(TokenType.IDENTIFIER, "Expected method or property name");
     
-    const key = this.consume(TokenType.IDENTIFIER, "Expected method or property name");
+    if (isAbstract) {
+      if (!classIsAbstract) {
+        throw this.error(key, `Abstract method '${key.value}' can only appear in an abstract class, but '${className}' is not abstract`, 'invalid-modifier');
+      }
+      if (isStatic || key.value === 'constructor' || !this.check(TokenType.LPAREN)) {
+        throw this.error(key, `'${key.value}' cannot be abstract; only instance methods can`, 'invalid-modifier');
+      }
+    }
     
     // Method
     if (this.check(TokenType.LPAREN)) {
       this.consume(TokenType.LPAREN, "Expected '('");
       const params = this.parseFunctionParams();
       this.consume(TokenType.RPAREN, "Expected ')'");
-      this.consume(TokenType.LBRACE, "Expected '{'");
-      const body = this.block();
-      
+      const returnType = this.parseReturnType();
       const methodKind = key.value === 'constructor' ? 'constructor' : kind;
-      return new MethodDefinition(key.value, params, body, isStatic, isAsync, methodKind);
+      
+      // Abstract methods are signatures only
+      if (isAbstract) {
+        if (this.check(TokenType.LBRACE)) {
+          throw this.error(this.peek(), `Abstract method '${key.value}' cannot have a body`, 'invalid-modifier');
+        }
+        this.match(TokenType.SEMICOLON);
+        return new MethodDefinition(key.value, params, null, false, isAsync, methodKind, returnType, access || 'public', true);
+      }
+      
+      this.consume(TokenType.LBRACE, "Expected '{'");
+      const body = this.functionBody();
+      return new MethodDefinition(key.value, params, body, isStatic, isAsync, methodKind, returnType, access || 'public');
     }
     
     // Property
+    const typeAnnotation = this.match(TokenType.COLON) ? this.parseTypeAnnotation() : null;
     let value = null;
     if (this.match(TokenType.ASSIGN)) {
       value = this.expression();
     }
-    return new PropertyDefinition(key.value, value, isStatic);
+    return new PropertyDefinition(key.value, value, isStatic, typeAnnotation, access || 'public');
   }
 
   importStatement() {
@@ -1143,6 +1423,12 @@ class Parser {
       return new ExportStatement(decl, null, null, false);
     }
     
+    if (this.match(TokenType.ABSTRACT)) {
+      this.consume(TokenType.CLASS, "Expected 'class' after 'abstract'");
+      const decl = this.classDeclaration(true);
+      return new ExportStatement(decl, null, null, false);
+    }
+    
     // Named exports
     if (this.match(TokenType.LBRACE)) {
       const specifiers = [];
@@ -1163,10 +1449,13 @@ class Parser {
       return new ExportStatement(null, specifiers, source, false);
     }
     
-    throw new Error("Invalid export statement");
+    throw this.error(this.peek(), `Invalid export statement. Got ${this.peek().type} at line ${this.peek().line}`, 'invalid-export');
   }
 
   statement() {
+    if (this.check(TokenType.IDENTIFIER) && this.peekNext() && this.peekNext().type === TokenType.COLON) {
+      return this.labeledStatement();
+    }
     if (this.match(TokenType.IF)) return this.ifStatement();
     if (this.match(TokenType.SWITCH) || this.match(TokenType.MATCH)) return this.switchOrMatchStatement();
     if (this.match(TokenType.LOOP)) return this.loopStatement();
@@ -1177,16 +1466,87 @@ class Parser {
     if (this.match(TokenType.THROW)) return this.throwStatement();
     if (this.match(TokenType.RETURN)) return this.returnStatement();
     if (this.match(TokenType.YIELD)) return this.yieldStatement();
-    if (this.match(TokenType.BREAK)) return new BreakStatement();
-    if (this.match(TokenType.CONTINUE)) return new ContinueStatement();
+    if (this.match(TokenType.BREAK)) return new BreakStatement(this.jumpLabel());
+    if (this.match(TokenType.CONTINUE)) return new ContinueStatement(this.jumpLabel());
     if (this.match(TokenType.PRINT)) return this.printStatement();
     if (this.match(TokenType.ASSERT)) return this.assertStatement();
     if (this.match(TokenType.DEBUG)) return this.debugStatement();
     if (this.match(TokenType.WITH)) return this.withStatement();
     if (this.match(TokenType.LBRACE)) return this.block();
+    if (this.isTestBlock()) return this.testBlock();
     return this.expressionStatement();
   }
 
+  // describe, test or it, optionally with .skip or .only, followed by a name and a block
+  isTestBlock() {
+    if (!this.check(TokenType.IDENTIFIER) || !TEST_BLOCKS.has(this.peek().value)) return false;
+    const ahead = (offset) => this.tokens[this.current + offset] || this.tokens[this.tokens.length - 1];
+    let offset = 1;
+    if (ahead(1).type === TokenType.DOT && ['skip', 'only'].includes(ahead(2).value)) offset = 3;
+    return ahead(offset).type === TokenType.STRING && ahead(offset + 1).type === TokenType.LBRACE;
+  }
+
+  // test "name" { ... } is the call test("name", fn() { ... })
+  testBlock() {
+    const start = this.current;
+    let callee = new Identifier(this.advance().value);
+    this.extendLocation(callee, start);
+    if (this.match(TokenType.DOT)) {
+      callee = new MemberAccess(callee, this.advance().value);
+      this.extendLocation(callee, start);
+    }
+    const name = new StringLiteral(this.advance().value);
+    this.extendLocation(name, this.current - 1);
+    const bodyStart = this.current;
+    this.consume(TokenType.LBRACE, "Expected '{' after test name");
+    const body = new FunctionDeclaration(null, [], this.functionBody());
+    this.extendLocation(body, bodyStart);
+    const call = new FunctionCall(callee, [name, body]);
+    call.isTestBlock = true;
+    return call;
+  }
+
+  // outer: for x in xs { ... }
+  labeledStatement() {
+    const label = this.advance();
+    this.advance(); // ':'
+    if (this.labels.includes(label.value)) {
+      throw this.error(label, `Label '${label.value}' has already been declared at line ${label.line}`, 'duplicate-label');
+    }
+    if (![TokenType.LOOP, TokenType.FOR, TokenType.WHILE, TokenType.DO].some(type => this.check(type))) {
+      throw this.error(this.peek(), `Expected a loop after label '${label.value}' at line ${label.line}`, 'expected-token');
+    }
+    
+    this.labels.push(label.value);
+    try {
+      return new LabeledStatement(label.value, this.statement());
+    } finally {
+      this.labels.pop();
+    }
+  }
+
+  // Optional label after break/continue, which must name an enclosing loop
+  jumpLabel() {
+    const keyword = this.previous();
+    if (!this.check(TokenType.IDENTIFIER) || this.peek().line !== keyword.line) return null;
+    const label = this.advance();
+    if (!this.labels.includes(label.value)) {
+      throw this.error(label, `Unknown label '${label.value}' at line ${label.line}`, 'unknown-label');
+    }
+    return label.value;
+  }
+
+  // Function bodies start a fresh label scope: break/continue cannot jump out of a function
+  functionBody() {
+    const labels = this.labels;
+    this.labels = [];
+    try {
+      return this.block();
+    } finally {
+      this.labels = labels;
+    }
+  }
+
   // Yield statement/expression
   yieldStatement() {
     let delegate = false;
@@ -1246,11 +1606,9 @@ class Parser {
         const consequent = [];
         while (!this.check(TokenType.CASE) && !this.check(TokenType.DEFAULT) && 
                !this.check(TokenType.RBRACE) && !this.isAtEnd()) {
-          if (this.match(TokenType.BREAK)) {
-            consequent.push(new BreakStatement());
-            break;
-          }
-          consequent.push(this.statement());
+          const statement = this.statement();
+          consequent.push(statement);
+          if (statement.type === 'BreakStatement' && !statement.label) break;
         }
         cases.push(new SwitchCase(test, consequent));
       } else if (this.match(TokenType.DEFAULT)) {
@@ -1388,6 +1746,23 @@ class Parser {
   }
 
   parseSinglePattern() {
+    // Qualified constant such as Color.Red, compared by value, or a variant such as Shape.Rect(w, h) / Some(x)
+    const next = this.peekNext();
+    if (this.check(TokenType.IDENTIFIER) && next && (next.type === TokenType.DOT || next.type === TokenType.LPAREN)) {
+      let value = new Identifier(this.advance().value);
+      while (this.match(TokenType.DOT)) {
+        value = new MemberAccess(value, this.consume(TokenType.IDENTIFIER, "Expected property name after '.'").value);
+      }
+      if (!this.match(TokenType.LPAREN)) return new LiteralPattern(value);
+      const args = [];
+      if (!this.check(TokenType.RPAREN)) {
+        do {
+          args.push(this.parsePattern());
+        } while (this.match(TokenType.COMMA));
+      }
+      this.consume(TokenType.RPAREN, "Expected ')' after variant patterns");
+      return new VariantPattern(value, args);
+    }
     if (this.check(TokenType.IDENTIFIER)) {
       const name = this.advance();
       return new BindingPattern(name.value);
@@ -1395,7 +1770,7 @@ class Parser {
     if (this.check(TokenType.NUMBER) || this.check(TokenType.STRING)) {
       return new LiteralPattern(this.primary());
     }
-    throw new Error("Expected pattern");
+    throw this.error(this.peek(), `Expected pattern. Got ${this.peek().type} at line ${this.peek().line}`, 'expected-pattern');
   }
 
   ifStatement() {
@@ -1469,7 +1844,7 @@ class Parser {
       return new ForOfStatement(variable.value, iterable, body);
     }
     
-    throw new Error("Expected 'in' or 'of' after for variable");
+    throw this.error(this.peek(), `Expected 'in' or 'of' after for variable. Got ${this.peek().type} at line ${this.peek().line}`, 'expected-token');
   }
 
   whileStatement() {
@@ -1491,16 +1866,21 @@ class Parser {
     this.consume(TokenType.LBRACE, "Expected '{' after try");
     const block = this.block();
     
-    let handler = null;
-    if (this.match(TokenType.CATCH)) {
+    // catch (e: IOError) { ... } catch (e) { ... }
+    const handlers = [];
+    while (this.match(TokenType.CATCH)) {
       let param = null;
+      let typeAnnotation = null;
       if (this.match(TokenType.LPAREN)) {
         param = this.consume(TokenType.IDENTIFIER, "Expected catch parameter").value;
+        if (this.match(TokenType.COLON)) {
+          typeAnnotation = this.parseTypeAnnotation();
+        }
         this.consume(TokenType.RPAREN, "Expected ')' after catch parameter");
       }
       this.consume(TokenType.LBRACE, "Expected '{' after catch");
       const catchBody = this.block();
-      handler = { param, body: catchBody };
+      handlers.push({ param, typeAnnotation, body: catchBody });
     }
     
     let finalizer = null;
@@ -1509,7 +1889,7 @@ class Parser {
       finalizer = this.block();
     }
     
-    return new TryStatement(block, handler, finalizer);
+    return new TryStatement(block, handlers, finalizer);
   }
 
   throwStatement() {
@@ -1538,7 +1918,8 @@ class Parser {
   block() {
     const statements = [];
     while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
-      statements.push(this.declaration());
+      const stmt = this.recoverableDeclaration();
+      if (stmt) statements.push(stmt);
     }
     this.consume(TokenType.RBRACE, "Expected '}' after block");
     return new Block(statements);
@@ -1767,6 +2148,10 @@ class Parser {
       const argument = this.unary();
       return new AwaitExpr(argument);
     }
+    if (this.match(TokenType.SPAWN)) {
+      const argument = this.unary();
+      return new SpawnExpr(argument);
+    }
     if (this.match(TokenType.YIELD)) {
       let delegate = false;
       if (this.match(TokenType.STAR)) {
@@ -1785,13 +2170,28 @@ class Parser {
     return this.postfix();
   }
 
+  // new Callee(args), where Callee is a name or member path; calls and accesses after the
+  // arguments apply to the new instance: new Point(1, 2).length()
   newExpression() {
-    const callee = this.call();
-    // Arguments parsed in call() if LPAREN follows
-    if (callee.type === 'FunctionCall') {
-      return new NewExpr(callee.callee, callee.args);
+    const start = this.current - 1;
+    let callee = this.primary();
+    while (true) {
+      if (this.match(TokenType.DOT)) {
+        const name = this.consume(TokenType.IDENTIFIER, "Expected property name after '.'");
+        callee = new MemberAccess(callee, name.value);
+      } else if (this.match(TokenType.LBRACKET)) {
+        const index = this.expression();
+        this.consume(TokenType.RBRACKET, "Expected ']' after index");
+        callee = new IndexAccess(callee, index);
+      } else {
+        break;
+      }
+      this.extendLocation(callee, start + 1);
     }
-    return new NewExpr(callee, []);
+    const args = this.match(TokenType.LPAREN) ? this.argumentList() : [];
+    const expr = new NewExpr(callee, args);
+    this.extendLocation(expr, start);
+    return this.callChain(expr, start);
   }
 
   postfix() {
@@ -1808,8 +2208,12 @@ class Parser {
   }
 
   call() {
-    let expr = this.primary();
-    
+    const start = this.current;
+    return this.callChain(this.primary(), start);
+  }
+
+  // Calls, indexing and member accesses following `expr`, which began at token `start`
+  callChain(expr, start) {
     while (true) {
       if (this.match(TokenType.LPAREN)) {
         expr = this.finishCall(expr);
@@ -1832,12 +2236,19 @@ class Parser {
       } else {
         break;
       }
+      // Each link of the chain spans from the start of the chain to its closing token
+      this.extendLocation(expr, start);
     }
     
     return expr;
   }
 
   finishCall(callee) {
+    return new FunctionCall(callee, this.argumentList());
+  }
+
+  // Arguments after an opening '(', through the closing ')'
+  argumentList() {
     const args = [];
     if (!this.check(TokenType.RPAREN)) {
       do {
@@ -1849,7 +2260,7 @@ class Parser {
       } while (this.match(TokenType.COMMA));
     }
     this.consume(TokenType.RPAREN, "Expected ')' after arguments");
-    return new FunctionCall(callee, args);
+    return args;
   }
 
   primary() {
@@ -1888,11 +2299,13 @@ class Parser {
     if (this.match(TokenType.INPUT)) {
       this.consume(TokenType.LPAREN, "Expected '(' after input");
       let prompt = null;
+      let token = null;
       if (!this.check(TokenType.RPAREN)) {
         prompt = this.expression();
+        if (this.match(TokenType.COMMA)) token = this.expression();
       }
       this.consume(TokenType.RPAREN, "Expected ')' after input prompt");
-      return new InputExpr(prompt);
+      return new InputExpr(prompt, token);
     }
     
     if (this.match(TokenType.FN)) {
@@ -1924,9 +2337,11 @@ class Parser {
       
       // Check for list comprehension: [x * 2 for x in items]
       // or [x * 2 for x in items if x > 0]
-      const firstExpr = this.expression();
+      const firstExpr = this.match(TokenType.SPREAD)
+        ? new SpreadElement(this.expression())
+        : this.expression();
       
-      if (this.match(TokenType.FOR)) {
+      if (firstExpr.type !== 'SpreadElement' && this.match(TokenType.FOR)) {
         // List comprehension
         const variable = this.consume(TokenType.IDENTIFIER, "Expected variable in comprehension").value;
         this.consume(TokenType.IN, "Expected 'in' in comprehension");
@@ -1964,6 +2379,7 @@ class Parser {
       const properties = {};
       if (!this.check(TokenType.RBRACE)) {
         do {
+          if (this.check(TokenType.RBRACE)) break; // Trailing comma
           if (this.match(TokenType.SPREAD)) {
             const spread = this.expression();
             properties['...spread' + Object.keys(properties).length] = new SpreadElement(spread);
@@ -2038,19 +2454,7 @@ class Parser {
         if (looksLikeArrow && this.peek().type === TokenType.ARROW) {
           // Reset and parse as arrow function
           this.current = savedPos;
-          const params = [];
-          do {
-            if (this.match(TokenType.SPREAD)) {
-              params.push({ type: 'rest', name: this.consume(TokenType.IDENTIFIER, "Expected parameter").value });
-            } else {
-              const param = this.consume(TokenType.IDENTIFIER, "Expected parameter");
-              let defaultValue = null;
-              if (this.match(TokenType.ASSIGN)) {
-                defaultValue = this.expression();
-              }
-              params.push({ type: 'param', name: param.value, default: defaultValue });
-            }
-          } while (this.match(TokenType.COMMA));
+          const params = this.parseFunctionParams();
           this.consume(TokenType.RPAREN, "Expected ')' after parameters");
           this.consume(TokenType.ARROW, "Expected '=>'");
           return this.arrowFunctionBody(params, false);
@@ -2066,28 +2470,33 @@ class Parser {
       return expr;
     }
     
-    throw new Error(`Unexpected token: ${this.peek().type} at line ${this.peek().line}`);
+    throw this.error(this.peek(), `Unexpected token: ${this.peek().type} at line ${this.peek().line}`, 'unexpected-token');
   }
 
   anonymousFunction(isAsync) {
+    const isGenerator = this.match(TokenType.STAR);
     this.consume(TokenType.LPAREN, "Expected '(' for anonymous function");
     const params = this.parseFunctionParams();
     this.consume(TokenType.RPAREN, "Expected ')' after parameters");
+    const returnType = this.parseReturnType();
     this.consume(TokenType.LBRACE, "Expected '{' before function body");
-    const body = this.block();
-    return new FunctionDeclaration(null, params, body, isAsync);
+    const body = this.functionBody();
+    if (isGenerator) {
+      return new GeneratorDeclaration(null, params, body, isAsync, returnType);
+    }
+    return new FunctionDeclaration(null, params, body, isAsync, returnType);
   }
 
   arrowFunctionFromIdentifier(name) {
     this.consume(TokenType.ARROW, "Expected '=>'");
-    const params = [{ type: 'param', name, default: null }];
+    const params = [{ type: 'param', name, default: null, typeAnnotation: null }];
     return this.arrowFunctionBody(params, false);
   }
 
   arrowFunctionBody(params, isAsync) {
     let body;
     if (this.match(TokenType.LBRACE)) {
-      body = this.block();
+      body = this.functionBody();
     } else {
       // Expression body
       const expr = this.expression();
@@ -2104,12 +2513,12 @@ class Parser {
       if (part.type === 'string') {
         parts.push({ type: 'string', value: part.value });
       } else if (part.type === 'expr') {
-        // Parse the expression string
+        // Parse the expression string, keeping positions relative to the whole file
         const { Lexer } = require('./lexer');
-        const exprLexer = new Lexer(part.value);
+        const exprLexer = new Lexer(part.value, { line: part.line, column: part.column });
         const exprTokens = exprLexer.tokenize();
         const exprParser = new Parser(exprTokens);
-        const exprAST = exprParser.expression();
+        const exprAST = exprParser.assignLocations(exprParser.expression());
         parts.push({ type: 'expression', value: exprAST });
       }
     }
@@ -2157,12 +2566,40 @@ class Parser {
 
   consume(type, message) {
     if (this.check(type)) return this.advance();
-    throw new Error(`${message}. Got ${this.peek().type} at line ${this.peek().line}`);
+    throw this.error(this.peek(), `${message}. Got ${this.peek().type} at line ${this.peek().line}`, 'expected-token');
+  }
+
+  error(token, message, code = 'syntax-error') {
+    const error = new Error(message);
+    error.code = code;
+    error.location = {
+      line: token.line,
+      column: token.column,
+      endLine: token.endLine ?? token.line,
+      endColumn: token.endColumn ?? token.column
+    };
+    return error;
   }
 }
 
+function comparePositions(a, b) {
+  return a.line !== b.line ? a.line - b.line : a.column - b.column;
+}
+
+// Lex and parse in recovering mode: the partial AST plus every syntax error found
+function parseWithDiagnostics(source) {
+  const lexer = new Lexer(source, { recover: true });
+  const tokens = lexer.tokenize();
+  const parser = new Parser(tokens, { recover: true });
+  const ast = parser.parse();
+  const diagnostics = [...lexer.diagnostics, ...parser.diagnostics]
+    .sort((a, b) => comparePositions(a.range.start, b.range.start));
+  return { ast, diagnostics };
+}
+
 module.exports = {
   Parser,
+  parseWithDiagnostics,
   Program,
   NumberLiteral,
   StringLiteral,
@@ -2188,6 +2625,7 @@ module.exports = {
   FunctionCall,
   NewExpr,
   AwaitExpr,
+  SpawnExpr,
   ClassDeclaration,
   MethodDefinition,
   PropertyDefinition,
@@ -2232,6 +2670,7 @@ module.exports = {
   OrPattern,
   BindingPattern,
   TypePattern,
+  VariantPattern,
   RangeExpr,
   DecoratorExpr,
   DecoratedDeclaration,
@@ -0,0 +1,145 @@
+// Support library for JavaScript compiled by `voxel build`: the builtins table plus the few
+// helpers that keep VoxelScript semantics where plain JavaScript would differ
+
+const readline = require('readline');
+const { builtins, EnumVariant, defineEnum, isVariant, Task } = require('./builtins');
+
+// typeof with VoxelScript's answers for null and arrays
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// start..end and start..=end
+function range(start, end, inclusive = false) {
+  const result = [];
+  if (inclusive) {
+    for (let i = start; i <= end; i++) result.push(i);
+  } else {
+    for (let i = start; i < end; i++) result.push(i);
+  }
+  return result;
+}
+
+// What `for x in value` walks: plain objects give their keys, null, numbers and booleans give nothing
+function iterate(value) {
+  if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+    return [];
+  }
+  if (typeof value === 'object' && typeof value[Symbol.iterator] !== 'function' &&
+      typeof value[Symbol.asyncIterator] !== 'function') {
+    return Object.keys(value);
+  }
+  return value;
+}
+
+// Source of a comprehension, as an array
+function list(value) {
+  const items = iterate(value);
+  return Array.isArray(items) ? items : Array.from(items);
+}
+
+// The value a catch clause binds: whatever the script threw, or a builtin error standing in for a host error
+function caught(error) {
+  if (!(error instanceof Error) || error instanceof builtins.Error) return error;
+  let ErrorClass = builtins.Error;
+  if (error.code && error.syscall) ErrorClass = builtins.IOError;
+  else if (error instanceof RangeError || error instanceof SyntaxError) ErrorClass = builtins.ValueError;
+  else if (error instanceof TypeError) ErrorClass = builtins.TypeError;
+  const converted = new ErrorClass(error.message);
+  converted.stack = error.stack;
+  return converted;
+}
+
+// The MatchError value thrown when no arm of a match accepts `value`
+function matchError(value, line, column) {
+  let described = typeOf(value);
+  if (typeof value === 'string') described += ` ${JSON.stringify(value.length > 20 ? value.slice(0, 20) + '…' : value)}`;
+  if (typeof value === 'number') described += ` ${value}`;
+  if (typeof value === 'boolean') described = `bool ${value}`;
+  if (value instanceof EnumVariant) described = `${value.__variant__.enumName}.${value.__variant__.tag}`;
+  return Object.assign(new builtins.MatchError(`No match arm matched ${described}`), { value, line, column });
+}
+
+// Type patterns in match: builtin type names, or a class anywhere in the value's prototype chain
+function isType(value, typeName) {
+  switch (typeName.toLowerCase()) {
+    case 'number': return typeof value === 'number';
+    case 'string': return typeof value === 'string';
+    case 'boolean':
+    case 'bool': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'null': return value === null;
+    case 'undefined': return value === undefined;
+    case 'function': return typeof value === 'function';
+  }
+  if (value instanceof EnumVariant) return value.__variant__.enumName === typeName;
+  for (let proto = value == null ? null : Object.getPrototypeOf(value); proto; proto = Object.getPrototypeOf(proto)) {
+    if (proto.constructor && proto.constructor.name === typeName) return true;
+  }
+  return false;
+}
+
+// The properties of `object` other than `keys`, for ...rest in object patterns
+function omit(object, keys) {
+  const rest = {};
+  for (const key of Object.keys(object)) {
+    if (!keys.includes(key)) rest[key] = object[key];
+  }
+  return rest;
+}
+
+// lazy expr - evaluated on the first force() and cached
+function lazy(thunk) {
+  return {
+    __isLazy: true,
+    __evaluated: false,
+    __value: undefined,
+    async force() {
+      if (!this.__evaluated) {
+        this.__value = await thunk();
+        this.__evaluated = true;
+      }
+      return this.__value;
+    }
+  };
+}
+
+// input("prompt"), or input("prompt", token) to stop waiting when the token is cancelled
+function input(prompt = '', token = null) {
+  // Once stdin has ended no answer can come, so the program reads null instead of waiting forever
+  if (process.stdin.readableEnded) {
+    process.stdout.write(prompt);
+    return Promise.resolve(null);
+  }
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  const answer = new Promise((resolve) => {
+    rl.question(prompt, (answer) => {
+      resolve(answer);
+      rl.close();
+    });
+    rl.on('close', () => resolve(null));
+  });
+  return token ? token.guard(answer, () => rl.close()) : answer;
+}
+
+// Tasks of compiled code are thenable, so `await task` works on them directly
+class CompiledTask extends Task {
+  then(onFulfilled, onRejected) {
+    return this.join().then(onFulfilled, onRejected);
+  }
+}
+
+// spawn f(x); cancelling the task rejects it, but only waits given its token stop early
+function spawn(fn, args = []) {
+  return CompiledTask.start(() => fn(...args));
+}
+
+module.exports = {
+  builtins, typeOf, range, iterate, list, caught, matchError, defineEnum, isVariant, isType, omit, lazy, input, spawn
+};
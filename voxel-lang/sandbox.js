@@ -0,0 +1,235 @@
+// Sandboxed interpreter mode, for running untrusted scripts: file access is confined to a set of root
+// directories and network access to a set of hosts, `calc` (which evaluates JavaScript) is disabled,
+// and evaluation steps, wall-clock time, call depth and memory are bounded.
+//
+//   new Interpreter({ sandbox: { roots: ['./data'], hosts: ['api.example.com'], maxSteps: 1e6,
+//                                timeLimit: 2000, maxCallDepth: 500, maxMemory: 64 * 1024 * 1024 } })
+//
+// Violations raise PermissionError or a LimitError (StepLimitError, TimeLimitError, RecursionError,
+// MemoryLimitError). A script may catch a step, time or memory limit once; the handler gets a little
+// room to clean up, and going over the same limit again is fatal.
+
+const fs = require('fs');
+const path = require('path');
+const v8 = require('v8');
+const { CancelToken } = require('./builtins');
+
+const STEP_GRACE = 10000;
+const TIME_GRACE = 100; // ms
+const CHECK_INTERVAL = 1024; // steps between clock and memory checks
+
+// Properties that lead from a host value to Function and the object prototypes
+const UNSAFE_KEYS = new Set(['constructor', '__proto__', 'prototype']);
+
+// Constructors that compile a string of JavaScript, which a script must never get to call
+const CODE_CONSTRUCTORS = new Set([
+  Function,
+  Object.getPrototypeOf(async function () {}).constructor,
+  Object.getPrototypeOf(function* () {}).constructor,
+  Object.getPrototypeOf(async function* () {}).constructor
+]);
+
+// Builtins that index an object with their second argument: a 'key' (or a key function), a dotted
+// 'path' of keys, or 'keys' for that argument and every one after it
+const KEY_BUILTINS = {
+  nth: 'key', sortBy: 'key', sorted: 'key', groupBy: 'key', countBy: 'key', delete: 'key',
+  dictGet: 'key', dictPop: 'key', dictSetDefault: 'key', get: 'path', set: 'path', pick: 'keys'
+};
+
+// File builtins and the positions of their path arguments
+const FILE_BUILTINS = {
+  readFile: [0], writeFile: [0], appendFile: [0], exists: [0], listDir: [0], mkdir: [0], remove: [0],
+  copy: [0, 1], move: [0, 1]
+};
+
+class Sandbox {
+  // `raise(name, message)` makes the error value to throw for a violation
+  constructor(options, raise) {
+    const {
+      roots = [],
+      hosts = [],
+      maxSteps = Infinity,
+      timeLimit = Infinity,
+      maxCallDepth = Infinity,
+      maxMemory = Infinity
+    } = options === true ? {} : options;
+    this.roots = roots.map(root => realPath(path.resolve(root)));
+    this.hosts = hosts;
+    this.maxSteps = maxSteps;
+    this.timeLimit = timeLimit;
+    this.maxCallDepth = maxCallDepth;
+    this.maxMemory = maxMemory;
+    this.raise = raise;
+
+    this.steps = 0;
+    this.stepBudget = maxSteps;
+    this.deadline = null;
+    this.heapBase = 0;
+    this.exceeded = new Set(); // limits a script has already been allowed to catch
+    this.token = new CancelToken(); // cancelled when time runs out, which ends every wait
+    this.timers = new Set();
+  }
+
+  // Starts the clock, on the first run
+  start() {
+    if (this.deadline !== null) return;
+    this.deadline = Date.now() + this.timeLimit;
+    this.heapBase = v8.getHeapStatistics().used_heap_size;
+    if (this.timeLimit !== Infinity) {
+      setTimeout(() => this.expire(), this.timeLimit).unref();
+    }
+  }
+
+  expire() {
+    this.token.cancel(this.raise('TimeLimitError', `Exceeded the time limit of ${this.timeLimit} ms`));
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  // ===== LIMITS =====
+
+  step() {
+    if (++this.steps > this.stepBudget) {
+      this.exceed('StepLimitError', `Exceeded the limit of ${this.maxSteps} evaluation steps`, () => {
+        this.stepBudget += STEP_GRACE;
+      });
+    }
+    if (this.steps % CHECK_INTERVAL === 0) {
+      if (Date.now() > this.deadline) {
+        this.expire();
+        this.exceed('TimeLimitError', `Exceeded the time limit of ${this.timeLimit} ms`, () => {
+          this.deadline += TIME_GRACE;
+        });
+      }
+      if (this.maxMemory !== Infinity && v8.getHeapStatistics().used_heap_size - this.heapBase > this.maxMemory) {
+        this.exceed('MemoryLimitError', `Exceeded the memory limit of ${this.maxMemory} bytes`);
+      }
+    }
+  }
+
+  checkDepth(depth) {
+    if (depth >= this.maxCallDepth) {
+      throw this.raise('RecursionError', `Exceeded the maximum call depth of ${this.maxCallDepth}`);
+    }
+  }
+
+  exceed(name, message, grace = null) {
+    const error = this.raise(name, message);
+    if (this.exceeded.has(name)) {
+      error.fatal = true;
+    } else {
+      this.exceeded.add(name);
+      if (grace) grace();
+    }
+    throw error;
+  }
+
+  // ===== CAPABILITIES =====
+
+  checkPath(file) {
+    const resolved = realPath(path.resolve(String(file)));
+    const inside = this.roots.some(root => {
+      const relative = path.relative(root, resolved);
+      return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+    });
+    if (!inside) {
+      throw this.raise('PermissionError', `Access to '${file}' is outside the sandbox`);
+    }
+  }
+
+  checkUrl(url) {
+    let host = null;
+    try {
+      host = new URL(String(url)).hostname;
+    } catch {
+      // Not a URL: refused below
+    }
+    const allowed = host && this.hosts.some(pattern =>
+      pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern);
+    if (!allowed) {
+      throw this.raise('PermissionError', `Network access to '${url}' is not allowed in the sandbox`);
+    }
+  }
+
+  // The property key to index with for `key`. Objects are turned into their string once, here, so the
+  // key that is checked is the key that is used.
+  propertyKey(key) {
+    const name = key !== null && (typeof key === 'object' || typeof key === 'function') ? String(key) : key;
+    if (UNSAFE_KEYS.has(name)) {
+      throw this.raise('PermissionError', `Access to '${name}' is not allowed in the sandbox`);
+    }
+    return name;
+  }
+
+  // Host functions never run a code constructor for a script, whether called or handed one
+  checkCall(callee, args) {
+    if (CODE_CONSTRUCTORS.has(callee) || args.some(arg => CODE_CONSTRUCTORS.has(arg))) {
+      throw this.raise('PermissionError', 'Compiling JavaScript is not allowed in the sandbox');
+    }
+  }
+
+  // Replacements for the builtins a sandbox restricts; `lookup(name)` gives the one they wrap
+  restrictedGlobals(lookup) {
+    const globals = {};
+    for (const [name, positions] of Object.entries(FILE_BUILTINS)) {
+      const fn = lookup(name);
+      globals[name] = named(name, (...args) => {
+        for (const position of positions) this.checkPath(args[position]);
+        return fn(...args);
+      });
+    }
+
+    for (const [name, kind] of Object.entries(KEY_BUILTINS)) {
+      const fn = lookup(name);
+      globals[name] = named(name, (obj, ...rest) => {
+        if (kind === 'keys') {
+          rest = rest.map(key => this.propertyKey(key));
+        } else if (kind === 'path' && rest[0] != null) {
+          rest[0] = String(rest[0]).split('.').map(key => this.propertyKey(key)).join('.');
+        } else if (kind === 'key' && typeof rest[0] !== 'function') {
+          rest[0] = this.propertyKey(rest[0]);
+        }
+        return fn(obj, ...rest);
+      });
+    }
+
+    const [fetch, setTimeout, setInterval] = ['fetch', 'setTimeout', 'setInterval'].map(lookup);
+    Object.assign(globals, {
+      fetch: (url, options) => {
+        this.checkUrl(url);
+        return fetch(url, options);
+      },
+      calc: () => {
+        throw this.raise('PermissionError', 'calc evaluates JavaScript, which the sandbox does not allow');
+      },
+      // Timers are cleared when time runs out
+      setTimeout: (...args) => this.track(setTimeout(...args)),
+      setInterval: (...args) => this.track(setInterval(...args))
+    });
+    return globals;
+  }
+
+  track(timer) {
+    this.timers.add(timer);
+    return timer;
+  }
+}
+
+// `file` with the symlinks in its longest existing prefix resolved
+function realPath(file) {
+  const rest = [];
+  let existing = file;
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) return file;
+    rest.unshift(path.basename(existing));
+    existing = parent;
+  }
+  return path.join(fs.realpathSync(existing), ...rest);
+}
+
+function named(name, fn) {
+  return Object.defineProperty(fn, 'name', { value: name });
+}
+
+module.exports = { Sandbox };
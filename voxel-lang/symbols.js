@@ -0,0 +1,604 @@
+// Symbols of a VoxelScript file for editor tooling (see lsp.js): each declaration with the range of its
+// name and the scope it belongs to, and each identifier that refers to one. Positions are 1-based like
+// token and node locations, and ranges end one past their last character.
+
+const { Lexer, TokenType } = require('./lexer');
+const { parseWithDiagnostics } = require('./parser');
+
+// Kinds visible throughout their scope rather than from where they are declared
+const HOISTED_KINDS = new Set(['function', 'class', 'enum', 'interface', 'type']);
+
+// Type annotation names that aren't declared anywhere
+const BUILTIN_TYPES = new Set([
+  'any', 'number', 'string', 'bool', 'boolean', 'array', 'object', 'null', 'void', 'function', 'Array', 'Map',
+  'Promise', 'Option', 'Result'
+]);
+
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+function contains(range, position) {
+  return comparePositions(range.start, position) <= 0 && comparePositions(position, range.end) <= 0;
+}
+
+class Scope {
+  constructor(parent, range, classSymbol = null) {
+    this.parent = parent;
+    this.range = range; // null for the whole file
+    this.classSymbol = classSymbol ?? (parent ? parent.classSymbol : null);
+    this.symbols = new Map(); // name -> symbols in source order
+    this.children = [];
+    if (parent) parent.children.push(this);
+  }
+
+  declare(symbol) {
+    if (!this.symbols.has(symbol.name)) this.symbols.set(symbol.name, []);
+    this.symbols.get(symbol.name).push(symbol);
+    symbol.scope = this;
+  }
+
+  // What `name` means at `position`: the latest declaration in effect there, or failing that the first
+  // one, since a use in a function body can run after a later declaration
+  resolve(name, position) {
+    for (let scope = this; scope; scope = scope.parent) {
+      const candidates = scope.symbols.get(name);
+      if (!candidates) continue;
+      const inEffect = candidates.filter(symbol => comparePositions(symbol.from, position) <= 0);
+      return inEffect.length > 0 ? inEffect[inEffect.length - 1] : candidates[0];
+    }
+    return null;
+  }
+}
+
+class FileSymbols {
+  constructor(source) {
+    const { ast, diagnostics } = parseWithDiagnostics(source);
+    this.ast = ast;
+    this.diagnostics = diagnostics;
+    this.identifiers = new Lexer(source, { recover: true }).tokenize().filter(token => token.type === TokenType.IDENTIFIER);
+    this.root = new Scope(null, null);
+    this.symbols = [];
+    // Every declaration and resolved use: { range, symbol, declaration }
+    this.occurrences = [];
+    this.pending = []; // uses resolved once every declaration is known
+    this.hoisted = new Map(); // declaration node -> symbol
+
+    this.visitStatements(ast.statements, this.root);
+    this.resolvePending();
+  }
+
+  // ===== DECLARATIONS =====
+
+  declare(scope, name, kind, range, { from = null, node = null, detail = null, container = null } = {}) {
+    const symbol = {
+      name,
+      kind,
+      range,
+      from: from ?? range.start,
+      node,
+      detail: detail ?? name,
+      container,
+      members: new Map(),
+      references: [],
+      scope: null
+    };
+    if (container) {
+      container.members.set(name, symbol);
+    } else {
+      scope.declare(symbol);
+    }
+    this.symbols.push(symbol);
+    this.occurrences.push({ range, symbol, declaration: true });
+    return symbol;
+  }
+
+  // Range of the first identifier token `name` at or after `after`; `fallback` when there is none
+  nameRange(name, after, fallback = null) {
+    let low = 0;
+    let high = this.identifiers.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (comparePositions(this.identifiers[middle], after) < 0) low = middle + 1;
+      else high = middle;
+    }
+    for (let i = low; i < this.identifiers.length; i++) {
+      const token = this.identifiers[i];
+      if (token.value === name) {
+        return { start: { line: token.line, column: token.column }, end: { line: token.endLine, column: token.endColumn } };
+      }
+    }
+    return fallback;
+  }
+
+  // Declares names written one after another from `after` on (parameters, destructured names), in order;
+  // `options.detail` may be a function of the name
+  declareSequence(scope, names, after, kind, options = {}) {
+    let position = after;
+    for (const name of names) {
+      const range = this.nameRange(name, position);
+      if (!range) continue;
+      const detail = typeof options.detail === 'function' ? options.detail(name) : options.detail;
+      this.declare(scope, name, kind, range, { ...options, detail });
+      position = range.end;
+    }
+  }
+
+  reference(scope, name, range) {
+    this.pending.push({ scope, name, range });
+  }
+
+  // Functions, classes, enums, interfaces and type aliases of a statement list, before any statement runs
+  hoist(statements, scope) {
+    for (const statement of statements) {
+      const node = unwrapDeclaration(statement);
+      if (!node || !node.loc) continue;
+      const kind = {
+        FunctionDeclaration: 'function',
+        GeneratorDeclaration: 'function',
+        ClassDeclaration: 'class',
+        EnumDeclaration: 'enum',
+        InterfaceDeclaration: 'interface',
+        TypeAliasDeclaration: 'type'
+      }[node.type];
+      if (!kind || !node.name) continue;
+      const range = this.nameRange(node.name, node.loc.start, node.loc);
+      const from = scope.range ? scope.range.start : { line: 1, column: 1 };
+      this.hoisted.set(node, this.declare(scope, node.name, kind, range, { from, node, detail: declarationDetail(node) }));
+    }
+  }
+
+  // ===== WALK =====
+
+  visitStatements(statements, scope) {
+    this.hoist(statements, scope);
+    for (const statement of statements) this.visit(statement, scope);
+  }
+
+  visit(node, scope) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      for (const child of node) this.visit(child, scope);
+      return;
+    }
+    switch (node.type) {
+      case 'Block':
+        return this.visitStatements(node.statements, new Scope(scope, node.loc));
+
+      case 'Identifier':
+        return this.reference(scope, node.name, node.loc);
+
+      case 'LetDeclaration':
+      case 'TypedDeclaration': {
+        this.visit(node.value, scope);
+        this.visit(node.typeAnnotation, scope);
+        const range = this.nameRange(node.name, node.loc.start, node.loc);
+        const keyword = node.isConst ? 'const' : 'let';
+        const annotation = node.typeAnnotation ? `: ${annotationText(node.typeAnnotation)}` : '';
+        this.declare(scope, node.name, node.isConst ? 'constant' : 'variable', range, {
+          from: node.loc.end,
+          node,
+          detail: `${keyword} ${node.name}${annotation}`
+        });
+        return;
+      }
+
+      case 'DestructuringDeclaration': {
+        this.visit(node.value, scope);
+        for (const entry of node.pattern) this.visit(entry && entry.default, scope);
+        const names = node.pattern.filter(Boolean).map(entry => entry.name);
+        const keyword = node.isConst ? 'const' : 'let';
+        this.declareSequence(scope, names, node.loc.start, node.isConst ? 'constant' : 'variable', {
+          from: node.loc.end,
+          node,
+          detail: name => `${keyword} ${name}`
+        });
+        return;
+      }
+
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+        return this.visitFunction(node, scope, this.hoisted.get(node));
+
+      case 'ArrowFunction':
+        return this.visitFunction(node, scope, null);
+
+      case 'ClassDeclaration':
+        return this.visitClass(node, scope);
+
+      case 'EnumDeclaration': {
+        const symbol = this.hoisted.get(node);
+        if (!symbol) return;
+        let position = symbol.range.end;
+        for (const member of node.members) {
+          const range = this.nameRange(member.name, position);
+          if (!range) continue;
+          const fields = member.fields && member.fields.length > 0 ? `(${member.fields.join(', ')})` : '';
+          this.declare(scope, member.name, 'enumMember', range, {
+            container: symbol,
+            detail: `${node.name}.${member.name}${fields}`
+          });
+          position = range.end;
+        }
+        return;
+      }
+
+      case 'InterfaceDeclaration':
+      case 'TypeAliasDeclaration':
+        return;
+
+      case 'ImportStatement': {
+        let position = node.loc.start;
+        for (const spec of node.specifiers) {
+          const local = spec.type === 'named' ? spec.local : spec.name;
+          const range = this.nameRange(local, position);
+          if (!range) continue;
+          const symbol = this.declare(scope, local, 'import', range, {
+            node,
+            detail: `import ${importText(spec)} from "${node.source}"`
+          });
+          symbol.source = node.source;
+          symbol.imported = spec.type === 'named' ? spec.imported : spec.type === 'default' ? 'default' : null;
+          position = range.end;
+        }
+        return;
+      }
+
+      case 'ExportStatement': {
+        if (node.declaration) this.visit(node.declaration, scope);
+        if (node.specifiers && !node.source) {
+          let position = node.loc.start;
+          for (const spec of node.specifiers) {
+            const range = this.nameRange(spec.local, position);
+            if (!range) continue;
+            this.reference(scope, spec.local, range);
+            position = range.end;
+          }
+        }
+        return;
+      }
+
+      case 'DecoratedDeclaration': {
+        let position = node.loc.start;
+        for (const decorator of node.decorators) {
+          const range = this.nameRange(decorator.name, position);
+          if (range) {
+            this.reference(scope, decorator.name, range);
+            position = range.end;
+          }
+          this.visit(decorator.args, scope);
+        }
+        return this.visit(node.declaration, scope);
+      }
+
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'LoopStatement': {
+        this.visit([node.iterable, node.from, node.to, node.step], scope);
+        const loopScope = new Scope(scope, node.loc);
+        if (node.variable) {
+          const range = this.nameRange(node.variable, node.loc.start);
+          if (range) this.declare(loopScope, node.variable, 'variable', range, { detail: `let ${node.variable}` });
+        }
+        return this.visit(node.body, loopScope);
+      }
+
+      case 'TryStatement': {
+        this.visit(node.block, scope);
+        let position = node.block.loc ? node.block.loc.end : node.loc.start;
+        for (const handler of node.handlers) {
+          const handlerScope = new Scope(scope, handler.body.loc);
+          if (handler.param) {
+            const range = this.nameRange(handler.param, position);
+            if (range) this.declare(handlerScope, handler.param, 'variable', range, { detail: `catch ${handler.param}` });
+          }
+          this.visit(handler.typeAnnotation, scope);
+          this.visit(handler.body, handlerScope);
+          if (handler.body.loc) position = handler.body.loc.end;
+        }
+        return this.visit(node.finalizer, scope);
+      }
+
+      case 'MatchArm': {
+        const armScope = new Scope(scope, node.loc);
+        this.visitPattern(node.pattern, scope);
+        this.declareSequence(armScope, patternBindings(node.pattern), node.loc.start, 'variable', { node });
+        this.visit(node.guard, armScope);
+        return this.visit(node.body, armScope);
+      }
+
+      case 'ListComprehension':
+      case 'DictComprehension': {
+        this.visit(node.iterable, scope);
+        const comprehensionScope = new Scope(scope, node.loc);
+        const body = node.element ?? node.value;
+        const range = this.nameRange(node.variable, body && body.loc ? body.loc.end : node.loc.start);
+        if (range) this.declare(comprehensionScope, node.variable, 'variable', range);
+        return this.visit([node.element, node.key, node.value, node.condition], comprehensionScope);
+      }
+
+      case 'WithStatement': {
+        this.visit(node.object, scope);
+        const withScope = new Scope(scope, node.loc);
+        if (node.alias) {
+          const range = this.nameRange(node.alias, node.loc.start);
+          if (range) this.declare(withScope, node.alias, 'variable', range);
+        }
+        return this.visit(node.body, withScope);
+      }
+
+      case 'MemberAccess':
+        this.visit(node.object, scope);
+        if (typeof node.property === 'string' && node.loc) {
+          const end = node.loc.end;
+          const range = { start: { line: end.line, column: end.column - node.property.length }, end };
+          this.pending.push({ scope, object: node.object, name: node.property, range });
+        }
+        return;
+
+      case 'Assignment':
+        // this.name = ... in a class declares an instance property
+        if (node.target && node.target.type === 'MemberAccess' && node.target.object.type === 'ThisExpr' &&
+            scope.classSymbol && !findMember(scope.classSymbol, node.target.property) && node.target.loc) {
+          const end = node.target.loc.end;
+          const name = node.target.property;
+          this.declare(scope, name, 'property', { start: { line: end.line, column: end.column - name.length }, end }, {
+            container: scope.classSymbol,
+            detail: `${scope.classSymbol.name}.${name}`
+          });
+        }
+        break;
+
+      case 'TypeAnnotation':
+        if (node.name && !BUILTIN_TYPES.has(node.name) && node.loc) {
+          const start = node.loc.start;
+          this.reference(scope, node.name, { start, end: { line: start.line, column: start.column + node.name.length } });
+        }
+        break;
+    }
+    this.visitChildren(node, scope);
+  }
+
+  visitChildren(node, scope) {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc' || !value || typeof value !== 'object') continue;
+      if (Array.isArray(value) || 'loc' in value) {
+        this.visit(value, scope);
+      } else {
+        // Plain records: object literal properties, template parts, parameters
+        this.visit(Object.values(value), scope);
+      }
+    }
+  }
+
+  visitPattern(pattern, scope) {
+    if (!pattern || typeof pattern !== 'object') return;
+    if (Array.isArray(pattern)) return pattern.forEach(item => this.visitPattern(item, scope));
+    if (pattern.type === 'VariantPattern') this.visit(pattern.callee, scope);
+    if (pattern.type === 'LiteralPattern' && pattern.value && typeof pattern.value === 'object') this.visit(pattern.value, scope);
+    for (const [key, value] of Object.entries(pattern)) {
+      if (key !== 'loc' && key !== 'callee' && value && typeof value === 'object') this.visitPattern(value, scope);
+    }
+  }
+
+  // Parameters and body of a function, arrow function or method, in a scope of their own
+  visitFunction(node, scope, symbol) {
+    const functionScope = new Scope(scope, node.loc);
+    const params = functionParams(node).map(param => typeof param === 'string' ? { name: param } : param);
+    for (const param of params) this.visit([param.default, param.typeAnnotation], scope);
+    this.visit(node.returnType, scope);
+    const texts = new Map(params.map(param => [param.name, paramText(param)]));
+    this.declareSequence(functionScope, params.map(param => param.name), symbol ? symbol.range.end : node.loc.start, 'parameter', {
+      node,
+      detail: name => `(parameter) ${texts.get(name)}`
+    });
+    if (!node.body) return;
+    if (node.body.type === 'Block') {
+      this.visitStatements(node.body.statements, functionScope);
+    } else {
+      this.visit(node.body, functionScope);
+    }
+  }
+
+  visitClass(node, scope) {
+    const symbol = this.hoisted.get(node);
+    if (!symbol) return;
+    let position = symbol.range.end;
+    for (const name of [node.superClass, ...(node.interfaces || [])]) {
+      if (!name) continue;
+      const range = this.nameRange(name, position);
+      if (!range) continue;
+      this.reference(scope, name, range);
+      position = range.end;
+    }
+    symbol.superClass = node.superClass;
+
+    const classScope = new Scope(scope, node.loc, symbol);
+    const members = node.body || [];
+    for (const member of members) {
+      const name = member.key ?? member.name;
+      if (!name || !member.loc) continue;
+      const range = this.nameRange(name, member.loc.start, member.loc);
+      const isMethod = member.type !== 'PropertyDefinition';
+      const params = isMethod ? `(${functionParams(member).map(paramText).join(', ')})` : '';
+      this.declare(scope, name, isMethod ? 'method' : 'property', range, {
+        container: symbol,
+        node: member,
+        detail: `${member.isStatic ? 'static ' : ''}${node.name}.${name}${params}`
+      }).isStatic = !!member.isStatic;
+    }
+    for (const member of members) {
+      if (member.type === 'PropertyDefinition') {
+        this.visit([member.value, member.typeAnnotation], classScope);
+      } else {
+        this.visitFunction(member, classScope, symbol.members.get(member.key ?? member.name));
+      }
+    }
+  }
+
+  // ===== RESOLUTION =====
+
+  resolvePending() {
+    for (const use of this.pending) {
+      const symbol = use.object === undefined
+        ? use.scope.resolve(use.name, use.range.start)
+        : this.resolveMember(use.scope, use.object, use.name, use.range.start);
+      // An assignment that declares a property also refers to it
+      if (!symbol || comparePositions(symbol.range.start, use.range.start) === 0) continue;
+      symbol.references.push(use.range);
+      this.occurrences.push({ range: use.range, symbol, declaration: false });
+    }
+    this.pending = [];
+  }
+
+  // The member `name` of `object`, when the object is `this`, a class or an enum
+  resolveMember(scope, object, name, position) {
+    if (object.type === 'ThisExpr' || object.type === 'SuperExpr') {
+      return scope.classSymbol ? findMember(scope.classSymbol, name, this) : null;
+    }
+    if (object.type !== 'Identifier') return null;
+    const target = scope.resolve(object.name, position);
+    if (!target) return null;
+    if (target.kind === 'enum' || target.kind === 'class') return findMember(target, name, this);
+    const classSymbol = this.instanceClass(target);
+    return classSymbol ? findMember(classSymbol, name, this) : null;
+  }
+
+  // The class a variable holds an instance of, when it was initialized with `new Class(...)`
+  instanceClass(symbol) {
+    const value = symbol.node && symbol.node.value;
+    if (!value || value.type !== 'NewExpr' || value.callee.type !== 'Identifier') return null;
+    const classSymbol = symbol.scope && symbol.scope.resolve(value.callee.name, symbol.range.start);
+    return classSymbol && classSymbol.kind === 'class' ? classSymbol : null;
+  }
+
+  // ===== QUERIES =====
+
+  occurrenceAt(position) {
+    return this.occurrences.find(occurrence => contains(occurrence.range, position)) ?? null;
+  }
+
+  symbolAt(position) {
+    const occurrence = this.occurrenceAt(position);
+    return occurrence ? occurrence.symbol : null;
+  }
+
+  scopeAt(position, scope = this.root) {
+    for (const child of scope.children) {
+      if (child.range && contains(child.range, position)) return this.scopeAt(position, child);
+    }
+    return scope;
+  }
+
+  // Symbols usable at `position`, nearest declaration of each name first
+  visibleSymbols(position) {
+    const seen = new Map();
+    for (let scope = this.scopeAt(position); scope; scope = scope.parent) {
+      for (const name of scope.symbols.keys()) {
+        if (seen.has(name)) continue;
+        const symbol = scope.resolve(name, position);
+        // Globals declared further down are in reach of function bodies
+        if (scope.parent !== null && !HOISTED_KINDS.has(symbol.kind) && comparePositions(symbol.from, position) > 0) continue;
+        seen.set(name, symbol);
+      }
+    }
+    return [...seen.values()];
+  }
+
+  // Members of a class (inherited ones included) or an enum; `isStatic` picks static or instance members
+  membersOf(symbol, isStatic = null) {
+    const members = new Map();
+    for (let current = symbol, depth = 0; current && depth < 20; current = this.superClassOf(current), depth++) {
+      for (const [name, member] of current.members) {
+        if (members.has(name) || (isStatic !== null && current.kind === 'class' && !!member.isStatic !== isStatic)) continue;
+        members.set(name, member);
+      }
+    }
+    return [...members.values()];
+  }
+
+  superClassOf(classSymbol) {
+    if (!classSymbol.superClass || !classSymbol.scope) return null;
+    const parent = classSymbol.scope.resolve(classSymbol.superClass, classSymbol.range.start);
+    return parent && parent.kind === 'class' ? parent : null;
+  }
+}
+
+function findMember(symbol, name, file = null) {
+  for (let current = symbol, depth = 0; current && depth < 20; depth++) {
+    if (current.members.has(name)) return current.members.get(name);
+    current = file ? file.superClassOf(current) : null;
+  }
+  return null;
+}
+
+function functionParams(node) {
+  return node.params || (node.param ? [node.param] : []);
+}
+
+function unwrapDeclaration(statement) {
+  let node = statement;
+  while (node && (node.type === 'ExportStatement' || node.type === 'DecoratedDeclaration')) {
+    node = node.declaration;
+  }
+  return node;
+}
+
+// Names a match pattern binds, in source order
+function patternBindings(pattern, names = []) {
+  if (!pattern || typeof pattern !== 'object') return names;
+  if (Array.isArray(pattern)) {
+    pattern.forEach(item => patternBindings(item, names));
+    return names;
+  }
+  if ((pattern.type === 'BindingPattern' || pattern.type === 'rest') && pattern.name !== '_') names.push(pattern.name);
+  for (const [key, value] of Object.entries(pattern)) {
+    if (key !== 'loc' && key !== 'callee' && value && typeof value === 'object') patternBindings(value, names);
+  }
+  return names;
+}
+
+function annotationText(annotation) {
+  if (!annotation) return 'any';
+  const generic = annotation.generic ? `<${[].concat(annotation.generic).map(annotationText).join(', ')}>` : '';
+  return `${annotation.name}${generic}${annotation.nullable ? '?' : ''}`;
+}
+
+function paramText(param) {
+  if (typeof param === 'string') return param;
+  const annotation = param.typeAnnotation ? `: ${annotationText(param.typeAnnotation)}` : '';
+  return `${param.type === 'rest' ? '...' : ''}${param.name}${annotation}`;
+}
+
+function importText(spec) {
+  if (spec.type === 'namespace') return `* as ${spec.name}`;
+  if (spec.type === 'default') return spec.name;
+  return spec.imported === spec.local ? `{ ${spec.local} }` : `{ ${spec.imported} as ${spec.local} }`;
+}
+
+// One-line summary of a declaration, for hovers and symbol lists
+function declarationDetail(node) {
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'GeneratorDeclaration': {
+      const returns = node.returnType ? ` -> ${annotationText(node.returnType)}` : '';
+      const prefix = `${node.isAsync ? 'async ' : ''}fn${node.type === 'GeneratorDeclaration' ? '*' : ''}`;
+      return `${prefix} ${node.name}(${(node.params || []).map(paramText).join(', ')})${returns}`;
+    }
+    case 'ClassDeclaration':
+      return `${node.isAbstract ? 'abstract ' : ''}class ${node.name}${node.superClass ? ` extends ${node.superClass}` : ''}`;
+    case 'EnumDeclaration':
+      return `enum ${node.name}`;
+    case 'InterfaceDeclaration':
+      return `interface ${node.name}`;
+    case 'TypeAliasDeclaration':
+      return `type ${node.name}`;
+  }
+  return node.name;
+}
+
+function analyze(source) {
+  return new FileSymbols(source);
+}
+
+module.exports = { analyze, FileSymbols, functionParams, paramText, unwrapDeclaration, comparePositions, contains };
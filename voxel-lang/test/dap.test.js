@@ -0,0 +1,31 @@
+// Under `voxel --dap` stdin carries the protocol, so the program must not read it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DebugAdapter } = require('../dap');
+
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel-dap-'));
+test.after(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('input() raises an IOError instead of reading the protocol', async () => {
+  const program = path.join(dir, 'ask.voxel');
+  fs.writeFileSync(program, 'try {\n  print(input("name? "))\n} catch (e: IOError) {\n  print("IOError")\n}\n');
+  const adapter = new DebugAdapter(() => {});
+  adapter.launchRequest({ program, noDebug: true });
+  const output = [];
+  const log = console.log;
+  console.log = (...args) => output.push(args.join(' '));
+  try {
+    await adapter.start();
+  } finally {
+    console.log = log;
+  }
+  assert.deepStrictEqual(output, ['IOError']);
+});
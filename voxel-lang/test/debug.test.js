@@ -0,0 +1,38 @@
+// `voxel debug` with its commands piped in: each waits for the pause it is meant for
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const voxel = path.join(__dirname, '..', 'voxel.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel-debug-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const program = path.join(dir, 'loop.voxel');
+fs.writeFileSync(program, 'let total = 0\nfor i in range(6) {\n  total += i\n  print(i)\n}\n' +
+  'let name = input("name? ")\nprint("hi " + name)\nprint(total)\n');
+
+function debug(commands) {
+  const result = spawnSync(process.execPath, [voxel, 'debug', program], {
+    input: commands.map(command => `${command}\n`).join(''), encoding: 'utf8', timeout: 30000
+  });
+  return { status: result.status, output: result.stdout.replace(/\x1b\[\d+m/g, '') };
+}
+
+test('commands sent while the program runs wait for the next pause', () => {
+  const { status, output } = debug(['break 4 if i == 3', 'continue', 'vars', 'print total * 10', 'continue', 'bob']);
+  assert.strictEqual(status, 0);
+  assert.match(output, /Paused \(breakpoint\) at .*:4/);
+  assert.match(output, /i = 3\n/);
+  assert.match(output, /\(debug\) 60\n/);
+  assert.match(output, /hi bob\n15\nProgram finished/);
+});
+
+test('the end of stdin lets the program finish', () => {
+  const { status, output } = debug(['continue']);
+  assert.strictEqual(status, 0);
+  assert.match(output, /hi null\n15\nProgram finished/);
+});
@@ -0,0 +1,52 @@
+// input() on every engine: each answer as it arrives, then null once stdin has ended
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+
+const voxel = path.join(__dirname, '..', 'voxel.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel-input-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const script = path.join(dir, 'ask.voxel');
+const compiled = path.join(dir, 'ask.mjs');
+fs.writeFileSync(script, 'let a = input("a? ")\nlet b = input("b? ")\nlet c = input("c? ")\nprint(`${a} ${b} ${c}`)\n');
+execFileSync(process.execPath, [voxel, 'build', script, '-o', compiled], { stdio: 'ignore' });
+
+const engines = {
+  interpreter: [voxel, script],
+  vm: [voxel, '--engine=vm', script],
+  compiled: [compiled]
+};
+
+// Run the script, writing each line of `lines` only after a pause, then ending stdin
+function run(args, lines) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { stdio: ['pipe', 'pipe', 'inherit'] });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.on('error', reject);
+    child.on('close', () => resolve(output));
+    let delay = 0;
+    for (const line of lines) {
+      delay += 100;
+      setTimeout(() => child.stdin.write(`${line}\n`), delay);
+    }
+    setTimeout(() => child.stdin.end(), delay + 100);
+  });
+}
+
+for (const [engine, args] of Object.entries(engines)) {
+  test(`${engine}: answers typed one at a time are returned`, async () => {
+    const output = await run(args, ['x', 'y', 'z']);
+    assert.match(output, /x y z\n$/);
+  });
+
+  test(`${engine}: input() returns null once stdin has ended`, async () => {
+    const output = await run(args, ['x']);
+    assert.match(output, /x null null\n$/);
+  });
+}
@@ -0,0 +1,207 @@
+// The tree-walker, the VM and `voxel build` output must print the same for the same program
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const voxel = path.join(__dirname, '..', 'voxel.js');
+const examples = path.join(__dirname, '..', 'examples');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel-parity-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Loaded before each run so random() and time() agree between the engines
+const preload = path.join(dir, 'deterministic.js');
+fs.writeFileSync(preload, `
+let seed = 42;
+Math.random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+Date.now = () => 1700000000000;
+`);
+
+// Lines typed into the examples that read input()
+const stdin = {
+  'game.voxel': '50\n25\n75\n12\n88\n62\n37\n'
+};
+
+const scripts = {
+  'generators.voxel': `
+function* count(n) {
+  try {
+    for i in range(n) { yield i }
+  } finally {
+    print("closed")
+  }
+}
+let it = count(3)
+print(it.next().value)
+print(it.next().value)
+let [first, second] = count(5)
+print(first + second)
+for x in count(4) {
+  if x == 2 { break }
+  print(x)
+}
+let all = []
+for x in count(3) { push(all, x * 10) }
+print(all)
+`,
+  'match.voxel': `
+enum Shape {
+  Circle(r),
+  Rect(w, h),
+  Empty
+}
+fn area(s) {
+  match s {
+    Shape.Circle(r) => { return 3 * r * r }
+    Shape.Rect(w, h) => { return w * h }
+    Shape.Empty => { return 0 }
+  }
+}
+print(area(Shape.Rect(3, 4)))
+print(area(Shape.Circle(2)))
+print(area(Shape.Empty))
+print(Shape.Rect(3, 4).w)
+fn parse(text) {
+  let n = num(text)
+  if isNaN(n) { return Err(\`not a number: \${text}\`) }
+  return Ok(n)
+}
+for text in ["42", "x"] {
+  match parse(text) {
+    Ok(n) => { print(n + 1) }
+    Err(message) => { print(message) }
+  }
+}
+match [1, [2, 3]] {
+  [a, [b, c]] => { print(a + b + c) }
+  _ => { print("no") }
+}
+try {
+  match 5 {
+    1 => { print("one") }
+  }
+} catch (e: MatchError) {
+  print("MatchError")
+}
+`,
+  'errors.voxel': `
+class HttpError extends Error {
+  constructor(status) {
+    super("HTTP " + str(status))
+    this.status = status
+  }
+}
+fn fail(kind) {
+  if kind == 1 { throw new HttpError(404) }
+  if kind == 2 { throw new ValueError("bad value") }
+  throw new Error("plain")
+}
+for kind in [1, 2, 3] {
+  try {
+    fail(kind)
+  } catch (e: HttpError) {
+    print("http " + str(e.status) + " " + e.message)
+  } catch (e: ValueError) {
+    print("value " + e.message)
+  } catch (e) {
+    print("other " + e.message)
+  } finally {
+    print("finally " + str(kind))
+  }
+}
+try {
+  assert 1 == 2, "math"
+} catch (e: AssertionError) {
+  print("assert " + e.message)
+}
+`,
+  'labels.voxel': `
+let grid = [[1, 2, 0, 4], [5, 6, 7, 8], [9, 0, 11, 12]]
+let seen = []
+outer: for row in grid {
+  for cell in row {
+    if cell == 0 { continue outer }
+    if cell == 11 { break outer }
+    push(seen, cell)
+  }
+}
+print(seen)
+let n = 0
+search: while n < 10 {
+  n += 1
+  let m = 0
+  while true {
+    m += 1
+    if m > n { continue search }
+    if n * m == 12 { break search }
+  }
+}
+print(n)
+`,
+  'classes.voxel': `
+abstract class Animal {
+  static count = 0
+  constructor(name) {
+    this.name = name
+    Animal.count += 1
+  }
+  abstract sound()
+  speak() { return \`\${this.name} says \${this.sound()}\` }
+  get label() { return upper(this.name) }
+}
+class Dog extends Animal {
+  sound() { return "woof" }
+}
+class Puppy extends Dog {
+  constructor(name) {
+    super(name + " jr")
+  }
+  sound() { return super.sound() + "!" }
+}
+let pets = [new Dog("rex"), new Puppy("rex")]
+for pet in pets { print(pet.speak()) }
+print(pets[1].label)
+print(Animal.count)
+print(pets[1] instanceof Animal)
+try {
+  new Animal("x")
+} catch (e) {
+  print(e.message)
+}
+`
+};
+
+function run(args, input) {
+  const result = spawnSync(process.execPath, ['--require', preload, ...args], {
+    input, encoding: 'utf8', timeout: 30000
+  });
+  return { status: result.status, stdout: result.stdout };
+}
+
+function checkParity(file) {
+  const name = path.basename(file);
+  const input = stdin[name] ?? '';
+  const compiled = path.join(dir, 'out', name.replace(/\.voxel$/, '.mjs'));
+  const build = spawnSync(process.execPath, [voxel, 'build', file, '-o', compiled], { encoding: 'utf8' });
+  assert.strictEqual(build.status, 0, build.stderr);
+
+  const interpreter = run([voxel, file], input);
+  assert.strictEqual(interpreter.status, 0, interpreter.stdout);
+  assert.deepStrictEqual(run([voxel, '--engine=vm', file], input), interpreter, 'the VM differs from the interpreter');
+  assert.deepStrictEqual(run([compiled], input), interpreter, 'compiled code differs from the interpreter');
+}
+
+for (const name of fs.readdirSync(examples).filter(name => name.endsWith('.voxel'))) {
+  test(`examples/${name}`, () => checkParity(path.join(examples, name)));
+}
+
+for (const [name, source] of Object.entries(scripts)) {
+  test(name, () => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, source);
+    checkParity(file);
+  });
+}
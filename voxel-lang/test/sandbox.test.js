@@ -0,0 +1,69 @@
+// Scripts in a sandbox must not reach the host's Function constructor, through any engine or builtin
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Interpreter } = require('../interpreter');
+const { VirtualMachine } = require('../vm');
+const { Lexer } = require('../lexer');
+const { Parser } = require('../parser');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel-sandbox-'));
+const root = path.join(dir, 'root');
+const secret = path.join(dir, 'secret.txt');
+fs.mkdirSync(root);
+fs.writeFileSync(secret, 'secret');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const payload = JSON.stringify(
+  `return process.mainModule.require('fs').readFileSync(${JSON.stringify(secret)}, 'utf8')`);
+
+// Ways to get hold of Function from inside a script; each must raise a PermissionError
+const escapes = {
+  'pick and values': 'let F = first(values(pick(str, "constructor")))',
+  'nth': 'let F = nth(str, "constructor")',
+  'sorted by key': 'let F = sorted([str], "constructor")',
+  'dictSetDefault on __proto__': 'let F = pick(dictSetDefault({}, "__proto__", 1), "constructor")',
+  'index with an array key': 'let F = str[["constructor"]]',
+  'optional chaining': 'let F = str?.["constructor"]',
+  'destructuring': 'let {constructor} = str\nlet F = constructor',
+  'instance properties': 'class A {}\nlet O = new A()["constructor"]\n' +
+    'let F = O.getOwnPropertyDescriptor(O.getPrototypeOf(str), "constructor").value'
+};
+
+async function run(Engine, source, globals = {}) {
+  const interpreter = new Engine({ sandbox: { roots: [root] } });
+  for (const [name, value] of Object.entries(globals)) interpreter.global.define(name, value);
+  const output = [];
+  const log = console.log;
+  console.log = (...args) => output.push(args.join(' '));
+  try {
+    await interpreter.run(new Parser(new Lexer(source).tokenize()).parse());
+  } finally {
+    console.log = log;
+  }
+  return output;
+}
+
+function rejectsWithPermissionError(promise) {
+  return assert.rejects(promise, error => error.errorName === 'PermissionError');
+}
+
+for (const Engine of [Interpreter, VirtualMachine]) {
+  for (const [name, escape] of Object.entries(escapes)) {
+    test(`${Engine.name}: ${name} cannot reach Function`, () =>
+      rejectsWithPermissionError(run(Engine, `${escape}\nprint(F(${payload})())`)));
+  }
+
+  test(`${Engine.name}: Function cannot be called or handed to a builtin`, async () => {
+    await rejectsWithPermissionError(run(Engine, `print(F(${payload})())`, { F: Function }));
+    await rejectsWithPermissionError(run(Engine, `print(map([${payload}], F))`, { F: Function }));
+  });
+
+  test(`${Engine.name}: key builtins still work on safe keys`, async () => {
+    const output = await run(Engine, 'print(json(pick({a: 1, b: 2}, "a")))\nprint(nth([1, 2, 3], -1))');
+    assert.deepStrictEqual(output, ['{\n  "a": 1\n}', '3']);
+  });
+}
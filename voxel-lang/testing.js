@@ -0,0 +1,681 @@
+// VoxelScript test runner (voxel test). Test files (*.test.voxel) declare tests with
+// `test "name" { ... }`, or group them with `describe "name" { ... }` and `it "name" { ... }`, and
+// check values with `assert` or expect(value) matchers; both fail with an AssertionError. Each file
+// runs on a fresh tree-walking Interpreter, and the results can be reported as text, TAP or JUnit XML.
+
+const fs = require('fs');
+const path = require('path');
+const { Lexer } = require('./lexer');
+const { Parser } = require('./parser');
+const { Interpreter, VoxelInstance, ThrowError } = require('./interpreter');
+const { EnumVariant } = require('./builtins');
+const { codeFrame, formatLocation } = require('./diagnostics');
+
+const TEST_FILE = /\.test\.(voxel|vxl)$/;
+
+// Names the runner defines in every test file
+const TEST_GLOBALS = ['describe', 'test', 'it', 'expect', 'beforeAll', 'afterAll', 'beforeEach', 'afterEach'];
+
+const HOOKS = ['beforeAll', 'afterAll', 'beforeEach', 'afterEach'];
+
+function isTestFile(file) {
+  return TEST_FILE.test(file);
+}
+
+function displayPath(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+// ===== VALUES =====
+
+// A value as VoxelScript source would write it; one element or property per line when `multiline`
+function inspect(value, multiline = false, depth = 0, seen = new Set()) {
+  if (value === null) return 'null';
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'function' || (value && value.__isVoxelFunction)) {
+    const fn = value.__voxelFunction || value;
+    return fn.name ? `fn ${fn.name}` : 'fn';
+  }
+  if (typeof value !== 'object') return String(value);
+  if (value.__isVoxelClass__) return `class ${value.__name__}`;
+  if (value instanceof EnumVariant) {
+    const { tag, fields } = value.__variant__;
+    return fields.length ? `${tag}(${value.__values__.map(item => inspect(item)).join(', ')})` : tag;
+  }
+  if (seen.has(value)) return '[Circular]';
+
+  let prefix = '';
+  let entries;
+  if (Array.isArray(value)) {
+    seen.add(value);
+    entries = value.map(item => inspect(item, multiline, depth + 1, seen));
+  } else if (value instanceof VoxelInstance || Object.getPrototypeOf(value) === Object.prototype ||
+             Object.getPrototypeOf(value) === null) {
+    seen.add(value);
+    const properties = value instanceof VoxelInstance ? value.__properties__ : value;
+    if (value instanceof VoxelInstance) prefix = `${value.__class__.__name__} `;
+    entries = Object.entries(properties).map(([key, item]) =>
+      `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${inspect(item, multiline, depth + 1, seen)}`);
+  } else {
+    return String(value);
+  }
+  seen.delete(value);
+
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  if (entries.length === 0) return `${prefix}${open}${close}`;
+  if (!multiline) {
+    return Array.isArray(value) ? `[${entries.join(', ')}]` : `${prefix}{ ${entries.join(', ')} }`;
+  }
+  const padding = '  '.repeat(depth + 1);
+  return `${prefix}${open}\n${entries.map(entry => `${padding}${entry},`).join('\n')}\n${'  '.repeat(depth)}${close}`;
+}
+
+// Structural equality: arrays, objects and class instances by content, enum variants by variant and values
+function deepEqual(a, b, seen = new Map()) {
+  if (a === b || (Number.isNaN(a) && Number.isNaN(b))) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  if (seen.get(a) === b) return true;
+  seen.set(a, b);
+  if (a instanceof EnumVariant) {
+    return a.__variant__ === b.__variant__ && deepEqual(a.__values__, b.__values__, seen);
+  }
+  if (a instanceof VoxelInstance) {
+    return a.__class__ === b.__class__ && deepEqual(a.__properties__, b.__properties__, seen);
+  }
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key], seen));
+}
+
+function isInstance(value, klass) {
+  if (!(value instanceof VoxelInstance)) return false;
+  for (let current = value.__class__; current; current = current.__parent__) {
+    if (current === klass) return true;
+  }
+  return false;
+}
+
+// Lines of two texts, with '- ' before the ones only `expected` has and '+ ' before the ones only
+// `received` has
+function diffLines(expected, received) {
+  const a = expected.split('\n');
+  const b = received.split('\n');
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  return lines;
+}
+
+// A diff is only worth showing for values that take more than a glance: containers and multi-line text
+function valueDiff(expected, received) {
+  if (typeof expected === 'string' && typeof received === 'string') {
+    return expected.includes('\n') || received.includes('\n') ? diffLines(expected, received) : null;
+  }
+  const isContainer = value => value !== null && typeof value === 'object' && !(value instanceof EnumVariant);
+  if (!isContainer(expected) && !isContainer(received)) return null;
+  return diffLines(inspect(expected, true), inspect(received, true));
+}
+
+// ===== MATCHERS =====
+
+// expect(value) for the scripts of one interpreter: an object of matchers, and the same matchers
+// negated under `.never` (`not` is a keyword). A failed match throws an AssertionError, as a failed `assert` does.
+function createExpect(interpreter) {
+  const fail = (message, diff = null) => {
+    const error = new ThrowError(interpreter.createError('AssertionError', message));
+    error.diff = diff;
+    return error;
+  };
+
+  return function expect(received) {
+    const shown = inspect(received);
+    const matchers = (negated) => {
+      const not = negated ? 'not ' : '';
+      // `diff` is shown when a positive match fails
+      const check = (pass, message, diff = null) => {
+        if (pass === negated) throw fail(message, negated ? null : diff);
+        return null;
+      };
+      const compare = (expected, pass, relation) =>
+        check(typeof received === 'number' && pass, `expected ${shown} ${not}to be ${relation} ${inspect(expected)}`);
+
+      return {
+        toBe: expected => check(received === expected || (Number.isNaN(received) && Number.isNaN(expected)),
+          `expected ${shown} ${not}to be ${inspect(expected)}`, () => valueDiff(expected, received)),
+        toEqual: expected => check(deepEqual(received, expected),
+          `expected ${shown} ${not}to equal ${inspect(expected)}`, () => valueDiff(expected, received)),
+        toBeTruthy: () => check(!!received, `expected ${shown} ${not}to be truthy`),
+        toBeFalsy: () => check(!received, `expected ${shown} ${not}to be falsy`),
+        toBeNull: () => check(received === null || received === undefined, `expected ${shown} ${not}to be null`),
+        toContain: item => check(
+          typeof received === 'string' ? received.includes(item) : Array.isArray(received) && received.some(x => deepEqual(x, item)),
+          `expected ${shown} ${not}to contain ${inspect(item)}`),
+        toHaveLength: length => check(received !== null && received !== undefined && received.length === length,
+          `expected ${shown} ${not}to have length ${length}`),
+        toBeGreaterThan: expected => compare(expected, received > expected, 'greater than'),
+        toBeGreaterThanOrEqual: expected => compare(expected, received >= expected, 'greater than or equal to'),
+        toBeLessThan: expected => compare(expected, received < expected, 'less than'),
+        toBeLessThanOrEqual: expected => compare(expected, received <= expected, 'less than or equal to'),
+        toBeCloseTo: (expected, digits = 2) => check(Math.abs(received - expected) < Math.pow(10, -digits) / 2,
+          `expected ${shown} ${not}to be close to ${inspect(expected)} (${digits} decimal places)`),
+        toMatch: pattern => check(typeof received === 'string' &&
+          (pattern instanceof RegExp ? pattern.test(received) : received.includes(pattern)),
+        `expected ${shown} ${not}to match ${pattern instanceof RegExp ? String(pattern) : inspect(pattern)}`),
+        toBeInstanceOf: klass => check(isInstance(received, klass),
+          `expected ${shown} ${not}to be an instance of ${inspect(klass)}`),
+        // `expected` narrows it down: a message the error's must contain, or an error class
+        toThrow: async (expected = null) => {
+          if (typeof received !== 'function') throw fail(`expected a function, got ${shown}`);
+          let thrown = null;
+          try {
+            await received();
+          } catch (error) {
+            if (!(error instanceof Error)) throw error;
+            thrown = interpreter.caughtValue(error);
+          }
+          const message = thrown instanceof VoxelInstance ? thrown.get('message') : thrown;
+          const matches = thrown !== null && (expected === null ||
+            (typeof expected === 'string' ? String(message).includes(expected) : isInstance(thrown, expected)));
+          const wanted = expected === null ? '' : ` ${inspect(expected)}`;
+          const actual = thrown === null ? 'it did not throw' : `it threw ${inspect(message)}`;
+          return check(matches, `expected function ${not}to throw${wanted}, but ${actual}`);
+        }
+      };
+    };
+    return { ...matchers(false), never: matchers(true) };
+  };
+}
+
+// ===== RUNNER =====
+
+function createSuite(name, parent, mode) {
+  const suite = { name, parent, mode, children: [] };
+  for (const hook of HOOKS) suite[hook] = [];
+  return suite;
+}
+
+// The suites around a test, outermost first, without the file's own
+function ancestors(node) {
+  const suites = [];
+  for (let suite = node.parent; suite && suite.parent; suite = suite.parent) suites.unshift(suite);
+  return suites;
+}
+
+class TestRunner {
+  // options.captureOutput keeps what each test prints in its result instead of letting it through, and
+  // options.coverage (a Coverage) counts what the tests run
+  constructor({ timeout = 5000, strict = false, captureOutput = false, coverage = null } = {}) {
+    this.timeout = timeout;
+    this.strict = strict;
+    this.captureOutput = captureOutput;
+    this.coverage = coverage;
+    this.current = null; // result of the test or file being run
+  }
+
+  // Run files one after another; `onFile` gets each file's result as soon as it is known
+  async run(files, onFile = () => {}) {
+    // A spawned task that fails without being joined fails the test that is running
+    const unhandled = error => {
+      if (this.current) this.fail(this.current, error);
+    };
+    process.on('unhandledRejection', unhandled);
+    const results = [];
+    try {
+      for (const file of files) {
+        const result = await this.runFile(file);
+        results.push(result);
+        onFile(result);
+      }
+    } finally {
+      process.off('unhandledRejection', unhandled);
+    }
+    return results;
+  }
+
+  // { file, tests: [{ path, name, status, duration, error, output }], error, output, duration }, where
+  // status is 'passed', 'failed' or 'skipped' and error is set when the file itself failed to load
+  async runFile(filePath) {
+    const started = Date.now();
+    const source = fs.readFileSync(filePath, 'utf8');
+    const result = { file: filePath, tests: [], error: null, output: '', duration: 0 };
+    const interpreter = new Interpreter({ filename: filePath, source, strict: this.strict });
+    if (this.coverage !== null) interpreter.collectCoverage(this.coverage);
+    const root = createSuite(null, null, 'run');
+    this.interpreter = interpreter;
+    this.file = filePath;
+    this.source = source;
+
+    // Loading the file declares its tests
+    let loading = root;
+    const declare = (kind, mode) => (name, fn) => {
+      if (loading === null) throw new Error(`${kind}() can only be called while the file loads, not inside a test`);
+      if (typeof fn !== 'function') throw new Error(`${kind} "${name}" needs a function`);
+      if (kind !== 'describe') {
+        loading.children.push({ name: String(name), fn, mode, parent: loading });
+        return null;
+      }
+      const suite = createSuite(String(name), loading, mode);
+      loading.children.push(suite);
+      loading = suite;
+      return Promise.resolve(fn()).finally(() => {
+        loading = suite.parent;
+      }).then(() => null);
+    };
+    for (const kind of ['describe', 'test', 'it']) {
+      const fn = declare(kind, 'run');
+      fn.skip = declare(kind, 'skip');
+      fn.only = declare(kind, 'only');
+      interpreter.global.define(kind, fn);
+    }
+    for (const hook of HOOKS) {
+      interpreter.global.define(hook, (fn) => {
+        if (loading === null) throw new Error(`${hook}() can only be called while the file loads, not inside a test`);
+        loading[hook].push(fn);
+        return null;
+      });
+    }
+    interpreter.global.define('expect', createExpect(interpreter));
+
+    this.current = result;
+    try {
+      const ast = new Parser(new Lexer(source).tokenize()).parse();
+      await this.capture(result, async () => {
+        await interpreter.run(ast);
+        await interpreter.waitForTasks();
+      });
+    } catch (error) {
+      this.fail(result, error);
+    }
+    loading = null;
+
+    if (!result.error) {
+      const hasOnly = this.some(root, node => node.mode === 'only');
+      await this.runSuite(root, result, hasOnly);
+    }
+    this.current = null;
+    result.duration = Date.now() - started;
+    return result;
+  }
+
+  async runSuite(suite, fileResult, hasOnly) {
+    const runnable = this.some(suite, node => !node.children && !this.isSkipped(node, hasOnly));
+    if (runnable) {
+      try {
+        await this.capture(fileResult, async () => {
+          for (const hook of suite.beforeAll) await this.call(hook);
+        });
+      } catch (error) {
+        // Every test of the suite that would have run fails with the hook
+        this.forEachTest(suite, test => {
+          const result = this.testResult(test);
+          if (this.isSkipped(test, hasOnly)) result.status = 'skipped';
+          else this.fail(result, error);
+          fileResult.tests.push(result);
+        });
+        return;
+      }
+    }
+
+    for (const child of suite.children) {
+      if (child.children) {
+        await this.runSuite(child, fileResult, hasOnly);
+      } else {
+        fileResult.tests.push(await this.runTest(child, hasOnly));
+      }
+    }
+
+    if (runnable) {
+      for (const hook of suite.afterAll) {
+        try {
+          await this.capture(fileResult, () => this.call(hook));
+        } catch (error) {
+          const result = {
+            path: suite.parent ? [...ancestors(suite).map(parent => parent.name), suite.name] : [],
+            name: 'afterAll hook',
+            status: 'passed',
+            duration: 0,
+            error: null,
+            output: ''
+          };
+          this.fail(result, error);
+          fileResult.tests.push(result);
+        }
+      }
+    }
+  }
+
+  async runTest(test, hasOnly) {
+    const result = this.testResult(test);
+    if (this.isSkipped(test, hasOnly)) {
+      result.status = 'skipped';
+      return result;
+    }
+    const started = Date.now();
+    const suites = ancestors(test);
+    let root = test.parent;
+    while (root.parent) root = root.parent;
+    const beforeEach = [root, ...suites].flatMap(suite => suite.beforeEach);
+    const afterEach = [root, ...suites].reverse().flatMap(suite => suite.afterEach);
+
+    const previous = this.current;
+    this.current = result;
+    await this.capture(result, async () => {
+      try {
+        for (const hook of beforeEach) await this.call(hook);
+        await this.call(test.fn);
+      } catch (error) {
+        this.fail(result, error);
+      }
+      for (const hook of afterEach) {
+        try {
+          await this.call(hook);
+        } catch (error) {
+          this.fail(result, error);
+        }
+      }
+    });
+    this.current = previous;
+    result.duration = Date.now() - started;
+    return result;
+  }
+
+  testResult(test) {
+    return {
+      path: ancestors(test).map(suite => suite.name),
+      name: test.name,
+      status: 'passed',
+      duration: 0,
+      error: null,
+      output: ''
+    };
+  }
+
+  // A test is skipped when it or a suite around it is, or when the file has .only tests and it is not
+  // one of them, nor in a suite that is
+  isSkipped(test, hasOnly) {
+    const chain = [test, ...ancestors(test)];
+    if (chain.some(node => node.mode === 'skip')) return true;
+    return hasOnly && !chain.some(node => node.mode === 'only');
+  }
+
+  some(suite, predicate) {
+    return suite.children.some(child => predicate(child) || (child.children && this.some(child, predicate)));
+  }
+
+  forEachTest(suite, callback) {
+    for (const child of suite.children) {
+      if (child.children) this.forEachTest(child, callback);
+      else callback(child);
+    }
+  }
+
+  // Call a test or hook function, failing it when it, and the tasks it spawned, have not finished
+  // within the timeout. It runs as a task of its own with that time limit, so once it is over, the
+  // test stops at its next step: a loop that never waits cannot hang the run, and a test that was
+  // waiting cannot wake up in the middle of the next one.
+  call(fn) {
+    const interpreter = this.interpreter;
+    const task = interpreter.spawn(fn, [], null, this.timeout);
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new ThrowError(interpreter.createError('TimeLimitError', `Timed out after ${this.timeout}ms`));
+        for (const running of interpreter.tasks) running.cancel(error);
+        reject(error);
+      }, this.timeout);
+    });
+    // A task that failed unjoined is reported as an unhandled rejection once the current tick is over
+    const finished = task.join()
+      .then(() => interpreter.waitForTasks())
+      .then(() => new Promise(resolve => setImmediate(resolve)));
+    return Promise.race([finished, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Run `body` with console output collected into result.output, when output is captured
+  async capture(result, body) {
+    if (!this.captureOutput) return body();
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    const collect = (...values) => {
+      result.output += values.map(value => typeof value === 'string' ? value : require('util').inspect(value)).join(' ') + '\n';
+    };
+    console.log = console.warn = console.error = collect;
+    try {
+      return await body();
+    } finally {
+      Object.assign(console, original);
+    }
+  }
+
+  // Record the first error of a test, or of the file when no test is running
+  fail(result, error) {
+    if (result.error) return;
+    if (!result.tests) result.status = 'failed';
+    const location = error && error.location ? { ...error.location, file: error.location.file || this.file } : null;
+    result.error = {
+      name: error instanceof ThrowError ? error.errorName || 'Error'
+        : error instanceof Error ? this.interpreter.errorClassFor(error) : 'Error',
+      message: error && error.message !== undefined ? error.message : String(error),
+      location,
+      codeFrame: (error && error.codeFrame) ||
+        (location && location.file === this.file ? codeFrame(this.source, location) : ''),
+      diff: error && typeof error.diff === 'function' ? error.diff() : null
+    };
+  }
+}
+
+// ===== REPORTS =====
+
+const COLORS = { green: 32, red: 31, yellow: 33, gray: 90, bold: 1 };
+const color = (name, text) => `\x1b[${COLORS[name]}m${text}\x1b[0m`;
+
+function fullName(test) {
+  return [...test.path, test.name].join(' › ');
+}
+
+function failureText(error, { colors = true } = {}) {
+  const paint = colors ? color : (name, text) => text;
+  const lines = [paint('red', `${error.name}: ${error.message}`)];
+  if (error.location) lines.push(paint('gray', `  at ${formatLocation(error.location)}`));
+  if (error.diff) {
+    lines.push('', paint('red', '- Expected'), paint('green', '+ Received'), '');
+    for (const line of error.diff) {
+      lines.push(line[0] === '-' ? paint('red', line) : line[0] === '+' ? paint('green', line) : line);
+    }
+  }
+  if (error.codeFrame) lines.push('', error.codeFrame);
+  return lines.join('\n');
+}
+
+function fileFailed(result) {
+  return !!result.error || result.tests.some(test => test.status === 'failed');
+}
+
+// One file's tests as a tree of ✓/✗ lines, then the details of each failure
+function formatSpec(result) {
+  const lines = [];
+  const badge = fileFailed(result) ? color('red', ' FAIL ') : color('green', ' PASS ');
+  lines.push(`${badge} ${displayPath(result.file)} ${color('gray', `(${result.duration}ms)`)}`);
+  if (result.error) {
+    lines.push('', indentText(failureText(result.error), 4), '');
+    return lines.join('\n') + '\n';
+  }
+
+  let printedPath = [];
+  for (const test of result.tests) {
+    let shared = 0;
+    while (shared < printedPath.length && shared < test.path.length && printedPath[shared] === test.path[shared]) shared++;
+    for (let depth = shared; depth < test.path.length; depth++) {
+      lines.push(`${'  '.repeat(depth + 1)}${test.path[depth]}`);
+    }
+    printedPath = test.path;
+    const indentation = '  '.repeat(test.path.length + 1);
+    if (test.status === 'passed') {
+      lines.push(`${indentation}${color('green', '✓')} ${test.name} ${color('gray', `(${test.duration}ms)`)}`);
+    } else if (test.status === 'failed') {
+      lines.push(`${indentation}${color('red', `✗ ${test.name}`)}`);
+    } else {
+      lines.push(`${indentation}${color('yellow', `○ ${test.name}`)} ${color('gray', '(skipped)')}`);
+    }
+  }
+
+  for (const test of result.tests.filter(test => test.status === 'failed')) {
+    lines.push('', color('red', `  ● ${fullName(test)}`), '', indentText(failureText(test.error), 4));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function indentText(text, width) {
+  const padding = ' '.repeat(width);
+  return text.split('\n').map(line => line ? padding + line : line).join('\n');
+}
+
+function counts(results) {
+  const tests = results.flatMap(result => result.tests);
+  return {
+    passed: tests.filter(test => test.status === 'passed').length,
+    failed: tests.filter(test => test.status === 'failed').length + results.filter(result => result.error).length,
+    skipped: tests.filter(test => test.status === 'skipped').length,
+    total: tests.length + results.filter(result => result.error).length
+  };
+}
+
+function formatSummary(results, duration) {
+  const { passed, failed, skipped, total } = counts(results);
+  const failedFiles = results.filter(fileFailed).length;
+  const parts = [
+    failed > 0 ? color('red', `${failed} failed`) : null,
+    passed > 0 ? color('green', `${passed} passed`) : null,
+    skipped > 0 ? color('yellow', `${skipped} skipped`) : null,
+    `${total} total`
+  ].filter(Boolean);
+  const files = [
+    failedFiles > 0 ? color('red', `${failedFiles} failed`) : null,
+    results.length - failedFiles > 0 ? color('green', `${results.length - failedFiles} passed`) : null,
+    `${results.length} total`
+  ].filter(Boolean);
+  return [
+    `${color('bold', 'Tests:')} ${parts.join(', ')}`,
+    `${color('bold', 'Files:')} ${files.join(', ')}`,
+    `${color('bold', 'Time:')}  ${(duration / 1000).toFixed(2)}s`
+  ].join('\n');
+}
+
+// Test Anything Protocol, version 13
+function formatTap(results) {
+  const lines = ['TAP version 13'];
+  // What a file printed outside its tests comes before them, and what a test printed before its line
+  const entries = results.flatMap(result => [
+    { output: result.output },
+    ...(result.error
+      ? [{ name: displayPath(result.file), status: 'failed', error: result.error, output: '' }]
+      : result.tests.map(test => ({ ...test, name: [displayPath(result.file), ...test.path, test.name].join(' > ') })))
+  ]);
+  lines.push(`1..${entries.filter(entry => entry.status).length}`);
+  let number = 0;
+  for (const entry of entries) {
+    for (const line of entry.output.split('\n').filter(Boolean)) lines.push(`# ${line}`);
+    if (!entry.status) continue;
+    const title = `${++number} - ${entry.name.replace(/#/g, '\\#')}`;
+    if (entry.status === 'skipped') {
+      lines.push(`ok ${title} # SKIP`);
+    } else if (entry.status === 'passed') {
+      lines.push(`ok ${title}`);
+    } else {
+      lines.push(`not ok ${title}`, '  ---', `  message: ${JSON.stringify(entry.error.message)}`,
+        `  severity: ${entry.error.name === 'AssertionError' ? 'fail' : 'error'}`);
+      if (entry.error.location) lines.push(`  at: ${JSON.stringify(formatLocation(entry.error.location))}`);
+      if (entry.error.diff) lines.push('  diff: |', ...entry.error.diff.map(line => `    ${line}`));
+      lines.push('  ...');
+    }
+  }
+  const { passed, failed, skipped, total } = counts(results);
+  lines.push(`# tests ${total}`, `# pass ${passed}`, `# fail ${failed}`, `# skip ${skipped}`);
+  return lines.join('\n');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// JUnit XML, as read by most CI services: a <testsuite> per file. Assertion failures are <failure>s and
+// any other error an <error>.
+function formatJUnit(results, duration) {
+  const seconds = ms => (ms / 1000).toFixed(3);
+  const problem = error => {
+    const tag = error.name === 'AssertionError' ? 'failure' : 'error';
+    return `      <${tag} message="${escapeXml(error.message)}" type="${escapeXml(error.name)}">` +
+      `${escapeXml(failureText(error, { colors: false }))}</${tag}>`;
+  };
+  const suites = results.map(result => {
+    const file = displayPath(result.file);
+    const tests = result.error
+      ? [{ path: [], name: file, status: 'failed', duration: result.duration, error: result.error, output: '' }]
+      : result.tests;
+    const failures = tests.filter(test => test.status === 'failed' && test.error.name === 'AssertionError').length;
+    const errors = tests.filter(test => test.status === 'failed').length - failures;
+    const skipped = tests.filter(test => test.status === 'skipped').length;
+    return { result, file, tests, total: tests.length, failures, errors, skipped };
+  });
+  // The root totals are the sums of the suites', so CI services that read either agree
+  const sum = key => suites.reduce((total, suite) => total + suite[key], 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="voxel test" tests="${sum('total')}" failures="${sum('failures')}" errors="${sum('errors')}" ` +
+      `skipped="${sum('skipped')}" time="${seconds(duration)}">`
+  ];
+  for (const { result, file, tests, total, failures, errors, skipped } of suites) {
+    lines.push(`  <testsuite name="${escapeXml(file)}" tests="${total}" failures="${failures}" errors="${errors}" ` +
+      `skipped="${skipped}" time="${seconds(result.duration)}">`);
+    for (const test of tests) {
+      const attributes = `classname="${escapeXml(file)}" name="${escapeXml(fullName(test))}" time="${seconds(test.duration)}"`;
+      const body = [];
+      if (test.status === 'skipped') body.push('      <skipped/>');
+      if (test.status === 'failed') body.push(problem(test.error));
+      if (test.output) body.push(`      <system-out>${escapeXml(test.output)}</system-out>`);
+      if (body.length === 0) {
+        lines.push(`    <testcase ${attributes}/>`);
+      } else {
+        lines.push(`    <testcase ${attributes}>`, ...body, '    </testcase>');
+      }
+    }
+    if (result.output) lines.push(`    <system-out>${escapeXml(result.output)}</system-out>`);
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+module.exports = {
+  TestRunner,
+  TEST_GLOBALS,
+  isTestFile,
+  createExpect,
+  inspect,
+  deepEqual,
+  diffLines,
+  formatSpec,
+  formatSummary,
+  formatTap,
+  formatJUnit
+};
@@ -0,0 +1,1434 @@
+// VoxelScript to JavaScript compiler, behind `voxel build`
+// Turns the parser's AST into a readable ES2022 module. Builtins and the helpers that keep
+// VoxelScript semantics come from runtime.js; a Source Map v3 points back at the .voxel source.
+
+const path = require('path');
+const { builtins, EnumVariant } = require('./builtins');
+const { OPERATOR_METHODS, UNARY_METHODS } = require('./interpreter');
+
+// How tightly a generated JavaScript expression binds; a child weaker than its slot is parenthesized
+const Prec = {
+  ASSIGN: 2,
+  CONDITIONAL: 3,
+  NULLISH: 4,
+  OR: 5,
+  AND: 6,
+  BIT_OR: 7,
+  BIT_XOR: 8,
+  BIT_AND: 9,
+  EQUALITY: 10,
+  RELATIONAL: 11,
+  SHIFT: 12,
+  ADDITIVE: 13,
+  MULTIPLICATIVE: 14,
+  EXPONENT: 15,
+  UNARY: 16,
+  POSTFIX: 17,
+  CALL: 18,
+  PRIMARY: 19
+};
+
+const BINARY_OPERATORS = {
+  'or': ['||', Prec.OR],
+  'and': ['&&', Prec.AND],
+  '|': ['|', Prec.BIT_OR],
+  '^': ['^', Prec.BIT_XOR],
+  '&': ['&', Prec.BIT_AND],
+  '==': ['===', Prec.EQUALITY],
+  '!=': ['!==', Prec.EQUALITY],
+  '<': ['<', Prec.RELATIONAL],
+  '>': ['>', Prec.RELATIONAL],
+  '<=': ['<=', Prec.RELATIONAL],
+  '>=': ['>=', Prec.RELATIONAL],
+  '<<': ['<<', Prec.SHIFT],
+  '>>': ['>>', Prec.SHIFT],
+  '>>>': ['>>>', Prec.SHIFT],
+  '+': ['+', Prec.ADDITIVE],
+  '-': ['-', Prec.ADDITIVE],
+  '*': ['*', Prec.MULTIPLICATIVE],
+  '/': ['/', Prec.MULTIPLICATIVE],
+  '%': ['%', Prec.MULTIPLICATIVE],
+  '**': ['**', Prec.EXPONENT]
+};
+
+// Dunder methods the interpreter calls for operators, indexing, len() and string conversion.
+// BINARY_OPERATORS compile to JavaScript's own, so `build` refuses classes that define them.
+const OVERLOAD_METHODS = new Set([
+  ...Object.values(OPERATOR_METHODS).flat(),
+  ...Object.values(UNARY_METHODS),
+  '__getitem__', '__setitem__', '__len__', '__str__'
+]);
+
+// Names VoxelScript allows that JavaScript modules do not, plus the ones compiled code relies on
+const RESERVED = new Set([
+  'arguments', 'debugger', 'eval', 'function', 'package', 'private', 'protected', 'public', 'var', 'void',
+  'console', '__voxel'
+]);
+
+// Builtins that hand back a promise, so calls to them are awaited
+const ASYNC_BUILTINS = new Set([
+  ...Object.keys(builtins).filter(name => builtins[name].constructor.name === 'AsyncFunction'),
+  'sleep', 'wait', 'delay', 'timeout', 'resolve', 'reject'
+]);
+
+// Builtins that wrap a function; the wrapper is async when compose/promisify made it or it wraps an async function
+const ASYNC_WRAPPERS = new Set(['compose', 'promisify']);
+const FUNCTION_WRAPPERS = new Set(['memoize', 'curry', 'debounce', 'throttle']);
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'GeneratorDeclaration', 'ArrowFunction', 'MethodDefinition']);
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVLQ(value) {
+  let rest = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = rest & 31;
+    rest >>>= 5;
+    if (rest > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (rest > 0);
+  return encoded;
+}
+
+// Call `visit` for every AST node below `node`, stopping at nested functions unless `intoFunctions`
+function forEachNode(node, visit, intoFunctions = true) {
+  const walk = (value) => {
+    if (!value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach(walk);
+      return;
+    }
+    if (value.loc !== undefined && typeof value.type === 'string') {
+      if (visit(value) === false) return;
+      if (!intoFunctions && FUNCTION_TYPES.has(value.type)) return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key !== 'loc') walk(child);
+    }
+  };
+  for (const [key, child] of Object.entries(node)) {
+    if (key !== 'loc') walk(child);
+  }
+}
+
+function isIdentifierName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+function propertyKey(key) {
+  return isIdentifierName(key) ? key : JSON.stringify(key);
+}
+
+function propertyAccess(object, key) {
+  return isIdentifierName(key) ? `${object}.${key}` : `${object}[${JSON.stringify(key)}]`;
+}
+
+class Transpiler {
+  // file, source: the .voxel source, for the source map; outFile: where the JavaScript goes
+  // runtime: module specifier of runtime.js as seen from the output file
+  // resolveImport(specifier): specifier of the compiled module an import refers to
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.source = options.source ?? null;
+    this.outFile = options.outFile || null;
+    this.runtime = options.runtime || 'voxelscript/runtime.js';
+    this.resolveImport = options.resolveImport || (specifier => specifier.replace(/\.(voxel|vxl)$/, '') + '.mjs');
+
+    this.level = 0;
+    this.scopes = [];
+    this.declared = [];
+    this.usedBuiltins = new Set();
+    this.locations = [];
+    this.matchDepth = 0;
+    this.imports = [];
+  }
+
+  // Returns { code, map, imports } - `imports` lists the VoxelScript modules the program pulls in
+  transpile(program) {
+    this.analyzeAsync(program);
+    const body = this.withScope(this.declaredNames(program.statements), () => this.statementList(program.statements));
+
+    const header = [`// Compiled from ${this.file ? path.basename(this.file) : 'VoxelScript'} by voxel build`];
+    header.push(`import __voxel from ${JSON.stringify(this.runtime)};`);
+    if (this.usedBuiltins.size > 0) {
+      header.push(`const { ${[...this.usedBuiltins].sort().join(', ')} } = __voxel.builtins;`);
+    }
+    return this.finish(`${header.join('\n')}\n\n${body}\n`);
+  }
+
+  // ===== ASYNC ANALYSIS =====
+
+  // VoxelScript calls always produce a value, so a call to anything that may return a promise
+  // is awaited, and every function containing such a call becomes async. Iterate to a fixed point.
+  analyzeAsync(program) {
+    const userNames = new Set();
+    const functions = [];
+    const wrappers = [];
+    const channels = new Set();
+
+    forEachNode(program, node => {
+      this.boundNames(node).forEach(name => userNames.add(name));
+      if (FUNCTION_TYPES.has(node.type) && !node.isAbstract) {
+        const entry = { node, names: [], members: [] };
+        if (node.type === 'MethodDefinition') {
+          entry.members.push(node.key);
+        } else if (node.name) {
+          entry.names.push(node.name);
+        }
+        functions.push(entry);
+      }
+    });
+
+    const entryFor = fn => functions.find(entry => entry.node === fn);
+    forEachNode(program, node => {
+      const value = node.value;
+      if ((node.type === 'LetDeclaration' || node.type === 'TypedDeclaration') && value) {
+        if (FUNCTION_TYPES.has(value.type)) entryFor(value).names.push(node.name);
+        if (value.type === 'FunctionCall' && value.callee.type === 'Identifier') wrappers.push({ name: node.name, call: value });
+        if (value.type === 'FunctionCall' && value.callee.type === 'Identifier' && value.callee.name === 'channel') channels.add(node.name);
+      } else if (node.type === 'Assignment' && value && FUNCTION_TYPES.has(value.type)) {
+        if (node.target.type === 'Identifier') entryFor(value).names.push(node.target.name);
+        if (node.target.type === 'MemberAccess') entryFor(value).members.push(node.target.property);
+      } else if (node.type === 'PropertyDefinition' && value && FUNCTION_TYPES.has(value.type)) {
+        entryFor(value).members.push(node.key);
+      } else if (node.type === 'ObjectLiteral') {
+        for (const [key, property] of Object.entries(node.properties)) {
+          if (FUNCTION_TYPES.has(property.type)) entryFor(property).members.push(key);
+        }
+      }
+    });
+
+    this.userNames = userNames;
+    this.methodNames = new Set(functions
+      .filter(({ node }) => node.type === 'MethodDefinition' && node.kind === 'method' && !node.isStatic)
+      .map(({ node }) => node.key));
+    this.asyncNames = new Set([...ASYNC_BUILTINS].filter(name => !userNames.has(name)));
+    this.asyncMembers = new Set();
+    this.asyncGenerators = new Set();
+    this.asyncFunctions = new Set();
+    // Variables holding a channel(), which for loops receive from asynchronously
+    this.channels = userNames.has('channel') ? new Set() : channels;
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const { node, names, members } of functions) {
+        if (this.asyncFunctions.has(node) || !(node.isAsync || this.containsAwait(node))) continue;
+        this.asyncFunctions.add(node);
+        const target = node.type === 'GeneratorDeclaration' ? this.asyncGenerators : this.asyncNames;
+        names.forEach(name => target.add(name));
+        members.forEach(name => this.asyncMembers.add(name));
+        changed = true;
+      }
+      for (const { name, call } of wrappers) {
+        if (!this.asyncNames.has(name) && this.makesAsyncFunction(call)) {
+          this.asyncNames.add(name);
+          changed = true;
+        }
+      }
+    }
+  }
+
+  // Whether the code directly inside `node` (not in nested functions) has to await something
+  containsAwait(node) {
+    let found = false;
+    const check = child => {
+      if (found) return false;
+      switch (child.type) {
+        case 'AwaitExpr':
+        case 'InputExpr':
+          found = true;
+          break;
+        case 'FunctionCall':
+          found = this.awaitsCall(child);
+          break;
+        case 'PipeExpr':
+          found = this.isAsyncCallee(child.right);
+          break;
+        case 'ForInStatement':
+        case 'ForOfStatement':
+          found = this.isAsyncIteration(child.iterable);
+          break;
+        case 'WithStatement':
+          found = this.asyncMembers.has('__enter__') || this.asyncMembers.has('__exit__');
+          break;
+        case 'DecoratedDeclaration':
+          found = child.decorators.some(decorator => this.asyncNames.has(decorator.name));
+          break;
+        case 'LazyExpr':
+        case 'SpawnExpr':
+          return false;
+      }
+      if (FUNCTION_TYPES.has(child.type) || child.type === 'ClassDeclaration') return false;
+      return !found;
+    };
+    if (FUNCTION_TYPES.has(node.type)) {
+      forEachNode(node.params, check);
+      forEachNode(node.body, check);
+    } else {
+      check(node) && forEachNode(node, check);
+    }
+    return found;
+  }
+
+  // Every name `node` itself binds, wherever it is
+  boundNames(node) {
+    switch (node.type) {
+      case 'LetDeclaration':
+      case 'TypedDeclaration':
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+      case 'ClassDeclaration':
+      case 'EnumDeclaration':
+      case 'BindingPattern': {
+        const params = node.params ? this.paramNames(node.params) : [];
+        return node.name ? [node.name, ...params] : params;
+      }
+      case 'ArrowFunction':
+      case 'MethodDefinition':
+        return this.paramNames(node.params);
+      case 'DestructuringDeclaration':
+        return node.pattern.filter(Boolean).map(element => element.name);
+      case 'ImportStatement':
+        return node.specifiers.map(spec => spec.local || spec.name);
+      case 'LoopStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'ListComprehension':
+      case 'DictComprehension':
+        return [node.variable];
+      case 'TryStatement':
+        return node.handlers.filter(handler => handler.param).map(handler => handler.param);
+      case 'WithStatement':
+        return node.alias ? [node.alias] : [];
+      default:
+        return [];
+    }
+  }
+
+  awaitsCall(node) {
+    return this.isAsyncCallee(node.callee);
+  }
+
+  isAsyncCallee(callee) {
+    if (callee.type === 'Identifier') return this.asyncNames.has(callee.name);
+    if (callee.type === 'MemberAccess') return this.asyncMembers.has(callee.property);
+    return callee.type === 'FunctionCall' && this.makesAsyncFunction(callee);
+  }
+
+  // compose(...) and promisify(...) always return async functions; memoize(fn) and the like when fn is async
+  makesAsyncFunction(call) {
+    const name = call.callee.type === 'Identifier' ? call.callee.name : null;
+    if (!name || this.userNames.has(name)) return false;
+    return ASYNC_WRAPPERS.has(name) || (FUNCTION_WRAPPERS.has(name) &&
+      call.args.some(arg => arg.type === 'Identifier' && this.asyncNames.has(arg.name)));
+  }
+
+  isAsyncIteration(iterable) {
+    if (iterable.type === 'Identifier') return this.channels.has(iterable.name);
+    return iterable.type === 'FunctionCall' && iterable.callee.type === 'Identifier' &&
+      this.asyncGenerators.has(iterable.callee.name);
+  }
+
+  // ===== SCOPES =====
+
+  withScope(names, generate) {
+    this.scopes.push(new Set(names));
+    this.declared.push(new Set());
+    try {
+      return generate();
+    } finally {
+      this.scopes.pop();
+      this.declared.pop();
+    }
+  }
+
+  // Names a statement list binds in its own scope
+  declaredNames(statements) {
+    const names = [];
+    for (const statement of statements) {
+      let declaration = statement;
+      if (declaration.type === 'ExportStatement' && !declaration.isDefault) declaration = declaration.declaration;
+      if (declaration && declaration.type === 'DecoratedDeclaration') declaration = declaration.declaration;
+      if (!declaration) continue;
+      switch (declaration.type) {
+        case 'LetDeclaration':
+        case 'TypedDeclaration':
+        case 'FunctionDeclaration':
+        case 'GeneratorDeclaration':
+        case 'ClassDeclaration':
+        case 'EnumDeclaration':
+          if (declaration.name) names.push(declaration.name);
+          break;
+        case 'DestructuringDeclaration':
+          names.push(...declaration.pattern.filter(Boolean).map(element => element.name));
+          break;
+        case 'ImportStatement':
+          names.push(...declaration.specifiers.map(spec => spec.local || spec.name));
+          break;
+      }
+    }
+    return names;
+  }
+
+  // `let` for the first declaration of a name in a block; a redeclaration becomes an assignment
+  declare(name) {
+    const declared = this.declared[this.declared.length - 1];
+    if (declared.has(name)) return false;
+    declared.add(name);
+    return true;
+  }
+
+  // Identifier as written in the output; free names that are builtins come from the runtime
+  reference(name) {
+    if (!this.scopes.some(scope => scope.has(name)) && Object.prototype.hasOwnProperty.call(builtins, name)) {
+      this.usedBuiltins.add(name);
+      return name;
+    }
+    return this.identifier(name);
+  }
+
+  identifier(name) {
+    return RESERVED.has(name) ? `${name}_` : name;
+  }
+
+  isBuiltin(name) {
+    return !this.scopes.some(scope => scope.has(name)) && Object.prototype.hasOwnProperty.call(builtins, name);
+  }
+
+  // A pattern naming a field-less builtin variant, such as None, compares instead of binding
+  isUnitVariant(name) {
+    return this.isBuiltin(name) && builtins[name] instanceof EnumVariant;
+  }
+
+  // ===== STATEMENTS =====
+
+  pad() {
+    return '  '.repeat(this.level);
+  }
+
+  statementList(statements) {
+    const pad = this.pad();
+    return statements
+      .map(statement => this.statement(statement))
+      .filter(code => code !== '')
+      .map(code => pad + code)
+      .join('\n');
+  }
+
+  // A braced block one level deeper; `prologue` and `epilogue` return lines that open and close it
+  block(statements, names = [], { prologue = null, epilogue = null } = {}) {
+    this.level++;
+    const body = this.withScope([...names, ...this.declaredNames(statements)], () => {
+      const opening = prologue ? prologue() : [];
+      const rest = this.statementList(statements);
+      const closing = epilogue ? epilogue() : [];
+      return [
+        ...opening.map(line => this.pad() + line),
+        ...(rest ? [rest] : []),
+        ...closing.map(line => this.pad() + line)
+      ].join('\n');
+    });
+    this.level--;
+    return body ? `{\n${body}\n${this.pad()}}` : '{}';
+  }
+
+  body(node, names = []) {
+    return this.block(node.type === 'Block' ? node.statements : [node], names);
+  }
+
+  statement(node) {
+    const code = this.statementCode(node);
+    return code && this.mark(node) + code;
+  }
+
+  statementCode(node) {
+    switch (node.type) {
+      case 'LetDeclaration':
+      case 'TypedDeclaration': {
+        const value = node.value ? this.js(node.value, Prec.ASSIGN) : 'null';
+        const name = this.identifier(node.name);
+        if (!this.declare(node.name)) return `${name} = ${value};`;
+        return `${node.isConst ? 'const' : 'let'} ${name} = ${value};`;
+      }
+
+      case 'DestructuringDeclaration':
+        return this.destructuring(node);
+
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+        if (!node.name) return this.expressionStatement(node);
+        if (!this.declare(node.name)) return `${this.identifier(node.name)} = ${this.functionCode(node)};`;
+        return this.functionCode(node);
+
+      case 'ClassDeclaration':
+        this.declare(node.name);
+        return this.classCode(node);
+
+      case 'EnumDeclaration': {
+        const members = node.members.map(member => {
+          if (member.fields) {
+            return `{ name: ${JSON.stringify(member.name)}, fields: [${member.fields.map(field => JSON.stringify(field)).join(', ')}] }`;
+          }
+          const value = typeof member.value === 'object' ? this.js(member.value, Prec.ASSIGN) : JSON.stringify(member.value);
+          return `{ name: ${JSON.stringify(member.name)}, value: ${value} }`;
+        });
+        this.declare(node.name);
+        return `const ${this.identifier(node.name)} = __voxel.defineEnum(${JSON.stringify(node.name)}, [${members.join(', ')}]);`;
+      }
+
+      // Types only matter to `voxel check`
+      case 'InterfaceDeclaration':
+      case 'TypeAliasDeclaration':
+        return '';
+
+      case 'Block':
+        return this.block(node.statements);
+
+      case 'IfStatement': {
+        let code = `if (${this.js(node.condition)}) ${this.body(node.thenBranch)}`;
+        if (node.elseBranch) {
+          code += node.elseBranch.type === 'IfStatement'
+            ? ` else ${this.statement(node.elseBranch)}`
+            : ` else ${this.body(node.elseBranch)}`;
+        }
+        return code;
+      }
+
+      case 'SwitchStatement':
+        return this.switchCode(node);
+
+      case 'LoopStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        return this.loopCode(node);
+
+      case 'LabeledStatement':
+        return `${node.label}: ${this.statement(node.body)}`;
+
+      case 'TryStatement': {
+        let code = `try ${this.block(node.block.statements)}`;
+        const [handler] = node.handlers;
+        if (node.handlers.some(candidate => candidate.typeAnnotation)) {
+          code += ` catch (__error) ${this.typedCatch(node.handlers)}`;
+        } else if (handler) {
+          const param = handler.param;
+          code += param
+            ? ` catch (${this.identifier(param)}) ${this.block(handler.body.statements, [param], {
+              prologue: () => [`${this.identifier(param)} = __voxel.caught(${this.identifier(param)});`]
+            })}`
+            : ` catch ${this.block(handler.body.statements)}`;
+        }
+        if (node.finalizer) {
+          code += ` finally ${this.block(node.finalizer.statements)}`;
+        }
+        return code;
+      }
+
+      case 'ThrowStatement':
+        return `throw ${this.js(node.argument)};`;
+
+      case 'ReturnStatement':
+        return node.value ? `return ${this.js(node.value)};` : 'return;';
+
+      case 'BreakStatement':
+        return node.label ? `break ${node.label};` : 'break;';
+
+      case 'ContinueStatement':
+        return node.label ? `continue ${node.label};` : 'continue;';
+
+      case 'PrintStatement':
+        return `console.log(${this.js(node.value, Prec.ASSIGN)});`;
+
+      case 'AssertStatement': {
+        const message = node.message ? this.js(node.message, Prec.ASSIGN) : JSON.stringify('Assertion failed');
+        return `if (!${this.js(node.condition, Prec.UNARY)}) throw new ${this.reference('AssertionError')}(${message});`;
+      }
+
+      case 'DebugStatement': {
+        const label = JSON.stringify(`[DEBUG] ${this.expressionString(node.expression)} =`);
+        return `console.log(${label}, ${this.js(node.expression, Prec.ASSIGN)});`;
+      }
+
+      case 'ImportStatement':
+        return this.importCode(node);
+
+      case 'ExportStatement':
+        return this.exportCode(node);
+
+      case 'MatchExpr':
+        return this.matchCode(node);
+
+      case 'DecoratedDeclaration':
+        return this.decoratedCode(node);
+
+      case 'WithStatement':
+        return this.withCode(node);
+
+      default:
+        return this.expressionStatement(node);
+    }
+  }
+
+  expressionStatement(node) {
+    const code = this.js(node);
+    // A statement can't start with something JavaScript would read as a declaration or block
+    return /^(\{|function\b|async function\b|class\b|let \[)/.test(code.replace(/\u0000\d+\u0001/g, '')) ? `(${code});` : `${code};`;
+  }
+
+  // let [a, b = 1, ...rest] = value / let { x, y: alias, ...rest } = value
+  destructuring(node) {
+    const names = node.pattern.filter(Boolean).map(element => element.name);
+    const fresh = names.map(name => this.declare(name)).every(Boolean);
+    const element = item => {
+      if (!item) return '';
+      if (item.type === 'rest') return `...${this.identifier(item.name)}`;
+      let target = this.identifier(item.name);
+      if (item.key !== undefined && target !== item.key) {
+        target = `${propertyKey(item.key)}: ${target}`;
+      }
+      return item.default ? `${target} = ${this.js(item.default, Prec.ASSIGN)}` : target;
+    };
+    const items = node.pattern.map(element);
+    const pattern = node.isArray ? `[${items.join(', ')}]` : `{ ${items.join(', ')} }`;
+    const value = this.js(node.value, Prec.ASSIGN);
+    if (!fresh) {
+      return node.isArray ? `${pattern} = ${value};` : `(${pattern} = ${value});`;
+    }
+    return `${node.isConst ? 'const' : 'let'} ${pattern} = ${value};`;
+  }
+
+  switchCode(node) {
+    this.level++;
+    const casePad = this.pad();
+    const cases = node.cases.map(switchCase => {
+      const head = switchCase.test === null ? 'default:' : `case ${this.js(switchCase.test)}:`;
+      if (switchCase.consequent.length === 0) return casePad + head;
+      // A case that declares something gets its own block, as in VoxelScript
+      if (this.declaredNames(switchCase.consequent).length > 0) {
+        return `${casePad}${head} ${this.block(switchCase.consequent)}`;
+      }
+      this.level++;
+      const body = this.withScope([], () => this.statementList(switchCase.consequent));
+      this.level--;
+      return `${casePad}${head}\n${body}`;
+    });
+    this.level--;
+    return `switch (${this.js(node.discriminant)}) {\n${cases.join('\n')}\n${this.pad()}}`;
+  }
+
+  loopCode(node) {
+    switch (node.type) {
+      case 'WhileStatement':
+        return `while (${this.js(node.condition)}) ${this.body(node.body)}`;
+
+      case 'DoWhileStatement':
+        return `do ${this.body(node.body)} while (${this.js(node.condition)});`;
+
+      case 'LoopStatement':
+        return this.countingLoop(node.variable, node.from, node.to, node.step, node.body, false);
+
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const iterable = node.iterable;
+        if (node.type === 'ForInStatement' && iterable.type === 'RangeExpr' && !this.assigns(node.body, node.variable)) {
+          return this.countingLoop(node.variable, iterable.start, iterable.end, null, node.body, iterable.inclusive);
+        }
+        let source = this.js(iterable, Prec.ASSIGN);
+        const direct = ['ArrayLiteral', 'RangeExpr', 'ListComprehension'].includes(iterable.type) ||
+          (iterable.type === 'FunctionCall' && iterable.callee.type === 'Identifier' &&
+            (this.isBuiltin(iterable.callee.name) ? iterable.callee.name === 'range' : this.asyncGenerators.has(iterable.callee.name)));
+        if (node.type === 'ForInStatement' && !direct) {
+          source = `__voxel.iterate(${source})`;
+        }
+        const kind = this.assigns(node.body, node.variable) ? 'let' : 'const';
+        const loop = this.isAsyncIteration(iterable) ? 'for await' : 'for';
+        return `${loop} (${kind} ${this.identifier(node.variable)} of ${source}) ${this.body(node.body, [node.variable])}`;
+      }
+
+      default:
+        throw new Error(`Expected a loop, got ${node.type}`);
+    }
+  }
+
+  // loop i from a to b step s, and for i in a..b: bounds are evaluated once
+  countingLoop(variable, from, to, step, body, inclusive) {
+    const name = this.identifier(variable);
+    const init = [`let ${name} = ${this.js(from, Prec.ASSIGN)}`];
+    let end;
+    if (this.isConstant(to, body)) {
+      end = this.js(to, Prec.RELATIONAL + 1);
+    } else {
+      init.push(`__end = ${this.js(to, Prec.ASSIGN)}`);
+      end = '__end';
+    }
+
+    const stepValue = !step ? 1
+      : step.type === 'NumberLiteral' ? step.value
+        : step.type === 'UnaryExpr' && step.operator === '-' && step.operand.type === 'NumberLiteral' ? -step.operand.value
+          : null;
+    let test;
+    let update;
+    if (stepValue === null) {
+      init.push(`__step = ${this.js(step, Prec.ASSIGN)}`);
+      test = `__step > 0 ? ${name} < ${end} : ${name} > ${end}`;
+      update = `${name} += __step`;
+    } else {
+      test = `${name} ${stepValue > 0 ? (inclusive ? '<=' : '<') : '>'} ${end}`;
+      update = stepValue === 1 ? `${name}++` : stepValue === -1 ? `${name}--`
+        : stepValue > 0 ? `${name} += ${stepValue}` : `${name} -= ${-stepValue}`;
+    }
+    return `for (${init.join(', ')}; ${test}; ${update}) ${this.body(body, [variable])}`;
+  }
+
+  // A loop bound that can be re-read every iteration: a literal, or a variable the body leaves alone
+  isConstant(node, body) {
+    if (['NumberLiteral', 'StringLiteral', 'BoolLiteral', 'NullLiteral'].includes(node.type)) return true;
+    return node.type === 'Identifier' && !this.assigns(body, node.name);
+  }
+
+  assigns(body, name) {
+    let found = false;
+    forEachNode({ body }, node => {
+      if ((node.type === 'Assignment' && node.target.type === 'Identifier' && node.target.name === name) ||
+          (node.type === 'UpdateExpr' && node.operand.type === 'Identifier' && node.operand.name === name)) {
+        found = true;
+      }
+      return !found;
+    });
+    return found;
+  }
+
+  importCode(node) {
+    const source = JSON.stringify(this.resolveImport(node.source));
+    this.imports.push(node.source);
+    const namespace = node.specifiers.find(spec => spec.type === 'namespace');
+    const defaultSpec = node.specifiers.find(spec => spec.type === 'default');
+    const named = node.specifiers.filter(spec => spec.type === 'named').map(spec => {
+      this.declare(spec.local);
+      return spec.imported === spec.local ? spec.local : `${spec.imported} as ${this.identifier(spec.local)}`;
+    });
+    const clauses = [];
+    if (defaultSpec) clauses.push(this.identifier(defaultSpec.name));
+    if (namespace) clauses.push(`* as ${this.identifier(namespace.name)}`);
+    if (named.length > 0) clauses.push(`{ ${named.join(', ')} }`);
+    return clauses.length > 0 ? `import ${clauses.join(', ')} from ${source};` : `import ${source};`;
+  }
+
+  exportCode(node) {
+    if (node.isDefault) {
+      return `export default ${this.js(node.declaration, Prec.ASSIGN)};`;
+    }
+    if (node.declaration) {
+      return `export ${this.statementCode(node.declaration)}`;
+    }
+    const specifiers = node.specifiers.map(spec =>
+      spec.local === spec.exported ? spec.local : `${spec.local} as ${spec.exported}`).join(', ');
+    if (node.source) {
+      this.imports.push(node.source);
+      return `export { ${specifiers} } from ${JSON.stringify(this.resolveImport(node.source))};`;
+    }
+    return `export { ${specifiers} };`;
+  }
+
+  // @memo @log("x") fn f() {} - the declaration, then each decorator applied innermost first
+  decoratedCode(node) {
+    const declaration = node.declaration;
+    const code = this.statementCode(declaration);
+    if (!declaration.name) {
+      return `${code}\n${this.pad()}// decorators need a named declaration`;
+    }
+    const name = this.identifier(declaration.name);
+    const lines = [code];
+    for (let i = node.decorators.length - 1; i >= 0; i--) {
+      const decorator = node.decorators[i];
+      const args = [name, ...decorator.args.map(arg => this.js(arg, Prec.ASSIGN))];
+      const call = `${this.reference(decorator.name)}(${args.join(', ')})`;
+      lines.push(`${name} = ${this.asyncNames.has(decorator.name) ? 'await ' : ''}${call};`);
+    }
+    return lines.join(`\n${this.pad()}`);
+  }
+
+  // with resource as name { ... } - __enter__ before the body, __exit__ however it ends
+  withCode(node) {
+    const name = node.alias ? this.identifier(node.alias) : '__resource';
+    const wait = this.asyncMembers.has('__enter__') || this.asyncMembers.has('__exit__') ? 'await ' : '';
+    this.level++;
+    const pad = this.pad();
+    const value = this.js(node.object, Prec.ASSIGN);
+    const body = this.block(node.body.statements, node.alias ? [node.alias] : []);
+    this.level--;
+    return [
+      '{',
+      `${pad}const ${name} = ${value};`,
+      `${pad}${wait}${name}?.__enter__?.();`,
+      `${pad}try ${body} finally {`,
+      `${pad}  ${wait}${name}?.__exit__?.();`,
+      `${pad}}`,
+      `${this.pad()}}`
+    ].join('\n');
+  }
+
+  // ===== MATCH =====
+
+  // An if/else chain over the arms; with guards, a labeled block each matching arm breaks out of
+  matchCode(node) {
+    this.matchDepth++;
+    try {
+      const suffix = this.matchDepth > 1 ? String(this.matchDepth) : '';
+      const simple = node.discriminant.type === 'Identifier' || node.discriminant.type === 'ThisExpr';
+      const subject = simple ? this.js(node.discriminant) : `__value${suffix}`;
+      const hasGuard = node.arms.some(arm => arm.guard);
+      const wrapped = hasGuard || !simple;
+
+      if (wrapped) this.level++;
+      const lines = simple ? [] : [`const ${subject} = ${this.js(node.discriminant, Prec.ASSIGN)};`];
+      lines.push(...(hasGuard ? this.guardedArms(node, subject, `match${suffix}`) : [this.armChain(node, subject)]));
+      if (!wrapped) return lines[0];
+
+      const pad = this.pad();
+      this.level--;
+      const head = hasGuard ? `match${suffix}: ` : '';
+      return `${head}{\n${lines.map(line => pad + line).join('\n')}\n${this.pad()}}`;
+    } finally {
+      this.matchDepth--;
+    }
+  }
+
+  // if (test) { ... } else if (test) { ... } else { throw }
+  armChain(node, subject) {
+    let chain = '';
+    for (const arm of node.arms) {
+      const test = this.patternTest(arm.pattern, subject);
+      const code = this.armBlock(arm, subject, this.armStatements(arm.body));
+      if (!test) {
+        return chain ? `${chain} else ${code}` : code;
+      }
+      chain += `${chain ? ' else ' : ''}if (${test}) ${code}`;
+    }
+    return `${chain} else {\n${this.pad()}  ${this.noMatch(node, subject)}\n${this.pad()}}`;
+  }
+
+  // if (test) { bindings; if (guard) { ...; break match; } } for each arm, then throw
+  guardedArms(node, subject, label) {
+    const lines = [];
+    for (const arm of node.arms) {
+      const test = this.patternTest(arm.pattern, subject);
+      const exit = { epilogue: () => [`break ${label};`] };
+      const code = arm.guard
+        ? this.armBlock(arm, subject, [], () => [`if (${this.js(arm.guard)}) ${this.block(this.armStatements(arm.body), [], exit)}`])
+        : this.armBlock(arm, subject, this.armStatements(arm.body), null, exit.epilogue);
+      lines.push(test ? `if (${test}) ${code}` : code);
+      if (!test && !arm.guard) return lines;
+    }
+    lines.push(this.noMatch(node, subject));
+    return lines;
+  }
+
+  noMatch(node, subject) {
+    const { line = null, column = null } = node.loc ? node.loc.start : {};
+    return `throw __voxel.matchError(${subject}, ${line}, ${column});`;
+  }
+
+  // catch (e: IOError) { ... } catch (e) { ... } as one catch block testing each clause in turn
+  typedCatch(handlers) {
+    this.level++;
+    const pad = this.pad();
+    const lines = ['__error = __voxel.caught(__error);'];
+    let chain = '';
+    for (const handler of handlers) {
+      const params = handler.param ? [handler.param] : [];
+      const code = this.block(handler.body.statements, params, {
+        prologue: () => params.map(param => `const ${this.identifier(param)} = __error;`)
+      });
+      if (!handler.typeAnnotation) {
+        chain += chain ? ` else ${code}` : code;
+        break;
+      }
+      chain += `${chain ? ' else ' : ''}if (${this.typeTest(handler.typeAnnotation, '__error')}) ${code}`;
+    }
+    if (handlers.every(handler => handler.typeAnnotation)) {
+      chain += ` else {\n${pad}  throw __error;\n${pad}}`;
+    }
+    lines.push(chain);
+    this.level--;
+    return `{\n${lines.map(line => pad + line).join('\n')}\n${this.pad()}}`;
+  }
+
+  // JavaScript condition for `subject` fitting a type annotation such as `IOError | ValueError`
+  typeTest(annotation, subject) {
+    if (annotation.kind === 'union') {
+      return annotation.types.map(type => this.typeTest(type, subject)).join(' || ');
+    }
+    if (annotation.kind === 'array') return `Array.isArray(${subject})`;
+    if (annotation.kind === 'object') return `__voxel.isType(${subject}, "object")`;
+    return `__voxel.isType(${subject}, ${JSON.stringify(annotation.name)})`;
+  }
+
+  // Block that binds the arm's pattern variables before `statements`
+  armBlock(arm, subject, statements, guard = null, epilogue = null) {
+    const bindings = this.patternBindings(arm.pattern, subject);
+    return this.block(statements, bindings.map(([name]) => name), {
+      prologue: () => [
+        ...bindings.map(([name, value]) => `const ${this.identifier(name)} = ${value};`),
+        ...(guard ? guard() : [])
+      ],
+      epilogue
+    });
+  }
+
+  armStatements(body) {
+    return body.type === 'Block' ? body.statements : [body];
+  }
+
+  // JavaScript condition for `subject` matching `pattern`, or null when it always matches
+  patternTest(pattern, subject) {
+    switch (pattern.type) {
+      case 'WildcardPattern':
+        return null;
+
+      case 'BindingPattern':
+        return this.isUnitVariant(pattern.name) ? `${subject} === ${this.reference(pattern.name)}` : null;
+
+      case 'VariantPattern': {
+        const tests = [`__voxel.isVariant(${subject}, ${this.js(pattern.callee, Prec.ASSIGN)})`];
+        pattern.args.forEach((arg, i) => {
+          const test = this.patternTest(arg, `${subject}.__values__[${i}]`);
+          if (test) tests.push(test);
+        });
+        return tests.join(' && ');
+      }
+
+      case 'LiteralPattern':
+        return `${subject} === ${this.js(pattern.value, Prec.RELATIONAL)}`;
+
+      case 'RangePattern':
+        return `${subject} >= ${this.js(pattern.start, Prec.SHIFT)} && ` +
+          `${subject} ${pattern.inclusive ? '<=' : '<'} ${this.js(pattern.end, Prec.SHIFT)}`;
+
+      case 'ArrayPattern': {
+        const restAt = pattern.elements.findIndex(element => element.type === 'rest');
+        const length = restAt === -1 ? pattern.elements.length : restAt;
+        const tests = [`Array.isArray(${subject})`];
+        if (length > 0) tests.push(`${subject}.length >= ${length}`);
+        pattern.elements.slice(0, length).forEach((element, i) => {
+          const test = this.patternTest(element, `${subject}[${i}]`);
+          if (test) tests.push(test);
+        });
+        return tests.join(' && ');
+      }
+
+      case 'ObjectPattern': {
+        const tests = [`__voxel.isType(${subject}, "object")`];
+        for (const property of pattern.properties) {
+          if (property.type === 'rest') continue;
+          tests.push(`${JSON.stringify(property.key)} in ${subject}`);
+          const test = this.patternTest(property.pattern, propertyAccess(subject, property.key));
+          if (test) tests.push(test);
+        }
+        return tests.join(' && ');
+      }
+
+      case 'OrPattern': {
+        const tests = pattern.patterns.map(sub => this.patternTest(sub, subject));
+        if (tests.includes(null)) return null;
+        return `(${tests.join(' || ')})`;
+      }
+
+      case 'TypePattern': {
+        switch (pattern.typeName.toLowerCase()) {
+          case 'number':
+          case 'string':
+          case 'function':
+            return `typeof ${subject} === ${JSON.stringify(pattern.typeName.toLowerCase())}`;
+          case 'boolean':
+          case 'bool':
+            return `typeof ${subject} === "boolean"`;
+          case 'array':
+            return `Array.isArray(${subject})`;
+          case 'null':
+            return `${subject} === null`;
+          default:
+            return `__voxel.isType(${subject}, ${JSON.stringify(pattern.typeName)})`;
+        }
+      }
+
+      default:
+        throw new Error(`Cannot compile pattern: ${pattern.type}`);
+    }
+  }
+
+  // [name, value] pairs a successful match binds
+  patternBindings(pattern, subject) {
+    switch (pattern.type) {
+      case 'BindingPattern':
+        return this.isUnitVariant(pattern.name) ? [] : [[pattern.name, subject]];
+
+      case 'VariantPattern':
+        return pattern.args.flatMap((arg, i) => this.patternBindings(arg, `${subject}.__values__[${i}]`));
+
+      case 'ArrayPattern':
+        return pattern.elements.flatMap((element, i) => element.type === 'rest'
+          ? [[element.name, `${subject}.slice(${i})`]]
+          : this.patternBindings(element, `${subject}[${i}]`));
+
+      case 'ObjectPattern': {
+        const keys = pattern.properties.filter(property => property.type !== 'rest').map(property => property.key);
+        return pattern.properties.flatMap(property => property.type === 'rest'
+          ? [[property.name, `__voxel.omit(${subject}, ${JSON.stringify(keys)})`]]
+          : this.patternBindings(property.pattern, propertyAccess(subject, property.key)));
+      }
+
+      case 'OrPattern': {
+        // Each name takes its value from the first alternative that matches
+        const alternatives = pattern.patterns.map(sub => ({
+          test: this.patternTest(sub, subject) || 'true',
+          bindings: new Map(this.patternBindings(sub, subject))
+        }));
+        const names = [...new Set(alternatives.flatMap(alternative => [...alternative.bindings.keys()]))];
+        return names.map(name => [name, alternatives.reduceRight((otherwise, alternative) =>
+          `${alternative.test} ? ${alternative.bindings.get(name) ?? 'undefined'} : ${otherwise}`, 'undefined')]);
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  // ===== CLASSES AND FUNCTIONS =====
+
+  classCode(node) {
+    const parent = node.superClass ? ` extends ${this.reference(node.superClass)}` : '';
+    this.level++;
+    const pad = this.pad();
+    const fields = [];
+    const methods = [];
+    for (const element of node.body) {
+      const isStatic = element.isStatic ? 'static ' : '';
+      if (element.type === 'MethodDefinition' && !element.isStatic && OVERLOAD_METHODS.has(element.key)) {
+        throw new Error(`Cannot compile ${node.name}.${element.key}: compiled code uses JavaScript's own operators, indexing, len() and print, which don't call it`);
+      }
+      if (element.access !== 'public') {
+        throw new Error(`Cannot compile ${node.name}.${element.key}: ${element.access} members are only enforced by the interpreter`);
+      }
+      if (element.type === 'PropertyDefinition') {
+        const value = element.value ? this.js(element.value, Prec.ASSIGN) : 'null';
+        fields.push(`${pad}${this.mark(element)}${isStatic}${propertyKey(element.key)} = ${value};`);
+      } else if (element.type === 'MethodDefinition' && !element.isAbstract) {
+        methods.push(`${pad}${this.mark(element)}${isStatic}${this.methodCode(element, node)}`);
+      }
+    }
+    // JavaScript has no abstract classes; an abstract one without a constructor gets one for the guard
+    if (node.isAbstract && !node.body.some(element => element.kind === 'constructor')) {
+      const prologue = () => [this.abstractGuard(node), ...(node.superClass ? ['super(...arguments);'] : [])];
+      methods.unshift(`${pad}constructor() ${this.block([], [], { prologue })}`);
+    }
+    this.level--;
+    const sections = [fields.join('\n'), methods.join('\n\n')].filter(Boolean);
+    return sections.length > 0
+      ? `class ${this.identifier(node.name)}${parent} {\n${sections.join('\n\n')}\n${this.pad()}}`
+      : `class ${this.identifier(node.name)}${parent} {}`;
+  }
+
+  methodCode(element, classNode) {
+    const isAsync = this.asyncFunctions.has(element);
+    const kind = element.kind === 'get' || element.kind === 'set' ? `${element.kind} ` : '';
+    if (isAsync && (element.kind !== 'method')) {
+      throw new Error(`Cannot compile ${classNode.name}.${element.key}: a ${element.kind === 'constructor' ? 'constructor' : `${element.kind}ter`} can't await in JavaScript`);
+    }
+    // A derived VoxelScript constructor doesn't call super; JavaScript needs it before `this`
+    const needsSuper = element.kind === 'constructor' && classNode.superClass && !this.callsSuper(element.body);
+    const guard = element.kind === 'constructor' && classNode.isAbstract;
+    const prologue = needsSuper || guard
+      ? () => [...(guard ? [this.abstractGuard(classNode)] : []), ...(needsSuper ? ['super(...arguments);'] : [])]
+      : null;
+    return `${isAsync ? 'async ' : ''}${kind}${element.key}(${this.params(element.params)}) ` +
+      this.block(element.body.statements, this.paramNames(element.params), { prologue });
+  }
+
+  // Subclasses pass, since new.target is then the subclass
+  abstractGuard(classNode) {
+    const message = JSON.stringify(`Cannot create an instance of abstract class '${classNode.name}'`);
+    return `if (new.target === ${this.identifier(classNode.name)}) throw new Error(${message});`;
+  }
+
+  callsSuper(body) {
+    let found = false;
+    forEachNode({ body }, node => {
+      if (node.type === 'FunctionCall' && (node.callee.type === 'SuperExpr' ||
+          (node.callee.type === 'MemberAccess' && node.callee.object.type === 'SuperExpr' && node.callee.property === 'constructor'))) {
+        found = true;
+      }
+      return !found;
+    }, false);
+    return found;
+  }
+
+  paramNames(params) {
+    return params.map(param => typeof param === 'string' ? param : param.name);
+  }
+
+  params(params) {
+    return params.map(param => {
+      if (typeof param === 'string') return this.identifier(param);
+      if (param.type === 'rest') return `...${this.identifier(param.name)}`;
+      return param.default
+        ? `${this.identifier(param.name)} = ${this.js(param.default, Prec.ASSIGN)}`
+        : this.identifier(param.name);
+    }).join(', ');
+  }
+
+  functionCode(node) {
+    const isAsync = this.asyncFunctions.has(node) ? 'async ' : '';
+    const star = node.type === 'GeneratorDeclaration' ? '*' : '';
+    const name = node.name ? ` ${this.identifier(node.name)}` : '';
+    const names = this.paramNames(node.params);
+    return `${isAsync}function${star}${name}${name ? '' : ' '}(${this.withScope(names, () => this.params(node.params))}) ` +
+      this.block(node.body.statements, names);
+  }
+
+  arrowCode(node) {
+    const isAsync = this.asyncFunctions.has(node) ? 'async ' : '';
+    const names = this.paramNames(node.params);
+    const simple = node.params.length === 1 && (typeof node.params[0] === 'string' ||
+      (node.params[0].type === 'param' && !node.params[0].default));
+    const params = this.withScope(names, () => this.params(node.params));
+    const head = `${isAsync}${simple ? params : `(${params})`} =>`;
+
+    // Expression bodies were parsed as a lone return; give them back their concise form
+    const statements = node.body.statements;
+    if (statements.length === 1 && statements[0].type === 'ReturnStatement' && statements[0].value) {
+      const value = this.withScope(names, () => this.js(statements[0].value, Prec.ASSIGN));
+      return `${head} ${value.replace(/\u0000\d+\u0001/g, '').startsWith('{') ? `(${value})` : value}`;
+    }
+    return `${head} ${this.block(statements, names)}`;
+  }
+
+  // ===== EXPRESSIONS =====
+
+  // JavaScript for `node`, parenthesized if it binds more loosely than `prec`
+  js(node, prec = 0) {
+    const { code, prec: own } = this.expression(node);
+    return own < prec ? `(${code})` : code;
+  }
+
+  expression(node) {
+    const result = (code, prec = Prec.PRIMARY) => ({ code, prec });
+
+    switch (node.type) {
+      case 'NumberLiteral':
+        return result(String(node.value));
+
+      case 'StringLiteral':
+        return result(JSON.stringify(node.value));
+
+      case 'BoolLiteral':
+        return result(String(node.value));
+
+      case 'NullLiteral':
+        return result('null');
+
+      case 'TemplateLiteral': {
+        const parts = node.parts.map(part => part.type === 'string'
+          ? part.value.replace(/[\\`]|\$\{|[\u0000-\u001f]/g, char =>
+            char === '\n' ? '\\n' : char === '\t' ? '\\t' : char.length === 2 || char === '\\' || char === '`'
+              ? `\\${char}` : `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)
+          : `\${${this.js(part.value)}}`);
+        return result(`\`${parts.join('')}\``);
+      }
+
+      case 'ArrayLiteral':
+        return result(`[${node.elements.map(element => element === null ? '' : this.js(element, Prec.ASSIGN)).join(', ')}]`);
+
+      case 'ObjectLiteral': {
+        const properties = Object.entries(node.properties).map(([key, value]) => {
+          if (key.startsWith('...spread')) return `...${this.js(value.argument, Prec.ASSIGN)}`;
+          const code = this.js(value, Prec.ASSIGN);
+          return value.type === 'Identifier' && code === key ? key : `${propertyKey(key)}: ${code}`;
+        });
+        return result(properties.length > 0 ? `{ ${properties.join(', ')} }` : '{}');
+      }
+
+      case 'SpreadElement':
+        return result(`...${this.js(node.argument, Prec.ASSIGN)}`, Prec.ASSIGN);
+
+      case 'Identifier':
+        return result(this.reference(node.name));
+
+      case 'ThisExpr':
+        return result('this');
+
+      case 'SuperExpr':
+        return result('super');
+
+      case 'BinaryExpr': {
+        let [operator, prec] = BINARY_OPERATORS[node.operator];
+        // Scripts test for missing values with `== null`, which covers what JavaScript leaves undefined
+        if ((node.operator === '==' || node.operator === '!=') &&
+            (node.left.type === 'NullLiteral' || node.right.type === 'NullLiteral')) {
+          operator = node.operator;
+        }
+        if (operator === '**') {
+          return result(`${this.js(node.left, Prec.POSTFIX)} ** ${this.js(node.right, Prec.EXPONENT)}`, prec);
+        }
+        return result(`${this.js(node.left, prec)} ${operator} ${this.js(node.right, prec + 1)}`, prec);
+      }
+
+      case 'UnaryExpr': {
+        const operator = node.operator === 'not' ? '!' : node.operator;
+        let operand = this.js(node.operand, Prec.UNARY);
+        if (operator === '-' && operand.startsWith('-')) operand = `(${operand})`;
+        return result(`${operator}${operand}`, Prec.UNARY);
+      }
+
+      case 'UpdateExpr':
+        return node.prefix
+          ? result(`${node.operator}${this.place(node.operand)}`, Prec.UNARY)
+          : result(`${this.place(node.operand)}${node.operator}`, Prec.POSTFIX);
+
+      case 'Assignment':
+        return result(`${this.place(node.target)} ${node.operator} ${this.js(node.value, Prec.ASSIGN)}`, Prec.ASSIGN);
+
+      case 'TernaryExpr':
+        return result(`${this.js(node.condition, Prec.NULLISH)} ? ${this.js(node.consequent, Prec.ASSIGN)} : ` +
+          this.js(node.alternate, Prec.ASSIGN), Prec.CONDITIONAL);
+
+      case 'NullishCoalescing': {
+        // JavaScript refuses to mix ?? with || and && without parentheses
+        const operand = child => {
+          const { code, prec } = this.expression(child);
+          return prec < Prec.NULLISH || prec === Prec.OR || prec === Prec.AND ? `(${code})` : code;
+        };
+        return result(`${operand(node.left)} ?? ${operand(node.right)}`, Prec.NULLISH);
+      }
+
+      case 'OptionalChain':
+        return result(node.computed
+          ? `${this.js(node.object, Prec.CALL)}?.[${this.js(node.property)}]`
+          : `${this.js(node.object, Prec.CALL)}?.${node.property}`, Prec.CALL);
+
+      case 'PipeExpr': {
+        const call = `${this.js(node.right, Prec.CALL)}(${this.js(node.left, Prec.ASSIGN)})`;
+        return this.isAsyncCallee(node.right)
+          ? result(`await ${call}`, Prec.UNARY)
+          : result(call, Prec.CALL);
+      }
+
+      case 'FunctionDeclaration':
+      case 'GeneratorDeclaration':
+        return result(this.functionCode(node));
+
+      case 'ArrowFunction':
+        return result(this.arrowCode(node), Prec.ASSIGN);
+
+      case 'FunctionCall':
+        return this.callExpression(node);
+
+      case 'NewExpr': {
+        const callee = this.isMemberChain(node.callee) ? this.js(node.callee, Prec.CALL) : `(${this.js(node.callee)})`;
+        return result(`${this.mark(node)}new ${callee}(${this.args(node.args)})`, Prec.CALL);
+      }
+
+      case 'AwaitExpr':
+        return result(`await ${this.js(node.argument, Prec.UNARY)}`, Prec.UNARY);
+
+      case 'SpawnExpr':
+        return result(this.spawnCode(node.argument), Prec.CALL);
+
+      case 'YieldExpr': {
+        const keyword = node.delegate ? 'yield*' : 'yield';
+        return result(node.argument ? `${keyword} ${this.js(node.argument, Prec.ASSIGN)}` : keyword, Prec.ASSIGN);
+      }
+
+      case 'InputExpr':
+        return result(`await __voxel.input(${this.args([node.prompt, node.token].filter(Boolean))})`, Prec.UNARY);
+
+      case 'TypeOfExpr':
+        return result(`__voxel.typeOf(${this.js(node.argument, Prec.ASSIGN)})`, Prec.CALL);
+
+      case 'InstanceOfExpr':
+        return result(`${this.js(node.left, Prec.RELATIONAL)} instanceof ${this.js(node.right, Prec.SHIFT)}`, Prec.RELATIONAL);
+
+      case 'DeleteExpr':
+        if (node.argument.type !== 'MemberAccess' && node.argument.type !== 'IndexAccess') {
+          throw new Error(`Cannot compile 'delete' of a variable at line ${node.loc.start.line}`);
+        }
+        return result(`delete ${this.place(node.argument)}`, Prec.UNARY);
+
+      case 'IndexAccess':
+        return result(`${this.js(node.object, Prec.CALL)}[${this.js(node.index)}]`, Prec.CALL);
+
+      case 'MemberAccess': {
+        // A method read off an instance stays bound to it, as `obj.method` is in VoxelScript
+        const object = node.object.type === 'Identifier' || node.object.type === 'ThisExpr' ? this.js(node.object) : null;
+        return object && this.methodNames.has(node.property)
+          ? result(`${object}.${node.property}.bind(${object})`, Prec.CALL)
+          : result(this.place(node), Prec.CALL);
+      }
+
+      case 'RangeExpr':
+        return result(`__voxel.range(${this.js(node.start, Prec.ASSIGN)}, ${this.js(node.end, Prec.ASSIGN)}` +
+          `${node.inclusive ? ', true' : ''})`, Prec.CALL);
+
+      case 'ListComprehension':
+      case 'DictComprehension':
+        return this.comprehension(node);
+
+      case 'LazyExpr': {
+        const isAsync = this.containsAwait(node.expression) ? 'async ' : '';
+        return result(`__voxel.lazy(${isAsync}() => ${this.js(node.expression, Prec.ASSIGN)})`, Prec.CALL);
+      }
+
+      default:
+        throw new Error(`Cannot compile ${node.type} to JavaScript` + (node.loc ? ` at line ${node.loc.start.line}` : ''));
+    }
+  }
+
+  callExpression(node) {
+    let callee;
+    if (node.callee.type === 'Identifier' && node.callee.name === 'print' && this.isBuiltin('print')) {
+      callee = 'console.log';
+    } else if (node.callee.type === 'MemberAccess' && node.callee.object.type === 'SuperExpr' && node.callee.property === 'constructor') {
+      callee = 'super';
+    } else {
+      callee = this.place(node.callee);
+    }
+    const call = `${this.mark(node)}${callee}(${this.args(node.args)})`;
+    return this.awaitsCall(node) ? { code: `await ${call}`, prec: Prec.UNARY } : { code: call, prec: Prec.CALL };
+  }
+
+  // An assignable place or callee: member accesses as written, without binding methods
+  place(node) {
+    return node.type === 'MemberAccess'
+      ? `${this.js(node.object, Prec.CALL)}.${node.property}`
+      : this.js(node, Prec.CALL);
+  }
+
+  args(args) {
+    return args.map(arg => this.js(arg, Prec.ASSIGN)).join(', ');
+  }
+
+  // spawn f(x) passes f and the evaluated arguments, as the interpreter does; other calls and
+  // plain function values start from a closure
+  spawnCode(argument) {
+    if (argument.type === 'FunctionCall' && argument.callee.type === 'Identifier') {
+      return `__voxel.spawn(${this.js(argument.callee, Prec.ASSIGN)}, [${this.args(argument.args)}])`;
+    }
+    if (argument.type === 'FunctionCall') {
+      const isAsync = this.containsAwait(argument) ? 'async ' : '';
+      return `__voxel.spawn(${isAsync}() => ${this.js(argument, Prec.ASSIGN)})`;
+    }
+    return `__voxel.spawn(${this.js(argument, Prec.ASSIGN)})`;
+  }
+
+  isMemberChain(node) {
+    if (node.type === 'Identifier') return true;
+    return node.type === 'MemberAccess' && this.isMemberChain(node.object);
+  }
+
+  // [expr for x in items if cond] - filter/map over the items, or an async loop when the body awaits
+  comprehension(node) {
+    const variable = this.identifier(node.variable);
+    const names = [node.variable];
+    const scoped = child => this.withScope(names, () => this.js(child, Prec.ASSIGN));
+    const items = ['ArrayLiteral', 'RangeExpr', 'ListComprehension'].includes(node.iterable.type)
+      ? this.js(node.iterable, Prec.CALL)
+      : `__voxel.list(${this.js(node.iterable, Prec.ASSIGN)})`;
+    const isDict = node.type === 'DictComprehension';
+    const parts = isDict ? [node.key, node.value] : [node.element];
+    const awaits = [...parts, node.condition].some(part => part && this.containsAwait(part));
+
+    if (awaits) {
+      const push = isDict
+        ? `result[${scoped(node.key)}] = ${scoped(node.value)};`
+        : `result.push(${scoped(node.element)});`;
+      const body = node.condition ? `if (${scoped(node.condition)}) ${push}` : push;
+      return {
+        code: `await (async () => { const result = ${isDict ? '{}' : '[]'}; ` +
+          `for (const ${variable} of ${items}) ${body} return result; })()`,
+        prec: Prec.UNARY
+      };
+    }
+
+    let code = items;
+    if (node.condition) code += `.filter(${variable} => ${scoped(node.condition)})`;
+    if (isDict) {
+      code = `Object.fromEntries(${code}.map(${variable} => [${scoped(node.key)}, ${scoped(node.value)}]))`;
+    } else if (!node.condition || !(node.element.type === 'Identifier' && node.element.name === node.variable)) {
+      code += `.map(${variable} => ${scoped(node.element)})`;
+    }
+    return { code, prec: Prec.CALL };
+  }
+
+  // The source text `debug` prints next to the value
+  expressionString(node) {
+    switch (node.type) {
+      case 'Identifier': return node.name;
+      case 'NumberLiteral': return String(node.value);
+      case 'StringLiteral': return `"${node.value}"`;
+      case 'MemberAccess': return `${this.expressionString(node.object)}.${node.property}`;
+      case 'IndexAccess': return `${this.expressionString(node.object)}[${this.expressionString(node.index)}]`;
+      case 'BinaryExpr': return `${this.expressionString(node.left)} ${node.operator} ${this.expressionString(node.right)}`;
+      default: return '<expression>';
+    }
+  }
+
+  // ===== SOURCE MAP =====
+
+  // Zero-width marker tying the next generated column to `node`'s source position
+  mark(node) {
+    if (!node.loc) return '';
+    this.locations.push(node.loc.start);
+    return `\u0000${this.locations.length - 1}\u0001`;
+  }
+
+  // Strip the markers, turning their positions into Source Map v3 mappings
+  finish(text) {
+    const lines = [];
+    const mappings = [];
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    for (const line of text.split('\n')) {
+      const segments = [];
+      let output = '';
+      let last = 0;
+      let column = 0;
+      let lastColumn = -1;
+      line.replace(/\u0000(\d+)\u0001/g, (marker, index, offset) => {
+        output += line.slice(last, offset);
+        last = offset + marker.length;
+        if (output.length === lastColumn) return marker;
+        const location = this.locations[index];
+        segments.push(encodeVLQ(output.length - column) + encodeVLQ(0) +
+          encodeVLQ(location.line - 1 - sourceLine) + encodeVLQ(location.column - 1 - sourceColumn));
+        column = lastColumn = output.length;
+        sourceLine = location.line - 1;
+        sourceColumn = location.column - 1;
+        return marker;
+      });
+      lines.push(output + line.slice(last));
+      mappings.push(segments.join(','));
+    }
+
+    const outDir = this.outFile ? path.dirname(this.outFile) : null;
+    const map = {
+      version: 3,
+      file: this.outFile ? path.basename(this.outFile) : '',
+      sources: [!this.file ? '<input>' : outDir ? path.relative(outDir, this.file).split(path.sep).join('/') : path.basename(this.file)],
+      sourcesContent: [this.source],
+      names: [],
+      mappings: mappings.join(';')
+    };
+    return { code: lines.join('\n'), map, imports: this.imports };
+  }
+}
+
+// Compile a parsed program; see Transpiler for the options
+function transpile(program, options = {}) {
+  return new Transpiler(options).transpile(program);
+}
+
+module.exports = { Transpiler, transpile };
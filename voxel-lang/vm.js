@@ -0,0 +1,857 @@
+// VoxelScript Virtual Machine - Runs the bytecode produced by compiler.js
+// Shares environments, classes, builtins and the host bridge with the tree-walking Interpreter.
+// Code runs synchronously until it meets a promise; only then does the running fiber suspend.
+
+const {
+  Interpreter,
+  NOT_OVERLOADED,
+  HOME_CLASS,
+  Environment,
+  VoxelInstance,
+  VoxelGenerator,
+  ReturnValue,
+  BreakLoop,
+  ContinueLoop,
+  ThrowError,
+  collectAsync
+} = require('./interpreter');
+const { Compiler, Op } = require('./compiler');
+const { awaitable } = require('./builtins');
+
+// Returned by dispatch() when the fiber is waiting on a promise
+const SUSPENDED = Symbol('suspended');
+
+const MAX_FRAMES = 100000;
+
+// Result of an asynchronous iterator.next(), handed back to the ITER_NEXT that asked for it
+class IteratorStep {
+  constructor(step) {
+    this.step = step;
+  }
+}
+
+const EMPTY_ITERATOR = { next: () => ({ done: true, value: undefined }) };
+
+// Operator opcodes by the source operator their dunder methods are looked up under
+const OPERATOR_SYMBOLS = {
+  [Op.ADD]: '+', [Op.SUB]: '-', [Op.MUL]: '*', [Op.DIV]: '/', [Op.MOD]: '%', [Op.POW]: '**',
+  [Op.EQ]: '==', [Op.NE]: '!=', [Op.LT]: '<', [Op.GT]: '>', [Op.LE]: '<=', [Op.GE]: '>=',
+  [Op.BAND]: '&', [Op.BOR]: '|', [Op.BXOR]: '^', [Op.SHL]: '<<', [Op.SHR]: '>>', [Op.USHR]: '>>>'
+};
+
+// Chain `next` after `value`, which is a promise only when script code suspended producing it
+function then(value, next) {
+  return value instanceof Promise ? value.then(next) : next(value);
+}
+
+class VirtualMachine extends Interpreter {
+  constructor(options = {}) {
+    super(options);
+    this.compiler = new Compiler();
+    this.codeCache = new WeakMap(); // function body node -> CodeObject
+  }
+
+  async run(ast) {
+    if (this.sandbox) this.sandbox.start();
+    return this.runFrame(this.createMainFrame(this.compiler.compileProgram(ast.statements)));
+  }
+
+  // Compiled code has no statement boundaries to pause at
+  attachDebugger() {
+    throw new Error('The bytecode VM does not support debugging; use the tree-walker');
+  }
+
+  async runModule(ast) {
+    await this.runFrame(this.createMainFrame(this.compiler.compileProgram(ast.statements, '<module>')));
+  }
+
+  // ===== FRAMES & FIBERS =====
+
+  // A fiber is a chain of VoxelScript frames run by one JS call; VoxelScript calls between them
+  // push frames instead of recursing, so only calls through host code (map, filter, ...) nest fibers.
+  // Like an awaiting tree-walker call, a suspended fiber leaves its own state in the interpreter
+  // registers (a generator it resumed swaps them back on yield); the caller's state returns when it ends.
+  runFrame(frame) {
+    const fiber = { frames: [frame], caller: this.captureState(), resolve: null, reject: null };
+    let result;
+    try {
+      this.enter(frame);
+      result = this.execute(fiber);
+    } catch (error) {
+      this.restoreState(fiber.caller);
+      throw error;
+    }
+    if (result !== SUSPENDED) {
+      this.restoreState(fiber.caller);
+      return result;
+    }
+    return new Promise((resolve, reject) => {
+      fiber.resolve = resolve;
+      fiber.reject = reject;
+    });
+  }
+
+  createMainFrame(code) {
+    return {
+      code,
+      pc: 0,
+      at: 0,
+      stack: [],
+      env: this.environment,
+      thisValue: this.currentThis,
+      homeClass: this.currentClass,
+      file: this.currentFile,
+      args: [],
+      handlers: [],
+      callFrame: null,
+      callStack: this.callStack,
+      construct: undefined
+    };
+  }
+
+  createFrame(fn, args, callSite, thisValue = fn.boundThis !== undefined ? fn.boundThis : this.currentThis) {
+    if (this.sandbox !== null) this.sandbox.checkDepth(this.callStack.length);
+    const code = this.codeFor(fn);
+    const callFrame = this.pushFrame({ name: fn.name || '<anonymous>', file: fn.file, callSite });
+    return {
+      code,
+      pc: 0,
+      at: 0,
+      stack: [],
+      env: new Environment(fn.closure),
+      thisValue,
+      homeClass: fn[HOME_CLASS] ?? null,
+      file: callFrame.file,
+      args,
+      handlers: [],
+      callFrame,
+      callStack: this.callStack,
+      construct: undefined
+    };
+  }
+
+  codeFor(fn) {
+    let code = this.codeCache.get(fn.body);
+    if (!code) {
+      code = this.compiler.compileFunction(fn);
+      this.codeCache.set(fn.body, code);
+    }
+    return code;
+  }
+
+  // Point the interpreter registers at `frame`, for builtins, strict checks and fallback evaluation
+  enter(frame) {
+    this.environment = frame.env;
+    this.currentThis = frame.thisValue;
+    this.currentClass = frame.homeClass;
+    this.currentFile = frame.file;
+    this.callStack = frame.callStack;
+    this.currentGenerator = null;
+  }
+
+  execute(fiber) {
+    while (true) {
+      try {
+        return this.dispatch(fiber);
+      } catch (error) {
+        if (!this.unwind(fiber, error)) throw error;
+      }
+    }
+  }
+
+  // Hand `error` to the innermost try handler, dropping frames that have none
+  unwind(fiber, error) {
+    while (fiber.frames.length > 0) {
+      const frame = fiber.frames[fiber.frames.length - 1];
+      this.enter(frame);
+      const loc = frame.code.locs[frame.at >> 1];
+      if (loc) this.locateError(error, { loc });
+
+      // Fatal errors (a sandbox limit exceeded a second time) skip every handler
+      const handler = error.fatal ? null : frame.handlers.pop();
+      if (handler) {
+        frame.stack.length = handler.height;
+        frame.stack.push(error);
+        frame.pc = handler.target;
+        frame.env = this.environment = handler.env;
+        return true;
+      }
+      fiber.frames.pop();
+      if (frame.callFrame) this.popFrame(frame.callStack, frame.callFrame);
+    }
+    return false;
+  }
+
+  // Park the fiber until `promise` settles; execution then continues at `pc` with the result pushed
+  // (unless `push` is false). `target` lets a fallback's return/break/continue land on its pads.
+  suspend(fiber, frame, at, pc, promise, push = true, target = null) {
+    frame.at = at;
+    frame.pc = pc;
+    this.settle(promise).then(
+      value => this.resume(fiber, { value, push }, target),
+      error => this.resume(fiber, { error }, target)
+    );
+    return SUSPENDED;
+  }
+
+  resume(fiber, outcome, target) {
+    const frame = fiber.frames[fiber.frames.length - 1];
+    let result;
+    try {
+      this.enter(frame);
+      if ('error' in outcome) {
+        if (!(target && this.landJump(frame, target, outcome.error)) && !this.unwind(fiber, outcome.error)) {
+          throw outcome.error;
+        }
+      } else if (outcome.push) {
+        frame.stack.push(outcome.value);
+      }
+      result = this.execute(fiber);
+    } catch (failure) {
+      this.restoreState(fiber.caller);
+      fiber.reject(failure);
+      return;
+    }
+    if (result !== SUSPENDED) {
+      this.restoreState(fiber.caller);
+      fiber.resolve(result);
+    }
+  }
+
+  // A return/break/continue that escaped a fallback node continues on the pad compiled for it
+  landJump(frame, target, error) {
+    let jump;
+    if (error instanceof ReturnValue) {
+      jump = 'return';
+    } else if (error instanceof BreakLoop) {
+      jump = error.label ? `break:${error.label}` : 'break';
+    } else if (error instanceof ContinueLoop) {
+      jump = error.label ? `continue:${error.label}` : 'continue';
+    }
+    if (jump === undefined || target.pads[jump] === undefined) return false;
+
+    frame.stack.length = target.depth;
+    if (error instanceof ReturnValue) frame.stack.push(error.value);
+    frame.pc = target.pads[jump];
+    return true;
+  }
+
+  // ===== CALLS =====
+
+  // Builtins and other JS functions, and generator functions, which run on the tree-walker
+  callNative(callee, args, callSite) {
+    if (typeof callee === 'function') {
+      if (this.sandbox !== null) this.sandbox.checkCall(callee, args);
+      const frame = this.pushFrame({ name: callee.name || '<native>', native: true, callSite });
+      const stack = this.callStack;
+      let result;
+      try {
+        result = callee(...args.map(arg => this.toHostValue(arg)));
+      } catch (error) {
+        this.popFrame(stack, frame);
+        throw error;
+      }
+      if (result instanceof Promise) {
+        return result.finally(() => this.popFrame(stack, frame));
+      }
+      this.popFrame(stack, frame);
+      return result;
+    }
+
+    if (callee && callee.__isVoxelGenerator) {
+      return new VoxelGenerator(this, callee, args, callee.boundThis ?? null, callSite);
+    }
+
+    throw new Error(`${callee} is not a function`);
+  }
+
+  callVoxelFunction(fn, args, callSite = null) {
+    return this.runFrame(this.createFrame(fn, args, callSite));
+  }
+
+  // Host callbacks run synchronously unless the script waits on something
+  callFromHost(fn, args) {
+    if (fn.__isVoxelFunction) {
+      return this.callVoxelFunction(fn, args);
+    }
+    return this.callFunction(fn, args);
+  }
+
+  // ===== HELPERS =====
+
+  // Compound assignment and ++/-- on a member or index: read() gives the current value, compute()
+  // the new one and write() stores it. Getters, setters and operator methods can run script code
+  // at each step, so the result is a promise when any of them suspends.
+  readModifyWrite(read, compute, write, postfix = false) {
+    return then(read(), current =>
+      then(compute(current), value =>
+        then(write(value), () => (postfix ? current : value))));
+  }
+
+  getIteratorFor(iterable, mode) {
+    // for-in: plain objects iterate over keys, and nothing to iterate is an empty loop
+    if (mode === 1) {
+      if (typeof iterable === 'object' && iterable !== null &&
+          typeof iterable[Symbol.iterator] !== 'function' && !this.isAsyncIterable(iterable)) {
+        return Object.keys(iterable)[Symbol.iterator]();
+      }
+      if (iterable === null || iterable === undefined || typeof iterable === 'number' || typeof iterable === 'boolean') {
+        return EMPTY_ITERATOR;
+      }
+    }
+    return this.getIterator(iterable);
+  }
+
+  // Call iterator.return(), if it has one; returns a promise when the iterator is asynchronous
+  closeIterator(iterator) {
+    if (typeof iterator.return === 'function') {
+      const result = iterator.return();
+      if (result instanceof Promise) return result;
+    }
+    return null;
+  }
+
+  // `left <op> right` for operator opcodes; a promise if an overloading dunder method suspends
+  applyOperator(op, left, right) {
+    if (left instanceof VoxelInstance || right instanceof VoxelInstance) {
+      const result = this.overloadedBinary(OPERATOR_SYMBOLS[op], left, right);
+      if (result !== NOT_OVERLOADED) return result;
+    }
+    switch (op) {
+      case Op.ADD:
+        return typeof left === 'string' || typeof right === 'string' ? String(left) + String(right) : left + right;
+      case Op.SUB: return left - right;
+      case Op.MUL: return left * right;
+      case Op.DIV: return left / right;
+      case Op.MOD: return left % right;
+      case Op.POW: return Math.pow(left, right);
+      case Op.BAND: return left & right;
+      case Op.BOR: return left | right;
+      case Op.BXOR: return left ^ right;
+      case Op.SHL: return left << right;
+      case Op.SHR: return left >> right;
+      case Op.USHR: return left >>> right;
+      case Op.EQ: return left === right;
+      case Op.NE: return left !== right;
+      case Op.LT: return left < right;
+      case Op.GT: return left > right;
+      case Op.LE: return left <= right;
+      case Op.GE: return left >= right;
+      default:
+        throw new Error(`Unknown operator: ${op}`);
+    }
+  }
+
+  bindParameter(binding, value) {
+    this.checkType(value, binding.typeAnnotation, `parameter '${binding.name}'`);
+    this.environment.define(binding.name, value);
+    if (this.strictTypes && binding.typeAnnotation) this.environment.annotate(binding.name, binding.typeAnnotation);
+  }
+
+  // ===== DISPATCH =====
+
+  // Run the fiber's top frame until the fiber finishes (returning its result) or suspends
+  dispatch(fiber) {
+    let frame = fiber.frames[fiber.frames.length - 1];
+    let { ops, constants } = frame.code;
+    let stack = frame.stack;
+    let pc = frame.pc;
+    let at = pc;
+    const sandbox = this.sandbox;
+
+    // Switch to a callee's frame, saving where the caller resumes
+    const call = (next) => {
+      if (fiber.frames.length >= MAX_FRAMES) {
+        this.popFrame(next.callStack, next.callFrame);
+        throw new Error('Maximum call stack size exceeded');
+      }
+      frame.pc = pc;
+      frame.at = at;
+      fiber.frames.push(next);
+      this.enter(next);
+      frame = next;
+      ({ ops, constants } = frame.code);
+      stack = frame.stack;
+      pc = 0;
+    };
+
+    // Call anything callable with the result pushed, suspending on a promise from the host
+    const invoke = (callee, args) => {
+      const callSite = frame.code.locs[at >> 1];
+      if (callee && callee.__isVoxelFunction) {
+        call(this.createFrame(callee, args, callSite));
+        return null;
+      }
+      const result = this.callNative(callee, args, callSite);
+      if (result instanceof Promise) {
+        return this.suspend(fiber, frame, at, pc, result);
+      }
+      stack.push(result);
+      return null;
+    };
+
+    try {
+      while (true) {
+        at = pc;
+        const op = ops[pc];
+        const arg = ops[pc + 1];
+        pc += 2;
+        if (sandbox !== null) sandbox.step();
+
+        switch (op) {
+          // Stack
+          case Op.CONST: stack.push(constants[arg]); break;
+          case Op.NULL: stack.push(null); break;
+          case Op.POP: stack.pop(); break;
+          case Op.DUP: stack.push(stack[stack.length - 1]); break;
+
+          // Variables and scopes
+          case Op.LOAD: stack.push(this.environment.get(constants[arg])); break;
+          case Op.STORE: {
+            const name = constants[arg];
+            const value = stack[stack.length - 1];
+            if (this.strictTypes) this.checkType(value, this.environment.getAnnotation(name), `'${name}'`);
+            this.environment.set(name, value);
+            break;
+          }
+          case Op.STORE_COMPOUND: {
+            const { name, operator } = constants[arg];
+            const value = this.applyOperator(operator, this.environment.get(name), stack.pop());
+            if (value instanceof Promise) {
+              const env = this.environment;
+              return this.suspend(fiber, frame, at, pc, value.then(result => {
+                if (this.strictTypes) this.checkType(result, env.getAnnotation(name), `'${name}'`);
+                env.set(name, result);
+                return result;
+              }));
+            }
+            if (this.strictTypes) this.checkType(value, this.environment.getAnnotation(name), `'${name}'`);
+            this.environment.set(name, value);
+            stack.push(value);
+            break;
+          }
+          case Op.DEFINE: this.environment.define(constants[arg], stack.pop()); break;
+          case Op.DEFINE_CONST: this.environment.define(constants[arg], stack.pop(), true); break;
+          case Op.DEFINE_TYPED: {
+            const { name, typeAnnotation, isConst } = constants[arg];
+            const value = stack.pop();
+            this.checkType(value, typeAnnotation, `'${name}'`);
+            this.environment.define(name, value, isConst);
+            if (this.strictTypes) this.environment.annotate(name, typeAnnotation);
+            break;
+          }
+          case Op.DELETE_NAME: stack.push(this.environment.delete(constants[arg])); break;
+          case Op.LOAD_THIS: stack.push(this.currentThis); break;
+          case Op.LOAD_SUPER: stack.push(this.superMember(constants[arg])); break;
+          // frame.env is kept current, since code called from here may move the registers before it suspends
+          case Op.PUSH_SCOPE: frame.env = this.environment = new Environment(this.environment); break;
+          case Op.POP_SCOPE: frame.env = this.environment = this.environment.parent; break;
+          case Op.DEFINE_CLASS: {
+            const { node, count } = constants[arg];
+            this.defineClass(node, stack.splice(stack.length - count, count));
+            break;
+          }
+          case Op.DECLARE_TYPE: this.declareType(constants[arg]); break;
+
+          // Operators
+          case Op.ADD: case Op.SUB: case Op.MUL: case Op.DIV: case Op.MOD: case Op.POW:
+          case Op.EQ: case Op.NE: case Op.LT: case Op.GT: case Op.LE: case Op.GE:
+          case Op.BAND: case Op.BOR: case Op.BXOR: case Op.SHL: case Op.SHR: case Op.USHR: {
+            const right = stack.pop();
+            const result = this.applyOperator(op, stack.pop(), right);
+            if (result instanceof Promise) return this.suspend(fiber, frame, at, pc, result);
+            stack.push(result);
+            break;
+          }
+          case Op.NEG:
+          case Op.BNOT: {
+            const operand = stack.pop();
+            const method = this.operatorMethod(operand, op === Op.NEG ? '__neg__' : '__invert__');
+            if (method) {
+              if (invoke(method, []) === SUSPENDED) return SUSPENDED;
+              break;
+            }
+            stack.push(op === Op.NEG ? -operand : ~operand);
+            break;
+          }
+          case Op.NOT: stack.push(!stack.pop()); break;
+          case Op.INC: stack.push(stack.pop() + 1); break;
+          case Op.DEC: stack.push(stack.pop() - 1); break;
+          case Op.TYPEOF: stack.push(this.typeOf(stack.pop())); break;
+          case Op.INSTANCEOF: {
+            const right = stack.pop();
+            stack.push(this.instanceOf(stack.pop(), right));
+            break;
+          }
+
+          // Jumps
+          case Op.JUMP: pc = arg; break;
+          case Op.JUMP_IF_FALSE: if (!stack.pop()) pc = arg; break;
+          case Op.JUMP_IF_TRUE: if (stack.pop()) pc = arg; break;
+          case Op.JUMP_IF_FALSE_KEEP:
+            if (!stack[stack.length - 1]) pc = arg;
+            else stack.pop();
+            break;
+          case Op.JUMP_IF_TRUE_KEEP:
+            if (stack[stack.length - 1]) pc = arg;
+            else stack.pop();
+            break;
+          case Op.JUMP_IF_NOT_NULLISH: {
+            const value = stack[stack.length - 1];
+            if (value !== null && value !== undefined) pc = arg;
+            else stack.pop();
+            break;
+          }
+          case Op.JUMP_IF_NULLISH: {
+            const value = stack[stack.length - 1];
+            if (value === null || value === undefined) {
+              stack[stack.length - 1] = undefined;
+              pc = arg;
+            }
+            break;
+          }
+          case Op.JUMP_IF_DEFINED:
+            if (stack[stack.length - 1] !== undefined) pc = arg;
+            else stack.pop();
+            break;
+
+          // Values
+          case Op.ARRAY: stack.push(stack.splice(stack.length - arg, arg)); break;
+          case Op.NEW_ARRAY: stack.push([]); break;
+          case Op.ARRAY_PUSH: { const value = stack.pop(); stack[stack.length - 1].push(value); break; }
+          case Op.ARRAY_EXTEND: {
+            const value = stack.pop();
+            if (this.isAsyncIterable(value)) {
+              // Collect the generator, then run this instruction again on the array
+              return this.suspend(fiber, frame, at, at, collectAsync(value));
+            }
+            stack[stack.length - 1].push(...value);
+            break;
+          }
+          case Op.OBJECT: stack.push({}); break;
+          case Op.OBJECT_SET: { const value = stack.pop(); stack[stack.length - 1][constants[arg]] = value; break; }
+          case Op.OBJECT_ASSIGN: { const value = stack.pop(); Object.assign(stack[stack.length - 1], value); break; }
+          case Op.TEMPLATE: {
+            const parts = stack.splice(stack.length - arg, arg).map(part => this.stringify(part));
+            if (parts.some(part => part instanceof Promise)) {
+              return this.suspend(fiber, frame, at, pc, Promise.all(parts).then(texts => texts.join('')));
+            }
+            stack.push(parts.join(''));
+            break;
+          }
+          case Op.RANGE: {
+            const end = stack.pop();
+            const start = stack.pop();
+            const result = [];
+            if (arg) {
+              for (let i = start; i <= end; i++) result.push(i);
+            } else {
+              for (let i = start; i < end; i++) result.push(i);
+            }
+            stack.push(result);
+            break;
+          }
+          case Op.COLLECT: { const value = stack.pop(); stack[arg].push(value); break; }
+          case Op.COLLECT_ENTRY: {
+            const value = stack.pop();
+            const key = stack.pop();
+            stack[arg][key] = value;
+            break;
+          }
+
+          // Properties
+          case Op.GET_MEMBER: {
+            const value = this.readProperty(stack.pop(), constants[arg]);
+            if (value instanceof Promise) return this.suspend(fiber, frame, at, pc, value);
+            stack.push(value);
+            break;
+          }
+          case Op.GET_INDEX: {
+            const index = stack.pop();
+            const value = this.readIndex(stack.pop(), index);
+            if (value instanceof Promise) return this.suspend(fiber, frame, at, pc, value);
+            stack.push(value);
+            break;
+          }
+          case Op.GET_RAW: {
+            if (this.sandbox !== null) this.sandbox.propertyKey(constants[arg]);
+            stack.push(stack.pop()[constants[arg]]);
+            break;
+          }
+          case Op.GET_RAW_INDEX: {
+            const index = this.sandbox !== null ? this.sandbox.propertyKey(stack.pop()) : stack.pop();
+            stack.push(stack.pop()[index]);
+            break;
+          }
+          case Op.SET_MEMBER: {
+            const { property, operator } = constants[arg];
+            const obj = stack.pop();
+            const value = stack.pop();
+            const result = operator
+              ? this.readModifyWrite(() => this.readProperty(obj, property), current => this.applyOperator(operator, current, value),
+                  updated => this.writeProperty(obj, property, updated))
+              : then(this.writeProperty(obj, property, value), () => value);
+            if (result instanceof Promise) return this.suspend(fiber, frame, at, pc, result);
+            stack.push(result);
+            break;
+          }
+          case Op.SET_INDEX: {
+            const { operator } = constants[arg];
+            const index = stack.pop();
+            const obj = stack.pop();
+            const value = stack.pop();
+            const result = operator
+              ? this.readModifyWrite(() => this.readIndex(obj, index), current => this.applyOperator(operator, current, value),
+                  updated => this.writeIndex(obj, index, updated))
+              : then(this.writeIndex(obj, index, value), () => value);
+            if (result instanceof Promise) return this.suspend(fiber, frame, at, pc, result);
+            stack.push(result);
+            break;
+          }
+          case Op.DELETE_MEMBER: delete stack.pop()[constants[arg]]; stack.push(true); break;
+          case Op.DELETE_INDEX: { const index = stack.pop(); delete stack.pop()[index]; stack.push(true); break; }
+          case Op.UPDATE_MEMBER: {
+            const { delta, prefix, property } = constants[arg];
+            const obj = stack.pop();
+            const result = this.readModifyWrite(() => this.readProperty(obj, property), current => (delta > 0 ? current + 1 : current - 1),
+              updated => this.writeProperty(obj, property, updated), !prefix);
+            if (result instanceof Promise) return this.suspend(fiber, frame, at, pc, result);
+            stack.push(result);
+            break;
+          }
+          case Op.UPDATE_INDEX: {
+            const { delta, prefix } = constants[arg];
+            const index = stack.pop();
+            const obj = stack.pop();
+            const result = this.readModifyWrite(() => this.readIndex(obj, index), current => (delta > 0 ? current + 1 : current - 1),
+              updated => this.writeIndex(obj, index, updated), !prefix);
+            if (result instanceof Promise) return this.suspend(fiber, frame, at, pc, result);
+            stack.push(result);
+            break;
+          }
+
+          // Destructuring
+          case Op.PREPARE_PATTERN: {
+            const value = stack[stack.length - 1];
+            if (this.isAsyncIterable(value)) {
+              stack.pop();
+              return this.suspend(fiber, frame, at, at, collectAsync(value, arg < 0 ? Infinity : arg));
+            }
+            break;
+          }
+          case Op.REST_ITEMS: stack.push(stack.pop().slice(arg)); break;
+          case Op.REST_KEYS: {
+            const rest = { ...stack.pop() };
+            for (const key of constants[arg]) delete rest[key];
+            stack.push(rest);
+            break;
+          }
+
+          // Functions and calls
+          case Op.MAKE_FUNCTION:
+          case Op.MAKE_GENERATOR: {
+            const node = constants[arg];
+            stack.push({
+              [op === Op.MAKE_FUNCTION ? '__isVoxelFunction' : '__isVoxelGenerator']: true,
+              name: node.name,
+              file: this.currentFile,
+              params: node.params,
+              body: node.body,
+              closure: this.environment,
+              isAsync: node.isAsync,
+              [HOME_CLASS]: this.currentClass
+            });
+            break;
+          }
+          case Op.MAKE_ARROW: {
+            const node = constants[arg];
+            stack.push({
+              __isVoxelFunction: true,
+              name: null,
+              file: this.currentFile,
+              params: node.params,
+              body: node.body,
+              closure: this.environment,
+              isAsync: node.isAsync,
+              boundThis: this.currentThis,
+              [HOME_CLASS]: this.currentClass
+            });
+            break;
+          }
+          case Op.CALL: {
+            const args = arg === 0 ? [] : stack.splice(stack.length - arg, arg);
+            if (invoke(stack.pop(), args) === SUSPENDED) return SUSPENDED;
+            break;
+          }
+          case Op.CALL_ARRAY: {
+            const args = stack.pop();
+            if (invoke(stack.pop(), args) === SUSPENDED) return SUSPENDED;
+            break;
+          }
+          case Op.PIPE: {
+            const callee = stack.pop();
+            if (!this.isCallable(callee)) {
+              throw new Error('Pipe target must be a function');
+            }
+            if (invoke(callee, [stack.pop()]) === SUSPENDED) return SUSPENDED;
+            break;
+          }
+          case Op.NEW: {
+            const args = stack.splice(stack.length - arg, arg);
+            const klass = stack.pop();
+            if (!klass || !klass.__isVoxelClass__) {
+              throw new Error("'new' requires a class");
+            }
+            this.checkInstantiable(klass);
+            const instance = this.createInstance(klass);
+            const constructor = klass.findMethod('constructor');
+            if (constructor && constructor.__isVoxelFunction) {
+              const next = this.createFrame(constructor, args, frame.code.locs[at >> 1], instance);
+              next.construct = instance;
+              call(next);
+            } else {
+              this.recordErrorStack(instance, frame.code.locs[at >> 1]);
+              stack.push(instance);
+            }
+            break;
+          }
+          case Op.AWAIT: {
+            const value = awaitable(stack[stack.length - 1]);
+            if (value instanceof Promise) {
+              stack.pop();
+              return this.suspend(fiber, frame, at, pc, value);
+            }
+            break;
+          }
+          case Op.RETURN: {
+            const value = frame.construct !== undefined ? frame.construct : stack.pop();
+            // An error's stack starts at its `new`, once the constructor has set the message
+            const constructedAt = frame.construct !== undefined ? frame.callFrame.callSite : null;
+            fiber.frames.pop();
+            if (frame.callFrame) this.popFrame(frame.callStack, frame.callFrame);
+            if (fiber.frames.length === 0) {
+              return value;
+            }
+            frame = fiber.frames[fiber.frames.length - 1];
+            this.enter(frame);
+            if (constructedAt) this.recordErrorStack(value, constructedAt);
+            ({ ops, constants } = frame.code);
+            stack = frame.stack;
+            pc = frame.pc;
+            stack.push(value);
+            break;
+          }
+          case Op.PARAM: {
+            const binding = constants[arg];
+            this.bindParameter(binding, frame.args[binding.index] ?? null);
+            break;
+          }
+          case Op.PARAM_DEFAULT: {
+            const binding = constants[arg];
+            const value = frame.args[binding.index];
+            if (value !== undefined) {
+              this.bindParameter(binding, value);
+              pc = binding.skip;
+            }
+            break;
+          }
+          case Op.BIND_PARAM: this.bindParameter(constants[arg], stack.pop()); break;
+          case Op.REST_PARAM: {
+            const binding = constants[arg];
+            this.bindParameter(binding, frame.args.slice(binding.index));
+            break;
+          }
+
+          // Exceptions
+          case Op.THROW: throw new ThrowError(stack.pop());
+          case Op.RETHROW: throw stack.pop();
+          case Op.SETUP_TRY:
+            frame.handlers.push({ target: arg, height: stack.length, env: this.environment });
+            break;
+          case Op.POP_TRY: frame.handlers.pop(); break;
+          case Op.CATCH: {
+            const error = stack.pop();
+            if (arg >= 0) {
+              this.environment.define(constants[arg], this.caughtValue(error));
+            }
+            break;
+          }
+          case Op.CATCH_TEST: {
+            const value = this.caughtValue(stack[stack.length - 1]);
+            stack.push(this.catches({ typeAnnotation: constants[arg] }, value));
+            break;
+          }
+
+          // Loops
+          case Op.GET_ITER: stack.push(this.getIteratorFor(stack.pop(), arg)); break;
+          case Op.ITER_NEXT: {
+            let step;
+            if (stack[stack.length - 1] instanceof IteratorStep) {
+              step = stack.pop().step;
+            } else {
+              step = stack[stack.length - 1].next();
+              if (step instanceof Promise) {
+                return this.suspend(fiber, frame, at, at, step.then(result => new IteratorStep(result)));
+              }
+            }
+            if (step.done) pc = arg;
+            else stack.push(step.value);
+            break;
+          }
+          case Op.ITER_CLOSE: {
+            const closing = this.closeIterator(stack.pop());
+            if (closing) return this.suspend(fiber, frame, at, pc, closing, false);
+            break;
+          }
+          case Op.ITER_CLOSE_AT: {
+            const closing = this.closeIterator(stack[arg]);
+            if (closing) return this.suspend(fiber, frame, at, pc, closing, false);
+            break;
+          }
+          case Op.RANGE_INIT: {
+            const step = stack.pop();
+            const to = stack.pop();
+            const from = stack.pop();
+            stack.push({ i: from, to, step });
+            break;
+          }
+          case Op.RANGE_NEXT: {
+            const range = stack[stack.length - 1];
+            if (range.step > 0 ? range.i < range.to : range.i > range.to) {
+              stack.push(range.i);
+              range.i += range.step;
+            } else {
+              pc = arg;
+            }
+            break;
+          }
+
+          // Statements
+          case Op.PRINT: {
+            const printed = this.printValues([stack.pop()]);
+            if (printed instanceof Promise) return this.suspend(fiber, frame, at, pc, printed, false);
+            break;
+          }
+          case Op.ASSERT_FAIL: throw new ThrowError(this.createError('AssertionError', stack.pop()));
+          case Op.DEBUG: console.log(`[DEBUG] ${this.getExpressionString(constants[arg])} =`, stack.pop()); break;
+          case Op.FAIL: throw new Error(stack.pop());
+
+          // Fallback to the tree-walker
+          case Op.EVAL: {
+            const target = constants[arg];
+            return this.suspend(fiber, frame, at, pc, this.evaluate(target.node), true, target);
+          }
+
+          default:
+            throw new Error(`Unknown opcode: ${op}`);
+        }
+      }
+    } catch (error) {
+      frame.at = at;
+      frame.pc = pc;
+      throw error;
+    }
+  }
+}
+
+module.exports = { VirtualMachine };
@@ -6,25 +6,58 @@
 const fs = require('fs');
 const path = require('path');
 const { Lexer } = require('./lexer');
-const { Parser } = require('./parser');
+const { Parser, parseWithDiagnostics } = require('./parser');
 const { Interpreter } = require('./interpreter');
+const { VirtualMachine } = require('./vm');
+const { checkProgram } = require('./checker');
+const { transpile } = require('./transpiler');
+const { format } = require('./formatter');
+const { lint, fix, loadConfig } = require('./linter');
+const { TestRunner, TEST_GLOBALS, isTestFile, formatSpec, formatSummary, formatTap, formatJUnit } = require('./testing');
+const { Coverage, formatCoverageSummary, writeReports } = require('./coverage');
+const { formatError, formatDiagnostic } = require('./diagnostics');
 
-async function runFile(filePath) {
+// The tree-walker is the default engine; `--engine=vm` runs scripts on the bytecode VM instead
+function createInterpreter({ engine, ...options }) {
+  return engine === 'vm' ? new VirtualMachine(options) : new Interpreter(options);
+}
+
+async function runFile(filePath, options = {}) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  
+  // Report every syntax error at once rather than stopping at the first
+  const { ast, diagnostics } = parseWithDiagnostics(source);
+  if (diagnostics.length > 0) {
+    for (const diagnostic of diagnostics) {
+      console.error(formatDiagnostic(diagnostic, { file: filePath, source }));
+    }
+    console.error(`\n${diagnostics.length} syntax error${diagnostics.length === 1 ? '' : 's'}`);
+    process.exit(1);
+  }
+  
+  const fail = (error) => {
+    console.error(formatError(error, { file: filePath, source }));
+    process.exit(1);
+  };
+  // A spawned task that fails without anyone joining it ends the program like an uncaught error
+  process.on('unhandledRejection', fail);
+  
   try {
-    const source = fs.readFileSync(filePath, 'utf8');
-    const lexer = new Lexer(source);
-    const tokens = lexer.tokenize();
-    const parser = new Parser(tokens);
-    const ast = parser.parse();
-    const interpreter = new Interpreter();
+    const interpreter = createInterpreter({ filename: filePath, source, strict: options.strict, engine: options.engine });
+    if (options.coverage) {
+      const coverage = interpreter.collectCoverage();
+      // Also when the program fails, or stops itself with exit()
+      process.on('exit', () => reportCoverage(coverage));
+    }
     await interpreter.run(ast);
+    // Spawned tasks run to completion; pending timers keep the process alive until cleared
+    await interpreter.waitForTasks();
   } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+    fail(error);
   }
 }
 
-async function runRepl() {
+async function runRepl(options = {}) {
   const readline = require('readline');
   const rl = readline.createInterface({
     input: process.stdin,
@@ -34,7 +67,7 @@ async function runRepl() {
   console.log('VoxelScript REPL v1.0');
   console.log('Type "exit" to quit\n');
 
-  const interpreter = new Interpreter();
+  const interpreter = createInterpreter({ strict: options.strict, engine: options.engine });
 
   const prompt = () => {
     rl.question('voxel> ', async (input) => {
@@ -53,12 +86,13 @@ async function runRepl() {
         const tokens = lexer.tokenize();
         const parser = new Parser(tokens);
         const ast = parser.parse();
+        interpreter.sources.set(null, input);
         const result = await interpreter.run(ast);
         if (result !== null && result !== undefined) {
           console.log(result);
         }
       } catch (error) {
-        console.error(`Error: ${error.message}`);
+        console.error(formatError(error, { source: input }));
       }
 
       prompt();
@@ -68,16 +102,432 @@ async function runRepl() {
   prompt();
 }
 
+const DEBUG_HELP = `
+  c, continue              Run to the next breakpoint
+  n, next                  Step over
+  s, step                  Step into
+  o, out                   Step out
+  b, break [file:]line [if <condition>]
+                           Set a breakpoint, stopping only when the condition holds
+  log [file:]line <message>
+                           Set a logpoint; {expr} in the message is replaced by its value
+  d, delete <id>           Remove a breakpoint
+  bl, breakpoints          List breakpoints
+  bt, where                Show the call stack
+  f, frame <n>             Select a frame of the call stack
+  v, vars                  Show the variables of the selected frame
+  p, print <expr>          Evaluate an expression in the selected frame
+  l, list                  Show the source around the selected frame
+  catch all|uncaught|none  Pause on exceptions
+  q, quit                  Stop debugging
+`;
+
+// Interactive terminal debugger on the Debugger API; the program starts paused at its first statement
+async function debugFile(filePath, options = {}) {
+  const readline = require('readline');
+  const { PassThrough } = require('stream');
+  const { preview } = require('./debugger');
+  const source = fs.readFileSync(filePath, 'utf8');
+  const { ast, diagnostics } = parseWithDiagnostics(source);
+  if (diagnostics.length > 0) {
+    for (const diagnostic of diagnostics) {
+      console.error(formatDiagnostic(diagnostic, { file: filePath, source }));
+    }
+    process.exit(1);
+  }
+
+  // The program's input() reads the lines this debugger hands it, rather than stdin itself
+  const programInput = new PassThrough();
+  const interpreter = new Interpreter({ filename: filePath, source, strict: options.strict, stdin: programInput });
+  const session = interpreter.attachDebugger();
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '(debug) ' });
+  const relative = file => file ? path.relative(process.cwd(), file) || file : '<input>';
+  let frameId = 0;
+
+  const location = (text) => {
+    const match = /^(?:(.+):)?(\d+)$/.exec(text || '');
+    if (!match) throw new Error(`Expected [file:]line, got '${text || ''}'`);
+    const frame = session.stackTrace()[frameId];
+    return { file: match[1] ? path.resolve(match[1]) : frame.file ?? filePath, line: Number(match[2]) };
+  };
+  const listSource = (file, line, radius) => {
+    const lines = (interpreter.getSource(file) ?? '').split('\n');
+    for (let n = Math.max(1, line - radius); n <= Math.min(lines.length, line + radius); n++) {
+      const marker = n === line ? '\x1b[33m>\x1b[0m' : ' ';
+      console.log(`${marker} ${String(n).padStart(4)}  ${lines[n - 1]}`);
+    }
+  };
+
+  const commands = {
+    async continue() { session.resume(); },
+    async next() { session.stepOver(); },
+    async step() { session.stepInto(); },
+    async out() { session.stepOut(); },
+    async break(rest) {
+      const [, where, condition] = /^(\S+)(?:\s+if\s+(.+))?$/.exec(rest) || [];
+      const { file, line } = location(where);
+      const breakpoint = session.setBreakpoint(file, line, { condition: condition ?? null });
+      console.log(`Breakpoint ${breakpoint.id} at ${relative(breakpoint.file)}:${breakpoint.line}`);
+    },
+    async log(rest) {
+      const [, where, message] = /^(\S+)\s+(.+)$/.exec(rest) || [];
+      if (!message) throw new Error('Usage: log [file:]line <message>');
+      const { file, line } = location(where);
+      const breakpoint = session.setBreakpoint(file, line, { logMessage: message });
+      console.log(`Logpoint ${breakpoint.id} at ${relative(breakpoint.file)}:${breakpoint.line}`);
+    },
+    async delete(rest) {
+      if (!session.removeBreakpoint(Number(rest))) throw new Error(`No breakpoint ${rest}`);
+    },
+    async breakpoints() {
+      for (const { id, file, line, condition, logMessage, hits } of session.listBreakpoints()) {
+        const detail = logMessage !== null ? ` log "${logMessage}"` : condition !== null ? ` if ${condition}` : '';
+        console.log(`  ${id}  ${relative(file)}:${line}${detail}  (hit ${hits} time${hits === 1 ? '' : 's'})`);
+      }
+    },
+    async where() {
+      for (const frame of session.stackTrace()) {
+        const marker = frame.id === frameId ? '>' : ' ';
+        console.log(`${marker} #${frame.id}  ${frame.name}  ${relative(frame.file)}:${frame.line ?? '?'}`);
+      }
+    },
+    async frame(rest) {
+      const frame = session.stackTrace()[Number(rest)];
+      if (!frame) throw new Error(`No frame ${rest}`);
+      frameId = frame.id;
+      await commands.where();
+    },
+    async vars() {
+      for (const scope of session.scopes(frameId)) {
+        console.log(`\x1b[36m${scope.name}\x1b[0m`);
+        for (const variable of scope.variables) console.log(`  ${variable.name} = ${variable.preview}`);
+      }
+    },
+    async print(rest) {
+      console.log(preview(await session.evaluate(rest, frameId)));
+    },
+    async list() {
+      const frame = session.stackTrace()[frameId];
+      if (frame.line !== null) listSource(frame.file, frame.line, 5);
+    },
+    async catch(rest) {
+      session.setExceptionMode(rest);
+    },
+    async quit() {
+      process.exit(0);
+    },
+    async help() {
+      console.log(DEBUG_HELP);
+    }
+  };
+  const aliases = { c: 'continue', n: 'next', s: 'step', o: 'out', b: 'break', d: 'delete', bl: 'breakpoints', bt: 'where', f: 'frame', v: 'vars', p: 'print', l: 'list', q: 'quit' };
+
+  session.on('output', text => console.log(`\x1b[36m${text}\x1b[0m`));
+  session.on('paused', (event) => {
+    frameId = 0;
+    const why = event.reason === 'exception' ? `exception: ${event.description}` : event.reason;
+    console.log(`\x1b[33mPaused (${why})\x1b[0m at ${relative(event.file)}:${event.line}`);
+    listSource(event.file, event.line, 0);
+    rl.prompt();
+    drain();
+  });
+
+  const runCommand = async (input) => {
+    const [, word, rest] = /^\s*(\S*)\s*(.*)$/.exec(input);
+    const command = commands[aliases[word] ?? word];
+    try {
+      if (word === '') {
+        // Nothing to do
+      } else if (!command) {
+        console.log(`Unknown command '${word}' (try 'help')`);
+      } else {
+        await command(rest.trim());
+      }
+    } catch (error) {
+      console.error(`\x1b[31m${error.message}\x1b[0m`);
+    }
+    if (session.paused !== null) rl.prompt();
+  };
+
+  // Lines wait here until the program pauses, one command at a time, or asks for input()
+  const pending = [];
+  let running = false;
+  let ended = false;
+  const drain = async () => {
+    if (running) return;
+    running = true;
+    while (pending.length > 0) {
+      if (session.paused !== null) {
+        await runCommand(pending.shift());
+      } else if (programInput.listenerCount('data') > 0) {
+        programInput.write(`${pending.shift()}\n`);
+      } else {
+        break;
+      }
+    }
+    running = false;
+    if (ended && pending.length === 0) programInput.end();
+  };
+  programInput.on('newListener', (event) => {
+    if (event === 'data') setImmediate(drain);
+  });
+  rl.on('line', (input) => {
+    pending.push(input);
+    drain();
+  });
+  // At the end of stdin just stop reading: queued commands still run, and input() then reads null
+  rl.on('close', () => {
+    ended = true;
+    drain();
+  });
+
+  console.log(`Debugging ${relative(filePath)} - type 'help' for commands`);
+  session.setExceptionMode('uncaught');
+  session.pause();
+  try {
+    await interpreter.run(ast);
+    await interpreter.waitForTasks();
+    console.log('Program finished');
+  } catch (error) {
+    console.error(formatError(error, { file: filePath, source }));
+    process.exitCode = 1;
+  }
+  rl.close();
+}
+
 // Run code from string
-async function runCode(code) {
+async function runCode(code, options = {}) {
   const lexer = new Lexer(code);
   const tokens = lexer.tokenize();
   const parser = new Parser(tokens);
   const ast = parser.parse();
-  const interpreter = new Interpreter();
+  const interpreter = createInterpreter({ source: code, strict: options.strict, engine: options.engine });
   return await interpreter.run(ast);
 }
 
+// Print the syntax diagnostics of a file (or stdin with '-') as JSON, for editor integrations
+function printDiagnostics(file) {
+  const source = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  const { diagnostics } = parseWithDiagnostics(source);
+  console.log(JSON.stringify(diagnostics));
+}
+
+// Static type check: syntax errors first, then type errors, without running the program
+function checkFile(filePath, { json = false } = {}) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  let { ast, diagnostics } = parseWithDiagnostics(source);
+  if (diagnostics.length === 0) {
+    diagnostics = checkProgram(ast);
+  }
+  
+  if (json) {
+    console.log(JSON.stringify(diagnostics));
+    return;
+  }
+  
+  for (const diagnostic of diagnostics) {
+    console.error(formatDiagnostic(diagnostic, { file: filePath, source }));
+  }
+  const errors = diagnostics.filter(d => d.severity === 'error').length;
+  const warnings = diagnostics.length - errors;
+  if (diagnostics.length === 0) {
+    console.log(`\x1b[32m✓ ${path.relative(process.cwd(), filePath) || filePath}: no problems found\x1b[0m`);
+  } else {
+    console.error(`\n${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  }
+  if (errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// The .voxel/.vxl files under a directory, or the file itself
+function sourceFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+    .flatMap(entry => entry.isDirectory()
+      ? sourceFiles(path.join(target, entry.name))
+      : /\.(voxel|vxl)$/.test(entry.name) ? [path.join(target, entry.name)] : []);
+}
+
+// Print files formatted, rewrite them in place (--write), or list the ones that are not
+// formatted and fail (--check)
+function formatFiles(files, { check = false, write = false } = {}) {
+  let unformatted = 0;
+  for (const filePath of files) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    const name = path.relative(process.cwd(), filePath) || filePath;
+    let formatted;
+    try {
+      formatted = format(source);
+    } catch (error) {
+      console.error(formatError(error, { file: filePath, source }));
+      process.exitCode = 1;
+      continue;
+    }
+    if (check) {
+      if (formatted !== source) {
+        console.log(name);
+        unformatted++;
+      }
+    } else if (write) {
+      if (formatted !== source) {
+        fs.writeFileSync(filePath, formatted);
+        console.log(`\x1b[32m✓ ${name}\x1b[0m`);
+      }
+    } else {
+      process.stdout.write(formatted);
+    }
+  }
+  if (unformatted > 0) {
+    console.error(`\n${unformatted} file${unformatted === 1 ? ' is' : 's are'} not formatted; run 'voxel fmt --write' to fix`);
+    process.exitCode = 1;
+  }
+}
+
+// Lint files with the rules of their voxel.json; with --fix, rewrite them with every available fix
+// applied first and report what is left
+function lintFiles(files, { applyFixes = false, json = false } = {}) {
+  const results = [];
+  let errors = 0;
+  let warnings = 0;
+  let fixable = 0;
+  for (const filePath of files) {
+    let source = fs.readFileSync(filePath, 'utf8');
+    const name = path.relative(process.cwd(), filePath) || filePath;
+    let diagnostics;
+    try {
+      const options = { ...loadConfig(filePath), globals: isTestFile(filePath) ? TEST_GLOBALS : [] };
+      if (applyFixes) {
+        const fixed = fix(source, options);
+        if (fixed !== source) {
+          fs.writeFileSync(filePath, fixed);
+          source = fixed;
+        }
+      }
+      diagnostics = lint(source, options);
+    } catch (error) {
+      console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+      process.exit(1);
+    }
+    if (json) {
+      results.push({ file: name, diagnostics });
+      continue;
+    }
+    for (const diagnostic of diagnostics) {
+      console.error(formatDiagnostic(diagnostic, { file: filePath, source }));
+    }
+    errors += diagnostics.filter(d => d.severity === 'error').length;
+    warnings += diagnostics.filter(d => d.severity !== 'error').length;
+    fixable += diagnostics.filter(d => d.fix).length;
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results));
+    if (results.some(result => result.diagnostics.some(d => d.severity === 'error'))) process.exitCode = 1;
+    return;
+  }
+  if (errors + warnings === 0) {
+    console.log(`\x1b[32m✓ ${files.length} file${files.length === 1 ? '' : 's'}: no problems found\x1b[0m`);
+    return;
+  }
+  const hint = fixable > 0 ? ` (${fixable} fixable with --fix)` : '';
+  console.error(`\n${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}${hint}`);
+  if (errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run test files and report them as text as each file finishes, or as TAP or JUnit XML once all
+// have (--reporter=tap|junit); fails when any test does
+async function runTests(files, { reporter = 'spec', timeout, strict = false, coverage = false } = {}) {
+  const started = Date.now();
+  // Coverage of the code under test, not of the tests
+  const collected = coverage ? new Coverage({ include: file => !isTestFile(file) }) : null;
+  const runner = new TestRunner({ timeout, strict, captureOutput: reporter !== 'spec', coverage: collected });
+  const results = await runner.run(files, result => {
+    if (reporter === 'spec') console.log(formatSpec(result));
+  });
+  const duration = Date.now() - started;
+  if (reporter === 'tap') {
+    console.log(formatTap(results));
+  } else if (reporter === 'junit') {
+    console.log(formatJUnit(results, duration));
+  } else {
+    console.log(formatSummary(results, duration));
+  }
+  if (collected) reportCoverage(collected);
+  const failed = results.some(result => result.error || result.tests.some(test => test.status === 'failed'));
+  process.exit(failed ? 1 : 0);
+}
+
+// Print a table of what ran and write lcov.info and an HTML report to coverage/
+function reportCoverage(coverage, dir = path.resolve('coverage')) {
+  writeReports(coverage, dir);
+  console.error(`\n${formatCoverageSummary(coverage)}`);
+  console.error(`Coverage written to ${path.relative(process.cwd(), dir) || dir}/lcov.info and index.html`);
+}
+
+// Same lookup as `import` at runtime: the path itself, then with .voxel/.vxl, then index.voxel
+function resolveModule(fromFile, specifier) {
+  const resolved = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [resolved, resolved + '.voxel', resolved + '.vxl', path.join(resolved, 'index.voxel')];
+  const found = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!found) {
+    throw new Error(`Cannot find module '${specifier}' imported from ${path.relative(process.cwd(), fromFile)}`);
+  }
+  return found;
+}
+
+// Relative module specifier for `to`, as imported from the file `from`
+function moduleSpecifier(from, to) {
+  const relative = path.relative(path.dirname(from), to).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+// Compile a script and every module it imports to JavaScript, each with a source map beside it.
+// Imported modules keep their place relative to the entry file.
+function buildFile(entryPath, { outFile = null, runtime = null } = {}) {
+  const output = outFile ? path.resolve(outFile) : entryPath.replace(/\.(voxel|vxl)$/, '') + '.mjs';
+  const extension = path.extname(output) || '.mjs';
+  const outputFor = file => file === entryPath
+    ? output
+    : path.join(path.dirname(output), path.relative(path.dirname(entryPath), file)).replace(/\.(voxel|vxl)$/, '') + extension;
+
+  const pending = [entryPath];
+  const built = new Set();
+  while (pending.length > 0) {
+    const file = pending.shift();
+    if (built.has(file)) continue;
+    built.add(file);
+
+    const source = fs.readFileSync(file, 'utf8');
+    const { ast, diagnostics } = parseWithDiagnostics(source);
+    if (diagnostics.length > 0) {
+      for (const diagnostic of diagnostics) {
+        console.error(formatDiagnostic(diagnostic, { file, source }));
+      }
+      console.error(`\n${diagnostics.length} syntax error${diagnostics.length === 1 ? '' : 's'}`);
+      process.exit(1);
+    }
+
+    const target = outputFor(file);
+    const { code, map, imports } = transpile(ast, {
+      file,
+      source,
+      outFile: target,
+      runtime: runtime || moduleSpecifier(target, path.join(__dirname, 'runtime.js')),
+      resolveImport: specifier => moduleSpecifier(target, outputFor(resolveModule(file, specifier)))
+    });
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, `${code}//# sourceMappingURL=${path.basename(target)}.map\n`);
+    fs.writeFileSync(`${target}.map`, JSON.stringify(map));
+    console.log(`\x1b[32m✓ ${path.relative(process.cwd(), file) || file} -> ${path.relative(process.cwd(), target) || target}\x1b[0m`);
+
+    pending.push(...imports.map(specifier => resolveModule(file, specifier)));
+  }
+}
+
 // Version info
 const VERSION = '1.0.0';
 
@@ -96,7 +546,21 @@ function showHelp() {
 \x1b[33mUsage:\x1b[0m
   voxel                     Start interactive REPL
   voxel <file.voxel>        Run a VoxelScript file
+  voxel run <file.voxel>    Run a VoxelScript file (--coverage writes a coverage report to coverage/)
   voxel -e "<code>"         Execute code directly
+  voxel --diagnostics <file> Print syntax errors as JSON ('-' reads stdin)
+  voxel check <file>        Type-check a file without running it (--json for JSON output)
+  voxel build <file> [-o out.mjs] [--runtime <module>]
+                            Compile to a JavaScript module with a source map
+  voxel fmt <files>         Format files (--write rewrites them, --check lists unformatted ones)
+  voxel lint <files>        Lint files (--fix applies the available fixes, --json for JSON output)
+  voxel test [paths]        Run the *.test.voxel files under paths (default: the current directory)
+                            (--reporter=spec|tap|junit, --timeout=<ms> per test, --coverage)
+  voxel debug <file>        Run a file in the interactive debugger ('help' lists its commands)
+  voxel --dap               Serve the Debug Adapter Protocol on stdin/stdout, for editors
+  voxel lsp                 Serve the Language Server Protocol on stdin/stdout, for editors
+  voxel --strict <file>     Run with type annotations enforced at runtime
+  voxel --engine=vm <file>  Run on the bytecode VM instead of the tree-walker
   voxel --version, -v       Show version
   voxel --help, -h          Show this help
 
@@ -118,17 +582,131 @@ function showVersion() {
 }
 
 // CLI
-const args = process.argv.slice(2);
+const strict = process.argv.includes('--strict');
+const coverage = process.argv.includes('--coverage');
+const engineFlag = process.argv.find(arg => arg.startsWith('--engine='));
+const engine = engineFlag ? engineFlag.slice('--engine='.length) : 'tree';
+const args = process.argv.slice(2).filter(arg => arg !== '--strict' && arg !== '--coverage' && arg !== engineFlag);
+
+if (engine !== 'tree' && engine !== 'vm') {
+  console.error(`\x1b[31mError: Unknown engine '${engine}' (expected 'tree' or 'vm')\x1b[0m`);
+  process.exit(1);
+}
+if (coverage && engine === 'vm') {
+  console.error('\x1b[31mError: Coverage is collected by the tree-walker; drop --engine=vm\x1b[0m');
+  process.exit(1);
+}
 
 if (args.length === 0) {
-  runRepl();
+  runRepl({ strict, engine });
 } else if (args[0] === '--help' || args[0] === '-h') {
   showHelp();
 } else if (args[0] === '--version' || args[0] === '-v') {
   showVersion();
+} else if (args[0] === 'check' && args[1]) {
+  const files = args.slice(1).filter(arg => arg !== '--json');
+  for (const file of files) {
+    const filePath = path.resolve(file);
+    if (!fs.existsSync(filePath)) {
+      console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
+      process.exit(1);
+    }
+    checkFile(filePath, { json: args.includes('--json') });
+  }
+} else if (args[0] === 'fmt' && args.length > 1) {
+  const targets = args.slice(1).filter(arg => arg !== '--check' && arg !== '--write');
+  const files = [];
+  for (const target of targets) {
+    const filePath = path.resolve(target);
+    if (!fs.existsSync(filePath)) {
+      console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
+      process.exit(1);
+    }
+    files.push(...sourceFiles(filePath));
+  }
+  formatFiles(files, { check: args.includes('--check'), write: args.includes('--write') });
+} else if (args[0] === 'lint' && args.length > 1) {
+  const targets = args.slice(1).filter(arg => arg !== '--fix' && arg !== '--json');
+  const files = [];
+  for (const target of targets) {
+    const filePath = path.resolve(target);
+    if (!fs.existsSync(filePath)) {
+      console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
+      process.exit(1);
+    }
+    files.push(...sourceFiles(filePath));
+  }
+  lintFiles(files, { applyFixes: args.includes('--fix'), json: args.includes('--json') });
+} else if (args[0] === 'test') {
+  const option = name => {
+    const flag = args.find(arg => arg.startsWith(`--${name}=`));
+    return flag ? flag.slice(name.length + 3) : null;
+  };
+  const reporter = option('reporter') || 'spec';
+  const timeout = Number(option('timeout') || 5000);
+  if (!['spec', 'tap', 'junit'].includes(reporter)) {
+    console.error(`\x1b[31mError: Unknown reporter '${reporter}' (expected 'spec', 'tap' or 'junit')\x1b[0m`);
+    process.exit(1);
+  }
+  if (!(timeout > 0)) {
+    console.error(`\x1b[31mError: --timeout expects a number of milliseconds\x1b[0m`);
+    process.exit(1);
+  }
+  const targets = args.slice(1).filter(arg => !arg.startsWith('--'));
+  const files = [];
+  for (const target of targets.length > 0 ? targets : ['.']) {
+    const filePath = path.resolve(target);
+    if (!fs.existsSync(filePath)) {
+      console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
+      process.exit(1);
+    }
+    // Named files run whatever they are called; directories are searched for test files
+    files.push(...(fs.statSync(filePath).isDirectory() ? sourceFiles(filePath).filter(isTestFile) : [filePath]));
+  }
+  if (files.length === 0) {
+    console.error('No test files found (test files are named *.test.voxel)');
+    process.exit(1);
+  }
+  runTests(files, { reporter, timeout, strict, coverage });
+} else if (args[0] === 'run' && args[1]) {
+  const filePath = path.resolve(args[1]);
+  if (!fs.existsSync(filePath)) {
+    console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
+    process.exit(1);
+  }
+  runFile(filePath, { strict, engine, coverage });
+} else if (args[0] === 'debug' && args[1]) {
+  const filePath = path.resolve(args[1]);
+  if (!fs.existsSync(filePath)) {
+    console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
+    process.exit(1);
+  }
+  debugFile(filePath, { strict });
+} else if (args[0] === 'build' && args[1]) {
+  const filePath = path.resolve(args[1]);
+  if (!fs.existsSync(filePath)) {
+    console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
+    process.exit(1);
+  }
+  const option = (...names) => {
+    const index = args.findIndex(arg => names.includes(arg));
+    return index === -1 ? null : args[index + 1];
+  };
+  try {
+    buildFile(filePath, { outFile: option('-o', '--out'), runtime: option('--runtime') });
+  } catch (error) {
+    console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+    process.exit(1);
+  }
+} else if (args[0] === '--dap') {
+  require('./dap').runDebugAdapter();
+} else if (args[0] === 'lsp') {
+  require('./lsp').runLanguageServer();
+} else if (args[0] === '--diagnostics' && args[1]) {
+  printDiagnostics(args[1]);
 } else if (args[0] === '-e' && args[1]) {
-  runCode(args[1]).catch(err => {
-    console.error(`Error: ${err.message}`);
+  runCode(args[1], { strict, engine }).catch(err => {
+    console.error(formatError(err, { source: args[1] }));
     process.exit(1);
   });
 } else {
@@ -137,7 +715,7 @@ if (args.length === 0) {
     console.error(`\x1b[31mError: File not found: ${filePath}\x1b[0m`);
     process.exit(1);
   }
-  runFile(filePath);
+  runFile(filePath, { strict, engine, coverage });
 }
 
 module.exports = { runFile, runCode, runRepl, VERSION };